@@ -56,7 +56,8 @@ final class JsonApiFormatter
     }
 
     /**
-     * Format a collection of resources
+     * Format a collection of resources. Items are `['id' => …, 'attributes' => […]]`,
+     * optionally with `relationships` in the same form resource() takes.
      */
     public function collection(
         string $type,
@@ -66,12 +67,21 @@ final class JsonApiFormatter
         array $included = [],
     ): array {
         $data = array_map(
-            fn(array $item) => [
-                'type' => $type,
-                'id' => (string) ($item['id'] ?? ''),
-                'attributes' => $item['attributes'] ?? $item,
-                'links' => ['self' => $this->baseUrl . '/' . $type . '/' . ($item['id'] ?? '')],
-            ],
+            function (array $item) use ($type): array {
+                $resource = [
+                    'type' => $type,
+                    'id' => (string) ($item['id'] ?? ''),
+                    'attributes' => $item['attributes'] ?? $item,
+                ];
+
+                if (!empty($item['relationships'])) {
+                    $resource['relationships'] = $this->formatRelationships($item['relationships']);
+                }
+
+                $resource['links'] = ['self' => $this->baseUrl . '/' . $type . '/' . ($item['id'] ?? '')];
+
+                return $resource;
+            },
             $items,
         );
 
@@ -40,7 +40,12 @@ interface BlockTypeInterface
     /**
      * Field definitions for this block type
      *
-     * @return array<string, array{type: string, label: string, required?: bool, default?: mixed}>
+     * `type` is a FieldType value (or 'media'). The editor also honours
+     * `options` (select, multiselect, checkbox), `min`/`max` (numbers, dates,
+     * item counts), `max_length`, `pattern` and `help`. Media fields may set
+     * `media_type` (image, video, audio, application) to filter the picker.
+     *
+     * @return array<string, array{type: string, label: string, required?: bool, default?: mixed, options?: array<string, string>, min?: int|float|string, max?: int|float|string, max_length?: int, pattern?: string, help?: string, media_type?: string}>
      */
     public static function getFields(): array;
 
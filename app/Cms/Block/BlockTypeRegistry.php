@@ -15,12 +15,21 @@ final class BlockTypeRegistry
     /** @var array<string, BlockTypeInterface> */
     private array $types = [];
 
+    /** @var array<string, string> Former block type id → current id */
+    private array $aliases = [];
+
     /**
      * Register a code-defined block type
      */
     public function register(BlockTypeInterface $type): void
     {
         $this->types[$type::getId()] = $type;
+
+        if ($type instanceof VersionedBlockTypeInterface) {
+            foreach ($type::getAliases() as $alias) {
+                $this->aliases[$alias] = $type::getId();
+            }
+        }
     }
 
     /**
@@ -34,11 +43,21 @@ final class BlockTypeRegistry
     }
 
     /**
-     * Get a block type by ID
+     * Get a block type by ID (or a former ID it is aliased from)
      */
     public function get(string $id): ?BlockTypeInterface
     {
-        return $this->types[$id] ?? null;
+        return $this->types[$id] ?? $this->types[$this->aliases[$id] ?? ''] ?? null;
+    }
+
+    /**
+     * Data version of a block type; 1 for unversioned types
+     */
+    public function version(string $id): int
+    {
+        $type = $this->get($id);
+
+        return $type instanceof VersionedBlockTypeInterface ? $type::getVersion() : 1;
     }
 
     /**
@@ -52,7 +71,7 @@ final class BlockTypeRegistry
     /**
      * Get all registered block types
      *
-     * @return array<string, array{id: string, label: string, description: string, icon: string, category: string, fields: array}>
+     * @return array<string, array{id: string, label: string, description: string, icon: string, category: string, fields: array, version: int}>
      */
     public function all(): array
     {
@@ -66,6 +85,7 @@ final class BlockTypeRegistry
                 'icon' => $type::getIcon(),
                 'category' => $type::getCategory(),
                 'fields' => $type::getFields(),
+                'version' => $this->version($id),
             ];
         }
 
@@ -94,6 +114,43 @@ final class BlockTypeRegistry
         return $grouped;
     }
 
+    /**
+     * Bring every block in a layout up to date: renamed block types get
+     * their current id, and data saved by an older version of a type goes
+     * through its migrate(). Unknown block types are left as they are —
+     * the editor offers to convert or remove them.
+     */
+    public function upgrade(array $sections): array
+    {
+        foreach ($sections as &$section) {
+            foreach ($section['regions'] ?? [] as $regionName => $blocks) {
+                $section['regions'][$regionName] = array_map(fn($block) => $this->upgradeBlock($block), (array) $blocks);
+            }
+        }
+        unset($section);
+
+        return $sections;
+    }
+
+    private function upgradeBlock(mixed $block): mixed
+    {
+        if (!is_array($block) || !($type = $this->get((string) ($block['blockType'] ?? '')))) {
+            return $block;
+        }
+
+        $block['blockType'] = $type::getId();
+
+        if ($type instanceof VersionedBlockTypeInterface) {
+            $from = (int) ($block['version'] ?? 1);
+            if ($from < $type::getVersion()) {
+                $block['data'] = $type::migrate((array) ($block['data'] ?? []), $from);
+            }
+            $block['version'] = max($from, $type::getVersion());
+        }
+
+        return $block;
+    }
+
     /**
      * Render a block
      */
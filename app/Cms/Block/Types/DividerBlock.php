@@ -23,7 +23,7 @@ final class DividerBlock implements BlockTypeInterface
             'style' => ['type' => 'select', 'label' => 'Style', 'default' => 'solid', 'options' => [
                 'solid' => 'Solid', 'dashed' => 'Dashed', 'dotted' => 'Dotted',
             ]],
-            'color' => ['type' => 'string', 'label' => 'Color', 'default' => '#334155'],
+            'color' => ['type' => 'color', 'label' => 'Color', 'default' => '#334155'],
         ];
     }
 
@@ -20,7 +20,7 @@ final class ImageBlock implements BlockTypeInterface
     public static function getFields(): array
     {
         return [
-            'media_id' => ['type' => 'media', 'label' => 'Image', 'required' => true],
+            'media_id' => ['type' => 'media', 'label' => 'Image', 'required' => true, 'media_type' => 'image'],
             'alt' => ['type' => 'string', 'label' => 'Alt Text', 'required' => true],
             'caption' => ['type' => 'string', 'label' => 'Caption', 'required' => false],
             'link' => ['type' => 'url', 'label' => 'Link', 'required' => false],
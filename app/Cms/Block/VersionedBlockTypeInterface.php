@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Block;
+
+/**
+ * VersionedBlockTypeInterface — A block type whose stored data changes shape over time.
+ *
+ * Blocks remember the version their `data` was saved with (1 when they
+ * predate versioning). Whenever a layout is loaded — into the editor, a
+ * revision view or a frontend page — BlockTypeRegistry::upgrade() hands
+ * older data to migrate() before anything reads it.
+ *
+ *   public static function getVersion(): int { return 2; }
+ *
+ *   public static function migrate(array $data, int $fromVersion): array
+ *   {
+ *       if ($fromVersion < 2) {
+ *           $data['level'] = 'h' . ($data['size'] ?? 2);   // 'size' became 'level'
+ *           unset($data['size']);
+ *       }
+ *       return $data;
+ *   }
+ */
+interface VersionedBlockTypeInterface extends BlockTypeInterface
+{
+    /**
+     * Current version of this type's data, starting at 1
+     */
+    public static function getVersion(): int;
+
+    /**
+     * Bring data saved at $fromVersion up to getVersion()
+     */
+    public static function migrate(array $data, int $fromVersion): array;
+
+    /**
+     * Ids this block type was registered under before being renamed
+     *
+     * @return string[]
+     */
+    public static function getAliases(): array;
+}
@@ -97,6 +97,13 @@ class ContentEntity
         get => $this->status === 'published' && $this->published_at !== null && $this->published_at > new \DateTimeImmutable();
     }
 
+    /** Computed: public path — /{slug} for pages, /{type}/{slug} for articles, news and events (FrontendController) */
+    public string $url {
+        get => $this->content_type === 'page'
+            ? '/' . $this->slug
+            : '/' . $this->content_type . '/' . $this->slug;
+    }
+
     /** Computed: is this soft-deleted? */
     public bool $isTrashed {
         get => $this->deleted_at !== null;
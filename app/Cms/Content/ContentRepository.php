@@ -50,20 +50,14 @@ final class ContentRepository
         int $offset = 0,
         string $orderBy = 'created_at',
         string $direction = 'DESC',
+        ?string $search = null,
     ): array {
-        $allowed = ['created_at', 'updated_at', 'published_at', 'title', 'weight'];
+        $allowed = ['created_at', 'updated_at', 'published_at', 'title', 'status', 'weight'];
         $orderCol = in_array($orderBy, $allowed, true) ? $orderBy : 'created_at';
         $dir = strtoupper($direction) === 'ASC' ? 'ASC' : 'DESC';
 
-        $sql = "SELECT * FROM nodes WHERE content_type = :type AND deleted_at IS NULL";
-        $params = ['type' => $contentType];
-
-        if ($status !== 'all') {
-            $sql .= " AND status = :status";
-            $params['status'] = $status;
-        }
-
-        $sql .= " ORDER BY {$orderCol} {$dir} LIMIT :limit OFFSET :offset";
+        [$where, $params] = $this->typeFilter($contentType, $status, $search);
+        $sql = "SELECT * FROM nodes WHERE {$where} ORDER BY {$orderCol} {$dir}, id {$dir} LIMIT :limit OFFSET :offset";
 
         $stmt = $this->pdo->prepare($sql);
         foreach ($params as $k => $v) {
@@ -79,22 +73,32 @@ final class ContentRepository
         );
     }
 
-    public function countByType(string $contentType, string $status = 'all'): int
+    public function countByType(string $contentType, string $status = 'all', ?string $search = null): int
     {
-        $sql = "SELECT COUNT(*) FROM nodes WHERE content_type = :type AND deleted_at IS NULL";
-        $params = ['type' => $contentType];
-
-        if ($status !== 'all') {
-            $sql .= " AND status = :status";
-            $params['status'] = $status;
-        }
+        [$where, $params] = $this->typeFilter($contentType, $status, $search);
 
-        $stmt = $this->pdo->prepare($sql);
+        $stmt = $this->pdo->prepare("SELECT COUNT(*) FROM nodes WHERE {$where}");
         $stmt->execute($params);
 
         return (int) $stmt->fetchColumn();
     }
 
+    /**
+     * Ids of every node matching a list filter, for bulk actions on
+     * "all matching" rather than one page.
+     *
+     * @return int[]
+     */
+    public function findIdsByType(string $contentType, string $status = 'all', ?string $search = null, int $limit = 1000): array
+    {
+        [$where, $params] = $this->typeFilter($contentType, $status, $search);
+
+        $stmt = $this->pdo->prepare("SELECT id FROM nodes WHERE {$where} ORDER BY id LIMIT " . (int) $limit);
+        $stmt->execute($params);
+
+        return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    }
+
     public function persist(ContentEntity $entity): ContentEntity
     {
         $now = (new \DateTimeImmutable())->format('Y-m-d H:i:s');
@@ -182,9 +186,12 @@ final class ContentRepository
     }
 
     /**
+     * Title and body matches, newest first. `$status` null matches every
+     * status; 'published' also leaves out scheduled nodes.
+     *
      * @return ContentEntity[]
      */
-    public function search(string $query, ?string $contentType = null, int $limit = 25): array
+    public function search(string $query, ?string $contentType = null, int $limit = 25, ?string $status = null): array
     {
         $sql = "SELECT * FROM nodes WHERE deleted_at IS NULL AND (title LIKE :q OR body LIKE :q)";
         $params = ['q' => "%{$query}%"];
@@ -194,6 +201,16 @@ final class ContentRepository
             $params['type'] = $contentType;
         }
 
+        if ($status !== null) {
+            $sql .= " AND status = :status";
+            $params['status'] = $status;
+
+            // Scheduled content isn't published yet
+            if ($status === 'published') {
+                $sql .= " AND (published_at IS NULL OR published_at <= NOW())";
+            }
+        }
+
         $sql .= " ORDER BY created_at DESC LIMIT " . (int) $limit;
 
         $stmt = $this->pdo->prepare($sql);
@@ -204,4 +221,26 @@ final class ContentRepository
             $stmt->fetchAll(PDO::FETCH_ASSOC)
         );
     }
+
+    /**
+     * @return array{0: string, 1: array<string, string>}
+     */
+    private function typeFilter(string $contentType, string $status, ?string $search): array
+    {
+        $where = 'content_type = :type AND deleted_at IS NULL';
+        $params = ['type' => $contentType];
+
+        if ($status !== 'all') {
+            $where .= ' AND status = :status';
+            $params['status'] = $status;
+        }
+
+        if ($search !== null && $search !== '') {
+            $where .= ' AND (title LIKE :q OR slug LIKE :q_slug)';
+            $params['q'] = "%{$search}%";
+            $params['q_slug'] = "%{$search}%";
+        }
+
+        return [$where, $params];
+    }
 }
@@ -0,0 +1,109 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Content;
+
+use PDO;
+
+/**
+ * ContentSearch — Public site search over published content.
+ *
+ * Finds matches through ContentRepository::search() and ranks them by
+ * relevance. The JSON:API search endpoint and the /search page both go
+ * through here, so they always agree on what comes first.
+ */
+final class ContentSearch
+{
+    public const MIN_LENGTH = 2;
+
+    public function __construct(
+        private readonly ContentRepository $contentRepo,
+        private readonly PDO $pdo,
+    ) {}
+
+    /**
+     * @return list<array{node: ContentEntity, score: float}> best match first
+     */
+    public function search(string $query, ?string $contentType = null, int $limit = 25): array
+    {
+        $query = trim($query);
+        if (mb_strlen($query) < self::MIN_LENGTH) {
+            return [];
+        }
+
+        $results = array_map(
+            fn(ContentEntity $node) => ['node' => $node, 'score' => $this->relevanceScore($node, $query)],
+            $this->contentRepo->search($query, $contentType, $limit, 'published'),
+        );
+
+        // Stable for equal scores: the repository's newest-first order stays
+        usort($results, fn(array $a, array $b) => $b['score'] <=> $a['score']);
+
+        return $results;
+    }
+
+    /**
+     * Plural labels for the content types in a result set, for grouping.
+     *
+     * @param list<array{node: ContentEntity, score: float}> $results
+     * @return array<string, string> type id → label
+     */
+    public function typeLabels(array $results): array
+    {
+        $types = array_values(array_unique(array_map(fn(array $r) => $r['node']->content_type, $results)));
+        if (!$types) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($types), '?'));
+        $stmt = $this->pdo->prepare("SELECT type_id, label, label_plural FROM content_types WHERE type_id IN ({$placeholders})");
+        $stmt->execute($types);
+
+        $labels = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $labels[$row['type_id']] = $row['label_plural'] ?: $row['label'];
+        }
+
+        foreach ($types as $type) {
+            $labels[$type] ??= ucfirst($type) . 's';
+        }
+
+        return $labels;
+    }
+
+    /**
+     * Compute a basic relevance score for search results
+     */
+    private function relevanceScore(ContentEntity $node, string $query): float
+    {
+        $score = 0.0;
+        $q = strtolower($query);
+
+        // Title match (highest weight)
+        if (str_contains(strtolower($node->title), $q)) {
+            $score += 10.0;
+            if (strtolower($node->title) === $q) $score += 5.0; // exact match bonus
+        }
+
+        // Body match
+        if ($node->body && str_contains(strtolower($node->body), $q)) {
+            $score += 3.0;
+            // More occurrences = higher score
+            $score += min(5, substr_count(strtolower($node->body), $q)) * 0.5;
+        }
+
+        // Summary match
+        if ($node->summary && str_contains(strtolower($node->summary), $q)) {
+            $score += 2.0;
+        }
+
+        // Recency boost (max 2 points for content from the last 7 days)
+        if ($node->published_at) {
+            $daysSince = max(0, (time() - $node->published_at->getTimestamp()) / 86400);
+            $score += max(0, 2.0 - ($daysSince / 3.5));
+        }
+
+        return round($score, 2);
+    }
+}
@@ -0,0 +1,120 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Content;
+
+use PDO;
+
+/**
+ * ContentValidator — Checks a content node payload before it is saved.
+ *
+ * Errors are keyed by the form path they belong to (`title`, `slug`,
+ * `fields.contact_email`, ...) so the admin form can show each one next
+ * to its input. The same rules run in the browser first; these are the
+ * ones that count.
+ */
+final class ContentValidator
+{
+    public const SLUG_PATTERN = '/^[a-z0-9]+(?:-[a-z0-9]+)*$/';
+    public const STATUSES = ['draft', 'published'];
+
+    public function __construct(
+        private readonly PDO $pdo,
+        private readonly ContentRepository $contentRepo,
+    ) {}
+
+    /**
+     * @param array $data      request body for store/update
+     * @param ContentEntity|null $existing  the node being updated, if any
+     * @return array<string, string> path → message; empty when valid
+     */
+    public function validate(array $data, ?ContentEntity $existing = null): array
+    {
+        $errors = [];
+        $type = (string) ($data['content_type'] ?? $existing?->content_type ?? '');
+
+        // On update, keys that aren't sent keep their stored value
+        $title = array_key_exists('title', $data) || !$existing ? trim((string) ($data['title'] ?? '')) : $existing->title;
+        $slug = array_key_exists('slug', $data) || !$existing ? trim((string) ($data['slug'] ?? '')) : $existing->slug;
+
+        if ($type === '') {
+            $errors['content_type'] = 'Content type is required.';
+        }
+
+        if ($title === '') {
+            $errors['title'] = 'Title is required.';
+        } elseif (mb_strlen($title) > 255) {
+            $errors['title'] = 'Title must be at most 255 characters.';
+        }
+
+        if ($slug === '') {
+            $errors['slug'] = 'URL slug is required.';
+        } elseif (!preg_match(self::SLUG_PATTERN, $slug)) {
+            $errors['slug'] = 'Use lowercase letters, numbers and single hyphens only.';
+        } elseif ($type !== '') {
+            $clash = $this->contentRepo->findBySlug($slug, $type);
+            if ($clash && $clash->id !== $existing?->id) {
+                $errors['slug'] = 'Another item already uses this URL.';
+            }
+        }
+
+        if (isset($data['status']) && !in_array($data['status'], self::STATUSES, true)) {
+            $errors['status'] = 'Unknown status.';
+        }
+
+        if (!empty($data['published_at']) && strtotime((string) $data['published_at']) === false) {
+            $errors['published_at'] = 'Enter a valid date and time.';
+        }
+
+        if ($type !== '') {
+            $fields = is_array($data['fields'] ?? null) ? $data['fields'] : ($existing?->fields ?? []);
+            $errors += $this->validateFields($type, $fields);
+        }
+
+        return $errors;
+    }
+
+    /**
+     * @return array<string, string>
+     */
+    private function validateFields(string $type, array $values): array
+    {
+        $stmt = $this->pdo->prepare(
+            'SELECT fd.machine_name, fd.name, fd.field_type, fd.required FROM field_definitions fd
+             JOIN content_types ct ON ct.id = fd.content_type_id WHERE ct.type_id = :type'
+        );
+        $stmt->execute(['type' => $type]);
+
+        $errors = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $field) {
+            $key = 'fields.' . $field['machine_name'];
+            $value = $values[$field['machine_name']] ?? null;
+            $empty = $value === null || $value === '' || $value === [] || $value === false;
+
+            if ($empty) {
+                if ($field['required']) {
+                    $errors[$key] = "{$field['name']} is required.";
+                }
+                continue;
+            }
+
+            $message = match ($field['field_type']) {
+                'email' => filter_var($value, FILTER_VALIDATE_EMAIL) === false ? 'Enter a valid e-mail address.' : null,
+                'url' => filter_var($value, FILTER_VALIDATE_URL) === false || !preg_match('#^https?://#i', (string) $value)
+                    ? 'Enter a full URL starting with http:// or https://.' : null,
+                'slug' => !is_string($value) || !preg_match(self::SLUG_PATTERN, $value)
+                    ? 'Use lowercase letters, numbers and single hyphens only.' : null,
+                'integer' => filter_var($value, FILTER_VALIDATE_INT) === false ? 'Enter a whole number.' : null,
+                'float', 'decimal' => !is_numeric($value) ? 'Enter a number.' : null,
+                default => null,
+            };
+
+            if ($message !== null) {
+                $errors[$key] = $message;
+            }
+        }
+
+        return $errors;
+    }
+}
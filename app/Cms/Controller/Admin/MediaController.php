@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace App\Cms\Controller\Admin;
 
+use App\Cms\Controller\Api\MediaApiController;
 use MonkeysLegion\Http\Message\Response;
 use MonkeysLegion\Router\Attributes\Route;
 use MonkeysLegion\Router\Attributes\RoutePrefix;
@@ -25,6 +26,7 @@ final class MediaController
     {
         return Response::html($this->renderer->render('admin.media.index', [
             'title' => 'Media Library',
+            'uploadLimits' => MediaApiController::uploadLimits(),
         ]));
     }
 }
@@ -6,6 +6,7 @@ namespace App\Cms\Controller\Admin;
 
 use App\Cms\Block\BlockTypeRegistry;
 use App\Cms\Content\ContentRepository;
+use App\Cms\Mosaic\DisplaySettings;
 use App\Cms\Mosaic\MosaicManager;
 use App\Cms\Mosaic\Section;
 use MonkeysLegion\Http\Message\Response;
@@ -23,6 +24,9 @@ use Psr\Http\Message\ServerRequestInterface;
 #[RoutePrefix('/admin/mosaic')]
 final class MosaicController
 {
+    /** How long a relay join token stays valid; reconnects reuse it */
+    private const COLLAB_TOKEN_TTL = 43200;
+
     public function __construct(
         private readonly Renderer $renderer,
         private readonly MosaicManager $mosaicManager,
@@ -44,11 +48,51 @@ final class MosaicController
             'title' => 'Mosaic Editor — ' . $node->title,
             'node' => $node,
             'mosaic' => $mosaic,
-            'sections' => $mosaic ? $mosaic->sections : [],
+            'sections' => $mosaic ? $this->blockRegistry->upgrade($mosaic->sections) : [],
             'layouts' => Section::getAvailableLayouts(),
             'blockTypes' => $this->blockRegistry->grouped(),
+            'displaySettings' => DisplaySettings::FIELDS,
+            'collab' => $this->collabConfig($request, 'mosaic:' . $node->content_type . ':' . (int) $nodeId),
         ]);
 
         return Response::html($html);
     }
+
+    /**
+     * Presence settings for the editor, or null when no relay is configured.
+     *
+     * The relay takes the room and user from the signed token only, so a
+     * client can't join another node's room or speak as someone else.
+     *
+     * @return array{url: string, token: string}|null
+     */
+    private function collabConfig(ServerRequestInterface $request, string $room): ?array
+    {
+        $url = $_ENV['MOSAIC_COLLAB_URL'] ?? '';
+        $secret = $_ENV['MOSAIC_COLLAB_SECRET'] ?? '';
+        if ($url === '' || $secret === '') {
+            return null;
+        }
+
+        $user = $request->getAttribute('user');
+        $identity = [
+            'id' => isset($user->id) ? (int) $user->id : null,
+            'name' => isset($user->name) ? (string) $user->name : 'Anonymous',
+        ];
+
+        $payload = self::base64Url(json_encode(
+            ['room' => $room, 'user' => $identity, 'exp' => time() + self::COLLAB_TOKEN_TTL],
+            JSON_THROW_ON_ERROR,
+        ));
+
+        return [
+            'url' => $url,
+            'token' => $payload . '.' . self::base64Url(hash_hmac('sha256', $payload, $secret, true)),
+        ];
+    }
+
+    private static function base64Url(string $bytes): string
+    {
+        return rtrim(strtr(base64_encode($bytes), '+/', '-_'), '=');
+    }
 }
@@ -6,6 +6,8 @@ namespace App\Cms\Controller\Api;
 
 use App\Cms\Content\ContentRepository;
 use App\Cms\Content\ContentEntity;
+use App\Cms\Content\ContentValidator;
+use App\Cms\User\UserPreferenceRepository;
 use MonkeysLegion\Http\Message\Response;
 use MonkeysLegion\Router\Attributes\Route;
 use MonkeysLegion\Router\Attributes\RoutePrefix;
@@ -13,12 +15,23 @@ use Psr\Http\Message\ServerRequestInterface;
 
 /**
  * ContentApiController — Admin REST API for content nodes.
+ *
+ * The list endpoint takes `sort` as a column name, prefixed with `-` for
+ * descending order (e.g. `-updated_at`). Bulk actions and saved list views
+ * live under /bulk and /views.
  */
 #[RoutePrefix('/admin/api/content')]
 final class ContentApiController
 {
+    public const BULK_ACTIONS = ['publish', 'unpublish', 'delete'];
+    public const BULK_LIMIT = 1000;
+    public const VIEWS_PREFERENCE = 'content_views';
+    public const MAX_VIEWS = 50;
+
     public function __construct(
         private readonly ContentRepository $contentRepo,
+        private readonly UserPreferenceRepository $preferences,
+        private readonly ContentValidator $validator,
     ) {}
 
     #[Route('GET', '/', name: 'admin.api.content.index')]
@@ -30,10 +43,11 @@ final class ContentApiController
         $page = max(1, (int) ($params['page'] ?? 1));
         $limit = min(100, max(1, (int) ($params['per_page'] ?? 25)));
         $offset = ($page - 1) * $limit;
-        $search = $params['q'] ?? '';
+        $search = trim((string) ($params['q'] ?? ''));
+        $sort = (string) ($params['sort'] ?? '-created_at');
 
-        if ($search) {
-            $nodes = $this->contentRepo->search($search, $type, $limit);
+        if ($search && !$type) {
+            $nodes = $this->contentRepo->search($search, null, $limit);
             return Response::json(['data' => array_map(fn(ContentEntity $n) => $n->toArray(), $nodes)]);
         }
 
@@ -41,8 +55,11 @@ final class ContentApiController
             return Response::json(['error' => 'Content type required'], 422);
         }
 
-        $nodes = $this->contentRepo->findByType($type, $status, $limit, $offset);
-        $total = $this->contentRepo->countByType($type, $status);
+        $direction = str_starts_with($sort, '-') ? 'DESC' : 'ASC';
+        $orderBy = ltrim($sort, '-');
+
+        $nodes = $this->contentRepo->findByType($type, $status, $limit, $offset, $orderBy, $direction, $search);
+        $total = $this->contentRepo->countByType($type, $status, $search);
 
         return Response::json([
             'data' => array_map(fn(ContentEntity $n) => $n->toArray(), $nodes),
@@ -73,6 +90,11 @@ final class ContentApiController
             return Response::json(['error' => 'Invalid JSON'], 422);
         }
 
+        $errors = $this->validator->validate($body);
+        if ($errors) {
+            return $this->validationFailed($errors);
+        }
+
         $node = new ContentEntity();
         $node->hydrate($body);
         $node->status = $body['status'] ?? 'draft';
@@ -94,6 +116,11 @@ final class ContentApiController
             return Response::json(['error' => 'Invalid JSON'], 422);
         }
 
+        $errors = $this->validator->validate($body, $node);
+        if ($errors) {
+            return $this->validationFailed($errors);
+        }
+
         $node->hydrate($body);
         $node = $this->contentRepo->persist($node);
 
@@ -137,4 +164,196 @@ final class ContentApiController
 
         return Response::json(['data' => $node->toArray(), 'meta' => ['unpublished' => true]]);
     }
+
+    /**
+     * Ids of every node the list filter matches (type, status, q), so a
+     * delete of "all matching" names exactly the rows the user agreed to.
+     * More than BULK_LIMIT matches is refused rather than cut short.
+     */
+    #[Route('GET', '/ids', name: 'admin.api.content.ids')]
+    public function ids(ServerRequestInterface $request): Response
+    {
+        $params = $request->getQueryParams();
+        if (!isset($params['type'])) {
+            return Response::json(['error' => 'Content type required'], 422);
+        }
+
+        $ids = $this->contentRepo->findIdsByType(
+            (string) $params['type'],
+            (string) ($params['status'] ?? 'all'),
+            trim((string) ($params['q'] ?? '')),
+            self::BULK_LIMIT + 1,
+        );
+
+        if (count($ids) > self::BULK_LIMIT) {
+            return Response::json(['error' => 'At most ' . self::BULK_LIMIT . ' items can be changed at once'], 422);
+        }
+
+        return Response::json(['data' => $ids, 'meta' => ['total' => count($ids)]]);
+    }
+
+    /**
+     * Publish, unpublish or delete many nodes at once.
+     *
+     * Body: { action, ids: [...] } or { action, filter: { type, status, q } }
+     * to publish or unpublish everything the list filter matches; more than
+     * BULK_LIMIT matches is refused rather than cut short. Deletes take
+     * explicit ids only (see ids()): they go out after the undo delay, when
+     * the filter may match rows the user never saw.
+     */
+    #[Route('POST', '/bulk', name: 'admin.api.content.bulk')]
+    public function bulk(ServerRequestInterface $request): Response
+    {
+        $body = json_decode((string) $request->getBody(), true);
+        $action = $body['action'] ?? null;
+
+        if (!in_array($action, self::BULK_ACTIONS, true)) {
+            return Response::json(['error' => 'Unknown bulk action'], 422);
+        }
+
+        if (isset($body['filter']) && $action === 'delete') {
+            return Response::json(['error' => 'Deleting needs the ids of the items to delete'], 422);
+        }
+
+        if (isset($body['filter']['type'])) {
+            $filter = $body['filter'];
+            $ids = $this->contentRepo->findIdsByType(
+                (string) $filter['type'],
+                (string) ($filter['status'] ?? 'all'),
+                trim((string) ($filter['q'] ?? '')),
+                self::BULK_LIMIT + 1, // one over, so a filter that matches too many is refused below
+            );
+        } else {
+            $ids = array_values(array_unique(array_map('intval', (array) ($body['ids'] ?? []))));
+        }
+
+        if (!$ids) {
+            return Response::json(['error' => 'Nothing selected'], 422);
+        }
+        if (count($ids) > self::BULK_LIMIT) {
+            return Response::json(['error' => 'At most ' . self::BULK_LIMIT . ' items can be changed at once'], 422);
+        }
+
+        $affected = [];
+        $failed = [];
+
+        foreach ($ids as $id) {
+            $node = $this->contentRepo->find($id);
+            if (!$node) {
+                $failed[] = $id;
+                continue;
+            }
+
+            if ($action === 'delete') {
+                $this->contentRepo->delete($id);
+            } elseif ($action === 'publish') {
+                $node->status = 'published';
+                $node->published_at = new \DateTimeImmutable();
+                $this->contentRepo->persist($node);
+            } else {
+                $node->status = 'draft';
+                $this->contentRepo->persist($node);
+            }
+
+            $affected[] = $id;
+        }
+
+        return Response::json(['meta' => [
+            'action' => $action,
+            'affected' => $affected,
+            'failed' => $failed,
+        ]]);
+    }
+
+    // ── Saved list views ──────────────────────────────────────────────────
+
+    #[Route('GET', '/views', name: 'admin.api.content.views')]
+    public function views(ServerRequestInterface $request): Response
+    {
+        $userId = $this->userId($request);
+        if ($userId === null) {
+            return Response::json(['error' => 'Unauthenticated'], 401);
+        }
+
+        return Response::json(['data' => $this->preferences->get($userId, self::VIEWS_PREFERENCE, [])]);
+    }
+
+    /**
+     * Create or replace a named view. Body: { name, query } where `query`
+     * is the list's URL query string (type, status, q, sort, per_page).
+     */
+    #[Route('PUT', '/views', name: 'admin.api.content.views.save')]
+    public function saveView(ServerRequestInterface $request): Response
+    {
+        $userId = $this->userId($request);
+        if ($userId === null) {
+            return Response::json(['error' => 'Unauthenticated'], 401);
+        }
+
+        $body = json_decode((string) $request->getBody(), true);
+        $name = trim((string) ($body['name'] ?? ''));
+        $query = ltrim((string) ($body['query'] ?? ''), '?');
+
+        if ($name === '' || mb_strlen($name) > 100) {
+            return Response::json(['error' => 'A view needs a name of up to 100 characters'], 422);
+        }
+
+        $full = false;
+        $views = $this->preferences->update($userId, self::VIEWS_PREFERENCE, function (array $views) use ($name, $query, &$full) {
+            $others = array_values(array_filter($views, fn(array $view) => ($view['name'] ?? null) !== $name));
+
+            if (count($others) >= self::MAX_VIEWS) {
+                $full = true;
+                return $views;
+            }
+
+            $others[] = ['name' => $name, 'query' => $query];
+            usort($others, fn(array $a, array $b) => strcasecmp($a['name'], $b['name']));
+
+            return $others;
+        }, []);
+
+        if ($full) {
+            return Response::json(['error' => 'You can save up to ' . self::MAX_VIEWS . ' views'], 422);
+        }
+
+        return Response::json(['data' => $views, 'meta' => ['saved' => true]]);
+    }
+
+    #[Route('DELETE', '/views', name: 'admin.api.content.views.delete')]
+    public function deleteView(ServerRequestInterface $request): Response
+    {
+        $userId = $this->userId($request);
+        if ($userId === null) {
+            return Response::json(['error' => 'Unauthenticated'], 401);
+        }
+
+        $name = (string) ($request->getQueryParams()['name'] ?? '');
+        $views = $this->preferences->update(
+            $userId,
+            self::VIEWS_PREFERENCE,
+            fn(array $views) => array_values(array_filter($views, fn(array $view) => ($view['name'] ?? null) !== $name)),
+            [],
+        );
+
+        return Response::json(['data' => $views, 'meta' => ['deleted' => true]]);
+    }
+
+    /**
+     * 422 with one message per form path, e.g. { "fields.email": "..." }.
+     */
+    private function validationFailed(array $errors): Response
+    {
+        return Response::json([
+            'error' => count($errors) === 1 ? reset($errors) : 'Please fix the ' . count($errors) . ' highlighted fields.',
+            'errors' => $errors,
+        ], 422);
+    }
+
+    private function userId(ServerRequestInterface $request): ?int
+    {
+        $user = $request->getAttribute('user');
+
+        return isset($user->id) ? (int) $user->id : null;
+    }
 }
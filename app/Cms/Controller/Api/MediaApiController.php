@@ -13,10 +13,57 @@ use Psr\Http\Message\ServerRequestInterface;
 
 /**
  * MediaApiController — REST API for the media library.
+ *
+ * Files arrive either in one multipart request (POST /upload) or as a
+ * resumable chunked upload:
+ *
+ *   POST   /uploads        { name, size, type }  → { id, offset: 0 }
+ *   PUT    /uploads/{id}   raw bytes, Upload-Offset header → { offset } or the media item
+ *   GET    /uploads/{id}   → { offset }  (where to resume after a dropped connection)
+ *   DELETE /uploads/{id}   abandon the upload
+ *
+ * Uploads left untouched for UPLOAD_EXPIRY seconds are removed the next
+ * time one starts.
  */
 #[RoutePrefix('/admin/api/media')]
 final class MediaApiController
 {
+    /** Matches cms.content.max_upload_size */
+    public const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+    public const CHUNK_SIZE = 2 * 1024 * 1024;
+
+    /**
+     * Extensions the library accepts, each with the content types finfo may
+     * report for it. The stored file keeps its extension and is served as
+     * that type, so both must match. SVG is left out: it can carry script.
+     */
+    public const ALLOWED_FILES = [
+        'jpg' => ['image/jpeg'],
+        'jpeg' => ['image/jpeg'],
+        'png' => ['image/png'],
+        'gif' => ['image/gif'],
+        'webp' => ['image/webp'],
+        'avif' => ['image/avif'],
+        'mp4' => ['video/mp4'],
+        'm4v' => ['video/mp4', 'video/x-m4v'],
+        'webm' => ['video/webm'],
+        'mov' => ['video/quicktime'],
+        'mp3' => ['audio/mpeg'],
+        'm4a' => ['audio/mp4', 'audio/x-m4a'],
+        'ogg' => ['audio/ogg', 'video/ogg', 'application/ogg'],
+        'wav' => ['audio/wav', 'audio/x-wav', 'audio/vnd.wave'],
+        'pdf' => ['application/pdf'],
+        'doc' => ['application/msword', 'application/vnd.ms-office', 'application/CDFV2'],
+        'docx' => ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip'],
+        'xls' => ['application/vnd.ms-excel', 'application/vnd.ms-office', 'application/CDFV2'],
+        'xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip'],
+    ];
+
+    private const UPLOAD_ROOT = 'storage/uploads';
+    private const CHUNK_DIR = 'storage/uploads/.chunks';
+    private const UPLOAD_EXPIRY = 24 * 3600;
+
     public function __construct(
         private readonly MediaRepository $mediaRepo,
     ) {}
@@ -26,12 +73,13 @@ final class MediaApiController
     {
         $params = $request->getQueryParams();
         $type = $params['type'] ?? null;
+        $search = trim((string) ($params['q'] ?? '')) ?: null;
         $page = max(1, (int) ($params['page'] ?? 1));
         $limit = min(100, max(1, (int) ($params['per_page'] ?? 50)));
         $offset = ($page - 1) * $limit;
 
-        $items = $this->mediaRepo->findAll($type, $limit, $offset);
-        $total = $this->mediaRepo->count($type);
+        $items = $this->mediaRepo->findAll($type, $limit, $offset, search: $search);
+        $total = $this->mediaRepo->count($type, $search);
 
         return Response::json([
             'data' => array_map(fn(MediaEntity $m) => $m->toArray(), $items),
@@ -58,43 +106,146 @@ final class MediaApiController
             return Response::json(['error' => 'No file uploaded or upload error'], 422);
         }
 
-        $originalName = $file->getClientFilename();
-        $mimeType = $file->getClientMediaType();
-        $size = $file->getSize();
-        $ext = pathinfo($originalName, PATHINFO_EXTENSION);
-        $filename = bin2hex(random_bytes(16)) . '.' . $ext;
-        $datePath = date('Y/m');
-        $uploadDir = 'storage/uploads/' . $datePath;
+        $originalName = (string) $file->getClientFilename();
+        $size = (int) $file->getSize();
 
-        if (!is_dir($uploadDir)) {
-            mkdir($uploadDir, 0755, true);
+        $error = $this->checkFile($originalName, $size);
+        if ($error !== null) {
+            return Response::json(['error' => $error], 422);
         }
 
-        $file->moveTo($uploadDir . '/' . $filename);
+        [$datePath, $filename] = $this->targetPath($originalName);
+        $target = self::UPLOAD_ROOT . '/' . $datePath . '/' . $filename;
+        $file->moveTo($target);
 
-        $media = new MediaEntity();
-        $media->filename = $filename;
-        $media->original_name = $originalName;
-        $media->mime_type = $mimeType;
-        $media->path = $datePath . '/' . $filename;
-        $media->url = '/uploads/' . $datePath . '/' . $filename;
-        $media->size = $size;
+        // The client's Content-Type is only a claim; the bytes decide
+        $mimeType = $this->checkContent($originalName, $target);
+        if ($mimeType === null) {
+            unlink($target);
+            return Response::json(['error' => sprintf('%s does not contain what its extension says', $originalName)], 422);
+        }
 
-        // Extract image dimensions
-        if (str_starts_with($mimeType, 'image/')) {
-            $fullPath = $uploadDir . '/' . $filename;
-            $info = @getimagesize($fullPath);
-            if ($info) {
-                $media->width = $info[0];
-                $media->height = $info[1];
+        $media = $this->persistMedia($originalName, $mimeType, $size, $datePath, $filename);
+
+        return Response::json(['data' => $media->toArray(), 'meta' => ['uploaded' => true]], 201);
+    }
+
+    // ── Chunked Uploads ───────────────────────────────────────────────────
+
+    #[Route('POST', '/uploads', name: 'admin.api.media.uploads.start')]
+    public function startUpload(ServerRequestInterface $request): Response
+    {
+        $body = json_decode((string) $request->getBody(), true) ?? [];
+        $name = trim((string) ($body['name'] ?? ''));
+        $type = (string) ($body['type'] ?? '');
+        $size = (int) ($body['size'] ?? 0);
+
+        if ($name === '' || $size < 1) {
+            return Response::json(['error' => 'File name and size are required'], 422);
+        }
+
+        $error = $this->checkFile($name, $size);
+        if ($error !== null) {
+            return Response::json(['error' => $error], 422);
+        }
+
+        if (!is_dir(self::CHUNK_DIR)) {
+            mkdir(self::CHUNK_DIR, 0755, true);
+        }
+        $this->discardStaleUploads();
+
+        $id = bin2hex(random_bytes(16));
+        file_put_contents($this->chunkPath($id, 'json'), json_encode([
+            'name' => $name,
+            'type' => $type,
+            'size' => $size,
+            'started_at' => date('c'),
+        ]));
+        touch($this->chunkPath($id, 'part'));
+
+        return Response::json([
+            'data' => ['id' => $id, 'offset' => 0, 'chunk_size' => self::CHUNK_SIZE],
+        ], 201);
+    }
+
+    #[Route('GET', '/uploads/{id:[a-f0-9]+}', name: 'admin.api.media.uploads.show')]
+    public function uploadStatus(ServerRequestInterface $request, string $id): Response
+    {
+        $upload = $this->loadUpload($id);
+        if ($upload === null) {
+            return Response::json(['error' => 'Upload not found'], 404);
+        }
+
+        return Response::json(['data' => ['id' => $id, 'offset' => $this->uploadedBytes($id)]]);
+    }
+
+    #[Route('PUT', '/uploads/{id:[a-f0-9]+}', name: 'admin.api.media.uploads.chunk')]
+    public function uploadChunk(ServerRequestInterface $request, string $id): Response
+    {
+        $upload = $this->loadUpload($id);
+        if ($upload === null) {
+            return Response::json(['error' => 'Upload not found'], 404);
+        }
+
+        // Retries of one chunk can arrive together: the offset check and the
+        // append happen under one lock, so only the first of them lands
+        $part = @fopen($this->chunkPath($id, 'part'), 'r+b');
+        if ($part === false) {
+            return Response::json(['error' => 'Upload not found'], 404);
+        }
+        flock($part, LOCK_EX);
+
+        try {
+            // A chunk must continue exactly where the stored bytes end — a retried
+            // chunk that already landed is answered with the real offset instead
+            fseek($part, 0, SEEK_END);
+            $offset = (int) ftell($part);
+            if ((int) $request->getHeaderLine('Upload-Offset') !== $offset) {
+                return Response::json(['error' => 'Offset mismatch', 'data' => ['id' => $id, 'offset' => $offset]], 409);
+            }
+
+            $chunk = (string) $request->getBody();
+            if ($offset + strlen($chunk) > $upload['size']) {
+                $this->discardUpload($id);
+                return Response::json(['error' => 'Upload is larger than announced'], 422);
             }
+
+            fwrite($part, $chunk);
+            fflush($part);
+            $offset += strlen($chunk);
+        } finally {
+            flock($part, LOCK_UN);
+            fclose($part);
+        }
+
+        if ($offset < $upload['size']) {
+            return Response::json(['data' => ['id' => $id, 'offset' => $offset]]);
         }
 
-        $media = $this->mediaRepo->persist($media);
+        [$datePath, $filename] = $this->targetPath($upload['name']);
+        $target = self::UPLOAD_ROOT . '/' . $datePath . '/' . $filename;
+        rename($this->chunkPath($id, 'part'), $target);
+        $this->discardUpload($id);
+
+        $mimeType = $this->checkContent($upload['name'], $target);
+        if ($mimeType === null) {
+            unlink($target);
+            return Response::json(['error' => sprintf('%s does not contain what its extension says', $upload['name'])], 422);
+        }
+
+        $media = $this->persistMedia($upload['name'], $mimeType, $upload['size'], $datePath, $filename);
 
         return Response::json(['data' => $media->toArray(), 'meta' => ['uploaded' => true]], 201);
     }
 
+    #[Route('DELETE', '/uploads/{id:[a-f0-9]+}', name: 'admin.api.media.uploads.cancel')]
+    public function cancelUpload(ServerRequestInterface $request, string $id): Response
+    {
+        $this->discardUpload($id);
+
+        return Response::json(['meta' => ['deleted' => true]]);
+    }
+
     #[Route('PUT', '/{id:\d+}', name: 'admin.api.media.update')]
     public function update(ServerRequestInterface $request, string $id): Response
     {
@@ -131,4 +282,146 @@ final class MediaApiController
 
         return Response::json(['meta' => ['deleted' => true]]);
     }
+
+    // ── Helpers ───────────────────────────────────────────────────────────
+
+    /**
+     * Upload limits shared with the browser-side checks.
+     *
+     * @return array{max_size: int, chunk_size: int, extensions: string[]}
+     */
+    public static function uploadLimits(): array
+    {
+        return [
+            'max_size' => self::MAX_UPLOAD_SIZE,
+            'chunk_size' => self::CHUNK_SIZE,
+            'extensions' => array_keys(self::ALLOWED_FILES),
+        ];
+    }
+
+    /**
+     * Check what can be told before the bytes arrive: size and extension.
+     */
+    private function checkFile(string $name, int $size): ?string
+    {
+        if ($size > self::MAX_UPLOAD_SIZE) {
+            return sprintf('%s is larger than the %d MB upload limit', $name, self::MAX_UPLOAD_SIZE / 1024 / 1024);
+        }
+
+        $ext = strtolower(pathinfo($name, PATHINFO_EXTENSION));
+        if ($ext === 'svg' || $ext === 'svgz') {
+            return sprintf('%s is an SVG image, which can contain scripts; upload a PNG or WebP instead', $name);
+        }
+
+        return isset(self::ALLOWED_FILES[$ext])
+            ? null
+            : sprintf('%s is not an allowed file type', $name);
+    }
+
+    /**
+     * The content type of a stored upload, as finfo reads it from the bytes,
+     * or null when that isn't a type allowed for the file's extension.
+     */
+    private function checkContent(string $name, string $path): ?string
+    {
+        $ext = strtolower(pathinfo($name, PATHINFO_EXTENSION));
+        $mimeType = (new \finfo(FILEINFO_MIME_TYPE))->file($path);
+
+        return is_string($mimeType) && in_array($mimeType, self::ALLOWED_FILES[$ext] ?? [], true)
+            ? $mimeType
+            : null;
+    }
+
+    /**
+     * Pick a dated directory and random file name for a new upload.
+     *
+     * @return array{0: string, 1: string} [datePath, filename]
+     */
+    private function targetPath(string $originalName): array
+    {
+        // Only ever an allowlisted extension (checkFile() ran first), in lower case
+        $ext = strtolower(pathinfo($originalName, PATHINFO_EXTENSION));
+        $filename = bin2hex(random_bytes(16)) . '.' . $ext;
+        $datePath = date('Y/m');
+        $uploadDir = self::UPLOAD_ROOT . '/' . $datePath;
+
+        if (!is_dir($uploadDir)) {
+            mkdir($uploadDir, 0755, true);
+        }
+
+        return [$datePath, $filename];
+    }
+
+    private function persistMedia(string $originalName, string $mimeType, int $size, string $datePath, string $filename): MediaEntity
+    {
+        $media = new MediaEntity();
+        $media->filename = $filename;
+        $media->original_name = $originalName;
+        $media->mime_type = $mimeType;
+        $media->path = $datePath . '/' . $filename;
+        $media->url = '/uploads/' . $datePath . '/' . $filename;
+        $media->size = $size;
+
+        // Extract image dimensions
+        if (str_starts_with($mimeType, 'image/')) {
+            $info = @getimagesize(self::UPLOAD_ROOT . '/' . $media->path);
+            if ($info) {
+                $media->width = $info[0];
+                $media->height = $info[1];
+            }
+        }
+
+        return $this->mediaRepo->persist($media);
+    }
+
+    private function chunkPath(string $id, string $ext): string
+    {
+        return self::CHUNK_DIR . '/' . $id . '.' . $ext;
+    }
+
+    /** @return array{name: string, type: string, size: int}|null */
+    private function loadUpload(string $id): ?array
+    {
+        $meta = $this->chunkPath($id, 'json');
+        if (!is_file($meta) || !is_file($this->chunkPath($id, 'part'))) {
+            return null;
+        }
+
+        $data = json_decode((string) file_get_contents($meta), true);
+
+        return is_array($data) ? $data : null;
+    }
+
+    private function uploadedBytes(string $id): int
+    {
+        clearstatcache(true, $this->chunkPath($id, 'part'));
+
+        return (int) filesize($this->chunkPath($id, 'part'));
+    }
+
+    /** Remove uploads nobody has added to for UPLOAD_EXPIRY seconds */
+    private function discardStaleUploads(): void
+    {
+        $lastActivity = [];
+        foreach (glob(self::CHUNK_DIR . '/*') ?: [] as $path) {
+            $id = pathinfo($path, PATHINFO_FILENAME);
+            $lastActivity[$id] = max($lastActivity[$id] ?? 0, (int) @filemtime($path));
+        }
+
+        foreach ($lastActivity as $id => $time) {
+            if ($time < time() - self::UPLOAD_EXPIRY && preg_match('/^[a-f0-9]+$/', $id)) {
+                $this->discardUpload($id);
+            }
+        }
+    }
+
+    private function discardUpload(string $id): void
+    {
+        foreach (['json', 'part'] as $ext) {
+            $path = $this->chunkPath($id, $ext);
+            if (is_file($path)) {
+                unlink($path);
+            }
+        }
+    }
 }
@@ -6,6 +6,8 @@ namespace App\Cms\Controller\Api;
 
 use App\Cms\Block\BlockTypeRegistry;
 use App\Cms\Mosaic\MosaicManager;
+use App\Cms\Mosaic\RevisionConflictException;
+use App\Cms\Theme\ThemeManager;
 use MonkeysLegion\Http\Message\Response;
 use MonkeysLegion\Router\Attributes\Route;
 use MonkeysLegion\Router\Attributes\RoutePrefix;
@@ -23,6 +25,7 @@ final class MosaicApiController
     public function __construct(
         private readonly MosaicManager $mosaicManager,
         private readonly BlockTypeRegistry $blockRegistry,
+        private readonly ThemeManager $themeManager,
     ) {}
 
     /**
@@ -46,12 +49,18 @@ final class MosaicApiController
             ]);
         }
 
+        $mosaic->sections = $this->blockRegistry->upgrade($mosaic->sections);
+
         return Response::json(['data' => $mosaic->toArray()]);
     }
 
     /**
      * PUT /admin/api/mosaic/{nodeId}
      * Save the Mosaic layout for a content node.
+     *
+     * When the payload carries the `revision` the editor loaded, a save
+     * against a newer stored layout is rejected with 409 and the current
+     * server copy.
      */
     #[Route('PUT', '/{nodeId:\d+}', name: 'admin.api.mosaic.save')]
     public function save(ServerRequestInterface $request, string $nodeId): Response
@@ -63,12 +72,22 @@ final class MosaicApiController
         }
 
         $contentType = $body['content_type'] ?? $request->getQueryParams()['type'] ?? 'page';
+        $baseRevision = isset($body['revision']) ? (int) $body['revision'] : null;
 
-        $mosaic = $this->mosaicManager->save(
-            (int) $nodeId,
-            $contentType,
-            $body['sections'],
-        );
+        try {
+            $mosaic = $this->mosaicManager->save(
+                (int) $nodeId,
+                $contentType,
+                $body['sections'],
+                $baseRevision,
+                $this->userId($request),
+            );
+        } catch (RevisionConflictException $e) {
+            return Response::json([
+                'error' => $e->getMessage(),
+                'data' => $e->current->toArray(),
+            ], 409);
+        }
 
         return Response::json([
             'data' => $mosaic->toArray(),
@@ -76,9 +95,59 @@ final class MosaicApiController
         ]);
     }
 
+    /**
+     * GET /admin/api/mosaic/{nodeId}/revisions
+     * List saved revisions, newest first, with author and time.
+     *
+     * Sections are left out; fetch a single revision for those.
+     */
+    #[Route('GET', '/{nodeId:\d+}/revisions', name: 'admin.api.mosaic.revisions')]
+    public function revisions(ServerRequestInterface $request, string $nodeId): Response
+    {
+        $params = $request->getQueryParams();
+        $contentType = $params['type'] ?? 'page';
+        $perPage = min(100, max(1, (int) ($params['per_page'] ?? 50)));
+        $page = max(1, (int) ($params['page'] ?? 1));
+
+        $revisions = $this->mosaicManager->getRevisions((int) $nodeId, $contentType, $perPage, ($page - 1) * $perPage);
+        $current = $this->mosaicManager->getForNode((int) $nodeId, $contentType);
+
+        return Response::json([
+            'data' => array_map(fn($r) => $r->toArray(), $revisions),
+            'meta' => [
+                'current' => $current?->revision ?? 0,
+                'page' => $page,
+                'per_page' => $perPage,
+            ],
+        ]);
+    }
+
+    /**
+     * GET /admin/api/mosaic/{nodeId}/revisions/{revision}
+     * One revision with its sections, for comparing and restoring.
+     */
+    #[Route('GET', '/{nodeId:\d+}/revisions/{revision:\d+}', name: 'admin.api.mosaic.revisions.show')]
+    public function revision(ServerRequestInterface $request, string $nodeId, string $revision): Response
+    {
+        $contentType = $request->getQueryParams()['type'] ?? 'page';
+        $found = $this->mosaicManager->getRevision((int) $nodeId, $contentType, (int) $revision);
+
+        if (!$found) {
+            return Response::json(['error' => "Revision {$revision} not found"], 404);
+        }
+
+        $data = $found->toArray();
+        $data['sections'] = $this->blockRegistry->upgrade($data['sections'] ?? []);
+
+        return Response::json(['data' => $data]);
+    }
+
     /**
      * POST /admin/api/mosaic/{nodeId}/preview
      * Server-side render a Mosaic layout to HTML for live preview.
+     *
+     * Also returns the active frontend theme's stylesheets so the editor
+     * can show the HTML in an isolated frame styled like the live site.
      */
     #[Route('POST', '/{nodeId:\d+}/preview', name: 'admin.api.mosaic.preview')]
     public function preview(ServerRequestInterface $request, string $nodeId): Response
@@ -95,7 +164,10 @@ final class MosaicApiController
             fn(string $type, array $data, array $settings) => $this->blockRegistry->render($type, $data, $settings),
         );
 
-        return Response::json(['html' => $html]);
+        return Response::json([
+            'html' => $html,
+            'css' => $this->themeManager->getAggregatedAssets()['css'],
+        ]);
     }
 
     /**
@@ -126,6 +198,23 @@ final class MosaicApiController
         ]);
     }
 
+    /**
+     * POST /admin/api/mosaic/blocks/upgrade
+     * Migrate block data in sections saved by older block type versions,
+     * e.g. an unsaved draft the editor kept from before an update.
+     */
+    #[Route('POST', '/blocks/upgrade', name: 'admin.api.mosaic.blocks.upgrade')]
+    public function upgradeBlocks(ServerRequestInterface $request): Response
+    {
+        $body = json_decode((string) $request->getBody(), true);
+
+        if (!isset($body['sections']) || !is_array($body['sections'])) {
+            return Response::json(['error' => 'Invalid payload: sections array required'], 422);
+        }
+
+        return Response::json(['data' => $this->blockRegistry->upgrade($body['sections'])]);
+    }
+
     /**
      * POST /admin/api/mosaic/blocks/render
      * Render a single block to HTML (for live inline preview).
@@ -159,4 +248,11 @@ final class MosaicApiController
             'data' => \App\Cms\Mosaic\Section::getAvailableLayouts(),
         ]);
     }
+
+    private function userId(ServerRequestInterface $request): ?int
+    {
+        $user = $request->getAttribute('user');
+
+        return isset($user->id) ? (int) $user->id : null;
+    }
 }
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace App\Cms\Controller\Api;
 
+use App\Cms\Settings\SettingsSchema;
 use MonkeysLegion\Http\Message\Response;
 use MonkeysLegion\Router\Attributes\Route;
 use MonkeysLegion\Router\Attributes\RoutePrefix;
@@ -12,10 +13,15 @@ use PDO;
 
 /**
  * SettingsApiController — Admin REST API for CMS settings.
+ *
+ * Values are validated against SettingsSchema. A save may cover any
+ * number of groups and is applied all-or-nothing.
  */
 #[RoutePrefix('/admin/api/settings')]
 final class SettingsApiController
 {
+    private const NAME_PATTERN = '/^[A-Za-z0-9_.-]{1,64}$/';
+
     public function __construct(
         private readonly PDO $pdo,
     ) {}
@@ -48,6 +54,21 @@ final class SettingsApiController
         return Response::json(['data' => $grouped]);
     }
 
+    /**
+     * GET /admin/api/settings/schema
+     * Groups and field definitions (label, type, default, rules) for the settings form.
+     */
+    #[Route('GET', '/schema', name: 'admin.api.settings.schema')]
+    public function schema(): Response
+    {
+        return Response::json(['data' => SettingsSchema::describe()]);
+    }
+
+    /**
+     * PUT /admin/api/settings
+     * Save `{ group: { key: value } }`. Any invalid value rejects the whole
+     * save with 422 and errors keyed `group.key`.
+     */
     #[Route('PUT', '/', name: 'admin.api.settings.update')]
     public function update(ServerRequestInterface $request): Response
     {
@@ -56,24 +77,55 @@ final class SettingsApiController
             return Response::json(['error' => 'Invalid JSON'], 422);
         }
 
+        $errors = [];
+        foreach ($body as $group => $settings) {
+            if (!is_array($settings)) continue;
+            foreach ($settings as $key => $value) {
+                $path = $group . '.' . $key;
+                if (!preg_match(self::NAME_PATTERN, (string) $group) || !preg_match(self::NAME_PATTERN, (string) $key)) {
+                    $errors[$path] = 'Use letters, numbers, dots, dashes and underscores for group and setting names.';
+                } elseif ($field = SettingsSchema::field((string) $group, (string) $key)) {
+                    if ($message = SettingsSchema::validate($field, $value)) {
+                        $errors[$path] = $message;
+                    } elseif ($value !== null && $value !== '') {
+                        $body[$group][$key] = SettingsSchema::cast($field, $value);
+                    }
+                }
+            }
+        }
+
+        if ($errors) {
+            return Response::json([
+                'error' => count($errors) === 1 ? reset($errors) : 'Please fix the ' . count($errors) . ' highlighted settings.',
+                'errors' => $errors,
+            ], 422);
+        }
+
         $upsert = $this->pdo->prepare(
             'INSERT INTO settings (`group`, `key`, `value`, `type`) VALUES (:group, :key, :value, :type)
              ON DUPLICATE KEY UPDATE `value` = :value2, `type` = :type2'
         );
 
         $count = 0;
-        foreach ($body as $group => $settings) {
-            if (!is_array($settings)) continue;
-            foreach ($settings as $key => $value) {
-                $type = $this->detectType($value);
-                $val = is_bool($value) ? ($value ? '1' : '0') : (is_array($value) ? json_encode($value) : (string) $value);
-                $upsert->execute([
-                    'group' => $group, 'key' => $key,
-                    'value' => $val, 'type' => $type,
-                    'value2' => $val, 'type2' => $type,
-                ]);
-                $count++;
+        $this->pdo->beginTransaction();
+        try {
+            foreach ($body as $group => $settings) {
+                if (!is_array($settings)) continue;
+                foreach ($settings as $key => $value) {
+                    $type = $this->detectType($value);
+                    $val = is_bool($value) ? ($value ? '1' : '0') : (is_array($value) ? json_encode($value) : (string) $value);
+                    $upsert->execute([
+                        'group' => $group, 'key' => $key,
+                        'value' => $val, 'type' => $type,
+                        'value2' => $val, 'type2' => $type,
+                    ]);
+                    $count++;
+                }
             }
+            $this->pdo->commit();
+        } catch (\Throwable $e) {
+            $this->pdo->rollBack();
+            throw $e;
         }
 
         return Response::json(['meta' => ['updated' => $count]]);
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Controller\Api;
+
+use App\Cms\Taxonomy\TaxonomyRepository;
+use App\Cms\Taxonomy\TermEntity;
+use MonkeysLegion\Http\Message\Response;
+use MonkeysLegion\Router\Attributes\Route;
+use MonkeysLegion\Router\Attributes\RoutePrefix;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * TaxonomyApiController — Admin REST API for managing terms.
+ */
+#[RoutePrefix('/admin/api/taxonomy')]
+final class TaxonomyApiController
+{
+    public function __construct(
+        private readonly TaxonomyRepository $taxonomyRepo,
+    ) {}
+
+    /**
+     * Create a term. Body: { name, parent_id? }. An existing term with the
+     * same name under the same parent is returned instead of a duplicate.
+     */
+    #[Route('POST', '/vocabularies/{name:[a-z0-9_-]+}/terms', name: 'admin.api.taxonomy.terms.store')]
+    public function storeTerm(ServerRequestInterface $request, string $name): Response
+    {
+        $vocab = $this->taxonomyRepo->findVocabulary($name);
+        if (!$vocab) {
+            return Response::json(['error' => 'Not found'], 404);
+        }
+
+        $body = json_decode((string) $request->getBody(), true);
+        $termName = trim((string) ($body['name'] ?? ''));
+        $parentId = isset($body['parent_id']) ? (int) $body['parent_id'] : null;
+
+        if ($termName === '' || mb_strlen($termName) > 255) {
+            return Response::json(['error' => 'A term needs a name of up to 255 characters'], 422);
+        }
+
+        if ($parentId !== null) {
+            if (!$vocab->hierarchical) {
+                return Response::json(['error' => "{$vocab->label} terms can't be nested"], 422);
+            }
+            $parent = $this->taxonomyRepo->findTerm($parentId);
+            if (!$parent || $parent->vocabulary_id !== $vocab->id) {
+                return Response::json(['error' => 'Parent term not found'], 422);
+            }
+        }
+
+        $existing = $this->taxonomyRepo->findTermByName($vocab->id, $termName, $parentId);
+        if ($existing) {
+            return Response::json(['data' => $existing->toArray(), 'meta' => ['created' => false]]);
+        }
+
+        $term = new TermEntity();
+        $term->vocabulary_id = $vocab->id;
+        $term->parent_id = $parentId;
+        $term->name = $termName;
+        $term->slug = $termName;
+        $term = $this->taxonomyRepo->persistTerm($term);
+
+        return Response::json(['data' => $term->toArray(), 'meta' => ['created' => true]], 201);
+    }
+}
@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Controller\Api;
+
+use App\Cms\User\CmsUserEntity;
+use App\Cms\User\UserRepository;
+use MonkeysLegion\Http\Message\Response;
+use MonkeysLegion\Router\Attributes\Route;
+use MonkeysLegion\Router\Attributes\RoutePrefix;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * UserApiController — Admin REST API for looking up users, e.g. for
+ * user reference fields.
+ */
+#[RoutePrefix('/admin/api/users')]
+final class UserApiController
+{
+    public function __construct(
+        private readonly UserRepository $userRepo,
+    ) {}
+
+    /**
+     * ?q=    — search by name or e-mail
+     * ?ids=  — comma-separated ids, to label values that are already set
+     */
+    #[Route('GET', '/', name: 'admin.api.users.index')]
+    public function index(ServerRequestInterface $request): Response
+    {
+        $params = $request->getQueryParams();
+
+        $users = isset($params['ids'])
+            ? $this->userRepo->findMany(explode(',', (string) $params['ids']))
+            : $this->userRepo->search(trim((string) ($params['q'] ?? '')), min(50, max(1, (int) ($params['limit'] ?? 10))));
+
+        return Response::json(['data' => array_map(fn(CmsUserEntity $u) => $u->toArray(), $users)]);
+    }
+}
@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace App\Cms\Controller;
 
 use App\Cms\Content\ContentRepository;
+use App\Cms\Content\ContentSearch;
 use App\Cms\Menu\MenuRepository;
 use App\Cms\Mosaic\MosaicManager;
 use App\Cms\Block\BlockTypeRegistry;
@@ -25,6 +26,7 @@ final class FrontendController
     public function __construct(
         private readonly Renderer $renderer,
         private readonly ContentRepository $contentRepo,
+        private readonly ContentSearch $contentSearch,
         private readonly MenuRepository $menuRepo,
         private readonly MosaicManager $mosaicManager,
         private readonly BlockTypeRegistry $blockRegistry,
@@ -64,6 +66,38 @@ final class FrontendController
         return $this->listing($request, $type);
     }
 
+    /**
+     * Search results — what the header search submits to without JS
+     */
+    #[Route('GET', '/search', name: 'front.search')]
+    public function search(ServerRequestInterface $request): Response
+    {
+        $params = $request->getQueryParams();
+        $query = trim((string) ($params['q'] ?? ''));
+        $type = ($params['type'] ?? '') ?: null;
+
+        $results = $this->contentSearch->search($query, $type, 50);
+        $labels = $this->contentSearch->typeLabels($results);
+
+        // Grouped by content type, groups in order of their best match
+        $groups = [];
+        foreach ($results as $result) {
+            $contentType = $result['node']->content_type;
+            $groups[$contentType] ??= ['label' => $labels[$contentType], 'nodes' => []];
+            $groups[$contentType]['nodes'][] = $result['node'];
+        }
+
+        return Response::html($this->renderer->render('search', array_merge(
+            $this->getGlobals(),
+            [
+                'query' => $query,
+                'too_short' => $query !== '' && mb_strlen($query) < ContentSearch::MIN_LENGTH,
+                'total' => count($results),
+                'groups' => array_values($groups),
+            ],
+        )));
+    }
+
     /**
      * Single article view
      */
@@ -73,6 +107,15 @@ final class FrontendController
         return $this->single($request, 'article', $slug, 'article');
     }
 
+    /**
+     * Single news item or event, shown with the article template
+     */
+    #[Route('GET', '/{type:news|event}/{slug}', name: 'front.typed')]
+    public function typed(ServerRequestInterface $request, string $type, string $slug): Response
+    {
+        return $this->single($request, $type, $slug, 'article');
+    }
+
     /**
      * Single page view (catch-all)
      */
@@ -127,6 +170,7 @@ final class FrontendController
         if ($node->mosaic_mode) {
             $mosaic = $this->mosaicManager->getForNode($node->id, $type);
             if ($mosaic) {
+                $mosaic->sections = $this->blockRegistry->upgrade($mosaic->sections);
                 $mosaicHtml = $this->mosaicManager->render(
                     $mosaic,
                     fn(string $bt, array $data, array $settings) => $this->blockRegistry->render($bt, $data, $settings),
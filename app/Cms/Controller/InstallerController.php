@@ -22,6 +22,11 @@ use PDO;
  *   4. Create admin account
  *   5. Site configuration
  *   6. Complete
+ *
+ * Migrations run one request per migration so the page can show each one
+ * as it finishes and a slow host never has to fit them all in one request.
+ * The page keeps the answers (never the passwords) in the browser; on a
+ * reload it resumes at the furthest step resumeStep() has checked.
  */
 #[RoutePrefix('/install')]
 final class InstallerController
@@ -37,10 +42,12 @@ final class InstallerController
             return Response::redirect('/admin');
         }
 
+        $requirements = $this->checkRequirements();
+
         return Response::html($this->renderer->render('install.index', [
             'title' => 'Install MonkeysCMS',
-            'step' => 1,
-            'requirements' => $this->checkRequirements(),
+            'step' => $this->resumeStep($requirements),
+            'requirements' => $requirements,
         ]));
     }
 
@@ -96,13 +103,48 @@ final class InstallerController
         return Response::json(['success' => true, 'message' => 'Database connected successfully.']);
     }
 
+    /**
+     * The migrations to run, in order, with those already done
+     */
+    #[Route('GET', '/migrations', name: 'install.migrations')]
+    public function migrations(ServerRequestInterface $request): Response
+    {
+        if ($this->isInstalled()) {
+            return $this->installedResponse();
+        }
+
+        try {
+            return Response::json($this->createMigrationManager()->plan());
+        } catch (\Exception $e) {
+            return Response::json(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Run one migration (`id`, recorded under `batch`), or all pending ones
+     * when no id is given. A failed migration answers 422 with the error
+     * and the SQL statement that failed.
+     */
     #[Route('POST', '/migrate', name: 'install.migrate')]
     public function migrate(ServerRequestInterface $request): Response
     {
+        if ($this->isInstalled()) {
+            return $this->installedResponse();
+        }
+
+        $body = json_decode((string) $request->getBody(), true) ?? [];
+
         try {
-            $pdo = $this->createPdoFromEnv();
-            $basePath = defined('BASE_PATH') ? BASE_PATH : dirname(__DIR__, 3);
-            $manager = new MigrationManager($pdo, $basePath);
+            $manager = $this->createMigrationManager();
+
+            if (isset($body['id'])) {
+                if (function_exists('set_time_limit')) {
+                    set_time_limit(0);
+                }
+                $result = $manager->run((string) $body['id'], isset($body['batch']) ? (int) $body['batch'] : null);
+
+                return Response::json($result, $result['status'] === 'failed' ? 422 : 200);
+            }
 
             $result = $manager->migrate();
 
@@ -112,6 +154,8 @@ final class InstallerController
                 'errors' => $result['errors'],
                 'batch' => $result['batch'],
             ]);
+        } catch (\InvalidArgumentException $e) {
+            return Response::json(['error' => $e->getMessage()], 404);
         } catch (\Exception $e) {
             return Response::json(['error' => $e->getMessage()], 500);
         }
@@ -221,12 +265,61 @@ final class InstallerController
         ];
     }
 
+    /**
+     * The furthest step whose earlier steps are done: requirements met (2),
+     * database reachable (3), schema up to date (4), an admin exists (5)
+     */
+    private function resumeStep(array $requirements): int
+    {
+        if (in_array(false, array_column($requirements, 'passed'), true)) {
+            return 1;
+        }
+
+        try {
+            $pdo = $this->createPdoFromEnv();
+            $pdo->query('SELECT 1');
+        } catch (\Exception) {
+            return 2;
+        }
+
+        try {
+            if ($this->createMigrationManager($pdo)->getPending()) {
+                return 3;
+            }
+
+            $admins = $pdo->query(
+                'SELECT COUNT(*) FROM cms_users u JOIN cms_roles r ON r.id = u.role_id WHERE r.is_super_admin = 1'
+            )->fetchColumn();
+
+            return $admins ? 5 : 4;
+        } catch (\Exception) {
+            return 3;
+        }
+    }
+
+    private function createMigrationManager(?PDO $pdo = null): MigrationManager
+    {
+        $basePath = defined('BASE_PATH') ? BASE_PATH : dirname(__DIR__, 3);
+
+        return new MigrationManager($pdo ?? $this->createPdoFromEnv(), $basePath);
+    }
+
     private function isInstalled(): bool
     {
         $basePath = defined('BASE_PATH') ? BASE_PATH : dirname(__DIR__, 3);
         return file_exists($basePath . '/storage/.installed');
     }
 
+    /**
+     * The installer's JSON steps are closed once the site is installed: the
+     * migration plan shows database errors, and a single migration could be
+     * run again on a live site.
+     */
+    private function installedResponse(): Response
+    {
+        return Response::json(['error' => 'MonkeysCMS is already installed.'], 403);
+    }
+
     private function markInstalled(): void
     {
         $basePath = defined('BASE_PATH') ? BASE_PATH : dirname(__DIR__, 3);
@@ -270,6 +363,10 @@ final class InstallerController
             }
         }
 
+        if (($env['DB_DATABASE'] ?? '') === '') {
+            throw new \RuntimeException('The database has not been configured yet.');
+        }
+
         $dsn = sprintf(
             'mysql:host=%s;port=%s;dbname=%s;charset=utf8mb4',
             $env['DB_HOST'] ?? '127.0.0.1',
@@ -279,6 +376,7 @@ final class InstallerController
 
         return new PDO($dsn, $env['DB_USERNAME'] ?? '', $env['DB_PASSWORD'] ?? '', [
             PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION,
+            PDO::ATTR_TIMEOUT => 5,
         ]);
     }
 }
@@ -68,24 +68,22 @@ final class ContentJsonApiController
 
         $included = [];
         if ($query->shouldInclude('terms')) {
-            foreach ($nodes as $node) {
+            foreach ($nodes as $index => $node) {
                 $terms = $this->taxonomyRepo->findTermsForNode($node->id);
+                $items[$index]['relationships']['terms'] = [
+                    'data' => array_map(fn($t) => ['type' => 'terms', 'id' => (string) $t->id], $terms),
+                ];
+
                 foreach ($terms as $term) {
-                    $included[] = [
+                    // Keyed by id: terms shared between nodes are included once
+                    $included[(string) $term->id] = [
                         'type' => 'terms',
                         'id' => (string) $term->id,
                         'attributes' => $term->toArray(),
                     ];
                 }
             }
-            // Deduplicate
-            $seen = [];
-            $included = array_values(array_filter($included, function ($i) use (&$seen) {
-                $key = $i['type'] . ':' . $i['id'];
-                if (isset($seen[$key])) return false;
-                $seen[$key] = true;
-                return true;
-            }));
+            $included = array_values($included);
         }
 
         return Response::json($this->jsonApi->collection(
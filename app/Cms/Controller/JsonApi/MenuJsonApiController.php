@@ -13,6 +13,10 @@ use Psr\Http\Message\ServerRequestInterface;
 
 /**
  * MenuJsonApiController — Public JSON:API for menus.
+ *
+ * GET /api/v1/menus/{name} returns the menu with its top-level items as
+ * the `items` relationship; every item is in `included` with its own
+ * `children` relationship, to any depth.
  */
 #[RoutePrefix('/api/v1/menus')]
 final class MenuJsonApiController
@@ -75,10 +79,16 @@ final class MenuJsonApiController
             $children = $data['children'] ?? [];
             unset($data['children']);
 
+            // Children point back into `included`, so clients can rebuild the tree
             $included[] = [
                 'type' => 'menu_items',
                 'id' => (string) $item->id,
                 'attributes' => $data,
+                'relationships' => [
+                    'children' => [
+                        'data' => array_map(fn($c) => ['type' => 'menu_items', 'id' => (string) $c->id], $item->children),
+                    ],
+                ],
             ];
 
             if ($item->children) {
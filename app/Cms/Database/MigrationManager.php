@@ -178,60 +178,41 @@ final class MigrationManager
         foreach ($pending as $migration) {
             $filePath = $this->basePath . '/' . $migration->file;
 
-            if (!file_exists($filePath)) {
-                $results['errors'][] = [
-                    'id' => $migration->id,
-                    'error' => "Migration file not found: {$migration->file}",
-                ];
-                continue;
-            }
-
-            $content = file_get_contents($filePath);
-            $checksum = hash('sha256', $content);
-
-            // Resolve SQL — either from MLC schema or raw SQL
-            $sqlStatements = $this->resolveStatements($migration->file, $content);
-
             if ($dryRun) {
+                if (!file_exists($filePath)) {
+                    $results['errors'][] = [
+                        'id' => $migration->id,
+                        'error' => "Migration file not found: {$migration->file}",
+                    ];
+                    continue;
+                }
+
                 $results['executed'][] = [
                     'id' => $migration->id,
                     'description' => $migration->description,
                     'file' => $migration->file,
-                    'statements' => count($sqlStatements),
+                    'statements' => count($this->resolveStatements($migration->file, file_get_contents($filePath))),
                     'dry_run' => true,
                 ];
                 continue;
             }
 
-            $start = microtime(true);
-
-            try {
-                foreach ($sqlStatements as $stmt) {
-                    $trimmed = trim($stmt);
-                    if ($trimmed) {
-                        $this->pdo->exec($trimmed);
-                    }
-                }
-                $elapsed = (int) round((microtime(true) - $start) * 1000);
-
-                $this->recordMigration($migration, $batch, $checksum, $elapsed, 'completed');
+            $result = $this->execute($migration, $batch);
 
+            if ($result['status'] === 'completed') {
                 $results['executed'][] = [
                     'id' => $migration->id,
                     'description' => $migration->description,
-                    'time_ms' => $elapsed,
+                    'time_ms' => $result['time_ms'],
                 ];
-            } catch (\PDOException $e) {
-                $elapsed = (int) round((microtime(true) - $start) * 1000);
-
-                $this->recordMigration($migration, $batch, $checksum, $elapsed, 'failed', $e->getMessage());
+                continue;
+            }
 
-                $results['errors'][] = [
-                    'id' => $migration->id,
-                    'error' => $e->getMessage(),
-                ];
+            unset($result['status'], $result['description']);
+            $results['errors'][] = $result;
 
-                // Stop on error
+            // A missing file is skipped; a failed statement stops the run
+            if (isset($result['statement'])) {
                 break;
             }
         }
@@ -239,6 +220,81 @@ final class MigrationManager
         return $results;
     }
 
+    /**
+     * Pending migrations in the order migrate() would run them, with the
+     * batch they would be recorded under — for runners that execute one
+     * migration per request, like the web installer. Completed migrations
+     * come first with their timings; a pending one that failed last time
+     * carries its error.
+     *
+     * @return array{batch: int, migrations: array<int, array{id: string, description: string, status: string, time_ms: int|null, error: string|null}>}
+     */
+    public function plan(): array
+    {
+        $pending = $this->getPending();
+        $records = $this->getExecutedRecords();
+        $migrations = [];
+
+        foreach ($this->getExecutedIds() as $id) {
+            if ($id === 'migration_tracking' || !isset($this->registry[$id])) continue;
+
+            $migrations[] = [
+                'id' => $id,
+                'description' => $this->registry[$id]->description,
+                'status' => 'completed',
+                'time_ms' => isset($records[$id]['execution_time_ms']) ? (int) $records[$id]['execution_time_ms'] : null,
+                'error' => null,
+            ];
+        }
+
+        foreach ($pending as $migration) {
+            $record = $records[$migration->id] ?? null;
+            $failed = ($record['status'] ?? null) === 'failed';
+
+            $migrations[] = [
+                'id' => $migration->id,
+                'description' => $migration->description,
+                'status' => $failed ? 'failed' : 'pending',
+                'time_ms' => null,
+                'error' => $failed ? $record['error_message'] : null,
+            ];
+        }
+
+        return ['batch' => $this->getNextBatch(), 'migrations' => $migrations];
+    }
+
+    /**
+     * Run a single pending migration. Its requirements must have run
+     * already; a migration that has completed is not run again.
+     *
+     * @return array{id: string, description: string, status: string, time_ms?: int, error?: string, statement?: string}
+     *         `statement` is the SQL that failed, when one did
+     * @throws \InvalidArgumentException For an unknown migration id
+     */
+    public function run(string $id, ?int $batch = null): array
+    {
+        $migration = $this->registry[$id] ?? throw new \InvalidArgumentException("Unknown migration: {$id}");
+
+        $this->bootstrap();
+        $executed = $this->getExecutedIds();
+
+        if (in_array($id, $executed, true)) {
+            return ['id' => $id, 'description' => $migration->description, 'status' => 'skipped'];
+        }
+
+        $missing = array_values(array_diff($migration->requires, $executed, ['migration_tracking']));
+        if ($missing) {
+            return [
+                'id' => $id,
+                'description' => $migration->description,
+                'status' => 'failed',
+                'error' => 'Run these migrations first: ' . implode(', ', $missing),
+            ];
+        }
+
+        return $this->execute($migration, $batch ?? $this->getNextBatch());
+    }
+
     /**
      * Rollback the last batch of migrations
      */
@@ -317,6 +373,61 @@ final class MigrationManager
 
     // ── Private Helpers ─────────────────────────────────────────────────
 
+    /**
+     * Execute one migration's statements and record the outcome
+     *
+     * @return array{id: string, description: string, status: string, time_ms?: int, error?: string, statement?: string}
+     */
+    private function execute(MigrationConfig $migration, int $batch): array
+    {
+        $filePath = $this->basePath . '/' . $migration->file;
+        $result = ['id' => $migration->id, 'description' => $migration->description];
+
+        if (!file_exists($filePath)) {
+            return $result + [
+                'status' => 'failed',
+                'error' => "Migration file not found: {$migration->file}",
+            ];
+        }
+
+        $content = file_get_contents($filePath);
+        $checksum = hash('sha256', $content);
+
+        // Resolve SQL — either from MLC schema or raw SQL
+        $sqlStatements = $this->resolveStatements($migration->file, $content);
+
+        $start = microtime(true);
+        $trimmed = '';
+
+        try {
+            foreach ($sqlStatements as $stmt) {
+                $trimmed = trim($stmt);
+                if ($trimmed) {
+                    $this->pdo->exec($trimmed);
+                }
+            }
+            $elapsed = (int) round((microtime(true) - $start) * 1000);
+
+            $this->recordMigration($migration, $batch, $checksum, $elapsed, 'completed');
+
+            return $result + ['status' => 'completed', 'time_ms' => $elapsed];
+        } catch (\PDOException $e) {
+            $elapsed = (int) round((microtime(true) - $start) * 1000);
+
+            $this->recordMigration($migration, $batch, $checksum, $elapsed, 'failed', $e->getMessage());
+
+            return $result + [
+                'status' => 'failed',
+                'time_ms' => $elapsed,
+                'error' => $e->getMessage(),
+                'statement' => $trimmed,
+            ];
+        }
+    }
+
+    /**
+     * Write the tracking row; a migration has one, replaced on every attempt
+     */
     private function recordMigration(
         MigrationConfig $config,
         int $batch,
@@ -325,6 +436,9 @@ final class MigrationManager
         string $status,
         ?string $error = null,
     ): void {
+        $this->pdo->prepare("DELETE FROM {$this->trackingTable} WHERE migration_id = :id")
+            ->execute(['id' => $config->id]);
+
         $stmt = $this->pdo->prepare(
             "INSERT INTO {$this->trackingTable}
              (migration_id, description, module, version, file, checksum, batch, execution_time_ms, status, error_message)
@@ -38,6 +38,7 @@ final class MediaRepository
         int $offset = 0,
         string $orderBy = 'created_at',
         string $direction = 'DESC',
+        ?string $search = null,
     ): array {
         $sql = 'SELECT * FROM media WHERE 1=1';
         $params = [];
@@ -47,6 +48,11 @@ final class MediaRepository
             $params['type'] = "{$type}/%";
         }
 
+        if ($search) {
+            $sql .= " AND (original_name LIKE :search OR title LIKE :search2 OR alt LIKE :search3)";
+            $params['search'] = $params['search2'] = $params['search3'] = "%{$search}%";
+        }
+
         $dir = strtoupper($direction) === 'ASC' ? 'ASC' : 'DESC';
         $sql .= " ORDER BY {$orderBy} {$dir} LIMIT :limit OFFSET :offset";
 
@@ -128,7 +134,7 @@ final class MediaRepository
         return $stmt->rowCount() > 0;
     }
 
-    public function count(?string $type = null): int
+    public function count(?string $type = null, ?string $search = null): int
     {
         $sql = 'SELECT COUNT(*) FROM media WHERE 1=1';
         $params = [];
@@ -138,6 +144,11 @@ final class MediaRepository
             $params['type'] = "{$type}/%";
         }
 
+        if ($search) {
+            $sql .= " AND (original_name LIKE :search OR title LIKE :search2 OR alt LIKE :search3)";
+            $params['search'] = $params['search2'] = $params['search3'] = "%{$search}%";
+        }
+
         $stmt = $this->pdo->prepare($sql);
         $stmt->execute($params);
 
@@ -0,0 +1,207 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Mosaic;
+
+/**
+ * DisplaySettings — The `settings` editors can give a section or a block.
+ *
+ * Spacing, background, an anchor id, extra CSS classes, devices to hide
+ * on and a publish window. FIELDS is the single definition: the editor
+ * builds its settings panels from it (see mosaic-settings.js) and
+ * MosaicManager renders with it. Stored values are checked again here,
+ * so a hand-edited layout can't inject markup or CSS.
+ */
+final class DisplaySettings
+{
+    /**
+     * Setting definitions. `targets` limits a setting to sections or blocks.
+     */
+    public const FIELDS = [
+        'padding' => [
+            'label' => 'Padding',
+            'type' => 'length',
+            'group' => 'Spacing',
+            'help' => 'CSS lengths, e.g. 1rem or 2rem 1rem',
+        ],
+        'margin' => [
+            'label' => 'Margin',
+            'type' => 'length',
+            'group' => 'Spacing',
+            'help' => 'CSS lengths, e.g. 0 auto or 2rem 0',
+        ],
+        'gap' => [
+            'label' => 'Gap between columns',
+            'type' => 'length',
+            'group' => 'Spacing',
+            'targets' => ['section'],
+        ],
+        'background' => [
+            'label' => 'Background colour',
+            'type' => 'color',
+            'group' => 'Background',
+        ],
+        'background_image' => [
+            'label' => 'Background image URL',
+            'type' => 'url',
+            'group' => 'Background',
+        ],
+        'anchor' => [
+            'label' => 'Anchor ID',
+            'type' => 'anchor',
+            'group' => 'Advanced',
+            'help' => 'Link here with #anchor',
+        ],
+        'classes' => [
+            'label' => 'CSS classes',
+            'type' => 'classes',
+            'group' => 'Advanced',
+            'help' => 'Space-separated',
+        ],
+        'hide_on' => [
+            'label' => 'Hide on',
+            'type' => 'devices',
+            'group' => 'Visibility',
+            'options' => ['desktop' => 'Desktop', 'tablet' => 'Tablet', 'mobile' => 'Mobile'],
+        ],
+        'publish_from' => [
+            'label' => 'Show from',
+            'type' => 'datetime',
+            'group' => 'Schedule',
+        ],
+        'publish_until' => [
+            'label' => 'Hide after',
+            'type' => 'datetime',
+            'group' => 'Schedule',
+        ],
+    ];
+
+    private const PATTERNS = [
+        'length' => '/^(?:-?\d*\.?\d+(?:px|r?em|%|vh|vw|ch)?|auto)(?:\s+(?:-?\d*\.?\d+(?:px|r?em|%|vh|vw|ch)?|auto)){0,3}$/',
+        'color' => '/^(?:#[0-9a-fA-F]{3,8}|(?:rgb|hsl)a?\([\d\s.,%\/]+\)|[a-zA-Z]+)$/',
+        'anchor' => '/^[A-Za-z][\w:.-]*$/',
+        'classes' => '/^-?[A-Za-z_][\w-]*(?:\s+-?[A-Za-z_][\w-]*)*$/',
+        'url' => '#^(?:https?://|/)[^\s"\'()\\\\<>]*$#',
+        // What a datetime-local input sends, optionally with seconds and an offset
+        'datetime' => '/^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/',
+    ];
+
+    /**
+     * Definitions that apply to a section or a block
+     */
+    public static function fieldsFor(string $target): array
+    {
+        return array_filter(
+            self::FIELDS,
+            fn(array $field) => in_array($target, $field['targets'] ?? ['section', 'block'], true),
+        );
+    }
+
+    /**
+     * Only known settings with valid values; everything else is dropped
+     */
+    public static function normalize(array $settings): array
+    {
+        $clean = [];
+
+        foreach (self::FIELDS as $key => $field) {
+            $value = $settings[$key] ?? null;
+            if ($value === null || $value === '' || $value === []) {
+                continue;
+            }
+
+            $value = match ($field['type']) {
+                'devices' => is_array($value)
+                    ? array_values(array_intersect(array_keys($field['options']), $value))
+                    : null,
+                'datetime' => self::checkDatetime($value),
+                default => is_string($value) && preg_match(self::PATTERNS[$field['type']], trim($value))
+                    ? trim($value)
+                    : null,
+            };
+
+            if ($value !== null && $value !== []) {
+                $clean[$key] = $value;
+            }
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Whether the publish window (if any) includes $now. It opens at
+     * `publish_from` and closes at `publish_until`.
+     */
+    public static function isLive(array $settings, ?\DateTimeImmutable $now = null): bool
+    {
+        $settings = self::normalize($settings);
+        $now ??= new \DateTimeImmutable();
+
+        if (isset($settings['publish_from']) && new \DateTimeImmutable($settings['publish_from']) > $now) {
+            return false;
+        }
+
+        if (isset($settings['publish_until']) && new \DateTimeImmutable($settings['publish_until']) <= $now) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * A date the window can use — a real calendar day in ISO form, not
+     * "tomorrow" or 2026-02-30 — or null
+     */
+    private static function checkDatetime(mixed $value): ?string
+    {
+        if (!is_string($value) || !preg_match(self::PATTERNS['datetime'], trim($value), $m)) {
+            return null;
+        }
+
+        return checkdate((int) $m[2], (int) $m[3], (int) $m[1]) && strtotime(trim($value)) !== false
+            ? trim($value)
+            : null;
+    }
+
+    /**
+     * The id, class and style attributes for a wrapper element
+     *
+     * @param string[] $classes Classes the wrapper always has
+     */
+    public static function attributes(array $settings, array $classes): string
+    {
+        $settings = self::normalize($settings);
+
+        foreach ($settings['hide_on'] ?? [] as $device) {
+            $classes[] = 'mosaic-hide-' . $device;
+        }
+        if (isset($settings['classes'])) {
+            array_push($classes, ...preg_split('/\s+/', $settings['classes']));
+        }
+
+        $styles = [];
+        foreach (['padding', 'margin', 'background' => 'background-color'] as $key => $property) {
+            $key = is_int($key) ? $property : $key;
+            if (isset($settings[$key])) {
+                $styles[] = $property . ': ' . $settings[$key];
+            }
+        }
+        if (isset($settings['background_image'])) {
+            $styles[] = 'background-image: url("' . $settings['background_image'] . '")';
+            $styles[] = 'background-size: cover';
+            $styles[] = 'background-position: center';
+        }
+
+        $html = '';
+        if (isset($settings['anchor'])) {
+            $html .= ' id="' . htmlspecialchars($settings['anchor']) . '"';
+        }
+        $html .= ' class="' . htmlspecialchars(implode(' ', array_unique($classes))) . '"';
+        if ($styles) {
+            $html .= ' style="' . htmlspecialchars(implode('; ', $styles)) . '"';
+        }
+
+        return $html;
+    }
+}
@@ -10,7 +10,9 @@ use PDO;
  * MosaicManager — CRUD operations for Mosaic page layouts.
  *
  * Handles loading, saving, and versioning of the visual page builder
- * data attached to content nodes.
+ * data attached to content nodes. node_mosaic holds the current layout;
+ * every save also lands in node_mosaic_revisions, which outlives the
+ * layout so a deleted page can still be brought back.
  */
 final class MosaicManager
 {
@@ -38,38 +40,83 @@ final class MosaicManager
 
     /**
      * Save (create or update) a Mosaic layout for a node
+     *
+     * @param int|null $baseRevision Revision the editor started from; null skips the conflict check
+     * @param int|null $authorId     User saving it, recorded with the revision
+     *
+     * @throws RevisionConflictException When the stored layout has moved past $baseRevision
      */
-    public function save(int $nodeId, string $contentType, array $sections): MosaicEntity
+    public function save(int $nodeId, string $contentType, array $sections, ?int $baseRevision = null, ?int $authorId = null): MosaicEntity
     {
         $existing = $this->getForNode($nodeId, $contentType);
         $now = (new \DateTimeImmutable())->format('Y-m-d H:i:s');
 
-        if ($existing) {
-            // Update existing
-            $stmt = $this->pdo->prepare(
-                'UPDATE node_mosaic SET sections = :sections, revision = revision + 1, updated_at = :updated_at WHERE id = :id'
-            );
-            $stmt->execute([
-                'id' => $existing->id,
-                'sections' => json_encode($sections),
-                'updated_at' => $now,
-            ]);
+        if ($existing && $baseRevision !== null && $existing->revision !== $baseRevision) {
+            throw new RevisionConflictException($existing, $baseRevision);
+        }
 
-            $existing->sections = $sections;
-            $existing->revision++;
-            $existing->updated_at = new \DateTimeImmutable($now);
+        $this->pdo->beginTransaction();
 
-            return $existing;
+        try {
+            // A layout saved before revisions were kept becomes one before it is overwritten
+            if ($existing && $this->latestRevision($nodeId, $contentType) < $existing->revision) {
+                $this->recordRevision($existing, null, $existing->updated_at?->format('Y-m-d H:i:s') ?? $now);
+            }
+
+            $mosaic = $existing
+                ? $this->update($existing, $sections, $now)
+                : $this->insert($nodeId, $contentType, $sections, $now);
+
+            $this->recordRevision($mosaic, $authorId, $now);
+            $this->pdo->commit();
+        } catch (\Throwable $e) {
+            $this->pdo->rollBack();
+            throw $e;
         }
 
-        // Create new
+        return $mosaic;
+    }
+
+    private function update(MosaicEntity $existing, array $sections, string $now): MosaicEntity
+    {
+        // The revision guard catches a save that raced us
         $stmt = $this->pdo->prepare(
-            'INSERT INTO node_mosaic (node_id, content_type, sections, revision, created_at, updated_at) VALUES (:node_id, :content_type, :sections, 1, :created_at, :updated_at)'
+            'UPDATE node_mosaic SET sections = :sections, revision = revision + 1, updated_at = :updated_at WHERE id = :id AND revision = :revision'
+        );
+        $stmt->execute([
+            'id' => $existing->id,
+            'sections' => json_encode($sections),
+            'updated_at' => $now,
+            'revision' => $existing->revision,
+        ]);
+
+        if ($stmt->rowCount() === 0) {
+            throw new RevisionConflictException(
+                $this->getForNode($existing->node_id, $existing->content_type) ?? $existing,
+                $existing->revision,
+            );
+        }
+
+        $existing->sections = $sections;
+        $existing->revision++;
+        $existing->updated_at = new \DateTimeImmutable($now);
+
+        return $existing;
+    }
+
+    private function insert(int $nodeId, string $contentType, array $sections, string $now): MosaicEntity
+    {
+        // Numbering carries on after a deleted layout, so its history stays apart
+        $revision = $this->latestRevision($nodeId, $contentType) + 1;
+
+        $stmt = $this->pdo->prepare(
+            'INSERT INTO node_mosaic (node_id, content_type, sections, revision, created_at, updated_at) VALUES (:node_id, :content_type, :sections, :revision, :created_at, :updated_at)'
         );
         $stmt->execute([
             'node_id' => $nodeId,
             'content_type' => $contentType,
             'sections' => json_encode($sections),
+            'revision' => $revision,
             'created_at' => $now,
             'updated_at' => $now,
         ]);
@@ -79,15 +126,96 @@ final class MosaicManager
         $entity->node_id = $nodeId;
         $entity->content_type = $contentType;
         $entity->sections = $sections;
-        $entity->revision = 1;
+        $entity->revision = $revision;
         $entity->created_at = new \DateTimeImmutable($now);
         $entity->updated_at = new \DateTimeImmutable($now);
 
         return $entity;
     }
 
+    // ── Revisions ───────────────────────────────────────────────────────
+
+    private function recordRevision(MosaicEntity $mosaic, ?int $authorId, string $now): void
+    {
+        $stmt = $this->pdo->prepare(
+            'INSERT INTO node_mosaic_revisions (node_id, content_type, revision, sections, author_id, created_at) VALUES (:node_id, :content_type, :revision, :sections, :author_id, :created_at)'
+        );
+        $stmt->execute([
+            'node_id' => $mosaic->node_id,
+            'content_type' => $mosaic->content_type,
+            'revision' => $mosaic->revision,
+            'sections' => json_encode($mosaic->sections),
+            'author_id' => $authorId,
+            'created_at' => $now,
+        ]);
+    }
+
+    private function latestRevision(int $nodeId, string $contentType): int
+    {
+        $stmt = $this->pdo->prepare(
+            'SELECT MAX(revision) FROM node_mosaic_revisions WHERE node_id = :node_id AND content_type = :content_type'
+        );
+        $stmt->execute(['node_id' => $nodeId, 'content_type' => $contentType]);
+
+        return (int) $stmt->fetchColumn();
+    }
+
     /**
-     * Delete the Mosaic layout for a node
+     * Saved revisions of a node's layout, newest first, without their sections
+     *
+     * @return MosaicRevision[]
+     */
+    public function getRevisions(int $nodeId, string $contentType, int $limit = 50, int $offset = 0): array
+    {
+        $stmt = $this->pdo->prepare(
+            'SELECT r.node_id, r.content_type, r.revision, r.author_id, r.created_at, u.name AS author_name
+             FROM node_mosaic_revisions r
+             LEFT JOIN cms_users u ON u.id = r.author_id
+             WHERE r.node_id = :node_id AND r.content_type = :content_type
+             ORDER BY r.revision DESC
+             LIMIT ' . max(1, $limit) . ' OFFSET ' . max(0, $offset)
+        );
+        $stmt->execute(['node_id' => $nodeId, 'content_type' => $contentType]);
+
+        $revisions = array_map(
+            fn(array $row) => MosaicRevision::fromRow($row),
+            $stmt->fetchAll(PDO::FETCH_ASSOC),
+        );
+
+        // A layout saved before revisions were kept is still its own first entry
+        $current = $offset === 0 ? $this->getForNode($nodeId, $contentType) : null;
+        if ($current && ($revisions[0] ?? null)?->revision !== $current->revision) {
+            array_unshift($revisions, MosaicRevision::fromLayout($current)->withoutSections());
+        }
+
+        return $revisions;
+    }
+
+    /**
+     * One revision with its sections, or null when it was never saved
+     */
+    public function getRevision(int $nodeId, string $contentType, int $revision): ?MosaicRevision
+    {
+        $stmt = $this->pdo->prepare(
+            'SELECT r.*, u.name AS author_name
+             FROM node_mosaic_revisions r
+             LEFT JOIN cms_users u ON u.id = r.author_id
+             WHERE r.node_id = :node_id AND r.content_type = :content_type AND r.revision = :revision'
+        );
+        $stmt->execute(['node_id' => $nodeId, 'content_type' => $contentType, 'revision' => $revision]);
+
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+        if ($row) {
+            return MosaicRevision::fromRow($row);
+        }
+
+        $current = $this->getForNode($nodeId, $contentType);
+
+        return $current && $current->revision === $revision ? MosaicRevision::fromLayout($current) : null;
+    }
+
+    /**
+     * Delete the Mosaic layout for a node (its revisions are kept)
      */
     public function deleteForNode(int $nodeId, string $contentType): bool
     {
@@ -102,16 +230,23 @@ final class MosaicManager
     /**
      * Render a Mosaic layout to HTML (server-side rendering)
      *
+     * Sections and blocks outside their publish window are left out; the
+     * other display settings become attributes on their wrappers.
+     *
      * @param MosaicEntity $mosaic   The layout to render
-     * @param callable     $blockRenderer  Function that renders a single block: fn(string $blockType, array $data): string
+     * @param callable     $blockRenderer  Function that renders a single block: fn(string $blockType, array $data, array $settings): string
+     * @param \DateTimeImmutable|null $now  Moment publish windows are checked against (default: now)
      */
-    public function render(MosaicEntity $mosaic, callable $blockRenderer): string
+    public function render(MosaicEntity $mosaic, callable $blockRenderer, ?\DateTimeImmutable $now = null): string
     {
+        $now ??= new \DateTimeImmutable();
         $html = '<div class="mosaic">';
 
         foreach ($mosaic->sections as $sectionData) {
             $section = Section::fromArray($sectionData);
-            $html .= $this->renderSection($section, $blockRenderer);
+            if (DisplaySettings::isLive($section->settings, $now)) {
+                $html .= $this->renderSection($section, $blockRenderer, $now);
+            }
         }
 
         $html .= '</div>';
@@ -122,11 +257,13 @@ final class MosaicManager
     /**
      * Render a single section
      */
-    private function renderSection(Section $section, callable $blockRenderer): string
+    private function renderSection(Section $section, callable $blockRenderer, \DateTimeImmutable $now): string
     {
-        $html = '<div class="mosaic-section mosaic-section--' . htmlspecialchars($section->layout) . '">';
+        $settings = DisplaySettings::normalize($section->settings);
+        $html = '<div' . DisplaySettings::attributes($settings, ['mosaic-section', 'mosaic-section--' . $section->layout]) . '>';
 
-        $html .= '<div class="mosaic-regions layout--' . htmlspecialchars($section->layout) . '">';
+        $gap = isset($settings['gap']) ? ' style="gap: ' . htmlspecialchars($settings['gap']) . '"' : '';
+        $html .= '<div class="mosaic-regions layout--' . htmlspecialchars($section->layout) . '"' . $gap . '>';
 
         foreach ($section->regions as $regionName => $blocks) {
             $html .= '<div class="mosaic-region mosaic-region--' . htmlspecialchars($regionName) . '">';
@@ -136,7 +273,11 @@ final class MosaicManager
                 $blockData = $block['data'] ?? [];
                 $blockSettings = $block['settings'] ?? [];
 
-                $html .= '<div class="mosaic-block mosaic-block--' . htmlspecialchars($blockType) . '">';
+                if (!DisplaySettings::isLive($blockSettings, $now)) {
+                    continue;
+                }
+
+                $html .= '<div' . DisplaySettings::attributes($blockSettings, ['mosaic-block', 'mosaic-block--' . $blockType]) . '>';
                 $html .= $blockRenderer($blockType, $blockData, $blockSettings);
                 $html .= '</div>';
             }
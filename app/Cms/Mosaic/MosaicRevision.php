@@ -0,0 +1,92 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Mosaic;
+
+/**
+ * MosaicRevision — One saved version of a node's Mosaic layout.
+ *
+ * Every MosaicManager::save() records one, so earlier layouts can be
+ * compared and restored from the editor's history panel. Listings leave
+ * `sections` null; a single revision carries them.
+ */
+final class MosaicRevision
+{
+    public function __construct(
+        public readonly int $node_id,
+        public readonly string $content_type,
+        public readonly int $revision,
+        public readonly ?array $sections = null,
+        public readonly ?int $author_id = null,
+        public readonly ?string $author_name = null,
+        public readonly ?\DateTimeImmutable $created_at = null,
+    ) {}
+
+    /**
+     * Build from a node_mosaic_revisions row (joined with the author's name)
+     */
+    public static function fromRow(array $row): self
+    {
+        $sections = $row['sections'] ?? null;
+
+        return new self(
+            node_id: (int) $row['node_id'],
+            content_type: (string) $row['content_type'],
+            revision: (int) $row['revision'],
+            sections: is_string($sections) ? (json_decode($sections, true) ?? []) : $sections,
+            author_id: isset($row['author_id']) ? (int) $row['author_id'] : null,
+            author_name: $row['author_name'] ?? null,
+            created_at: isset($row['created_at']) ? new \DateTimeImmutable($row['created_at']) : null,
+        );
+    }
+
+    /**
+     * The stored layout itself, for layouts saved before revisions were kept
+     */
+    public static function fromLayout(MosaicEntity $mosaic): self
+    {
+        return new self(
+            node_id: $mosaic->node_id,
+            content_type: $mosaic->content_type,
+            revision: $mosaic->revision,
+            sections: $mosaic->sections,
+            created_at: $mosaic->updated_at,
+        );
+    }
+
+    public function withoutSections(): self
+    {
+        return new self(
+            $this->node_id,
+            $this->content_type,
+            $this->revision,
+            null,
+            $this->author_id,
+            $this->author_name,
+            $this->created_at,
+        );
+    }
+
+    /**
+     * Serialize for API / JSON responses
+     */
+    public function toArray(): array
+    {
+        $data = [
+            'node_id' => $this->node_id,
+            'content_type' => $this->content_type,
+            'revision' => $this->revision,
+            'author' => $this->author_id !== null || $this->author_name !== null
+                ? ['id' => $this->author_id, 'name' => $this->author_name]
+                : null,
+            'created_at' => $this->created_at?->format('Y-m-d H:i:s'),
+        ];
+
+        if ($this->sections !== null) {
+            $data['sections'] = $this->sections;
+        }
+
+        return $data;
+    }
+}
@@ -0,0 +1,23 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Mosaic;
+
+/**
+ * RevisionConflictException — Thrown when a Mosaic save is based on a stale revision.
+ *
+ * Carries the layout currently stored so the editor can offer the
+ * user a choice between their copy and the server's.
+ */
+final class RevisionConflictException extends \RuntimeException
+{
+    public function __construct(
+        public readonly MosaicEntity $current,
+        int $baseRevision,
+    ) {
+        parent::__construct(
+            "Mosaic layout for node #{$current->node_id} is at revision {$current->revision}, not {$baseRevision}."
+        );
+    }
+}
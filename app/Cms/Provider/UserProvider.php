@@ -4,14 +4,18 @@ declare(strict_types=1);
 
 namespace App\Cms\Provider;
 
+use App\Cms\User\UserPreferenceRepository;
+use App\Cms\User\UserRepository;
 use Psr\Container\ContainerInterface;
+use PDO;
 
 final class UserProvider
 {
     public static function getDefinitions(): array
     {
         return [
-            // UserRepository will be registered here
+            UserRepository::class => fn(ContainerInterface $c) => new UserRepository($c->get(PDO::class)),
+            UserPreferenceRepository::class => fn(ContainerInterface $c) => new UserPreferenceRepository($c->get(PDO::class)),
         ];
     }
 }
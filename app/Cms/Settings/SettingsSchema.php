@@ -0,0 +1,169 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\Settings;
+
+/**
+ * SettingsSchema — What each site setting is: its label, type, default and rules.
+ *
+ * The admin settings page builds its form from this (see settings-form.js),
+ * and SettingsApiController checks every save against it. Settings stored
+ * without a definition here — added by a module or by hand — still load
+ * and save, with their type taken from the stored value.
+ *
+ * Types: string, text, email, url, integer, boolean, select, timezone.
+ */
+final class SettingsSchema
+{
+    public const GROUPS = [
+        'general' => [
+            'label' => 'General',
+            'description' => 'Site identity, contact details, dates and listings',
+        ],
+    ];
+
+    public const FIELDS = [
+        'general' => [
+            'site_name' => [
+                'label' => 'Site name',
+                'type' => 'string',
+                'default' => 'MonkeysCMS',
+                'required' => true,
+                'max_length' => 255,
+            ],
+            'site_tagline' => [
+                'label' => 'Tagline',
+                'type' => 'string',
+                'default' => 'A modern CMS powered by MonkeysLegion',
+                'max_length' => 255,
+            ],
+            'site_email' => [
+                'label' => 'Contact e-mail',
+                'type' => 'email',
+                'default' => 'admin@example.com',
+                'help' => 'Where site notifications are sent',
+            ],
+            'timezone' => [
+                'label' => 'Timezone',
+                'type' => 'timezone',
+                'default' => 'UTC',
+            ],
+            'date_format' => [
+                'label' => 'Date format',
+                'type' => 'select',
+                'default' => 'Y-m-d',
+                'options' => [
+                    'Y-m-d' => '2026-03-14',
+                    'd/m/Y' => '14/03/2026',
+                    'm/d/Y' => '03/14/2026',
+                    'F j, Y' => 'March 14, 2026',
+                    'j F Y' => '14 March 2026',
+                ],
+            ],
+            'items_per_page' => [
+                'label' => 'Items per page',
+                'type' => 'integer',
+                'default' => 25,
+                'min' => 1,
+                'max' => 100,
+                'help' => 'Listings and archives',
+            ],
+        ],
+    ];
+
+    /**
+     * Groups and field definitions for the settings page, with timezone
+     * options filled in
+     */
+    public static function describe(): array
+    {
+        $groups = [];
+        foreach (self::GROUPS as $id => $group) {
+            $groups[] = ['id' => $id] + $group;
+        }
+
+        $fields = self::FIELDS;
+        foreach ($fields as &$definitions) {
+            foreach ($definitions as &$field) {
+                if ($field['type'] === 'timezone') {
+                    $zones = \DateTimeZone::listIdentifiers();
+                    $field['options'] = array_combine($zones, $zones);
+                }
+            }
+            unset($field);
+        }
+        unset($definitions);
+
+        return ['groups' => $groups, 'fields' => $fields];
+    }
+
+    /**
+     * Definition of one setting, or null when it has none
+     */
+    public static function field(string $group, string $key): ?array
+    {
+        return self::FIELDS[$group][$key] ?? null;
+    }
+
+    /**
+     * Check a value against its definition
+     *
+     * @return string|null an error message, or null when the value is fine
+     */
+    public static function validate(array $field, mixed $value): ?string
+    {
+        $label = $field['label'] ?? 'This setting';
+
+        if ($value === null || $value === '') {
+            return !empty($field['required']) ? "{$label} is required." : null;
+        }
+
+        // Arrays and objects never fit a setting, and would break the checks below
+        if (!is_scalar($value)) {
+            return "{$label} must be a single value.";
+        }
+
+        if (isset($field['max_length']) && is_string($value) && mb_strlen($value) > $field['max_length']) {
+            return "{$label} must be at most {$field['max_length']} characters.";
+        }
+
+        return match ($field['type']) {
+            'email' => filter_var($value, FILTER_VALIDATE_EMAIL) === false ? 'Enter a valid e-mail address.' : null,
+            'url' => filter_var($value, FILTER_VALIDATE_URL) === false || !preg_match('#^https?://#i', (string) $value)
+                ? 'Enter a full URL starting with http:// or https://.' : null,
+            'integer' => self::checkInteger($field, $value),
+            'boolean' => is_bool($value) ? null : 'Choose on or off.',
+            'select' => array_key_exists((string) $value, $field['options'] ?? []) ? null : 'Choose one of the listed options.',
+            'timezone' => in_array($value, \DateTimeZone::listIdentifiers(), true) ? null : 'Choose a timezone from the list.',
+            default => null,
+        };
+    }
+
+    /**
+     * A valid value in the PHP type its setting is stored as
+     */
+    public static function cast(array $field, mixed $value): mixed
+    {
+        return match ($field['type']) {
+            'integer' => (int) $value,
+            'boolean' => (bool) $value,
+            default => (string) $value,
+        };
+    }
+
+    private static function checkInteger(array $field, mixed $value): ?string
+    {
+        if (filter_var($value, FILTER_VALIDATE_INT) === false) {
+            return 'Enter a whole number.';
+        }
+        if (isset($field['min']) && (int) $value < $field['min']) {
+            return "Enter {$field['min']} or more.";
+        }
+        if (isset($field['max']) && (int) $value > $field['max']) {
+            return "Enter {$field['max']} or less.";
+        }
+
+        return null;
+    }
+}
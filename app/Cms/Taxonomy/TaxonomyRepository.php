@@ -50,6 +50,16 @@ final class TaxonomyRepository
         return $row ? (new TermEntity())->hydrate($row) : null;
     }
 
+    public function findTermByName(int $vocabId, string $name, ?int $parentId = null): ?TermEntity
+    {
+        $sql = 'SELECT * FROM terms WHERE vocabulary_id = :vid AND name = :name AND parent_id ' . ($parentId === null ? 'IS NULL' : '= :pid');
+        $params = ['vid' => $vocabId, 'name' => $name] + ($parentId === null ? [] : ['pid' => $parentId]);
+        $stmt = $this->pdo->prepare($sql);
+        $stmt->execute($params);
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+        return $row ? (new TermEntity())->hydrate($row) : null;
+    }
+
     /** @return TermEntity[] */
     public function findTermsByVocabulary(int $vocabId): array
     {
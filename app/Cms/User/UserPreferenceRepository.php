@@ -0,0 +1,81 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\User;
+
+use PDO;
+
+/**
+ * UserPreferenceRepository — Per-user settings stored in cms_users.preferences.
+ *
+ * Preferences are one JSON object per user; each key is read and written
+ * on its own so features don't overwrite each other's entries.
+ */
+final class UserPreferenceRepository
+{
+    public function __construct(
+        private readonly PDO $pdo,
+    ) {}
+
+    public function get(int $userId, string $key, mixed $default = null): mixed
+    {
+        return $this->all($userId)[$key] ?? $default;
+    }
+
+    public function set(int $userId, string $key, mixed $value): void
+    {
+        $this->update($userId, $key, fn() => $value);
+    }
+
+    /**
+     * Replace one key with what $fn makes of its current value, and return
+     * the stored result. Use this rather than get() then set() whenever the
+     * new value depends on the old one.
+     *
+     * @param callable(mixed): mixed $fn receives the current value, or $default
+     */
+    public function update(int $userId, string $key, callable $fn, mixed $default = null): mixed
+    {
+        if (!preg_match('/^[a-z0-9_]+$/', $key)) {
+            throw new \InvalidArgumentException("Invalid preference key: {$key}");
+        }
+
+        // The row is locked from the read to the write, so concurrent updates
+        // of this or other keys survive. SQLite has no FOR UPDATE, but allows
+        // one writer at a time and fails a transaction whose read went stale.
+        $lock = $this->pdo->getAttribute(PDO::ATTR_DRIVER_NAME) === 'sqlite' ? '' : ' FOR UPDATE';
+
+        $this->pdo->beginTransaction();
+
+        try {
+            $preferences = $this->all($userId, $lock);
+            $value = $fn($preferences[$key] ?? $default);
+            $preferences[$key] = $value;
+
+            $stmt = $this->pdo->prepare('UPDATE cms_users SET preferences = :preferences WHERE id = :id');
+            $stmt->execute(['preferences' => json_encode((object) $preferences, JSON_THROW_ON_ERROR), 'id' => $userId]);
+
+            $this->pdo->commit();
+        } catch (\Throwable $e) {
+            $this->pdo->rollBack();
+            throw $e;
+        }
+
+        return $value;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function all(int $userId, string $lock = ''): array
+    {
+        $stmt = $this->pdo->prepare('SELECT preferences FROM cms_users WHERE id = :id' . $lock);
+        $stmt->execute(['id' => $userId]);
+        $json = $stmt->fetchColumn();
+
+        $preferences = is_string($json) ? json_decode($json, true) : null;
+
+        return is_array($preferences) ? $preferences : [];
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Cms\User;
+
+use PDO;
+
+/**
+ * UserRepository — Lookups of CMS users.
+ */
+final class UserRepository
+{
+    public function __construct(
+        private readonly PDO $pdo,
+    ) {}
+
+    public function find(int $id): ?CmsUserEntity
+    {
+        $stmt = $this->pdo->prepare('SELECT * FROM cms_users WHERE id = :id');
+        $stmt->execute(['id' => $id]);
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        return $row ? (new CmsUserEntity())->hydrate($row) : null;
+    }
+
+    /**
+     * @param int[] $ids
+     * @return CmsUserEntity[]
+     */
+    public function findMany(array $ids): array
+    {
+        $ids = array_values(array_unique(array_filter(array_map('intval', $ids))));
+        if (!$ids) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+        $stmt = $this->pdo->prepare("SELECT * FROM cms_users WHERE id IN ({$placeholders})");
+        $stmt->execute($ids);
+
+        return array_map(fn(array $r) => (new CmsUserEntity())->hydrate($r), $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    /**
+     * Active users whose name or e-mail contains the query.
+     *
+     * @return CmsUserEntity[]
+     */
+    public function search(string $query, int $limit = 10): array
+    {
+        $stmt = $this->pdo->prepare(
+            'SELECT * FROM cms_users WHERE active = 1 AND (name LIKE :q OR email LIKE :q_email)
+             ORDER BY name ASC LIMIT ' . (int) $limit
+        );
+        $stmt->execute(['q' => "%{$query}%", 'q_email' => "%{$query}%"]);
+
+        return array_map(fn(array $r) => (new CmsUserEntity())->hydrate($r), $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+}
@@ -13,21 +13,187 @@ declare(strict_types=1);
 $projectRoot = dirname(__DIR__);
 $uri = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH) ?? '/';
 
-// ── Dev Hot Reload Endpoint ──────────────────────────────────
-if ($uri === '/_dev/reload.json') {
-    $marker = $projectRoot . '/var/cache/dev-reload.json';
+// ── Dev Hot Reload ───────────────────────────────────────────
+// The router keeps its own record of what changed (var/cache/dev-reload-state.json)
+// so the client can tell a stylesheet edit, which it swaps in place, from
+// everything else, which needs a reload.
+//
+//   /_dev/reload.json?since=12  — changes after version 12 (polling)
+//   /_dev/events                — the same as server-sent events
+//
+// An event stream holds a worker for as long as the page is open, so it is
+// only offered when the server runs several (PHP_CLI_SERVER_WORKERS=4).
+// With a single worker /_dev/events answers 204 and the client polls.
 
-    header('Content-Type: application/json');
+const DEV_WATCH      = ['app', 'src', 'config', 'resources', 'themes', 'public'];
+const DEV_SKIP       = ['public/uploads', 'public/build/.vite'];
+const DEV_EXTENSIONS = ['php', 'mlc', 'css', 'js', 'json', 'svg', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'woff', 'woff2'];
+const DEV_KEEP       = 50; // change sets remembered for clients that fall behind
+
+/** @return array<string, int> project-relative path → mtime */
+function devSnapshot(string $root): array
+{
+    $files = [];
+
+    foreach (DEV_WATCH as $dir) {
+        if (!is_dir($root . '/' . $dir)) {
+            continue;
+        }
+
+        $iterator = new RecursiveIteratorIterator(
+            new RecursiveDirectoryIterator($root . '/' . $dir, FilesystemIterator::SKIP_DOTS)
+        );
+
+        foreach ($iterator as $file) {
+            $path = substr($file->getPathname(), strlen($root) + 1);
+            $ext  = strtolower($file->getExtension());
+
+            if (!in_array($ext, DEV_EXTENSIONS, true) || str_contains($path, 'node_modules')) {
+                continue;
+            }
+            foreach (DEV_SKIP as $skip) {
+                if (str_starts_with($path, $skip . '/')) {
+                    continue 2;
+                }
+            }
+
+            $files[$path] = $file->getMTime();
+        }
+    }
+
+    ksort($files);
+    return $files;
+}
+
+/**
+ * Rescan and record a new version when anything changed.
+ *
+ * @return array{version: int, files: array<string, int>, changes: list<array{version: int, files: list<string>}>}
+ */
+function devState(string $root): array
+{
+    $path = $root . '/var/cache/dev-reload-state.json';
+    @mkdir(dirname($path), 0775, true);
+
+    $handle = fopen($path, 'c+');
+    flock($handle, LOCK_EX);
+
+    $state = json_decode((string) stream_get_contents($handle), true);
+    $files = devSnapshot($root);
+
+    $dirty = true;
+
+    if (!is_array($state) || !isset($state['version'], $state['files'])) {
+        $state = ['version' => 1, 'files' => $files, 'changes' => []];
+    } elseif ($files !== $state['files']) {
+        $changed = array_keys(array_diff_assoc($files, $state['files']) + array_diff_key($state['files'], $files));
+
+        $state['version']++;
+        $state['files']     = $files;
+        $state['changes'][] = ['version' => $state['version'], 'files' => $changed];
+        $state['changes']   = array_slice($state['changes'], -DEV_KEEP);
+    } else {
+        $dirty = false;
+    }
+
+    if ($dirty) {
+        ftruncate($handle, 0);
+        rewind($handle);
+        fwrite($handle, (string) json_encode($state));
+    }
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    return $state;
+}
+
+/**
+ * What a client that has seen `$since` needs to know. `reset` means it is
+ * too far behind (or ahead, after the cache was cleared) to be told
+ * file by file.
+ *
+ * @return array{version: int, files: list<string>, reset: bool}
+ */
+function devChangesSince(array $state, ?int $since): array
+{
+    $payload = ['version' => $state['version'], 'files' => [], 'reset' => false];
+
+    if ($since === null || $since === $state['version']) {
+        return $payload;
+    }
+
+    $oldest = $state['changes'][0]['version'] ?? $state['version'];
+    if ($since > $state['version'] || $since < $oldest - 1) {
+        $payload['reset'] = true;
+        return $payload;
+    }
+
+    foreach ($state['changes'] as $change) {
+        if ($change['version'] > $since) {
+            array_push($payload['files'], ...$change['files']);
+        }
+    }
+    $payload['files'] = array_values(array_unique($payload['files']));
+
+    return $payload;
+}
+
+if ($uri === '/_dev/reload.json' || $uri === '/_dev/events') {
     header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
     header('Pragma: no-cache');
+}
 
-    if (!is_file($marker)) {
-        echo json_encode(['version' => 0, 'status' => 'no_marker']);
+if ($uri === '/_dev/reload.json') {
+    $since = isset($_GET['since']) && is_numeric($_GET['since']) ? (int) $_GET['since'] : null;
+
+    header('Content-Type: application/json');
+    echo json_encode(devChangesSince(devState($projectRoot), $since));
+    return true;
+}
+
+if ($uri === '/_dev/events') {
+    if ((int) getenv('PHP_CLI_SERVER_WORKERS') < 2) {
+        http_response_code(204);
         return true;
     }
 
-    $content = @file_get_contents($marker);
-    echo ($content !== false) ? $content : json_encode(['version' => 0, 'status' => 'read_error']);
+    header('Content-Type: text/event-stream');
+    header('X-Accel-Buffering: no');
+    set_time_limit(0);
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+
+    // EventSource sends the last id it saw when it reconnects
+    $lastId = $_SERVER['HTTP_LAST_EVENT_ID'] ?? null;
+    $since  = is_numeric($lastId) ? (int) $lastId : null;
+    $send   = static function (array $payload): void {
+        echo 'id: ' . $payload['version'] . "\n";
+        echo 'data: ' . json_encode($payload) . "\n\n";
+        flush();
+    };
+
+    echo "retry: 1000\n";
+    $state = devState($projectRoot);
+    $send(devChangesSince($state, $since));
+    $since = $state['version'];
+
+    // End the stream now and then; the browser reconnects and the worker is recycled
+    $until     = time() + 30;
+    $heartbeat = time();
+    while (time() < $until && !connection_aborted()) {
+        usleep(500_000);
+
+        $state = devState($projectRoot);
+        if ($state['version'] !== $since) {
+            $send(devChangesSince($state, $since));
+            $since = $state['version'];
+        } elseif (time() - $heartbeat >= 10) {
+            echo ": ping\n\n";
+            flush();
+            $heartbeat = time();
+        }
+    }
     return true;
 }
 
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * MonkeysCMS — Mosaic Collaboration Relay (development)
+ *
+ * A dependency-free WebSocket relay for Mosaic editor presence. Clients
+ * join a room (one per node) and every message they send is forwarded to
+ * the other members of that room. Not meant for production — use the
+ * monkeyslegion-sockets server there.
+ *
+ * Usage:
+ *   MOSAIC_COLLAB_SECRET=… node bin/mosaic-relay.js [port]
+ *
+ *   port     $MOSAIC_RELAY_PORT or 8090
+ *   host     $MOSAIC_RELAY_HOST or 127.0.0.1 — put a TLS proxy (wss://) in
+ *            front rather than exposing the relay itself
+ *   secret   $MOSAIC_COLLAB_SECRET, the same value the CMS signs join
+ *            tokens with (MosaicController)
+ *
+ * A join token is `base64url(payload).base64url(hmac-sha256(payload))`,
+ * with the payload `{ room, user, exp }` issued by the admin session that
+ * opened the editor. The room and user come from the token; whatever else
+ * the client sends is ignored.
+ *
+ * Protocol (JSON text frames):
+ *   → { type: 'join', token }               joins the token's room
+ *   ← { type: 'peers', session, peers }     sent back on join (your session + who is already there)
+ *   ← { type: 'join', session, user }       someone joined your room
+ *   ← { type: 'leave', session }            someone left
+ *   → { type: 'lock', blockId|null }        remembered so late joiners see it
+ *   → { type: <anything else>, ... }        forwarded as-is with `session` added
+ */
+
+import { createServer } from 'node:http';
+import { createHash, createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const port = Number(process.argv[2] || process.env.MOSAIC_RELAY_PORT || 8090);
+const host = process.env.MOSAIC_RELAY_HOST || '127.0.0.1';
+const secret = process.env.MOSAIC_COLLAB_SECRET || '';
+
+if (!secret) {
+  console.error('[mosaic-relay] MOSAIC_COLLAB_SECRET is not set; refusing to start without a way to check who joins.');
+  process.exit(1);
+}
+
+/** @type {Map<string, Set<object>>} room → clients */
+const rooms = new Map();
+
+// ─── Framing ────────────────────────────────────────────────────────────────
+function encodeFrame(payload, opcode = 0x1) {
+  const data = Buffer.from(payload);
+  const len = data.length;
+  let header;
+
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+
+  return Buffer.concat([header, data]);
+}
+
+/** Pull complete frames off the client's buffer. */
+function* decodeFrames(client) {
+  while (client.buffer.length >= 2) {
+    const buf = client.buffer;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (len === 126) {
+      if (buf.length < 4) return;
+      len = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) return;
+      len = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + len) return;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + len));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+    }
+
+    client.buffer = buf.subarray(offset + len);
+
+    // Reassemble fragmented messages
+    if (opcode === 0x0) {
+      client.fragments.push(payload);
+      if (!fin) continue;
+      yield { opcode: client.fragmentOpcode, payload: Buffer.concat(client.fragments) };
+      client.fragments = [];
+      continue;
+    }
+
+    if (!fin) {
+      client.fragmentOpcode = opcode;
+      client.fragments = [payload];
+      continue;
+    }
+
+    yield { opcode, payload };
+  }
+}
+
+// ─── Rooms ──────────────────────────────────────────────────────────────────
+function send(client, message) {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+function broadcast(from, message) {
+  const members = rooms.get(from.room);
+  if (!members) return;
+
+  for (const client of members) {
+    if (client !== from) send(client, message);
+  }
+}
+
+/** The `{ room, user }` a join token was signed for, or null. */
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = createHmac('sha256', secret).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (typeof claims?.room !== 'string' || !claims.room) return null;
+  if (!(claims.exp > Date.now() / 1000)) return null;
+
+  return { room: claims.room, user: claims.user || { name: 'Anonymous' } };
+}
+
+function join(client, { token }) {
+  const claims = verifyToken(token);
+  if (!claims) {
+    send(client, { type: 'error', error: 'invalid_token' });
+    client.socket.end(encodeFrame(Buffer.from([0x0f, 0xa0]), 0x8)); // 4000
+    return;
+  }
+
+  leave(client);
+  client.room = claims.room;
+  client.user = claims.user;
+
+  if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+  const members = rooms.get(client.room);
+
+  send(client, {
+    type: 'peers',
+    session: client.session,
+    peers: [...members].map(c => ({ session: c.session, user: c.user, lock: c.lock })),
+  });
+
+  members.add(client);
+  broadcast(client, { type: 'join', session: client.session, user: client.user });
+}
+
+function leave(client) {
+  const members = client.room ? rooms.get(client.room) : null;
+  if (!members) return;
+
+  members.delete(client);
+  broadcast(client, { type: 'leave', session: client.session });
+  if (members.size === 0) rooms.delete(client.room);
+  client.room = null;
+}
+
+function onMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return;
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) return;
+  if (message.type === 'join') return join(client, message);
+  if (!client.room) return;
+
+  if (message.type === 'lock') client.lock = message.blockId ?? null;
+
+  broadcast(client, { ...message, session: client.session });
+}
+
+// ─── Server ─────────────────────────────────────────────────────────────────
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Mosaic relay: WebSocket connections only.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n'
+    + 'Upgrade: websocket\r\n'
+    + 'Connection: Upgrade\r\n'
+    + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = {
+    socket,
+    session: randomUUID(),
+    room: null,
+    user: null,
+    lock: null,
+    buffer: Buffer.alloc(0),
+    fragments: [],
+    fragmentOpcode: 0x1,
+  };
+
+  socket.on('data', chunk => {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+
+    // One bad frame closes its own connection, never the relay
+    try {
+      for (const { opcode, payload } of decodeFrames(client)) {
+        if (opcode === 0x1) onMessage(client, payload.toString('utf8'));
+        else if (opcode === 0x9) socket.write(encodeFrame(payload, 0xa));
+        else if (opcode === 0x8) {
+          socket.end(encodeFrame(payload.subarray(0, 2), 0x8));
+        }
+      }
+    } catch (err) {
+      console.error(`[mosaic-relay] dropping ${client.session}: ${err.message}`);
+      socket.destroy();
+    }
+  });
+
+  socket.on('close', () => leave(client));
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(port, host, () => {
+  console.log(`[mosaic-relay] listening on ws://${host}:${port}`);
+});
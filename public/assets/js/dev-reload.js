@@ -1,132 +1,302 @@
 /**
  * MonkeysLegion Dev Server - Hot Reload Client
  *
- * This script polls the dev server for file changes and automatically
- * reloads the page when changes are detected.
+ * Listens to the dev server (bin/dev-router.php) for file changes.
+ * Stylesheet changes are swapped in without a reload; anything else
+ * reloads the page, unless the new version fails to render, in which
+ * case the error is shown in an overlay and the page is kept.
+ *
+ * Changes are pushed over server-sent events when the server runs more
+ * than one worker, and polled otherwise. The client keeps trying while
+ * the server is down and picks up whatever changed once it is back.
+ *
+ * Options go on the script tag:
+ *
+ *   <script src="/assets/js/dev-reload.js" data-badge="bottom-left" data-log="debug"></script>
+ *
+ *   data-badge  bottom-right (default) | bottom-left | top-right | top-left | off
+ *   data-log    info (default) | debug | off
+ *
+ * and can be overridden per browser from the console:
+ *
+ *   localStorage.setItem('monkeyscms:dev-reload', '{"log":"debug"}')
+ *
+ * A page with work in progress can hold off a reload by cancelling the
+ * `monkeyscms:dev-reload` event on window; the badge then offers the
+ * reload instead.
  */
 (function () {
     'use strict';
 
-    // Configuration
-    const POLL_INTERVAL = 1000; // Check every 1 second
-    const ENDPOINT = '/_dev/reload.json';
-    const DEBUG = true; // Set to false to disable console logs
+    const POLL_ENDPOINT = '/_dev/reload.json';
+    const EVENTS_ENDPOINT = '/_dev/events';
+    const POLL_INTERVAL = 1000;
+    const MAX_BACKOFF = 5000;
+    const STORAGE_KEY = 'monkeyscms:dev-reload';
 
-    let lastVersion = null;
-    let failCount = 0;
-    const MAX_FAILS = 5;
+    // ─── Configuration ──────────────────────────────────────────────────────
+    const script = document.currentScript;
+    const config = {
+        badge: script?.dataset.badge || 'bottom-right',
+        log: script?.dataset.log || 'info',
+    };
+    try {
+        Object.assign(config, JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+    } catch (e) { /* ignore a malformed override */ }
 
     function log(...args) {
-        if (DEBUG) {
-            console.log('[DevServer Hot Reload]', ...args);
-        }
+        if (config.log !== 'off') console.log('[DevServer Hot Reload]', ...args);
     }
 
-    async function checkReload() {
-        try {
-            const url = ENDPOINT + '?t=' + Date.now();
-            const res = await fetch(url, {
-                cache: 'no-store',
-                headers: {
-                    'Cache-Control': 'no-cache'
-                }
-            });
+    function debug(...args) {
+        if (config.log === 'debug') console.debug('[DevServer Hot Reload]', ...args);
+    }
 
-            if (!res.ok) {
-                failCount++;
-                if (failCount >= MAX_FAILS) {
-                    log('Dev server endpoint not responding, stopping checks');
-                    return false; // Stop polling
-                }
-                return true; // Continue polling
-            }
+    let version = null;
+    let pendingReload = false;
 
-            // Reset fail count on success
-            failCount = 0;
+    // ─── Badge ──────────────────────────────────────────────────────────────
+    const BADGE_STATES = {
+        connecting: { color: '#ff0', text: 'DEV MODE · connecting', title: 'Connecting to the dev server' },
+        live: { color: '#0f0', text: 'DEV MODE', title: 'Development mode with hot reload enabled' },
+        offline: { color: '#f80', text: 'DEV MODE · offline', title: 'The dev server is not responding — retrying' },
+        error: { color: '#f44', text: 'DEV MODE · error', title: 'The last change failed to render' },
+        pending: { color: '#0cf', text: 'DEV MODE · reload ↻', title: 'Files changed — click to reload' },
+    };
 
-            const data = await res.json();
+    const badge = document.createElement('div');
+    badge.id = 'dev-mode-badge';
+    badge.style.cssText = `
+        position: fixed;
+        ${config.badge.includes('top') ? 'top' : 'bottom'}: 10px;
+        ${config.badge.includes('left') ? 'left' : 'right'}: 80px;
+        background: #000;
+        padding: 8px 12px;
+        font-size: 11px;
+        border-radius: 6px;
+        z-index: 99999;
+        font-family: monospace;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+        cursor: help;
+    `;
+    badge.addEventListener('click', () => {
+        if (pendingReload) window.location.reload();
+    });
 
-            if (!data || typeof data.version === 'undefined') {
-                log('Invalid response from dev server:', data);
-                return true;
-            }
+    function setStatus(name) {
+        const status = BADGE_STATES[name];
+        badge.textContent = status.text;
+        badge.title = status.title;
+        badge.style.color = status.color;
+        badge.style.cursor = name === 'pending' ? 'pointer' : 'help';
+    }
 
-            log('Polled version:', data.version, 'Last:', lastVersion);
+    // ─── Error overlay ──────────────────────────────────────────────────────
+    let overlay = null;
 
-            if (lastVersion === null) {
-                // First check: just store current version
-                lastVersion = data.version;
-                log('Hot reload initialized, version:', lastVersion);
-                return true;
-            }
+    function showOverlay(status, html) {
+        hideOverlay();
 
-            if (data.version !== lastVersion && data.version > 0) {
-                log('Change detected! Reloading page...');
-                log('  Old version:', lastVersion);
-                log('  New version:', data.version);
+        overlay = document.createElement('div');
+        overlay.id = 'dev-error-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 99998;
+            display: flex;
+            flex-direction: column;
+            background: rgba(0,0,0,0.85);
+            font-family: monospace;
+        `;
 
-                // Add a small delay to ensure file changes are complete
-                setTimeout(() => {
-                    window.location.reload();
-                }, 100);
+        const bar = document.createElement('div');
+        bar.style.cssText = 'display:flex;align-items:center;gap:12px;padding:10px 16px;background:#b00020;color:#fff;font-size:13px;';
+        bar.textContent = `The page fails to render after the last change (HTTP ${status}). Fix it and save — this closes by itself.`;
 
-                return false; // Stop polling (we're reloading)
-            }
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = 'Dismiss';
+        close.style.cssText = 'margin-left:auto;background:transparent;color:#fff;border:1px solid #fff;border-radius:4px;padding:4px 10px;cursor:pointer;';
+        close.addEventListener('click', hideOverlay);
+        bar.appendChild(close);
 
-            return true; // Continue polling
+        // The error page as the server rendered it, with its scripts switched off
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', '');
+        frame.srcdoc = html;
+        frame.style.cssText = 'flex:1;border:0;background:#fff;';
 
-        } catch (error) {
-            failCount++;
-            log('Error checking for reload:', error.message);
+        overlay.append(bar, frame);
+        document.body.appendChild(overlay);
+        setStatus('error');
+    }
 
-            if (failCount >= MAX_FAILS) {
-                log('Too many failures, stopping hot reload checks');
-                return false;
-            }
+    function hideOverlay() {
+        overlay?.remove();
+        overlay = null;
+    }
+
+    // ─── Applying changes ───────────────────────────────────────────────────
+    const IGNORED = /\.map$|(^|\/)\.vite\//;
+
+    // public/css/app.css → /css/app.css, themes/x/y/css/a.css → /themes/x/y/css/a.css
+    function publicPath(file) {
+        if (file.startsWith('public/')) return file.slice('public'.length);
+        if (file.startsWith('themes/')) return '/' + file;
+        return null;
+    }
+
+    // Vite names builds admin-css-Bk3O0yr-.css; a rebuild changes the hash
+    function withoutHash(path) {
+        return path.replace(/-[\w-]{8}(?=\.css$)/, '');
+    }
+
+    function swapStyles(files) {
+        const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+            .filter(link => new URL(link.href, location.href).origin === location.origin);
+
+        files.map(publicPath).filter(Boolean).forEach(path => {
+            links.forEach(link => {
+                const current = new URL(link.href, location.href).pathname;
+                if (current !== path && withoutHash(current) !== withoutHash(path)) return;
 
-            return true; // Continue polling despite error
+                // Load the new sheet next to the old one so the page never shows unstyled
+                const next = link.cloneNode();
+                next.href = path + '?t=' + Date.now();
+                next.addEventListener('load', () => link.remove(), { once: true });
+                next.addEventListener('error', () => next.remove(), { once: true });
+                link.after(next);
+                log('Swapped stylesheet', path);
+            });
+        });
+    }
+
+    // Render the page once in the background first, so a broken change
+    // shows its error instead of replacing the page with it
+    async function reload() {
+        let res;
+        try {
+            res = await fetch(location.href, { cache: 'no-store', headers: { 'Accept': 'text/html' } });
+        } catch (e) {
+            return; // the server went away mid-change; we'll hear from it again
         }
+
+        if (res.status >= 500) {
+            log('The page fails to render after the change (HTTP ' + res.status + ')');
+            showOverlay(res.status, await res.text());
+            return;
+        }
+        hideOverlay();
+
+        const event = new CustomEvent('monkeyscms:dev-reload', { cancelable: true });
+        if (!window.dispatchEvent(event)) {
+            log('Reload held off by the page — click the badge to reload');
+            pendingReload = true;
+            setStatus('pending');
+            return;
+        }
+
+        log('Change detected! Reloading page...');
+        window.location.reload();
     }
 
-    // Start polling
-    log('Starting hot reload polling...');
+    function apply(payload) {
+        debug('Version', payload.version, 'seen', version, payload.files);
 
-    let intervalId = setInterval(async () => {
-        const shouldContinue = await checkReload();
-        if (!shouldContinue) {
-            clearInterval(intervalId);
-            log('âœ‹  Stopped polling');
+        if (version === null) {
+            version = payload.version;
+            log('Hot reload initialized, version:', version);
+            return;
         }
-    }, POLL_INTERVAL);
+        if (payload.version === version && !payload.reset) return;
+        version = payload.version;
 
-    // Show dev mode indicator
-    const devBadge = document.createElement('div');
-    devBadge.id = 'dev-mode-badge';
-    devBadge.innerHTML = 'DEV MODE';
-    devBadge.style.cssText = `
-        position: fixed;
-        bottom: 10px;
-        right: 80px;
-        background: #000;
-        color: #0f0;
-        padding: 8px 12px;
-        font-size: 11px;
-        border-radius: 6px;
-        z-index: 9999;
-        font-family: monospace;
-        box-shadow: 0 2px 10px rgba(0,0,0,0.3);
-        cursor: help;
-    `;
-    devBadge.title = 'Development mode with hot reload enabled';
+        if (payload.reset) {
+            reload();
+            return;
+        }
 
-    // Add to DOM when ready
-    if (document.body) {
-        document.body.appendChild(devBadge);
-    } else {
-        document.addEventListener('DOMContentLoaded', () => {
-            document.body.appendChild(devBadge);
+        const files = payload.files.filter(file => !IGNORED.test(file));
+        if (!files.length) return;
+        log('Changed:', files.join(', '));
+
+        if (files.every(file => file.endsWith('.css'))) {
+            swapStyles(files);
+            // A fixed stylesheet doesn't fix a broken page
+            if (overlay) reload();
+        } else {
+            reload();
+        }
+    }
+
+    // ─── Transport ──────────────────────────────────────────────────────────
+    let failures = 0;
+
+    async function poll() {
+        try {
+            const query = version === null ? '' : '?since=' + version;
+            const res = await fetch(POLL_ENDPOINT + query, { cache: 'no-store' });
+            if (!res.ok) throw new Error('HTTP ' + res.status);
+
+            if (failures) log('Dev server is back');
+            failures = 0;
+            if (!pendingReload && !overlay) setStatus('live');
+            apply(await res.json());
+        } catch (error) {
+            if (!failures) log('Dev server not responding, retrying:', error.message);
+            failures++;
+            setStatus('offline');
+        }
+
+        setTimeout(poll, Math.min(POLL_INTERVAL * 2 ** failures, MAX_BACKOFF));
+    }
+
+    function listen() {
+        if (!window.EventSource) {
+            poll();
+            return;
+        }
+
+        const source = new EventSource(EVENTS_ENDPOINT);
+        let opened = false;
+        let offlineTimer = null;
+
+        source.addEventListener('open', () => {
+            opened = true;
+            clearTimeout(offlineTimer);
+            debug('Event stream open');
+            if (!pendingReload && !overlay) setStatus('live');
         });
+        source.addEventListener('message', event => apply(JSON.parse(event.data)));
+        source.addEventListener('error', () => {
+            // CLOSED without ever opening: no stream on this server (a single
+            // worker answers 204) — poll instead
+            if (source.readyState === EventSource.CLOSED) {
+                source.close();
+                if (!opened) debug('No event stream, polling instead');
+                poll();
+                return;
+            }
+            // Otherwise the browser reconnects by itself, resuming from the last
+            // id. The server ends each stream after a while, so only call it
+            // offline when that takes longer than a moment.
+            clearTimeout(offlineTimer);
+            if (opened) offlineTimer = setTimeout(() => setStatus('offline'), 3000);
+        });
+    }
+
+    // ─── Start ──────────────────────────────────────────────────────────────
+    function start() {
+        if (config.badge !== 'off') {
+            setStatus('connecting');
+            document.body.appendChild(badge);
+        }
+        listen();
     }
 
-    log('Hot reload client initialized');
-})();
\ No newline at end of file
+    if (document.body) {
+        start();
+    } else {
+        document.addEventListener('DOMContentLoaded', start);
+    }
+})();
@@ -0,0 +1,277 @@
+/**
+ * MonkeysCMS — Admin API Client
+ *
+ * The HTTP client every admin screen uses, built on MonkeysJS's
+ * createClient. On top of it:
+ *
+ * - state-changing requests carry the session's CSRF token
+ * - a 401 opens a "session expired" dialog; once the user has signed in
+ *   again the request is replayed, so no edits are lost
+ * - idempotent calls (GET, HEAD, PUT, DELETE) retry with backoff when the
+ *   server fails or the network drops
+ * - a request sent with a `key` cancels the previous one with the same key
+ * - failures go to the handler registered with onApiError() — admin.js
+ *   shows them with notify() — unless the call passes `silent: true`
+ *
+ *   const api = createApiClient('/admin/api/content');
+ *   const res = await api.get('/', { params, key: 'list' });
+ *   await api.put('/' + id, { title }, { silent: true });
+ *
+ * Objects are JSON-encoded here — pass them as they are. Responses and
+ * errors keep createClient's shape: `res.data` is the parsed body, errors
+ * are HttpErrors with `status` and `response`.
+ */
+
+import { createClient } from 'monkeysjs';
+
+const IDEMPOTENT = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The status VerifyCsrfToken answers with when the session token has rotated
+const CSRF_EXPIRED = 419;
+
+export const API_DEFAULTS = {
+  headers: {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'X-Requested-With': 'XMLHttpRequest',
+  },
+  retries: 2,          // extra attempts for idempotent calls
+  retryDelay: 500,     // doubled after every attempt
+  relogin: true,       // ask the user to sign in again on 401
+  loginUrl: '/admin/login',
+};
+
+// ─── CSRF ───────────────────────────────────────────────────────────────────
+let csrf = null;
+
+/** The token from the page's `<meta name="csrf-token">`. */
+export function csrfToken() {
+  if (csrf === null) {
+    csrf = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+  }
+  return csrf;
+}
+
+/** Headers for requests sent without this client (XHR uploads, plain fetch). */
+export function csrfHeaders() {
+  const token = csrfToken();
+  return token ? { 'X-CSRF-TOKEN': token } : {};
+}
+
+// Signing in starts a new session with a new token — read it from a fresh copy of the page
+async function refreshCsrfToken() {
+  try {
+    const res = await fetch(window.location.href, { credentials: 'same-origin', headers: { 'Accept': 'text/html' } });
+    const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+    const token = doc.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
+    if (token) {
+      csrf = token;
+      document.querySelector('meta[name="csrf-token"]')?.setAttribute('content', token);
+    }
+  } catch { /* keep the old token; the replay will say if it was wrong */ }
+}
+
+// ─── Errors ─────────────────────────────────────────────────────────────────
+const errorHandlers = new Set();
+
+/**
+ * Register a handler for failed requests. Returns a function that
+ * removes it. Without any handler, failures are only logged.
+ */
+export function onApiError(handler) {
+  errorHandlers.add(handler);
+  return () => errorHandlers.delete(handler);
+}
+
+/** A request that was cancelled on purpose — not worth telling anyone about. */
+export function isCancelled(err) {
+  return Boolean(err?.cancelled);
+}
+
+/** The message to show for a failed request. */
+export function errorMessage(err, fallback = 'The request failed') {
+  const body = err?.response;
+  if (body && typeof body === 'object') {
+    const message = body.error || body.errors?.[0]?.detail || body.message;
+    if (typeof message === 'string' && message) return message;
+  }
+  if (!err?.status) return 'Could not reach the server — check your connection';
+  return `${fallback} (${err.status})`;
+}
+
+function report(err) {
+  if (!errorHandlers.size) {
+    console.error('[API]', err);
+    return;
+  }
+  errorHandlers.forEach(handler => handler(err, errorMessage(err)));
+}
+
+// ─── Session expiry ─────────────────────────────────────────────────────────
+let pendingLogin = null;
+
+function sessionDialog(loginUrl) {
+  return new Promise(resolve => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'session-dialog';
+    dialog.setAttribute('aria-labelledby', 'session-dialog-title');
+    dialog.innerHTML = `
+      <h2 id="session-dialog-title" class="session-dialog__title">Your session has expired</h2>
+      <p class="session-dialog__text">Sign in again in the window that opens, then continue. Nothing you were working on is lost.</p>
+      <div class="session-dialog__actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-action="cancel">Cancel</button>
+        <button type="button" class="btn btn-secondary btn-sm" data-action="login">Sign in</button>
+        <button type="button" class="btn btn-primary btn-sm" data-action="continue">Continue</button>
+      </div>`;
+
+    let loginWindow = null;
+    let watcher = null;
+
+    const finish = signedIn => {
+      clearInterval(watcher);
+      dialog.close();
+      dialog.remove();
+      resolve(signedIn);
+    };
+
+    dialog.addEventListener('click', event => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'cancel') finish(false);
+      if (action === 'continue') finish(true);
+      if (action === 'login') {
+        loginWindow = window.open(loginUrl, 'monkeyscms-login', 'width=480,height=640');
+        if (!loginWindow) {
+          window.open(loginUrl, '_blank');
+          return;
+        }
+        // Closing the sign-in window is as good as pressing Continue
+        clearInterval(watcher);
+        watcher = setInterval(() => { if (loginWindow.closed) finish(true); }, 500);
+      }
+    });
+    dialog.addEventListener('cancel', event => {
+      event.preventDefault();
+      finish(false);
+    });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+    dialog.querySelector('[data-action="login"]').focus();
+  });
+}
+
+// Requests that fail together share one dialog and all replay after it
+function waitForLogin(loginUrl) {
+  pendingLogin ??= sessionDialog(loginUrl).finally(() => { pendingLogin = null; });
+  return pendingLogin;
+}
+
+// ─── Client ─────────────────────────────────────────────────────────────────
+/**
+ * @param {string} baseURL  e.g. '/admin/api/media'
+ * @param {object} options  API_DEFAULTS overrides
+ * @returns {{get, post, put, patch, delete, request, cancel, sendBeacon}}
+ *   every method takes per-call options besides createClient's own:
+ *   key    — cancel the previous in-flight request with the same key
+ *   silent — the caller shows its own error, don't report it
+ */
+export function createApiClient(baseURL = '/admin/api', options = {}) {
+  const config = { ...API_DEFAULTS, ...options, headers: { ...API_DEFAULTS.headers, ...options.headers } };
+  // Retries are decided per call below; keyed requests must never be deduplicated
+  const client = createClient({ baseURL, retries: 0, dedupeRequests: false });
+  const inflight = new Map(); // key → AbortController
+
+  function cancel(key) {
+    inflight.get(key)?.abort();
+    inflight.delete(key);
+  }
+
+  async function request(method, url, data, { key = null, silent = false, signal = null, headers = {}, ...rest } = {}) {
+    method = method.toUpperCase();
+
+    let controller = null;
+    if (key) {
+      cancel(key);
+      controller = new AbortController();
+      inflight.set(key, controller);
+    }
+    if (signal) {
+      controller ??= new AbortController();
+      signal.aborted ? controller.abort() : signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    const send = () => client.request({
+      retries: IDEMPOTENT.includes(method) ? config.retries : 0,
+      retryDelay: config.retryDelay,
+      retryBackoff: 'exponential',
+      retryCondition: err => err.status >= 500 || err.status === 429,
+      ...rest,
+      url,
+      method,
+      data,
+      headers: { ...config.headers, ...(SAFE_METHODS.includes(method) ? {} : csrfHeaders()), ...headers },
+      signal: controller?.signal,
+    });
+
+    // createClient only hears an abort once its fetch is under way, so a
+    // request cancelled before that would still run and resolve: settle it here
+    const cancelled = controller && new Promise((_, reject) => {
+      const fail = () => reject(Object.assign(new Error('Request cancelled'), { status: 0, response: null }));
+      controller.signal.aborted ? fail() : controller.signal.addEventListener('abort', fail, { once: true });
+    });
+    cancelled?.catch(() => {}); // an abort after the response is nobody's concern
+
+    let csrfRetried = false;
+    try {
+      for (;;) {
+        try {
+          return await (cancelled ? Promise.race([send(), cancelled]) : send());
+        } catch (err) {
+          if (controller?.signal.aborted) {
+            err.cancelled = true;
+            throw err;
+          }
+          if (err.status === CSRF_EXPIRED && !csrfRetried) {
+            csrfRetried = true;
+            await refreshCsrfToken();
+            continue;
+          }
+          if (err.status === 401 && config.relogin && await waitForLogin(config.loginUrl)) {
+            await refreshCsrfToken();
+            continue;
+          }
+          throw err;
+        }
+      }
+    } catch (err) {
+      if (!silent && !isCancelled(err)) report(err);
+      throw err;
+    } finally {
+      if (key && inflight.get(key) === controller) inflight.delete(key);
+    }
+  }
+
+  // A request sent while the page unloads has to outlive it. That takes
+  // fetch's `keepalive`, which createClient doesn't pass on.
+  function sendBeacon(method, url, data) {
+    return fetch(baseURL + url, {
+      method: method.toUpperCase(),
+      keepalive: true,
+      credentials: 'same-origin',
+      headers: { ...config.headers, ...csrfHeaders() },
+      body: data === undefined ? undefined : JSON.stringify(data),
+    }).catch(() => null);
+  }
+
+  return {
+    get: (url, opts) => request('GET', url, undefined, opts),
+    post: (url, data, opts) => request('POST', url, data, opts),
+    put: (url, data, opts) => request('PUT', url, data, opts),
+    patch: (url, data, opts) => request('PATCH', url, data, opts),
+    delete: (url, opts) => request('DELETE', url, undefined, opts),
+    request: ({ method = 'GET', url, data, ...opts }) => request(method, url, data, opts),
+    cancel,
+    sendBeacon,
+  };
+}
@@ -12,20 +12,21 @@ import {
   computed,
   watch,
   http,
-  createClient,
   useForm,
   useWebSocket,
   debounce,
 } from 'monkeysjs';
+import { installSafeHtml } from './sanitize.js';
+import { createApiClient, onApiError } from './admin-api.js';
+import { toasts, notify, dismiss, pauseToasts, resumeToasts, runToastAction } from './toasts.js';
+import { registerShortcuts, shortcutState, openCheatSheet, closeCheatSheet } from './shortcuts.js';
+import { paletteState, openPalette, closePalette, setPaletteQuery, runResult, onPaletteKeydown } from './command-palette.js';
+
+// Every `$m-html` binding in the admin is sanitized before it reaches the DOM
+installSafeHtml();
 
 // ─── HTTP Client Configuration ──────────────────────────────────────────────
-const api = createClient({
-  baseURL: '/admin/api',
-  headers: {
-    'X-Requested-With': 'XMLHttpRequest',
-    'Accept': 'application/json',
-  },
-});
+const api = createApiClient('/admin/api');
 
 // ─── Global Admin State ─────────────────────────────────────────────────────
 const adminState = reactive({
@@ -33,23 +34,20 @@ const adminState = reactive({
     open: true,
     collapsed: false,
   },
-  notifications: [],
+  notifications: toasts,
   user: null,
   loading: false,
 });
 
-// ─── Notification System ────────────────────────────────────────────────────
-function notify(message, type = 'info', duration = 5000) {
-  const id = Date.now();
-  adminState.notifications.push({ id, message, type, visible: true });
+// Failed admin API calls surface here unless the caller handles them itself
+onApiError((err, message) => notify(message, 'error'));
 
-  if (duration > 0) {
-    setTimeout(() => {
-      const idx = adminState.notifications.findIndex(n => n.id === id);
-      if (idx !== -1) adminState.notifications.splice(idx, 1);
-    }, duration);
-  }
-}
+// ─── Keyboard ───────────────────────────────────────────────────────────────
+// Pages add their own scopes on top (see shortcuts.js)
+registerShortcuts('Everywhere', {
+  'mod+k': { label: 'Open the command palette', run: () => (paletteState.open ? closePalette() : openPalette()), inInputs: true },
+  '?': { label: 'Show keyboard shortcuts', run: () => (shortcutState.cheatSheetOpen ? closeCheatSheet() : openCheatSheet()) },
+});
 
 // ─── Initialize Admin App ───────────────────────────────────────────────────
 const app = createApp({
@@ -65,13 +63,22 @@ const app = createApp({
     adminState.sidebar.collapsed = !adminState.sidebar.collapsed;
   },
 
-  // Notifications
+  // Notifications (see toasts.js)
   notify,
+  dismissNotification: dismiss,
+  pauseNotifications: pauseToasts,
+  resumeNotifications: resumeToasts,
+  runNotificationAction: runToastAction,
 
-  dismissNotification(id) {
-    const idx = adminState.notifications.findIndex(n => n.id === id);
-    if (idx !== -1) adminState.notifications.splice(idx, 1);
-  },
+  // Command palette and shortcut cheat sheet (see command-palette.js, shortcuts.js)
+  palette: paletteState,
+  openPalette,
+  closePalette,
+  setPaletteQuery,
+  runPaletteResult: runResult,
+  onPaletteKeydown,
+  shortcuts: shortcutState,
+  closeCheatSheet,
 
   // HTTP helpers
   api,
@@ -0,0 +1,216 @@
+/**
+ * MonkeysCMS — Command Palette
+ *
+ * Ctrl+K (⌘K on a Mac) opens a search box that jumps to admin sections,
+ * runs registered commands and finds content by title.
+ * The markup lives in layouts/admin.ml.php.
+ *
+ *   registerCommand({ id: 'new-page', label: 'New page', group: 'Content', href: '/admin/content/create/page' });
+ *   registerCommand({ id: 'collapse', label: 'Collapse the sidebar', run: () => collapseSidebar() });
+ *
+ * Theme scripts are plain <script> files, so they queue commands on a
+ * global instead; the palette picks them up whenever it loads:
+ *
+ *   window.MonkeysCMS = window.MonkeysCMS || {};
+ *   (window.MonkeysCMS.commands = window.MonkeysCMS.commands || []).push({ id, label, href });
+ */
+
+import { reactive, debounce } from 'monkeysjs';
+import { createApiClient, isCancelled } from './admin-api.js';
+
+// Drafts too — the public /api/v1/search only finds published content
+const contentApi = createApiClient('/admin/api/content');
+
+const COMMAND_LIMIT = 8;
+const CONTENT_LIMIT = 6;
+
+export const ADMIN_SECTIONS = [
+  { id: 'go-dashboard', label: 'Dashboard', href: '/admin', keywords: 'home overview' },
+  { id: 'go-content', label: 'Content', href: '/admin/content', keywords: 'pages articles nodes' },
+  { id: 'go-media', label: 'Media library', href: '/admin/media', keywords: 'images files uploads' },
+  { id: 'go-menus', label: 'Menus', href: '/admin/menus', keywords: 'navigation links' },
+  { id: 'go-taxonomy', label: 'Taxonomy', href: '/admin/taxonomy', keywords: 'tags categories terms vocabularies' },
+  { id: 'go-blocks', label: 'Block types', href: '/admin/blocks', keywords: 'mosaic' },
+  { id: 'go-content-types', label: 'Content types', href: '/admin/content-types', keywords: 'fields structure' },
+  { id: 'go-users', label: 'Users', href: '/admin/users', keywords: 'people accounts roles' },
+  { id: 'go-settings', label: 'Settings', href: '/admin/settings', keywords: 'configuration options' },
+];
+
+export const paletteState = reactive({
+  open: false,
+  query: '',
+  results: [], // { id, label, hint, group, href?, run? }
+  active: 0,
+  loading: false,
+});
+
+const commands = new Map(); // id → command, in registration order
+let restoreFocus = null;
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+/**
+ * @param {object} command
+ *   id       — unique; registering the same id again replaces it
+ *   label    — what the user sees and searches
+ *   group    — heading in the results (default "Go to" for links, "Commands" otherwise)
+ *   keywords — extra words to match on
+ *   href | run — where it leads, or what it does
+ * @returns {Function} removes the command again
+ */
+export function registerCommand(command) {
+  if (!command?.id || !command.label || !(command.href || command.run)) {
+    console.warn('[Palette] A command needs an id, a label and an href or run():', command);
+    return () => {};
+  }
+
+  commands.set(command.id, { group: command.href ? 'Go to' : 'Commands', ...command });
+  return () => commands.delete(command.id);
+}
+
+ADMIN_SECTIONS.forEach(registerCommand);
+
+function matchCommands(query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const all = [...commands.values()];
+  if (!words.length) return all.slice(0, COMMAND_LIMIT);
+
+  return all
+    .map(command => {
+      const label = command.label.toLowerCase();
+      const haystack = label + ' ' + (command.keywords || '').toLowerCase();
+      if (!words.every(word => haystack.includes(word))) return null;
+      // Labels that start with the query come first
+      return { command, rank: label.startsWith(words[0]) ? 0 : label.includes(words[0]) ? 1 : 2 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, COMMAND_LIMIT)
+    .map(match => match.command);
+}
+
+// ─── Content search ─────────────────────────────────────────────────────────
+async function searchContent(query) {
+  const params = new URLSearchParams({ q: query, per_page: String(CONTENT_LIMIT) });
+
+  // Each keystroke cancels the previous search
+  const res = await contentApi.get('/?' + params.toString(), { key: 'palette', silent: true });
+
+  return (res.data?.data || []).map(node => ({
+    id: 'node-' + node.id,
+    label: node.attributes?.title || `Node #${node.id}`,
+    hint: [node.type, node.attributes?.status].filter(Boolean).join(' · '),
+    group: 'Content',
+    href: `/admin/content/${node.id}/edit`,
+  }));
+}
+
+const searchSoon = debounce(async () => {
+  const query = paletteState.query.trim();
+  if (query.length < 2) return;
+
+  paletteState.loading = true;
+  try {
+    const found = await searchContent(query);
+    if (paletteState.query.trim() !== query) return;
+    paletteState.results = [...paletteState.results.filter(r => r.group !== 'Content'), ...found];
+    paletteState.loading = false;
+  } catch (err) {
+    if (!isCancelled(err)) paletteState.loading = false;
+  }
+}, 200);
+
+// ─── Palette ────────────────────────────────────────────────────────────────
+function refresh() {
+  const query = paletteState.query.trim();
+  paletteState.results = matchCommands(query);
+  paletteState.active = 0;
+
+  if (query.length >= 2) {
+    searchSoon();
+  } else {
+    searchSoon.cancel();
+    contentApi.cancel('palette');
+    paletteState.loading = false;
+  }
+}
+
+export function openPalette() {
+  if (paletteState.open) return;
+
+  adoptThemeCommands();
+  restoreFocus = document.activeElement;
+  paletteState.open = true;
+  paletteState.query = '';
+  refresh();
+
+  setTimeout(() => document.getElementById('command-palette-input')?.focus(), 0);
+}
+
+export function closePalette() {
+  if (!paletteState.open) return;
+
+  paletteState.open = false;
+  searchSoon.cancel();
+  contentApi.cancel('palette');
+  paletteState.loading = false;
+  restoreFocus?.focus?.();
+  restoreFocus = null;
+}
+
+export function setPaletteQuery(query) {
+  paletteState.query = query;
+  refresh();
+}
+
+export function runResult(result) {
+  if (!result) return;
+  closePalette();
+  if (result.run) result.run();
+  else if (result.href) window.location.href = result.href;
+}
+
+/** Arrow keys move, Enter runs, Escape closes — bound to the palette's input. */
+export function onPaletteKeydown(event) {
+  const count = paletteState.results.length;
+
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      if (count) paletteState.active = (paletteState.active + 1) % count;
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      if (count) paletteState.active = (paletteState.active - 1 + count) % count;
+      break;
+    case 'Enter':
+      event.preventDefault();
+      runResult(paletteState.results[paletteState.active]);
+      break;
+    case 'Escape':
+      event.preventDefault();
+      event.stopPropagation();
+      closePalette();
+      break;
+    case 'Tab':
+      // Focus stays in the palette while it is open
+      event.preventDefault();
+      break;
+  }
+}
+
+// ─── Theme commands ─────────────────────────────────────────────────────────
+// Take over window.MonkeysCMS.commands: queued entries are registered now,
+// later push() calls register straight away.
+function adoptThemeCommands() {
+  const ns = (window.MonkeysCMS = window.MonkeysCMS || {});
+  if (ns.commands?.adopted) return;
+
+  const queued = Array.isArray(ns.commands) ? ns.commands : [];
+  ns.commands = {
+    adopted: true,
+    push: (...added) => added.forEach(registerCommand),
+  };
+  queued.forEach(registerCommand);
+}
+
+if (typeof window !== 'undefined') adoptThemeCommands();
@@ -0,0 +1,90 @@
+/**
+ * MonkeysCMS — Form Rules
+ *
+ * Browser-side checks for admin forms, mirroring the server's rules
+ * (see App\Cms\Content\ContentValidator) so most mistakes are caught
+ * before a request goes out. The server still has the final say.
+ *
+ *   checkValue('email', 'not-an-address', { label: 'Contact' })
+ *   // → 'Enter a valid e-mail address.'
+ */
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Deliberately loose — one @, something on both sides, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function isEmpty(value) {
+  return value === null || value === undefined || value === '' || value === false
+    || (Array.isArray(value) && value.length === 0);
+}
+
+export function isEmail(value) {
+  return EMAIL_PATTERN.test(String(value));
+}
+
+export function isUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+export function isSlug(value) {
+  return SLUG_PATTERN.test(String(value));
+}
+
+/**
+ * Check one value against its field type.
+ *
+ * @param {string} type  field type: email | url | slug | integer | float | decimal | …
+ * @param {*} value
+ * @param {object} options
+ *   required  — an empty value is an error
+ *   label     — used in the "is required" message
+ *   maxLength — longest allowed string
+ * @returns {string|null} an error message, or null when the value is fine
+ */
+export function checkValue(type, value, { required = false, label = 'This field', maxLength = null } = {}) {
+  if (isEmpty(value)) {
+    return required ? `${label} is required.` : null;
+  }
+
+  if (maxLength !== null && String(value).length > maxLength) {
+    return `${label} must be at most ${maxLength} characters.`;
+  }
+
+  switch (type) {
+    case 'email':
+      return isEmail(value) ? null : 'Enter a valid e-mail address.';
+    case 'url':
+      return isUrl(value) ? null : 'Enter a full URL starting with http:// or https://.';
+    case 'slug':
+      return isSlug(value) ? null : 'Use lowercase letters, numbers and single hyphens only.';
+    case 'integer':
+      return /^-?\d+$/.test(String(value).trim()) ? null : 'Enter a whole number.';
+    case 'float':
+    case 'decimal':
+      return String(value).trim() !== '' && Number.isFinite(Number(value)) ? null : 'Enter a number.';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Run a set of rules and collect the failures.
+ *
+ * @param {Object<string, {type?: string, value: *, required?: boolean, label?: string, maxLength?: number}>} rules
+ *   keyed by form path, e.g. { title: {...}, 'fields.email': {...} }
+ * @returns {Object<string, string>} path → message, only for failing paths
+ */
+export function checkAll(rules) {
+  const errors = {};
+  Object.entries(rules).forEach(([path, rule]) => {
+    const message = checkValue(rule.type || 'string', rule.value, rule);
+    if (message) errors[path] = message;
+  });
+  return errors;
+}
@@ -11,17 +11,19 @@ import {
   http,
   autoInit,
 } from 'monkeysjs';
+import { initSiteSearch } from './site-search.js';
+import { initSiteMenus } from './site-menu.js';
 
 // ─── Frontend App ───────────────────────────────────────────────────────────
-const app = createApp({
-  menuOpen: false,
-
-  toggleMenu() {
-    this.menuOpen = !this.menuOpen;
-  },
-});
+const app = createApp({});
 
 // Auto-initialize any $m-* directives in the DOM
 autoInit();
 
+// Instant results for search forms marked data-site-search
+initSiteSearch();
+
+// Menubars and the mobile drawer for nav[data-site-menu]
+initSiteMenus();
+
 export { app };
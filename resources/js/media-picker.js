@@ -0,0 +1,201 @@
+/**
+ * MonkeysCMS — Media Picker
+ *
+ * Modal for choosing media library items by thumbnail instead of typing
+ * ids. Shared by the Mosaic settings panel and the content form; the
+ * markup lives in resources/views/components/media-picker.ml.php and binds
+ * to the object returned here as `picker`.
+ *
+ *   picker.open({ value, multiple, type, onSelect })
+ *
+ * `onSelect` receives one id (or null) for single pickers and an array of
+ * ids for `multiple` ones. Files uploaded from inside the picker are
+ * selected automatically.
+ */
+
+import { reactive, debounce } from 'monkeysjs';
+import { createApiClient, isCancelled } from './admin-api.js';
+import { createUploader } from './media-uploader.js';
+
+const api = createApiClient('/admin/api/media');
+let pickerCount = 0;
+
+function toIds(value) {
+  const list = Array.isArray(value) ? value : (value === null || value === undefined || value === '' ? [] : [value]);
+  return list.map(Number).filter(id => Number.isInteger(id) && id > 0);
+}
+
+/**
+ * @param {object} options
+ *   perPage — thumbnails per page (default 24)
+ *   limits  — upload limits from MediaApiController::uploadLimits()
+ */
+export function createMediaPicker({ perPage = 24, limits = null } = {}) {
+  const listKey = 'picker-list-' + (++pickerCount);
+  const state = reactive({
+    open: false,
+    multiple: false,
+    type: '',          // mime group filter: image | video | audio | application
+    typeLocked: false, // the field only takes one kind of media
+    query: '',
+    items: [],
+    page: 1,
+    lastPage: 1,
+    total: 0,
+    loading: false,
+    error: null,
+    selected: [],      // ids, in pick order
+    known: {},         // id → media resource, for thumbnails outside the modal
+  });
+
+  let onSelect = null;
+  const pending = new Set();
+
+  const uploader = createUploader({
+    ...(limits ? {
+      maxSize: limits.max_size,
+      chunkSize: limits.chunk_size,
+      extensions: limits.extensions,
+    } : {}),
+    onUploaded(media) {
+      remember([media]);
+      state.items = [media, ...state.items.filter(i => i.id !== media.id)];
+      state.total++;
+      select(media);
+    },
+  });
+
+  function remember(items) {
+    const known = { ...state.known };
+    items.forEach(item => { known[item.id] = item; });
+    state.known = known;
+  }
+
+  // ── Opening & closing ─────────────────────────────────────────────────
+  function open({ value = null, multiple = false, type = '', onSelect: callback = null } = {}) {
+    onSelect = callback;
+    state.multiple = multiple;
+    state.type = type || '';
+    state.typeLocked = Boolean(type);
+    state.query = '';
+    state.selected = toIds(value);
+    state.error = null;
+    state.open = true;
+    load(1);
+  }
+
+  function close() {
+    state.open = false;
+    onSelect = null;
+  }
+
+  function confirm() {
+    const ids = [...state.selected];
+    onSelect?.(state.multiple ? ids : (ids[0] ?? null));
+    close();
+  }
+
+  // ── Listing ───────────────────────────────────────────────────────────
+  async function load(page = state.page) {
+    state.loading = true;
+    state.error = null;
+
+    const params = new URLSearchParams({ page: String(page), per_page: String(perPage) });
+    if (state.type) params.set('type', state.type);
+    if (state.query.trim()) params.set('q', state.query.trim());
+
+    try {
+      // A newer search, filter or page cancels this one
+      const res = await api.get('/?' + params.toString(), { key: listKey, silent: true });
+      state.items = res.data?.data || [];
+      state.page = res.data?.meta?.page ?? page;
+      state.lastPage = Math.max(1, res.data?.meta?.last_page ?? 1);
+      state.total = res.data?.meta?.total ?? state.items.length;
+      remember(state.items);
+      state.loading = false;
+    } catch (err) {
+      if (isCancelled(err)) return;
+      state.error = err.response?.error || 'Could not load the media library';
+      state.loading = false;
+    }
+  }
+
+  const search = debounce(() => load(1), 300);
+
+  function setQuery(query) {
+    state.query = query;
+    search();
+  }
+
+  function setType(type) {
+    if (state.typeLocked) return;
+    state.type = type;
+    load(1);
+  }
+
+  function goToPage(page) {
+    if (page >= 1 && page <= state.lastPage) load(page);
+  }
+
+  // ── Selection ─────────────────────────────────────────────────────────
+  function select(item) {
+    if (state.multiple) {
+      if (!state.selected.includes(item.id)) state.selected = [...state.selected, item.id];
+    } else {
+      state.selected = [item.id];
+    }
+  }
+
+  function toggle(item) {
+    if (state.selected.includes(item.id)) {
+      state.selected = state.selected.filter(id => id !== item.id);
+    } else {
+      select(item);
+    }
+  }
+
+  function isSelected(id) {
+    return state.selected.includes(id);
+  }
+
+  // ── Thumbnails for a field value ──────────────────────────────────────
+  /**
+   * Media resources for a stored field value (an id or a list of ids).
+   * Unknown ids are fetched in the background; they appear once loaded.
+   */
+  function describe(value) {
+    const ids = toIds(value);
+
+    ids.filter(id => !state.known[id] && !pending.has(id)).forEach(id => {
+      pending.add(id);
+      api.get('/' + id, { silent: true })
+        .then(res => { if (res.data?.data) remember([res.data.data]); })
+        .catch(() => remember([{ id, missing: true, attributes: { original_name: `Missing file #${id}` } }]))
+        .finally(() => pending.delete(id));
+    });
+
+    return ids.map(id => state.known[id] || { id, loading: true, attributes: { original_name: `#${id}` } });
+  }
+
+  /** Remove one id from a stored value, keeping its shape. */
+  function without(value, id) {
+    return Array.isArray(value) ? toIds(value).filter(v => v !== id) : null;
+  }
+
+  return {
+    state,
+    upload: uploader,
+    open,
+    close,
+    confirm,
+    load,
+    setQuery,
+    setType,
+    goToPage,
+    toggle,
+    isSelected,
+    describe,
+    without,
+    uploadFiles: files => uploader.add(files),
+  };
+}
@@ -0,0 +1,378 @@
+/**
+ * MonkeysCMS — Media Uploader
+ *
+ * Upload queue for the media library, built on the chunked upload
+ * endpoints of MediaApiController (POST/PUT/GET /admin/api/media/uploads).
+ *
+ * - files are checked against the server's type and size limits first
+ * - large JPEG/PNG/WebP images are scaled down in the browser
+ * - a few files upload in parallel, each in chunks with byte progress
+ * - a dropped connection resumes from the last byte the server stored
+ * - failed files stay in the queue until retried or dismissed
+ */
+
+import { reactive, uuid } from 'monkeysjs';
+import { csrfHeaders } from './admin-api.js';
+
+const RESIZABLE = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const UPLOAD_DEFAULTS = {
+  endpoint: '/admin/api/media/uploads',
+  concurrency: 3,
+  chunkSize: 2 * 1024 * 1024,
+  maxSize: 50 * 1024 * 1024,
+  extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'mp4', 'm4v', 'webm', 'mov', 'mp3', 'm4a', 'ogg', 'wav', 'pdf', 'doc', 'docx', 'xls', 'xlsx'],
+  maxImageDimension: 2560,
+  imageQuality: 0.85,
+  retries: 5,
+};
+
+// ─── Checks ─────────────────────────────────────────────────────────────────
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return Math.round(value * 10) / 10 + ' ' + units[i];
+}
+
+/** By extension, as the server checks it; the server also reads the bytes. */
+export function checkType(file, { extensions }) {
+  const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+  if (extensions.includes(ext)) return null;
+  if (ext === 'svg' || ext === 'svgz') return `${file.name} is an SVG image, which can contain scripts; upload a PNG or WebP instead`;
+  return `${file.name} is not an allowed file type`;
+}
+
+export function checkSize(file, { maxSize }) {
+  return file.size > maxSize ? `${file.name} is larger than the ${formatBytes(maxSize)} upload limit` : null;
+}
+
+/**
+ * Scale an image down so its longest side fits `maxDimension`.
+ * Returns the original file when it's already small enough, isn't a
+ * resizable format, or the re-encoded copy would be larger.
+ */
+export async function resizeImage(file, maxDimension, quality = 0.85) {
+  if (!RESIZABLE.includes(file.type) || typeof createImageBitmap !== 'function') return file;
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    return file;
+  }
+
+  const scale = maxDimension / Math.max(bitmap.width, bitmap.height);
+  if (scale >= 1) {
+    bitmap.close?.();
+    return file;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, quality));
+  if (!blob || blob.size >= file.size) return file;
+
+  return new File([blob], file.name, { type: file.type, lastModified: file.lastModified });
+}
+
+// ─── Transport ──────────────────────────────────────────────────────────────
+class UploadError extends Error {
+  constructor(message, status = 0, body = null) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.body = body;
+  }
+
+  /** Network failures and server errors are worth another try. */
+  get retryable() {
+    return this.status === 0 || this.status >= 500;
+  }
+}
+
+function request(method, url, { body = null, headers = {}, onProgress = null, xhrRef = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    if (xhrRef) xhrRef.current = xhr;
+
+    xhr.open(method, url);
+    xhr.setRequestHeader('Accept', 'application/json');
+    xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+    Object.entries({ ...csrfHeaders(), ...headers }).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+
+    if (onProgress) xhr.upload.onprogress = e => onProgress(e.loaded);
+
+    xhr.onload = () => {
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch { /* empty or non-JSON body */ }
+
+      if (xhr.status >= 200 && xhr.status < 300) resolve(data);
+      else reject(new UploadError(data?.error || `Upload failed (${xhr.status})`, xhr.status, data));
+    };
+    xhr.onerror = () => reject(new UploadError('Network error — the upload will resume'));
+    xhr.onabort = () => reject(new UploadError('Cancelled', -1));
+
+    xhr.send(body);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Queue ──────────────────────────────────────────────────────────────────
+/**
+ * @param {object} options  UPLOAD_DEFAULTS overrides, plus callbacks:
+ *   onUploaded(media) — a file finished; `media` is the API resource
+ *   onIdle()          — the queue has nothing left to do
+ */
+export function createUploader(options = {}) {
+  const config = { ...UPLOAD_DEFAULTS, ...options };
+
+  // File objects live outside the reactive state — proxied Files can't be read
+  const files = new Map();
+  const requests = new Map();
+
+  const state = reactive({
+    items: [], // { id, name, size, type, status, loaded, error, retryable, uploadId }
+    active: 0,
+  });
+
+  function find(id) {
+    return state.items.find(item => item.id === id);
+  }
+
+  // ── Adding files ──────────────────────────────────────────────────────
+  function add(fileList) {
+    for (const file of Array.from(fileList || [])) {
+      const id = uuid();
+      const error = checkType(file, config)
+        || (RESIZABLE.includes(file.type) ? null : checkSize(file, config));
+
+      files.set(id, file);
+      state.items.push({
+        id,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        status: error ? 'error' : 'queued',
+        loaded: 0,
+        error,
+        retryable: false,
+        uploadId: null,
+      });
+    }
+
+    pump();
+  }
+
+  // ── Scheduling ────────────────────────────────────────────────────────
+  function pump() {
+    while (state.active < config.concurrency) {
+      const next = state.items.find(item => item.status === 'queued');
+      if (!next) break;
+
+      state.active++;
+      run(next.id).finally(() => {
+        state.active--;
+        pump();
+      });
+    }
+
+    if (state.active === 0) config.onIdle?.();
+  }
+
+  async function run(id) {
+    const item = find(id);
+    item.status = 'preparing';
+    item.error = null;
+
+    try {
+      // Resize once; the resized copy replaces the original for retries
+      if (!item.uploadId && RESIZABLE.includes(item.type)) {
+        const resized = await resizeImage(files.get(id), config.maxImageDimension, config.imageQuality);
+        const sizeError = checkSize(resized, config);
+        if (sizeError) throw new UploadError(sizeError, 413);
+
+        files.set(id, resized);
+        item.size = resized.size;
+      }
+
+      const media = await upload(item);
+      item.status = 'done';
+      item.loaded = item.size;
+      files.delete(id);
+      config.onUploaded?.(media);
+    } catch (err) {
+      if (!find(id)) return; // dismissed while running
+
+      item.status = 'error';
+      item.error = err.status === -1 ? 'Cancelled' : err.message;
+      item.retryable = err.status !== -1 && (err.retryable || err.status === 404);
+    }
+  }
+
+  async function upload(item) {
+    const file = files.get(item.id);
+    let offset = 0;
+
+    if (item.uploadId) {
+      offset = await resumeOffset(item);
+    }
+
+    if (!item.uploadId) {
+      const res = await request('POST', config.endpoint, {
+        body: JSON.stringify({ name: item.name, size: file.size, type: file.type }),
+        headers: { 'Content-Type': 'application/json' },
+      });
+      item.uploadId = res.data.id;
+      offset = res.data.offset || 0;
+    }
+
+    item.status = 'uploading';
+    let failures = 0;
+
+    for (;;) {
+      const chunk = file.slice(offset, offset + config.chunkSize);
+      const xhrRef = {};
+      requests.set(item.id, xhrRef);
+
+      try {
+        const res = await request('PUT', `${config.endpoint}/${item.uploadId}`, {
+          body: chunk,
+          headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+          onProgress: loaded => { item.loaded = offset + loaded; },
+          xhrRef,
+        });
+
+        failures = 0;
+        if (res?.meta?.uploaded) return res.data;
+
+        offset = res.data.offset;
+        item.loaded = offset;
+      } catch (err) {
+        if (err.status === 409 && typeof err.body?.data?.offset === 'number') {
+          // The server already has some of these bytes — carry on from its offset
+          offset = err.body.data.offset;
+          item.loaded = offset;
+          continue;
+        }
+
+        if (!err.retryable || ++failures > config.retries) throw err;
+
+        // Back off, then ask the server where to resume
+        item.status = 'waiting';
+        item.error = err.message;
+        await sleep(Math.min(1000 * 2 ** (failures - 1), 30000));
+        if (!find(item.id) || item.status !== 'waiting') throw new UploadError('Cancelled', -1);
+
+        offset = await resumeOffset(item);
+        item.status = 'uploading';
+        item.error = null;
+      } finally {
+        requests.delete(item.id);
+      }
+    }
+  }
+
+  async function resumeOffset(item) {
+    try {
+      const res = await request('GET', `${config.endpoint}/${item.uploadId}`);
+      item.loaded = res.data.offset;
+      return res.data.offset;
+    } catch (err) {
+      // The server forgot the upload (expired or finished elsewhere) — start over
+      if (err.status === 404) {
+        item.uploadId = null;
+        item.loaded = 0;
+        return 0;
+      }
+      throw err;
+    }
+  }
+
+  // ── Retry & dismiss ───────────────────────────────────────────────────
+  function retry(id) {
+    const item = find(id);
+    if (!item || item.status !== 'error' || !files.has(id)) return;
+
+    item.status = 'queued';
+    item.error = null;
+    pump();
+  }
+
+  function retryAll() {
+    state.items.filter(item => item.status === 'error' && item.retryable).forEach(item => {
+      item.status = 'queued';
+      item.error = null;
+    });
+    pump();
+  }
+
+  function cancel(id) {
+    const item = find(id);
+    if (!item) return;
+
+    if (item.status === 'waiting') item.status = 'error';
+    requests.get(id)?.current?.abort();
+  }
+
+  function remove(id) {
+    const item = find(id);
+    if (!item) return;
+
+    cancel(id);
+    if (item.uploadId && item.status !== 'done') {
+      request('DELETE', `${config.endpoint}/${item.uploadId}`).catch(() => {});
+    }
+
+    files.delete(id);
+    state.items = state.items.filter(i => i.id !== id);
+  }
+
+  function clearFinished() {
+    state.items.filter(item => item.status === 'done').forEach(item => files.delete(item.id));
+    state.items = state.items.filter(item => item.status !== 'done');
+  }
+
+  // ── Summary ───────────────────────────────────────────────────────────
+  function progress() {
+    const counted = state.items.filter(item => item.status !== 'error' || item.retryable);
+    const total = counted.reduce((sum, item) => sum + item.size, 0);
+    const loaded = counted.reduce((sum, item) => sum + Math.min(item.loaded, item.size), 0);
+    return total ? Math.round((loaded / total) * 100) : 0;
+  }
+
+  function failed() {
+    return state.items.filter(item => item.status === 'error');
+  }
+
+  function busy() {
+    return state.items.some(item => ['queued', 'preparing', 'uploading', 'waiting'].includes(item.status));
+  }
+
+  // Pick interrupted uploads back up as soon as the browser is online again
+  window.addEventListener('online', retryAll);
+
+  return {
+    state,
+    add,
+    retry,
+    retryAll,
+    cancel,
+    remove,
+    clearFinished,
+    progress,
+    failed,
+    busy,
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * MonkeysCMS — Mosaic Block Previews
+ *
+ * Server-rendered block previews via POST /admin/api/mosaic/blocks/render,
+ * cached by block content (type + data + settings) so unchanged blocks —
+ * including duplicates and undo/redo round-trips — are never fetched twice.
+ */
+
+export function previewKey(block) {
+  return block.blockType + '|' + JSON.stringify(block.data || {}) + '|' + JSON.stringify(block.settings || {});
+}
+
+export function createPreviewRenderer(api, { limit = 200 } = {}) {
+  const cache = new Map();    // content key → html
+  const inflight = new Map(); // content key → Promise<html>
+
+  function remember(key, html) {
+    cache.delete(key);
+    cache.set(key, html);
+
+    // Map keeps insertion order — the first key is the least recently used
+    if (cache.size > limit) cache.delete(cache.keys().next().value);
+  }
+
+  function cached(block) {
+    const key = previewKey(block);
+    return cache.has(key) ? cache.get(key) : null;
+  }
+
+  function render(block) {
+    const key = previewKey(block);
+
+    if (cache.has(key)) {
+      const html = cache.get(key);
+      remember(key, html);
+      return Promise.resolve(html);
+    }
+
+    if (!inflight.has(key)) {
+      const request = api.post('/blocks/render', {
+        blockType: block.blockType,
+        data: block.data || {},
+        settings: block.settings || {},
+      }, { silent: true })
+        .then(res => {
+          const html = res.data?.html || '';
+          remember(key, html);
+          return html;
+        })
+        .finally(() => inflight.delete(key));
+
+      inflight.set(key, request);
+    }
+
+    return inflight.get(key);
+  }
+
+  return { render, cached, clear: () => cache.clear() };
+}
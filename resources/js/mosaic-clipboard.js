@@ -0,0 +1,120 @@
+/**
+ * MonkeysCMS — Mosaic Clipboard
+ *
+ * Copy/paste format for Mosaic sections and blocks. Payloads travel as
+ * plain JSON text through the system clipboard, so they can move
+ * between regions, pages and browser tabs:
+ *
+ *   {
+ *     "format": "monkeyscms/mosaic",
+ *     "version": 1,
+ *     "kind": "block" | "section",
+ *     "item": { ...block or section as stored in node_mosaic... }
+ *   }
+ *
+ * Blocks are `{ id, blockType, version, data, settings }`; sections are
+ * `{ id, layout, settings, regions: { [region]: Block[] } }`.
+ * Ids are always regenerated on paste.
+ */
+
+import { deepClone, uuid } from 'monkeysjs';
+
+export const CLIPBOARD_FORMAT = 'monkeyscms/mosaic';
+export const CLIPBOARD_VERSION = 1;
+
+// ─── Ids ────────────────────────────────────────────────────────────────────
+export function newId(prefix) {
+  return prefix + '_' + uuid().slice(0, 12);
+}
+
+export function cloneBlock(block) {
+  const copy = deepClone(block);
+
+  return {
+    id: newId('blk'),
+    blockType: copy.blockType,
+    version: copy.version ?? 1, // the data's block type version; the server migrates older copies on load
+    data: copy.data && typeof copy.data === 'object' ? copy.data : {},
+    settings: copy.settings && typeof copy.settings === 'object' ? copy.settings : {},
+    preview: '',
+  };
+}
+
+export function cloneSection(section) {
+  const regions = {};
+  Object.entries(section.regions || {}).forEach(([regionId, blocks]) => {
+    regions[regionId] = (blocks || []).map(cloneBlock);
+  });
+
+  return {
+    id: newId('sec'),
+    layout: section.layout,
+    settings: deepClone(section.settings || {}),
+    regions,
+  };
+}
+
+// ─── Serialization ──────────────────────────────────────────────────────────
+export function serialize(kind, item) {
+  const copy = deepClone(item);
+
+  // Previews are derived data — the pasting editor renders its own
+  if (kind === 'block') delete copy.preview;
+  if (kind === 'section') {
+    Object.values(copy.regions || {}).forEach(blocks => blocks.forEach(b => delete b.preview));
+  }
+
+  return JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    kind,
+    item: copy,
+  });
+}
+
+/**
+ * Parse clipboard text into `{ kind, item }`.
+ * Throws an Error with a user-facing message when the text isn't Mosaic content.
+ */
+export function parse(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw new Error('The clipboard does not contain Mosaic content.');
+  }
+
+  if (payload?.format !== CLIPBOARD_FORMAT || !payload.item) {
+    throw new Error('The clipboard does not contain Mosaic content.');
+  }
+
+  if (payload.version > CLIPBOARD_VERSION) {
+    throw new Error('The clipboard content comes from a newer version of MonkeysCMS.');
+  }
+
+  if (payload.kind !== 'block' && payload.kind !== 'section') {
+    throw new Error(`Unknown Mosaic clipboard kind "${payload.kind}".`);
+  }
+
+  if (payload.kind === 'block' && typeof payload.item.blockType !== 'string') {
+    throw new Error('The copied block has no block type.');
+  }
+
+  if (payload.kind === 'section' && typeof payload.item.regions !== 'object') {
+    throw new Error('The copied section has no regions.');
+  }
+
+  return { kind: payload.kind, item: payload.item };
+}
+
+/**
+ * Collect the block types used by a block or section that the
+ * current editor doesn't know about.
+ */
+export function unknownBlockTypes(kind, item, blockTypes) {
+  const blocks = kind === 'block'
+    ? [item]
+    : Object.values(item.regions || {}).flat();
+
+  return [...new Set(blocks.map(b => b.blockType).filter(type => !blockTypes[type]))];
+}
@@ -0,0 +1,229 @@
+/**
+ * MonkeysCMS — Mosaic Collaboration
+ *
+ * Real-time presence for the Mosaic editor over a WebSocket relay (see
+ * bin/mosaic-relay.js for the protocol). Everyone editing the same node
+ * joins one room and sees who else is there, which block they have open,
+ * and their section/block changes as they make them.
+ *
+ * Changes travel as structural patches rather than whole documents, so two
+ * people editing different blocks never overwrite each other:
+ *
+ *   {
+ *     order:           [sectionId, ...]                 new section order
+ *     shells:          { [sectionId]: { id, layout, settings,
+ *                                       regions: { [region]: [blockId] } } }
+ *     blocks:          { [blockId]: Block }             new or changed blocks
+ *     removedSections: [sectionId, ...]
+ *     removedBlocks:   [blockId, ...]
+ *   }
+ */
+
+import { deepClone, useWebSocket } from 'monkeysjs';
+
+// ─── Patches ────────────────────────────────────────────────────────────────
+function stripBlock(block) {
+  // Previews are derived data — every editor renders its own
+  const { preview, ...rest } = block;
+  return rest;
+}
+
+function shellOf(section) {
+  const regions = {};
+  Object.entries(section.regions || {}).forEach(([regionId, blocks]) => {
+    regions[regionId] = (blocks || []).map(b => b.id);
+  });
+
+  return { id: section.id, layout: section.layout, settings: section.settings || {}, regions };
+}
+
+function indexBlocks(sections) {
+  const index = new Map();
+  sections.forEach(s => Object.values(s.regions || {}).forEach(blocks => {
+    (blocks || []).forEach(b => index.set(b.id, b));
+  }));
+  return index;
+}
+
+/**
+ * Describe how `next` differs from `prev`.
+ *
+ * @returns {object|null} a patch, or null when nothing changed
+ */
+export function diffSections(prev, next) {
+  const patch = { order: null, shells: {}, blocks: {}, removedSections: [], removedBlocks: [] };
+
+  const prevIds = prev.map(s => s.id);
+  const nextIds = next.map(s => s.id);
+  if (JSON.stringify(prevIds) !== JSON.stringify(nextIds)) patch.order = nextIds;
+
+  const prevSections = new Map(prev.map(s => [s.id, s]));
+  next.forEach(section => {
+    const shell = shellOf(section);
+    const before = prevSections.get(section.id);
+    if (!before || JSON.stringify(shellOf(before)) !== JSON.stringify(shell)) {
+      patch.shells[section.id] = deepClone(shell);
+    }
+  });
+
+  patch.removedSections = prevIds.filter(id => !nextIds.includes(id));
+
+  const prevBlocks = indexBlocks(prev);
+  const nextBlocks = indexBlocks(next);
+
+  nextBlocks.forEach((block, id) => {
+    const before = prevBlocks.get(id);
+    const after = stripBlock(block);
+    if (!before || JSON.stringify(stripBlock(before)) !== JSON.stringify(after)) {
+      patch.blocks[id] = deepClone(after);
+    }
+  });
+
+  prevBlocks.forEach((_, id) => {
+    if (!nextBlocks.has(id)) patch.removedBlocks.push(id);
+  });
+
+  const empty = !patch.order
+    && Object.keys(patch.shells).length === 0
+    && Object.keys(patch.blocks).length === 0
+    && patch.removedSections.length === 0
+    && patch.removedBlocks.length === 0;
+
+  return empty ? null : patch;
+}
+
+/**
+ * Apply a remote patch on top of local sections. Local blocks the patch
+ * doesn't mention stay where they are, so edits the remote side hasn't
+ * seen yet survive.
+ *
+ * @returns {Array} new sections
+ */
+export function applyPatch(sections, patch) {
+  const local = indexBlocks(sections);
+  const removedBlocks = new Set(patch.removedBlocks || []);
+  const removedSections = new Set(patch.removedSections || []);
+  const shells = patch.shells || {};
+  const blocks = patch.blocks || {};
+
+  // Blocks placed by a remote shell belong wherever that shell says
+  const placed = new Set();
+  Object.values(shells).forEach(shell => Object.values(shell.regions || {}).forEach(ids => {
+    ids.forEach(id => placed.add(id));
+  }));
+
+  const resolve = id => {
+    if (removedBlocks.has(id)) return null;
+    if (blocks[id]) return { ...deepClone(blocks[id]), preview: local.get(id)?.preview ?? '' };
+    return local.get(id) ?? null;
+  };
+
+  const buildFromShell = (shell, previous = null) => {
+    const regions = {};
+    Object.entries(shell.regions || {}).forEach(([regionId, ids]) => {
+      regions[regionId] = ids.map(resolve).filter(Boolean);
+    });
+
+    // Keep local blocks the remote side doesn't know about yet
+    if (previous) {
+      const fallback = Object.keys(regions)[0];
+      Object.entries(previous.regions || {}).forEach(([regionId, list]) => {
+        (list || []).forEach(b => {
+          if (placed.has(b.id) || removedBlocks.has(b.id) || !fallback) return;
+          (regions[regionId] ? regions[regionId] : regions[fallback]).push(b);
+        });
+      });
+    }
+
+    return { id: shell.id, layout: shell.layout, settings: deepClone(shell.settings || {}), regions };
+  };
+
+  const result = [];
+  const seen = new Set();
+
+  sections.forEach(section => {
+    if (removedSections.has(section.id)) return;
+    seen.add(section.id);
+
+    if (shells[section.id]) {
+      result.push(buildFromShell(shells[section.id], section));
+      return;
+    }
+
+    const regions = {};
+    Object.entries(section.regions || {}).forEach(([regionId, list]) => {
+      regions[regionId] = (list || [])
+        .filter(b => !removedBlocks.has(b.id) && !placed.has(b.id))
+        .map(b => (blocks[b.id] ? resolve(b.id) : b));
+    });
+    result.push({ ...section, regions });
+  });
+
+  Object.values(shells).forEach(shell => {
+    if (!seen.has(shell.id) && !removedSections.has(shell.id)) result.push(buildFromShell(shell));
+  });
+
+  if (patch.order) {
+    // Sections the remote side hasn't seen yet keep their place at the end
+    const rank = id => {
+      const i = patch.order.indexOf(id);
+      return i === -1 ? Infinity : i;
+    };
+    result.sort((a, b) => rank(a.id) - rank(b.id));
+  }
+
+  return result;
+}
+
+// ─── Presence ───────────────────────────────────────────────────────────────
+const PEER_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+
+export function peerColor(session) {
+  let hash = 0;
+  for (const ch of String(session)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return PEER_COLORS[Math.abs(hash) % PEER_COLORS.length];
+}
+
+export function peerInitials(user) {
+  const name = String(user?.name || '?').trim();
+  const parts = name.split(/\s+/).filter(Boolean);
+  return ((parts[0]?.[0] || '?') + (parts[1]?.[0] || '')).toUpperCase();
+}
+
+// ─── Connection ─────────────────────────────────────────────────────────────
+/**
+ * Join a relay room. The room and the user shown to others come from
+ * `token`, signed by the server for this editor session. `onMessage` receives every message from other
+ * sessions; `onJoin` runs after each (re)connect once the room is joined
+ * and `onClose` whenever the connection drops.
+ *
+ * Messages are never queued while offline — the editor re-sends what
+ * changed when the connection comes back.
+ */
+export function createCollabSession(url, { token, onMessage, onJoin, onClose } = {}) {
+  // Reconnects with exponential backoff by default
+  const socket = useWebSocket(url);
+
+  socket.on('open', () => {
+    socket.send({ type: 'join', token }, { queue: false });
+    onJoin?.();
+  });
+
+  socket.on('message', message => {
+    if (message && typeof message === 'object') onMessage?.(message);
+  });
+
+  socket.on('close', () => onClose?.());
+
+  return {
+    get connected() {
+      return socket.isConnected;
+    },
+    send(message) {
+      return socket.send(message, { queue: false });
+    },
+    close() {
+      socket.close();
+    },
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * MonkeysCMS — Mosaic Draft Store
+ *
+ * Keeps unsaved Mosaic sections in browser storage so a closed tab
+ * or dropped connection doesn't lose work. One draft per node and
+ * content type; cleared on every successful save.
+ */
+
+import { localStorage } from 'monkeysjs';
+
+const PREFIX = 'mosaic:draft:';
+
+export function createDraftStore(nodeId, contentType) {
+  const key = `${PREFIX}${contentType}:${nodeId}`;
+
+  function load() {
+    const draft = localStorage.get(key);
+    return Array.isArray(draft?.sections) ? draft : null;
+  }
+
+  function save(sections, revision) {
+    return localStorage.set(key, {
+      sections,
+      revision,
+      savedAt: new Date().toISOString(),
+    });
+  }
+
+  function clear() {
+    localStorage.remove(key);
+  }
+
+  return { load, save, clear };
+}
@@ -3,7 +3,14 @@
  *
  * Visual page builder component powered by MonkeysJS.
  * Handles: section management, block drag-and-drop, inline editing,
- * autosave, and live preview via the Mosaic API.
+ * section and block display settings, a schema check on load (missing
+ * defaults, orphaned blocks, unknown layouts, outdated block data),
+ * live server-rendered block previews,
+ * copy/paste and duplication, undo/redo history, autosave with local
+ * draft recovery, revision
+ * conflict handling, a revision history browser with structural diffs,
+ * a sandboxed device preview via the Mosaic API, and
+ * real-time collaborative presence over a WebSocket relay.
  */
 
 import {
@@ -12,23 +19,50 @@ import {
   watch,
   computed,
   http,
-  createClient,
   debounce,
+  deepClone,
   uuid,
 } from 'monkeysjs';
+import { createHistory } from './mosaic-history.js';
+import { createDraftStore } from './mosaic-draft.js';
+import * as clipboard from './mosaic-clipboard.js';
+import { getFieldWidget, formatFieldValue, validateField } from './mosaic-fields.js';
+import { createPreviewRenderer, previewKey } from './mosaic-block-preview.js';
+import { PREVIEW_DEVICES, previewWidth, buildPreviewDocument } from './mosaic-frame.js';
+import { createMediaPicker } from './media-picker.js';
+import { createCollabSession, diffSections, applyPatch, peerColor, peerInitials } from './mosaic-collab.js';
+import { diffLayouts, describeDiff } from './mosaic-revisions.js';
+import { checkSections, hasRepairs, findOrphans, convertBlock, describeReport } from './mosaic-schema.js';
+import {
+  settingGroups,
+  getSettingWidget,
+  validateSetting,
+  settingsStyle,
+  settingsBadges,
+  hiddenReason,
+  deviceForWidth,
+} from './mosaic-settings.js';
+import { installSafeHtml } from './sanitize.js';
+import { createApiClient } from './admin-api.js';
+import { notify } from './toasts.js';
+import { registerShortcuts } from './shortcuts.js';
+
+// Block previews are editor-supplied HTML — sanitize them before they hit the canvas
+installSafeHtml();
 
 // ─── API Client ─────────────────────────────────────────────────────────────
-const api = createClient({
-  baseURL: '/admin/api/mosaic',
-  headers: {
-    'X-Requested-With': 'XMLHttpRequest',
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-  },
-});
+const api = createApiClient('/admin/api/mosaic');
 
 // ─── Mosaic Editor State ────────────────────────────────────────────────────
-export function createMosaicEditor(nodeId, contentType, initialSections = []) {
+export function createMosaicEditor(nodeId, contentType, initialSections = [], options = {}) {
+  const history = createHistory({
+    limit: options.historyLimit ?? 100,
+    mergeWindow: options.historyMergeWindow ?? 1000,
+  });
+  const drafts = createDraftStore(nodeId, contentType);
+  const previews = createPreviewRenderer(api);
+  const picker = createMediaPicker();
+
   const state = reactive({
     nodeId,
     contentType,
@@ -36,19 +70,44 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
     blockTypes: {},
     blockTypesGrouped: {},
     layouts: {},
+    typesLoaded: false, // block types and layouts arrived; orphans can be told apart
+    displaySettings: options.displaySettings || {}, // DisplaySettings::FIELDS
 
     // UI state
-    activeSection: null,
+    activeSection: null,  // id of the section in the settings panel
     activeBlock: null,
+    settingsTab: 'content', // 'content' | 'settings' for the active block
+    settingErrors: {},      // settingKey → message for the open settings
     blockPickerOpen: false,
     blockPickerTarget: null, // { sectionId, regionId }
     settingsPanelOpen: false,
+    fieldErrors: {},  // fieldKey → message for the block in the settings panel
     isDirty: false,
     saving: false,
     lastSaved: null,
+    revision: options.revision ?? 0,
+    draft: null,      // { sections, revision, savedAt } found in browser storage
+    conflict: null,   // { sections, revision, updatedAt } from a rejected save
+    conflictCompare: false,
+    revisionsOpen: false,
+    revisions: [],          // saved revisions, newest first, without sections
+    revisionsLoading: false,
+    revisionCompare: { from: null, to: null }, // revision numbers, or 'editor' for the working copy
+    revisionDiff: null,     // diffLayouts() result for the pair
     previewHtml: '',
+    blockPreviews: {}, // blockId → { key, status: 'loading'|'ready'|'error', html, error }
     previewMode: false,
+    previewDoc: '',          // srcdoc for the sandboxed preview iframe
+    previewStyles: [],       // frontend theme stylesheets
+    previewDevice: 'desktop',
+    previewSplit: false,
+    previewLoading: false,
     dragState: null,
+    canUndo: false,
+    canRedo: false,
+    collabConnected: false,
+    peers: {},         // session → { user, lock } for everyone else editing this node
+    lockOverride: false, // edit a block someone else has open anyway
   });
 
   // ── Load block types and layouts ──────────────────────────────────────
@@ -62,9 +121,274 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
       state.blockTypes = blocksRes.data?.data || {};
       state.blockTypesGrouped = blocksRes.data?.grouped || {};
       state.layouts = layoutsRes.data?.data || {};
+      state.typesLoaded = true;
+      await checkCanvas();
+      refreshBlockPreviews();
+    } catch {
+      // Reported by the client; the canvas still works with what it has
+    }
+  }
+
+  // ── Schema Check ──────────────────────────────────────────────────────
+  /**
+   * Check sections against the loaded block types and layouts, asking
+   * the server to migrate blocks saved by an older block type version
+   * and to resolve block types it doesn't list (renamed ones keep
+   * working under their former id; only the server knows the aliases).
+   */
+  async function reconcile(sections) {
+    const types = { blockTypes: state.blockTypes, layouts: state.layouts };
+    let result = checkSections(sections, types);
+
+    // Migrations see the data as it was saved, before any defaults were filled in
+    if (result.report.outdated.length || result.report.orphans.length) {
+      try {
+        const res = await api.post('/blocks/upgrade', { sections });
+        result = checkSections(res.data?.data || result.sections, types);
+      } catch {
+        // Reported by the client; the blocks stay as they were saved
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the schema check over the canvas (on load, and whenever a whole
+   * layout comes in from a draft, a revision or a conflict). The repairs
+   * aren't an edit of their own: they go out with the next save.
+   */
+  async function checkCanvas() {
+    if (!state.typesLoaded) return;
+
+    const before = JSON.stringify(state.sections);
+    const { sections, report } = await reconcile(state.sections);
+
+    // Edited while the server was migrating — check again next time
+    if (JSON.stringify(state.sections) !== before) return;
+
+    if (JSON.stringify(sections) !== before) {
+      state.sections = sections;
+      rebindActiveBlock();
+    }
+
+    if (hasRepairs(report)) notify(describeReport(report), 'info');
+  }
+
+  /** Blocks on the canvas whose block type no longer exists. */
+  function orphanedBlocks() {
+    return state.typesLoaded ? findOrphans(state.sections, state.blockTypes) : [];
+  }
+
+  function isOrphan(block) {
+    return state.typesLoaded && !state.blockTypes[block.blockType];
+  }
+
+  /** Sections whose layout no longer exists; their regions stay until one is picked. */
+  function unknownLayoutSections() {
+    return state.typesLoaded ? state.sections.filter(s => !state.layouts[s.layout]) : [];
+  }
+
+  function hasUnknownLayout(section) {
+    return state.typesLoaded && !state.layouts[section.layout];
+  }
+
+  /** Turn an orphaned block into a known type, keeping data keys both share. */
+  function convertOrphan(sectionId, regionId, blockId, blockType) {
+    const found = findBlock(sectionId, regionId, blockId);
+    const typeDef = state.blockTypes[blockType];
+    if (!found || !typeDef) return;
+
+    checkpoint();
+    found.blocks.splice(found.idx, 1, convertBlock(found.block, blockType, typeDef));
+    state.isDirty = true;
+    renderBlockPreview(found.blocks[found.idx]);
+  }
+
+  function removeOrphans() {
+    const orphans = orphanedBlocks();
+    if (!orphans.length) return;
+
+    checkpoint();
+    const ids = new Set(orphans.map(o => o.block.id));
+    state.sections.forEach(section => {
+      Object.keys(section.regions).forEach(regionId => {
+        section.regions[regionId] = section.regions[regionId].filter(b => !ids.has(b.id));
+      });
+    });
+    state.isDirty = true;
+
+    if (state.activeBlock && ids.has(state.activeBlock.id)) closeSettings();
+    notify(`Removed ${orphans.length} orphaned block${orphans.length === 1 ? '' : 's'}`, 'success');
+  }
+
+  /** Every registered block type, for the convert menus: [{ id, label }]. */
+  function blockTypeOptions() {
+    return Object.values(state.blockTypes)
+      .map(t => ({ id: t.id, label: t.label }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  // ── Block Previews ────────────────────────────────────────────────────
+  function setBlockPreview(blockId, entry) {
+    state.blockPreviews = { ...state.blockPreviews, [blockId]: entry };
+  }
+
+  async function renderBlockPreview(block, force = false) {
+    const key = previewKey(block);
+    const current = state.blockPreviews[block.id];
+    if (current?.key === key && !force) return;
+
+    const cachedHtml = previews.cached(block);
+    if (cachedHtml !== null) {
+      setBlockPreview(block.id, { key, status: 'ready', html: cachedHtml, error: null });
+      return;
+    }
+
+    // Keep the previous html on screen while the new one renders
+    setBlockPreview(block.id, { key, status: 'loading', html: current?.html || '', error: null });
+
+    try {
+      const html = await previews.render(block);
+      if (state.blockPreviews[block.id]?.key === key) {
+        setBlockPreview(block.id, { key, status: 'ready', html, error: null });
+      }
     } catch (err) {
-      console.error('[Mosaic] Failed to load block types:', err);
+      if (state.blockPreviews[block.id]?.key === key) {
+        setBlockPreview(block.id, {
+          key,
+          status: 'error',
+          html: current?.html || '',
+          error: err.response?.error || err.message || 'Preview failed',
+        });
+      }
+    }
+  }
+
+  /** Re-render every block whose content changed since its last preview. */
+  function refreshBlockPreviews() {
+    const seen = {};
+
+    state.sections.forEach(section => {
+      Object.values(section.regions).forEach(blocks => {
+        blocks.forEach(block => {
+          seen[block.id] = true;
+          if (state.blockTypes[block.blockType]) renderBlockPreview(block);
+        });
+      });
+    });
+
+    // Forget previews of blocks that are gone
+    const stale = Object.keys(state.blockPreviews).filter(id => !seen[id]);
+    if (stale.length) {
+      const kept = { ...state.blockPreviews };
+      stale.forEach(id => delete kept[id]);
+      state.blockPreviews = kept;
+    }
+  }
+
+  function retryBlockPreview(blockId) {
+    for (const section of state.sections) {
+      for (const blocks of Object.values(section.regions)) {
+        const block = blocks.find(b => b.id === blockId);
+        if (block) return renderBlockPreview(block, true);
+      }
+    }
+  }
+
+  const schedulePreviews = debounce(refreshBlockPreviews, 400);
+
+  // ── Local Drafts ──────────────────────────────────────────────────────
+  function checkDraft() {
+    const draft = drafts.load();
+    if (!draft) return;
+
+    if (JSON.stringify(draft.sections) === JSON.stringify(state.sections)) {
+      drafts.clear();
+      return;
+    }
+
+    state.draft = draft;
+  }
+
+  function restoreDraft() {
+    if (!state.draft) return;
+
+    checkpoint();
+    state.sections = state.draft.sections;
+    state.isDirty = true;
+    state.draft = null;
+    checkCanvas();
+  }
+
+  function discardDraft() {
+    drafts.clear();
+    state.draft = null;
+  }
+
+  const writeDraft = debounce(() => {
+    if (state.isDirty) drafts.save(state.sections, state.revision);
+  }, 1000);
+
+  // ── History ───────────────────────────────────────────────────────────
+  function checkpoint(mergeKey = null) {
+    history.record(state.sections, mergeKey);
+    syncHistory();
+  }
+
+  function syncHistory() {
+    state.canUndo = history.canUndo();
+    state.canRedo = history.canRedo();
+  }
+
+  function restore(sections) {
+    if (!sections) return;
+
+    state.sections = sections;
+    state.isDirty = true;
+    syncHistory();
+    rebindActiveBlock();
+  }
+
+  // Re-point the settings panel at the current copy of the active block
+  // (it may have moved to another region since)
+  function rebindActiveBlock() {
+    if (!state.activeBlock) return;
+
+    const { id } = state.activeBlock;
+    for (const section of state.sections) {
+      for (const [regionId, blocks] of Object.entries(section.regions)) {
+        const block = blocks.find(b => b.id === id);
+        if (block) {
+          state.activeBlock = { ...block, sectionId: section.id, regionId };
+          return;
+        }
+      }
     }
+
+    closeSettings();
+  }
+
+  function undo() {
+    restore(history.undo(state.sections));
+  }
+
+  function redo() {
+    restore(history.redo(state.sections));
+  }
+
+  // Native undo keeps working for text inside form fields
+  function registerKeys() {
+    return registerShortcuts('Mosaic editor', {
+      'mod+z': { label: 'Undo', run: undo, inInputs: false },
+      'mod+shift+z': { label: 'Redo', run: redo, inInputs: false },
+      'mod+s': { label: 'Save', run: () => save().catch(() => {}) },
+      escape: {
+        label: 'Close the preview, revision history or block settings',
+        run: () => (state.previewMode ? closePreview() : state.revisionsOpen ? closeRevisions() : closeSettings()),
+        when: () => state.previewMode || state.revisionsOpen || state.settingsPanelOpen,
+      },
+    });
   }
 
   // ── Section Operations ────────────────────────────────────────────────
@@ -78,6 +402,7 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
       regions.main = [];
     }
 
+    checkpoint();
     state.sections.push({
       id: 'sec_' + uuid().slice(0, 12),
       layout,
@@ -91,14 +416,18 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
   function removeSection(sectionId) {
     const idx = state.sections.findIndex(s => s.id === sectionId);
     if (idx !== -1) {
+      checkpoint();
       state.sections.splice(idx, 1);
       state.isDirty = true;
+
+      if (state.activeSection === sectionId) closeSettings();
     }
   }
 
   function moveSectionUp(sectionId) {
     const idx = state.sections.findIndex(s => s.id === sectionId);
     if (idx > 0) {
+      checkpoint();
       [state.sections[idx - 1], state.sections[idx]] = [state.sections[idx], state.sections[idx - 1]];
       state.isDirty = true;
     }
@@ -106,7 +435,8 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
 
   function moveSectionDown(sectionId) {
     const idx = state.sections.findIndex(s => s.id === sectionId);
-    if (idx < state.sections.length - 1) {
+    if (idx !== -1 && idx < state.sections.length - 1) {
+      checkpoint();
       [state.sections[idx], state.sections[idx + 1]] = [state.sections[idx + 1], state.sections[idx]];
       state.isDirty = true;
     }
@@ -117,7 +447,9 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
     if (!section) return;
 
     const layoutDef = state.layouts[newLayout];
-    if (!layoutDef) return;
+    if (!layoutDef || section.layout === newLayout) return;
+
+    checkpoint();
 
     // Preserve existing blocks, redistribute into new regions
     const allBlocks = [];
@@ -163,9 +495,11 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
       });
     }
 
+    checkpoint();
     section.regions[regionId].push({
       id: 'blk_' + uuid().slice(0, 12),
       blockType,
+      version: typeDef?.version ?? 1,
       data: defaultData,
       settings: {},
       preview: '',
@@ -181,12 +515,12 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
 
     const idx = section.regions[regionId].findIndex(b => b.id === blockId);
     if (idx !== -1) {
+      checkpoint();
       section.regions[regionId].splice(idx, 1);
       state.isDirty = true;
 
       if (state.activeBlock?.id === blockId) {
-        state.activeBlock = null;
-        state.settingsPanelOpen = false;
+        closeSettings();
       }
     }
   }
@@ -198,15 +532,34 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
     const block = section.regions[regionId].find(b => b.id === blockId);
     if (block) {
       state.activeBlock = { ...block, sectionId, regionId };
+      state.activeSection = null;
+      state.settingsTab = 'content';
+      state.fieldErrors = {};
+      state.settingErrors = {};
       state.settingsPanelOpen = true;
+      state.lockOverride = false;
+      sendLock(blockId);
     }
   }
 
-  function updateBlockData(blockId, field, value) {
+  /**
+   * Write a field value from the settings panel. The raw input is parsed
+   * and checked against the block type's field definition first; invalid
+   * input leaves the stored value untouched and shows an inline error.
+   */
+  function updateBlockData(blockId, field, rawValue) {
     for (const section of state.sections) {
       for (const blocks of Object.values(section.regions)) {
         const block = blocks.find(b => b.id === blockId);
         if (block) {
+          const fieldDef = state.blockTypes[block.blockType]?.fields?.[field];
+          const { value, error } = validateField(fieldDef, rawValue);
+
+          state.fieldErrors = { ...state.fieldErrors, [field]: error };
+          if (error || block.data[field] === value) return;
+
+          // Consecutive keystrokes in the same field become one undo step
+          checkpoint(`data:${blockId}:${field}`);
           block.data[field] = value;
           state.isDirty = true;
           return;
@@ -215,11 +568,265 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
     }
   }
 
+  /** Update one part of a grouped field (link, address, geolocation). */
+  function updateBlockFieldPart(blockId, field, part, value) {
+    const current = state.activeBlock?.id === blockId ? state.activeBlock.data[field] : null;
+    const widget = getFieldWidget(state.blockTypes[state.activeBlock?.blockType]?.fields?.[field]?.type);
+    const partDef = widget.parts?.find(p => p.key === part);
+    const parsed = partDef?.inputType === 'number' && value !== '' ? Number(value) : value;
+
+    updateBlockData(blockId, field, { ...(current || {}), [part]: parsed });
+  }
+
+  /** Check or uncheck one option of a checkboxes field. */
+  function toggleBlockFieldOption(blockId, field, option, checked) {
+    const current = state.activeBlock?.id === blockId ? state.activeBlock.data[field] : null;
+    const values = new Set(Array.isArray(current) ? current : []);
+
+    checked ? values.add(option) : values.delete(option);
+    updateBlockData(blockId, field, [...values]);
+  }
+
+  /** Open the media picker for a media, image, file, video or gallery field. */
+  function chooseMedia(blockId, field) {
+    const block = state.activeBlock?.id === blockId ? state.activeBlock : null;
+    const fieldDef = state.blockTypes[block?.blockType]?.fields?.[field];
+    const widget = getFieldWidget(fieldDef?.type);
+
+    picker.open({
+      value: block?.data[field],
+      multiple: widget.multiple,
+      type: fieldDef?.media_type ?? widget.mediaType,
+      onSelect: ids => updateBlockData(blockId, field, ids),
+    });
+  }
+
+  function removeMedia(blockId, field, mediaId) {
+    const current = state.activeBlock?.id === blockId ? state.activeBlock.data[field] : null;
+    updateBlockData(blockId, field, picker.without(current, mediaId));
+  }
+
+  function fieldWidget(fieldDef) {
+    return getFieldWidget(fieldDef?.type);
+  }
+
+  function fieldValue(fieldDef, value) {
+    return formatFieldValue(fieldDef, value);
+  }
+
   function closeSettings() {
+    if (state.activeBlock) sendLock(null);
     state.activeBlock = null;
+    state.activeSection = null;
+    state.fieldErrors = {};
+    state.settingErrors = {};
     state.settingsPanelOpen = false;
   }
 
+  // ── Display Settings ──────────────────────────────────────────────────
+  function editSection(sectionId) {
+    if (!state.sections.some(s => s.id === sectionId)) return;
+
+    if (state.activeBlock) sendLock(null);
+    state.activeBlock = null;
+    state.activeSection = sectionId;
+    state.settingErrors = {};
+    state.settingsPanelOpen = true;
+  }
+
+  function setSettingsTab(tab) {
+    state.settingsTab = tab;
+    state.settingErrors = {};
+  }
+
+  function settingsTarget(target, id) {
+    if (target === 'section') return state.sections.find(s => s.id === id) || null;
+
+    for (const section of state.sections) {
+      for (const blocks of Object.values(section.regions)) {
+        const block = blocks.find(b => b.id === id);
+        if (block) return block;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write a display setting of a section or block. Like block fields,
+   * invalid input is reported and not stored; an empty value unsets it.
+   */
+  function updateSetting(target, id, key, raw) {
+    const item = settingsTarget(target, id);
+    const def = state.displaySettings[key];
+    if (!item || !def) return;
+
+    const settings = item.settings || {};
+    const { value, error } = validateSetting({ key, ...def }, raw, settings);
+
+    state.settingErrors = { ...state.settingErrors, [key]: error };
+    if (error || JSON.stringify(settings[key] ?? '') === JSON.stringify(value)) return;
+
+    // Consecutive keystrokes in the same setting become one undo step
+    checkpoint(`settings:${id}:${key}`);
+    const next = { ...settings, [key]: value };
+    if (value === '' || (Array.isArray(value) && !value.length)) delete next[key];
+    item.settings = next;
+    state.isDirty = true;
+    rebindActiveBlock();
+  }
+
+  function toggleSettingOption(target, id, key, option, checked) {
+    const current = settingsTarget(target, id)?.settings?.[key];
+    const values = new Set(Array.isArray(current) ? current : []);
+
+    checked ? values.add(option) : values.delete(option);
+    updateSetting(target, id, key, [...values]);
+  }
+
+  function displaySettingGroups(target) {
+    return settingGroups(state.displaySettings, target);
+  }
+
+  function settingWidget(def) {
+    return getSettingWidget(def?.type);
+  }
+
+  function activeSectionData() {
+    return state.sections.find(s => s.id === state.activeSection) || null;
+  }
+
+  function canvasDevice() {
+    return deviceForWidth(PREVIEW_DEVICES[state.previewDevice]?.width);
+  }
+
+  /** Why a section or block won't show on the previewed device right now, or null. */
+  function canvasHidden(settings) {
+    return hiddenReason(settings || {}, canvasDevice());
+  }
+
+  function canvasStyle(settings, withGap = false) {
+    return settingsStyle(settings || {}, withGap);
+  }
+
+  function canvasBadges(settings) {
+    return settingsBadges(settings || {});
+  }
+
+  // ── Duplicate, Copy & Paste ───────────────────────────────────────────
+  let lastCopied = '';
+
+  function findBlock(sectionId, regionId, blockId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    const blocks = section?.regions[regionId];
+    const idx = blocks ? blocks.findIndex(b => b.id === blockId) : -1;
+
+    return idx === -1 ? null : { blocks, idx, block: blocks[idx] };
+  }
+
+  function duplicateSection(sectionId) {
+    const idx = state.sections.findIndex(s => s.id === sectionId);
+    if (idx === -1) return;
+
+    checkpoint();
+    state.sections.splice(idx + 1, 0, clipboard.cloneSection(state.sections[idx]));
+    state.isDirty = true;
+  }
+
+  function duplicateBlock(sectionId, regionId, blockId) {
+    const found = findBlock(sectionId, regionId, blockId);
+    if (!found) return;
+
+    checkpoint();
+    found.blocks.splice(found.idx + 1, 0, clipboard.cloneBlock(found.block));
+    state.isDirty = true;
+  }
+
+  async function writeClipboard(kind, item) {
+    lastCopied = clipboard.serialize(kind, item);
+
+    try {
+      await navigator.clipboard.writeText(lastCopied);
+      notify(kind === 'block' ? 'Block copied' : 'Section copied', 'success');
+    } catch {
+      // No clipboard permission — still pasteable inside this tab
+      notify('Copied within this tab only (clipboard access denied)', 'warning');
+    }
+  }
+
+  async function readClipboard() {
+    let text = '';
+    try {
+      text = await navigator.clipboard.readText();
+    } catch {
+      text = lastCopied;
+    }
+
+    const parsed = clipboard.parse(text || lastCopied);
+    const unknown = clipboard.unknownBlockTypes(parsed.kind, parsed.item, state.blockTypes);
+
+    if (unknown.length) {
+      throw new Error(`Cannot paste: unknown block type${unknown.length > 1 ? 's' : ''} ${unknown.map(t => `"${t}"`).join(', ')}.`);
+    }
+
+    return parsed;
+  }
+
+  function copySection(sectionId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    if (section) return writeClipboard('section', section);
+  }
+
+  function copyBlock(sectionId, regionId, blockId) {
+    const found = findBlock(sectionId, regionId, blockId);
+    if (found) return writeClipboard('block', found.block);
+  }
+
+  async function pasteBlock(sectionId, regionId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    if (!section || !section.regions[regionId]) return;
+
+    try {
+      const { kind, item } = await readClipboard();
+      const blocks = kind === 'block'
+        ? [item]
+        : Object.values(item.regions).flat();
+
+      checkpoint();
+      section.regions[regionId].push(...blocks.map(clipboard.cloneBlock));
+      state.isDirty = true;
+    } catch (err) {
+      notify(err.message, 'error');
+    }
+  }
+
+  async function pasteSection(afterSectionId = null) {
+    try {
+      const { kind, item } = await readClipboard();
+      if (kind !== 'section') {
+        throw new Error('The clipboard holds a block — paste it into a region instead.');
+      }
+
+      const section = clipboard.cloneSection(item);
+      const layoutDef = state.layouts[section.layout];
+
+      // Unknown layout: fold every block into a full-width section
+      if (!layoutDef) {
+        section.layout = 'full';
+        section.regions = { main: Object.values(section.regions).flat() };
+      } else {
+        layoutDef.regions.forEach(r => { section.regions[r] ??= []; });
+      }
+
+      const idx = state.sections.findIndex(s => s.id === afterSectionId);
+
+      checkpoint();
+      state.sections.splice(idx === -1 ? state.sections.length : idx + 1, 0, section);
+      state.isDirty = true;
+    } catch (err) {
+      notify(err.message, 'error');
+    }
+  }
+
   // ── Drag & Drop ───────────────────────────────────────────────────────
   function onDragStart(e, sectionId, regionId, blockIdx) {
     state.dragState = { sectionId, regionId, blockIdx };
@@ -242,6 +849,7 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
 
     if (!srcSection || !tgtSection) return;
 
+    checkpoint();
     const [block] = srcSection.regions[srcReg].splice(srcIdx, 1);
     tgtSection.regions[targetRegionId].splice(targetIdx ?? tgtSection.regions[targetRegionId].length, 0, block);
 
@@ -262,51 +870,397 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
       const res = await api.put(`/${state.nodeId}`, {
         content_type: state.contentType,
         sections: state.sections,
+        revision: state.revision,
       });
 
+      state.revision = res.data?.meta?.revision ?? state.revision;
       state.isDirty = false;
+      if (state.revisionsOpen) loadRevisions();
       state.lastSaved = new Date().toLocaleTimeString();
+      writeDraft.cancel();
+      drafts.clear();
+      remoteUnsaved = false;
+      collab?.send({ type: 'saved', revision: state.revision });
 
       return res.data;
     } catch (err) {
-      console.error('[Mosaic] Save failed:', err);
+      if (err.status === 409) {
+        // Someone else saved since we loaded — let the user decide
+        const server = err.response?.data || {};
+        state.conflict = {
+          sections: server.sections || [],
+          revision: server.revision ?? 0,
+          updatedAt: server.updated_at || null,
+        };
+        state.conflictCompare = false;
+        return null;
+      }
+
       throw err;
     } finally {
       state.saving = false;
     }
   }
 
-  async function preview() {
+  async function refreshPreview() {
+    state.previewLoading = true;
+
     try {
       const res = await api.post(`/${state.nodeId}/preview`, {
         sections: state.sections,
       });
       state.previewHtml = res.data?.html || '';
+      state.previewStyles = res.data?.css || state.previewStyles;
+      state.previewDoc = buildPreviewDocument(state.previewHtml, state.previewStyles);
+    } finally {
+      state.previewLoading = false;
+    }
+  }
+
+  async function preview() {
+    try {
+      await refreshPreview();
       state.previewMode = true;
-    } catch (err) {
-      console.error('[Mosaic] Preview failed:', err);
+    } catch {
+      // Reported by the client
     }
   }
 
   function closePreview() {
     state.previewMode = false;
-    state.previewHtml = '';
+    if (!state.previewSplit) {
+      state.previewHtml = '';
+      state.previewDoc = '';
+    }
+  }
+
+  function togglePreviewSplit() {
+    state.previewSplit = !state.previewSplit;
+    if (state.previewSplit) refreshPreview().catch(() => null); // reported by the client
+  }
+
+  function setPreviewDevice(device) {
+    if (PREVIEW_DEVICES[device]) state.previewDevice = device;
+  }
+
+  const schedulePreviewRefresh = debounce(() => {
+    if (state.previewSplit) refreshPreview().catch(() => {});
+  }, 800);
+
+  // ── Revision Conflicts ────────────────────────────────────────────────
+  function keepMine() {
+    if (!state.conflict) return;
+
+    // Re-base onto the server revision and overwrite it with our copy
+    state.revision = state.conflict.revision;
+    state.conflict = null;
+    return save();
+  }
+
+  function takeTheirs() {
+    if (!state.conflict) return;
+
+    checkpoint();
+    state.sections = state.conflict.sections;
+    state.revision = state.conflict.revision;
+    state.conflict = null;
+    state.isDirty = false;
+    writeDraft.cancel();
+    drafts.clear();
+    checkCanvas();
+  }
+
+  function toggleConflictCompare() {
+    state.conflictCompare = !state.conflictCompare;
+  }
+
+  /**
+   * Flatten one side of a conflict into section → block rows for the
+   * compare view, flagging blocks that differ from the other side.
+   */
+  function conflictOutline(side) {
+    if (!state.conflict) return [];
+
+    const [sections, others] = side === 'mine'
+      ? [state.sections, state.conflict.sections]
+      : [state.conflict.sections, state.sections];
+
+    const otherBlocks = {};
+    others.forEach(s => Object.values(s.regions || {}).forEach(blocks => {
+      blocks.forEach(b => { otherBlocks[b.id] = JSON.stringify(b.data); });
+    }));
+
+    return sections.map(section => ({
+      id: section.id,
+      layout: state.layouts[section.layout]?.label || section.layout,
+      blocks: Object.values(section.regions || {}).flat().map(b => ({
+        id: b.id,
+        label: state.blockTypes[b.blockType]?.label || b.blockType,
+        changed: otherBlocks[b.id] !== JSON.stringify(b.data),
+      })),
+    }));
+  }
+
+  // ── Revision History ──────────────────────────────────────────────────
+  const revisionCache = new Map(); // revision → sections; saved revisions never change
+  let compareToken = 0;
+
+  async function loadRevisions() {
+    state.revisionsLoading = true;
+    try {
+      const res = await api.get(`/${state.nodeId}/revisions`, { params: { type: state.contentType } });
+      state.revisions = res.data?.data || [];
+    } catch {
+      // Reported by the client
+    } finally {
+      state.revisionsLoading = false;
+    }
+  }
+
+  async function revisionSections(revision) {
+    if (revision === 'editor') return state.sections;
+    if (revision === null) return [];
+    if (!revisionCache.has(revision)) {
+      const res = await api.get(`/${state.nodeId}/revisions/${revision}`, { params: { type: state.contentType } });
+      revisionCache.set(revision, res.data?.data?.sections || []);
+    }
+    return revisionCache.get(revision);
+  }
+
+  async function openRevisions() {
+    state.revisionsOpen = true;
+    state.revisionDiff = null;
+    await loadRevisions();
+    if (state.revisions.length) selectRevision(state.revisions[0].revision);
+  }
+
+  function closeRevisions() {
+    state.revisionsOpen = false;
+    state.revisionDiff = null;
+  }
+
+  /** Show what a revision changed compared with the one saved before it. */
+  function selectRevision(revision) {
+    const idx = state.revisions.findIndex(r => r.revision === revision);
+    state.revisionCompare = { from: state.revisions[idx + 1]?.revision ?? null, to: revision };
+    return compareRevisions();
+  }
+
+  /** Pick either side from the compare selects ('' means nothing). */
+  function setRevisionCompare(side, value) {
+    const parsed = value === 'editor' ? 'editor' : value === '' ? null : Number(value);
+    state.revisionCompare = { ...state.revisionCompare, [side]: parsed };
+    return compareRevisions();
+  }
+
+  async function compareRevisions() {
+    const { from, to } = state.revisionCompare;
+    const token = ++compareToken;
+
+    try {
+      const [before, after] = await Promise.all([revisionSections(from), revisionSections(to)]);
+      if (token === compareToken) state.revisionDiff = diffLayouts(before, after);
+    } catch {
+      // Reported by the client
+    }
+  }
+
+  /**
+   * Put a revision's layout on the canvas as an ordinary unsaved change:
+   * it can be undone, and saving it makes a new revision on top of the
+   * current one.
+   */
+  async function restoreRevision(revision) {
+    try {
+      const sections = await revisionSections(revision);
+      checkpoint();
+      state.sections = deepClone(sections);
+      state.isDirty = true;
+      rebindActiveBlock();
+      closeRevisions();
+      checkCanvas();
+      notify(`Revision ${revision} restored — save to keep it`, 'success');
+    } catch {
+      // Reported by the client
+    }
+  }
+
+  function revisionSummary() {
+    return state.revisionDiff ? describeDiff(state.revisionDiff.summary) : '';
+  }
+
+  function layoutLabel(layout) {
+    return state.layouts[layout]?.label || layout;
+  }
+
+  function blockLabel(blockType) {
+    return state.blockTypes[blockType]?.label || blockType;
+  }
+
+  // ── Collaboration ─────────────────────────────────────────────────────
+  let collab = null;
+  let collabSession = null;                // our id in the relay room
+  let synced = deepClone(state.sections); // what the room has seen from us
+  let remoteUnsaved = false;              // peers' changes held here but not saved yet
+
+  function sendLock(blockId) {
+    collab?.send({ type: 'lock', blockId });
+  }
+
+  /** The peer who has a block open in their settings panel, if any. */
+  function lockedBy(blockId) {
+    const session = Object.keys(state.peers).find(s => state.peers[s].lock === blockId);
+    return session ? peerInfo(session) : null;
+  }
+
+  function peerInfo(session) {
+    const peer = state.peers[session];
+    return {
+      session,
+      name: peer.user?.name || 'Someone',
+      initials: peerInitials(peer.user),
+      color: peerColor(session),
+      lock: peer.lock,
+    };
+  }
+
+  function peerList() {
+    return Object.keys(state.peers).map(peerInfo);
+  }
+
+  function overrideLock() {
+    state.lockOverride = true;
+  }
+
+  // Send what changed since the last broadcast; kept for the reconnect if offline
+  const broadcastChanges = debounce(() => {
+    if (!collab?.connected) return;
+
+    const patch = diffSections(synced, state.sections);
+    if (patch && collab.send({ type: 'patch', patch })) {
+      synced = deepClone(state.sections);
+    }
+  }, 150);
+
+  function receivePatch(patch) {
+    const merge = sections => applyPatch(sections, patch);
+
+    synced = merge(synced);
+    state.sections = merge(state.sections);
+    history.rebase(merge);
+    remoteUnsaved = true;
+    rebindActiveBlock();
+  }
+
+  function onCollabMessage(message) {
+    switch (message.type) {
+      case 'peers':
+        state.peers = Object.fromEntries(
+          (message.peers || []).map(p => [p.session, { user: p.user, lock: p.lock ?? null }])
+        );
+        break;
+
+      case 'join':
+        state.peers = { ...state.peers, [message.session]: { user: message.user, lock: null } };
+
+        // Bring the newcomer up to date with changes nobody has saved yet
+        if (state.isDirty || remoteUnsaved) {
+          collab.send({ type: 'sync', to: message.session, sections: synced, revision: state.revision });
+        }
+        break;
+
+      case 'leave': {
+        const { [message.session]: _gone, ...rest } = state.peers;
+        state.peers = rest;
+        break;
+      }
+
+      case 'lock':
+        if (state.peers[message.session]) {
+          state.peers[message.session] = { ...state.peers[message.session], lock: message.blockId ?? null };
+        }
+        break;
+
+      case 'patch':
+        if (message.patch) receivePatch(message.patch);
+        break;
+
+      case 'sync':
+        // Only a fresh session adopts a full copy — local edits win otherwise
+        if (message.to === collabSession && !state.isDirty && Array.isArray(message.sections)) {
+          synced = deepClone(message.sections);
+          state.sections = deepClone(message.sections);
+          history.clear();
+          syncHistory();
+          remoteUnsaved = true;
+          rebindActiveBlock();
+        }
+        break;
+
+      case 'saved':
+        if (message.revision > state.revision) state.revision = message.revision;
+        remoteUnsaved = false;
+        break;
+    }
+  }
+
+  function connectCollab() {
+    if (!options.collab?.url || !options.collab.token) return;
+
+    collab = createCollabSession(options.collab.url, {
+      token: options.collab.token,
+      onMessage(message) {
+        if (message.type === 'peers') collabSession = message.session;
+        onCollabMessage(message);
+      },
+      onJoin() {
+        state.collabConnected = true;
+        if (state.activeBlock) sendLock(state.activeBlock.id);
+        broadcastChanges();
+      },
+      onClose() {
+        // Presence is rebuilt from the `peers` reply after reconnecting
+        state.collabConnected = false;
+        state.peers = {};
+      },
+    });
   }
 
   // ── Autosave (debounced) ──────────────────────────────────────────────
   const autosave = debounce(() => {
-    if (state.isDirty && !state.saving) {
+    if (state.isDirty && !state.saving && !state.conflict) {
       save().catch(() => {});
     }
   }, 30000); // 30s debounce
 
-  // Watch for changes and trigger autosave
+  // Watch for changes: refresh block and split-screen previews, mirror to
+  // the local draft and trigger autosave
   watch(() => state.sections, () => {
-    if (state.isDirty) autosave();
+    schedulePreviews();
+    schedulePreviewRefresh();
+    if (collab) broadcastChanges();
+
+    if (!state.isDirty) return;
+    writeDraft();
+    autosave();
   }, { deep: true });
 
+  // Flush the pending draft and release locks before the tab goes away
+  window.addEventListener('beforeunload', () => {
+    writeDraft.flush();
+    collab?.close();
+  });
+
+  // The dev server's hot reload (dev-reload.js) waits while there are unsaved changes
+  window.addEventListener('monkeyscms:dev-reload', event => {
+    if (state.isDirty) event.preventDefault();
+  });
+
   // ── Initialize ────────────────────────────────────────────────────────
   init();
+  checkDraft();
+  connectCollab();
+  registerKeys();
 
   return {
     state,
@@ -323,7 +1277,43 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
     removeBlock,
     editBlock,
     updateBlockData,
+    updateBlockFieldPart,
+    toggleBlockFieldOption,
+    fieldWidget,
+    fieldValue,
+    chooseMedia,
+    removeMedia,
+    picker,
     closeSettings,
+    // Display settings
+    editSection,
+    setSettingsTab,
+    updateSetting,
+    toggleSettingOption,
+    displaySettingGroups,
+    settingWidget,
+    activeSectionData,
+    canvasHidden,
+    canvasStyle,
+    canvasBadges,
+    // Schema check
+    orphanedBlocks,
+    isOrphan,
+    unknownLayoutSections,
+    hasUnknownLayout,
+    convertOrphan,
+    removeOrphans,
+    blockTypeOptions,
+    // Duplicate, copy & paste
+    duplicateSection,
+    duplicateBlock,
+    copySection,
+    copyBlock,
+    pasteBlock,
+    pasteSection,
+    // History
+    undo,
+    redo,
     // Drag & Drop
     onDragStart,
     onDragOver,
@@ -333,5 +1323,31 @@ export function createMosaicEditor(nodeId, contentType, initialSections = []) {
     save,
     preview,
     closePreview,
+    togglePreviewSplit,
+    setPreviewDevice,
+    previewWidth,
+    previewDevices: PREVIEW_DEVICES,
+    // Block previews
+    retryBlockPreview,
+    // Drafts & conflicts
+    restoreDraft,
+    discardDraft,
+    keepMine,
+    takeTheirs,
+    toggleConflictCompare,
+    conflictOutline,
+    // Revision history
+    openRevisions,
+    closeRevisions,
+    selectRevision,
+    setRevisionCompare,
+    restoreRevision,
+    revisionSummary,
+    layoutLabel,
+    blockLabel,
+    // Collaboration
+    peerList,
+    lockedBy,
+    overrideLock,
   };
 }
@@ -0,0 +1,294 @@
+/**
+ * MonkeysCMS — Mosaic Field Widgets
+ *
+ * Registry of block-field widgets for the Mosaic settings panel, one per
+ * App\Cms\Field\FieldType case (plus the block-only `media` type).
+ *
+ * A widget describes how a field is edited and checked in the browser:
+ *   control   — which template control renders it (input, textarea, select,
+ *               multiselect, checkboxes, toggle, group, media)
+ *   inputType — the <input type> for `input` controls
+ *   parts     — sub-inputs for `group` controls (link, address, geolocation)
+ *   mediaType — media library filter for `media` controls; `multiple` picks many
+ *   parse     — raw input value → stored value; throws on a type error
+ *   format    — stored value → value shown in the control
+ *   validate  — extra type rule on the parsed value; returns a message or null
+ *
+ * Field definitions come from BlockTypeInterface::getFields() and may set
+ * `required`, `min`, `max`, `max_length`, `pattern` and `options`.
+ */
+
+// ─── Rules ──────────────────────────────────────────────────────────────────
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9 ()\-.]{5,20}$/;
+const COLOR_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2})?$/;
+
+function isUrl(value) {
+  // Site-relative links and anchors are fine for block content
+  if (/^[/#?]/.test(value)) return true;
+
+  try {
+    return ['http:', 'https:', 'mailto:', 'tel:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isEmpty));
+}
+
+function matches(re, message) {
+  return value => (typeof value === 'string' && value !== '' && !re.test(value) ? message : null);
+}
+
+// ─── Widget Factories ───────────────────────────────────────────────────────
+const identity = v => v;
+
+function input(inputType, validate = null) {
+  return { control: 'input', inputType, parse: identity, format: v => v ?? '', validate };
+}
+
+function textarea(rows, extra = {}) {
+  return { control: 'textarea', rows, parse: identity, format: v => v ?? '', validate: null, ...extra };
+}
+
+function number({ integer = false, step = 'any' } = {}) {
+  return {
+    control: 'input',
+    inputType: 'number',
+    step: integer ? '1' : step,
+    parse(raw) {
+      if (raw === '' || raw === null || raw === undefined) return null;
+
+      const n = Number(raw);
+      if (Number.isNaN(n)) throw new Error('Must be a number');
+      if (integer && !Number.isInteger(n)) throw new Error('Must be a whole number');
+      return n;
+    },
+    format: v => v ?? '',
+    validate: null,
+  };
+}
+
+function reference(label = 'ID') {
+  return {
+    control: 'input',
+    inputType: 'number',
+    step: '1',
+    placeholder: label,
+    parse(raw) {
+      if (raw === '' || raw === null || raw === undefined) return null;
+
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < 1) throw new Error(`Must be a valid ${label}`);
+      return n;
+    },
+    format: v => v ?? '',
+    validate: null,
+  };
+}
+
+/** Media library reference(s), chosen with the media picker. */
+function media(mediaType = '', { multiple = false } = {}) {
+  return {
+    control: 'media',
+    mediaType,
+    multiple,
+    parse(raw) {
+      const list = Array.isArray(raw) ? raw : (raw === '' || raw === null || raw === undefined ? [] : [raw]);
+      const ids = list.map(Number);
+      if (ids.some(n => !Number.isInteger(n) || n < 1)) throw new Error('Choose a file from the media library');
+      return multiple ? ids : (ids[0] ?? null);
+    },
+    format: v => (multiple ? (Array.isArray(v) ? v : []) : v ?? null),
+    validate: null,
+  };
+}
+
+function group(parts, validate = null) {
+  return {
+    control: 'group',
+    parts,
+    parse: v => (v && typeof v === 'object' ? v : {}),
+    format: v => (v && typeof v === 'object' ? v : {}),
+    validate,
+  };
+}
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+const widgets = {
+  string: input('text'),
+  text: textarea(4),
+  html: textarea(6),
+  code: textarea(6, { monospace: true }),
+  markdown: textarea(8, { monospace: true }),
+  password: input('password'),
+  slug: input('text', matches(SLUG_RE, 'Use lowercase letters, numbers and hyphens')),
+
+  integer: number({ integer: true }),
+  float: number(),
+  decimal: number({ step: '0.01' }),
+
+  boolean: { control: 'toggle', parse: raw => Boolean(raw), format: v => Boolean(v), validate: null },
+
+  date: input('date', matches(DATE_RE, 'Use the format YYYY-MM-DD')),
+  datetime: {
+    ...input('datetime-local', matches(DATETIME_RE, 'Enter a valid date and time')),
+    format: v => (typeof v === 'string' ? v.replace(' ', 'T').slice(0, 16) : ''),
+  },
+  time: input('time', matches(TIME_RE, 'Use the format HH:MM')),
+
+  email: input('email', matches(EMAIL_RE, 'Enter a valid e-mail address')),
+  url: input('url', v => (typeof v === 'string' && v !== '' && !isUrl(v) ? 'Enter a valid URL' : null)),
+  phone: input('tel', matches(PHONE_RE, 'Enter a valid phone number')),
+  color: {
+    ...input('color', matches(COLOR_RE, 'Use a hex color like #334155')),
+    format: v => v || '#000000',
+  },
+
+  json: {
+    ...textarea(6, { monospace: true }),
+    parse(raw) {
+      if (typeof raw !== 'string') return raw;
+      if (raw.trim() === '') return null;
+
+      try {
+        return JSON.parse(raw);
+      } catch {
+        throw new Error('Must be valid JSON');
+      }
+    },
+    format: v => (v === null || v === undefined || v === '' ? '' : JSON.stringify(v, null, 2)),
+  },
+
+  select: {
+    control: 'select',
+    parse: identity,
+    format: v => v ?? '',
+    validate: (v, def) => (v !== '' && v !== null && def.options && !(v in def.options) ? 'Choose one of the listed options' : null),
+  },
+  multiselect: {
+    control: 'multiselect',
+    parse: raw => (Array.isArray(raw) ? raw : []),
+    format: v => (Array.isArray(v) ? v : []),
+    validate: (v, def) => (def.options && v.some(o => !(o in def.options)) ? 'Choose from the listed options' : null),
+  },
+  checkbox: {
+    control: 'checkboxes',
+    parse: raw => (Array.isArray(raw) ? raw : []),
+    format: v => (Array.isArray(v) ? v : []),
+    validate: (v, def) => (def.options && v.some(o => !(o in def.options)) ? 'Choose from the listed options' : null),
+  },
+
+  media: media(),
+  image: media('image'),
+  file: media(),
+  video: media('video'),
+  gallery: media('image', { multiple: true }),
+
+  entity_reference: reference('content ID'),
+  taxonomy: reference('term ID'),
+  user_reference: reference('user ID'),
+  block_reference: reference('block ID'),
+
+  link: group([
+    { key: 'url', label: 'URL', inputType: 'url' },
+    { key: 'title', label: 'Link text', inputType: 'text' },
+  ], v => (v.url && !isUrl(v.url) ? 'Enter a valid URL' : null)),
+  address: group([
+    { key: 'street', label: 'Street', inputType: 'text' },
+    { key: 'city', label: 'City', inputType: 'text' },
+    { key: 'postal_code', label: 'Postal code', inputType: 'text' },
+    { key: 'country', label: 'Country', inputType: 'text' },
+  ]),
+  geolocation: group([
+    { key: 'lat', label: 'Latitude', inputType: 'number' },
+    { key: 'lng', label: 'Longitude', inputType: 'number' },
+  ], v => {
+    const lat = Number(v.lat);
+    const lng = Number(v.lng);
+    if (isEmpty(v)) return null;
+    if (Number.isNaN(lat) || lat < -90 || lat > 90) return 'Latitude must be between -90 and 90';
+    if (Number.isNaN(lng) || lng < -180 || lng > 180) return 'Longitude must be between -180 and 180';
+    return null;
+  }),
+};
+
+/**
+ * Register (or replace) the widget for a field type.
+ * Lets custom block types ship editors for their own field types.
+ */
+export function registerFieldWidget(type, widget) {
+  widgets[type] = { parse: identity, format: identity, validate: null, ...widget };
+}
+
+export function getFieldWidget(type) {
+  return widgets[type] || widgets.string;
+}
+
+export function formatFieldValue(fieldDef, value) {
+  return getFieldWidget(fieldDef?.type).format(value);
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+function checkRange(value, def) {
+  const { min, max } = def;
+
+  if (typeof value === 'number') {
+    if (min !== undefined && value < min) return `Must be at least ${min}`;
+    if (max !== undefined && value > max) return `Must be at most ${max}`;
+  }
+
+  if (typeof value === 'string' && value !== '') {
+    // Dates compare correctly as ISO strings
+    if (['date', 'datetime', 'time'].includes(def.type)) {
+      if (min !== undefined && value < String(min)) return `Must be on or after ${min}`;
+      if (max !== undefined && value > String(max)) return `Must be on or before ${max}`;
+    }
+    if (def.max_length !== undefined && value.length > def.max_length) {
+      return `Must be at most ${def.max_length} characters`;
+    }
+    if (def.pattern && !new RegExp(def.pattern).test(value)) {
+      return 'Has an invalid format';
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (min !== undefined && value.length < min) return `Select at least ${min}`;
+    if (max !== undefined && value.length > max) return `Select at most ${max}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate a raw input value against its field definition.
+ *
+ * @returns {{ value: any, error: string|null }}
+ */
+export function validateField(fieldDef, raw) {
+  const def = fieldDef || { type: 'string' };
+  const widget = getFieldWidget(def.type);
+
+  let value;
+  try {
+    value = widget.parse(raw, def);
+  } catch (err) {
+    return { value: raw, error: err.message };
+  }
+
+  if (isEmpty(value)) {
+    return { value, error: def.required ? 'This field is required' : null };
+  }
+
+  const error = widget.validate?.(value, def) || checkRange(value, def);
+
+  return { value, error };
+}
@@ -0,0 +1,42 @@
+/**
+ * MonkeysCMS — Mosaic Preview Frame
+ *
+ * Builds the document shown in the sandboxed preview iframe. The frame is
+ * rendered with `sandbox` and no `allow-scripts`, so preview HTML can't run
+ * code in the admin session, and admin CSS can't leak into it. Styling comes
+ * only from the active frontend theme's stylesheets.
+ */
+
+import { escapeHtml } from 'monkeysjs';
+
+// Preview widths — null means "as wide as the pane"
+export const PREVIEW_DEVICES = {
+  desktop: { label: 'Desktop', icon: '🖥️', width: null },
+  tablet: { label: 'Tablet', icon: '📱', width: 768 },
+  mobile: { label: 'Mobile', icon: '📲', width: 375 },
+};
+
+export function previewWidth(device) {
+  const width = PREVIEW_DEVICES[device]?.width;
+  return width ? width + 'px' : '100%';
+}
+
+export function buildPreviewDocument(html, stylesheets = []) {
+  const origin = window.location.origin;
+  const links = stylesheets
+    .map(href => `<link rel="stylesheet" href="${escapeHtml(new URL(href, origin).href)}">`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<base href="${escapeHtml(origin)}/" target="_blank">
+${links}
+</head>
+<body class="mosaic-preview">
+<main>${html}</main>
+</body>
+</html>`;
+}
@@ -0,0 +1,78 @@
+/**
+ * MonkeysCMS — Mosaic History
+ *
+ * Snapshot-based undo/redo stack for the Mosaic editor.
+ * Every mutating editor operation records the sections as they were
+ * *before* the change. Records sharing a merge key within the merge
+ * window collapse into one step (e.g. typing into a block field).
+ */
+
+import { deepClone } from 'monkeysjs';
+
+export function createHistory({ limit = 100, mergeWindow = 1000 } = {}) {
+  const past = [];
+  const future = [];
+  let lastKey = null;
+  let lastAt = 0;
+
+  // ── Recording ─────────────────────────────────────────────────────────
+  function record(sections, mergeKey = null) {
+    const now = Date.now();
+
+    if (mergeKey && mergeKey === lastKey && now - lastAt < mergeWindow) {
+      lastAt = now;
+      return;
+    }
+
+    past.push(deepClone(sections));
+    if (past.length > limit) past.shift();
+    future.length = 0;
+
+    lastKey = mergeKey;
+    lastAt = now;
+  }
+
+  // ── Traversal ─────────────────────────────────────────────────────────
+  function undo(current) {
+    if (!past.length) return null;
+
+    future.push(deepClone(current));
+    lastKey = null;
+
+    return past.pop();
+  }
+
+  function redo(current) {
+    if (!future.length) return null;
+
+    past.push(deepClone(current));
+    lastKey = null;
+
+    return future.pop();
+  }
+
+  /**
+   * Rewrite every stored snapshot, e.g. to fold in a collaborator's
+   * change so stepping back never reverts someone else's work.
+   */
+  function rebase(transform) {
+    past.forEach((snapshot, i) => { past[i] = transform(snapshot); });
+    future.forEach((snapshot, i) => { future[i] = transform(snapshot); });
+  }
+
+  function clear() {
+    past.length = 0;
+    future.length = 0;
+    lastKey = null;
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    rebase,
+    clear,
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+  };
+}
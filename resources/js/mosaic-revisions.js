@@ -0,0 +1,175 @@
+/**
+ * MonkeysCMS — Mosaic Revisions
+ *
+ * Structural diff between two Mosaic layouts, for the editor's history
+ * panel. Sections and blocks are matched by id, so a block dragged to
+ * another region shows as moved rather than as one removal and one
+ * addition.
+ *
+ *   const diff = diffLayouts(older.sections, newer.sections);
+ *   diff.sections → [{ id, status, layout, changes, blocks: [...] }, ...]
+ *   diff.summary  → { added, removed, moved, changed }
+ *
+ * Every entry has a `status` of 'added', 'removed', 'moved', 'changed'
+ * or 'unchanged'; an entry that was both moved and edited is 'changed'
+ * with `moved: true`. Removed entries stay where they used to be.
+ */
+
+const STATUSES = ['added', 'removed', 'moved', 'changed'];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+// Previews are derived data, not part of a revision
+function stripBlock(block) {
+  const { preview, ...rest } = block;
+  return rest;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Ids in `after` that kept their relative order from `before` (longest common subsequence). */
+function stableIds(before, after) {
+  const common = new Set(before.filter(id => after.includes(id)));
+  const a = before.filter(id => common.has(id));
+  const b = after.filter(id => common.has(id));
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const stable = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) { stable.add(a[i]); i++; j++; }
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++;
+    else j++;
+  }
+  return stable;
+}
+
+/** Walk `after` in order, slotting each entry only in `before` back in after its old neighbour. */
+function interleave(beforeIds, afterIds) {
+  const order = [...afterIds];
+  beforeIds.forEach((id, i) => {
+    if (afterIds.includes(id)) return;
+    const previous = beforeIds.slice(0, i).reverse().find(p => order.includes(p));
+    order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+  });
+  return order;
+}
+
+function placements(sections) {
+  const index = new Map();
+  sections.forEach(section => Object.entries(section.regions || {}).forEach(([region, blocks]) => {
+    (blocks || []).forEach((block, position) => {
+      index.set(block.id, { block: stripBlock(block), section: section.id, region, position });
+    });
+  }));
+  return index;
+}
+
+function changedKeys(before = {}, after = {}) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => !same(before[key], after[key]));
+}
+
+function statusOf(added, removed, moved, changed) {
+  if (added) return 'added';
+  if (removed) return 'removed';
+  if (changed) return 'changed';
+  return moved ? 'moved' : 'unchanged';
+}
+
+// ─── Diff ───────────────────────────────────────────────────────────────────
+/**
+ * @param {Array} before  sections of the older layout
+ * @param {Array} after   sections of the newer layout
+ * @returns {{sections: Array, summary: {added: number, removed: number, moved: number, changed: number}, empty: boolean}}
+ */
+export function diffLayouts(before = [], after = []) {
+  const beforeSections = new Map(before.map(s => [s.id, s]));
+  const afterSections = new Map(after.map(s => [s.id, s]));
+  const stableSections = stableIds(before.map(s => s.id), after.map(s => s.id));
+
+  const oldBlocks = placements(before);
+  const newBlocks = placements(after);
+
+  // Blocks that stayed in their region and kept their order there
+  const stableBlocks = new Set();
+  after.forEach(section => Object.entries(section.regions || {}).forEach(([region, blocks]) => {
+    const old = beforeSections.get(section.id)?.regions?.[region] || [];
+    stableIds(old.map(b => b.id), (blocks || []).map(b => b.id)).forEach(id => stableBlocks.add(id));
+  }));
+
+  const summary = { added: 0, removed: 0, moved: 0, changed: 0 };
+  const count = entry => { if (STATUSES.includes(entry.status)) summary[entry.status]++; };
+
+  const blockEntry = id => {
+    const was = oldBlocks.get(id);
+    const now = newBlocks.get(id);
+    const moved = Boolean(was && now && !stableBlocks.has(id));
+    const fields = was && now ? changedKeys(was.block.data, now.block.data) : [];
+    const settings = was && now ? changedKeys(was.block.settings, now.block.settings) : [];
+    const retyped = Boolean(was && now && was.block.blockType !== now.block.blockType);
+
+    const entry = {
+      id,
+      blockType: (now || was).block.blockType,
+      status: statusOf(!was, !now, moved, fields.length || settings.length || retyped),
+      moved,
+      from: was ? { section: was.section, region: was.region, position: was.position } : null,
+      to: now ? { section: now.section, region: now.region, position: now.position } : null,
+      fields,
+      settings,
+      retyped,
+      block: (now || was).block,
+    };
+    count(entry);
+    return entry;
+  };
+
+  const sections = interleave(before.map(s => s.id), after.map(s => s.id)).map(id => {
+    const was = beforeSections.get(id);
+    const now = afterSections.get(id);
+    const changes = [];
+    if (was && now) {
+      if (was.layout !== now.layout) changes.push('layout');
+      if (!same(was.settings, now.settings)) changes.push('settings');
+    }
+    const moved = Boolean(was && now && !stableSections.has(id));
+
+    // Blocks in this section now, plus the ones it lost, each beside its old neighbours
+    const regions = interleave(Object.keys(was?.regions || {}), Object.keys(now?.regions || {}));
+    const blocks = regions.flatMap(region => {
+      const oldIds = (was?.regions?.[region] || []).map(b => b.id);
+      const newIds = (now?.regions?.[region] || []).map(b => b.id);
+      // A block that left this region is listed where it went, unless it left the layout
+      const gone = oldIds.filter(b => !newIds.includes(b) && newBlocks.has(b));
+      return interleave(oldIds.filter(b => !gone.includes(b)), newIds).map(b => ({ ...blockEntry(b), region }));
+    });
+
+    const entry = {
+      id,
+      layout: (now || was).layout,
+      previousLayout: was && now && was.layout !== now.layout ? was.layout : null,
+      status: statusOf(!was, !now, moved, changes.length > 0),
+      moved,
+      changes,
+      blocks,
+    };
+    count(entry);
+    return entry;
+  });
+
+  return {
+    sections,
+    summary,
+    empty: Object.values(summary).every(n => n === 0),
+  };
+}
+
+/** "2 added, 1 moved" — or "No changes". */
+export function describeDiff(summary) {
+  const parts = STATUSES.filter(status => summary[status]).map(status => `${summary[status]} ${status}`);
+  return parts.length ? parts.join(', ') : 'No changes';
+}
@@ -0,0 +1,167 @@
+/**
+ * MonkeysCMS — Mosaic Schema Check
+ *
+ * Stored layouts outlive the code that wrote them: block types gain
+ * fields, get renamed or are removed, and layouts change their regions.
+ * When the editor opens, the sections are checked against the block
+ * types and layouts the server reports:
+ *
+ *   - blocks get their missing `data` fields, with the type's defaults
+ *   - sections get the regions their layout has, and blocks sitting in a
+ *     region the layout no longer has move to its first region
+ *   - blocks of an unknown type are left untouched but reported as
+ *     orphaned; the editor first asks the server, which knows the former
+ *     ids of renamed types, and what is still orphaned after that can be
+ *     converted to another type or removed
+ *   - sections with an unknown layout are reported, keeping their regions
+ *     until a layout is picked
+ *   - blocks saved by an older version of their type are reported as
+ *     outdated; the server migrates those (POST /blocks/upgrade), since
+ *     the migrations live with the PHP block types
+ */
+
+import { deepClone, uuid } from 'monkeysjs';
+
+/**
+ * Bring sections in line with the known block types and layouts.
+ *
+ * @returns {{sections: Array, report: {defaults: Array, moved: Array, repaired: number, orphans: Array, layouts: Array, outdated: string[]}}}
+ */
+export function checkSections(sections, { blockTypes = {}, layouts = {} } = {}) {
+  const report = { defaults: [], moved: [], repaired: 0, orphans: [], layouts: [], outdated: [] };
+
+  const checked = (Array.isArray(sections) ? sections : []).filter(isObject).map(original => {
+    const section = deepClone(original);
+    if (!section.id) {
+      section.id = 'sec_' + uuid().slice(0, 12);
+      report.repaired++;
+    }
+    if (!isObject(section.settings)) section.settings = {};
+    if (!isObject(section.regions)) section.regions = {};
+
+    const layoutDef = layouts[section.layout];
+    if (!layoutDef) {
+      report.layouts.push({ sectionId: section.id, layout: section.layout ?? null });
+    } else {
+      fitRegions(section, layoutDef.regions || [], report);
+    }
+
+    Object.entries(section.regions).forEach(([regionId, blocks]) => {
+      section.regions[regionId] = (Array.isArray(blocks) ? blocks : []).filter(isObject).map(block => {
+        if (!block.id) {
+          block.id = 'blk_' + uuid().slice(0, 12);
+          report.repaired++;
+        }
+        if (!isObject(block.data)) block.data = {};
+        if (!isObject(block.settings)) block.settings = {};
+
+        const typeDef = blockTypes[block.blockType];
+        if (!typeDef) {
+          report.orphans.push({ blockId: block.id, blockType: block.blockType ?? null, sectionId: section.id, regionId });
+          return block;
+        }
+
+        const filled = fillDefaults(block.data, typeDef.fields);
+        if (filled.length) report.defaults.push({ blockId: block.id, fields: filled });
+        if ((block.version ?? 1) < (typeDef.version ?? 1)) report.outdated.push(block.id);
+
+        return block;
+      });
+    });
+
+    return section;
+  });
+
+  return { sections: checked, report };
+}
+
+/** Whether checkSections() changed anything in the sections it returned. */
+export function hasRepairs(report) {
+  return report.defaults.length > 0 || report.moved.length > 0 || report.repaired > 0;
+}
+
+/** Blocks whose type isn't registered: [{ block, sectionId, regionId }]. */
+export function findOrphans(sections, blockTypes) {
+  const orphans = [];
+
+  (sections || []).forEach(section => {
+    Object.entries(section.regions || {}).forEach(([regionId, blocks]) => {
+      (blocks || []).forEach(block => {
+        if (!blockTypes[block.blockType]) orphans.push({ block, sectionId: section.id, regionId });
+      });
+    });
+  });
+
+  return orphans;
+}
+
+/**
+ * An orphaned block as another type. Data keys the new type also has are
+ * kept (a "body" stays a "body"); the rest start from their defaults.
+ */
+export function convertBlock(block, blockType, typeDef) {
+  const data = {};
+  Object.entries(typeDef?.fields || {}).forEach(([key, field]) => {
+    data[key] = key in (block.data || {}) ? deepClone(block.data[key]) : field.default ?? '';
+  });
+
+  return {
+    ...block,
+    blockType,
+    data,
+    settings: isObject(block.settings) ? block.settings : {},
+    version: typeDef?.version ?? 1,
+  };
+}
+
+/** One line for the editor's toast, e.g. "Filled 3 missing fields in 2 blocks". */
+export function describeReport(report) {
+  const parts = [];
+  const fieldCount = report.defaults.reduce((n, entry) => n + entry.fields.length, 0);
+
+  if (fieldCount) {
+    parts.push(`Filled ${fieldCount} missing field${fieldCount === 1 ? '' : 's'} in ${plural(report.defaults.length, 'block')}`);
+  }
+  report.moved.forEach(({ count, from, to }) => {
+    parts.push(`moved ${plural(count, 'block')} from the “${from}” region into “${to}”`);
+  });
+  if (report.repaired) parts.push(`gave ${plural(report.repaired, 'item')} a missing id`);
+
+  const text = parts.join('; ');
+  return text ? text[0].toUpperCase() + text.slice(1) : '';
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+function fitRegions(section, regionIds, report) {
+  if (!regionIds.length) return;
+
+  const regions = {};
+  regionIds.forEach(r => { regions[r] = Array.isArray(section.regions[r]) ? section.regions[r] : []; });
+
+  Object.entries(section.regions).forEach(([regionId, blocks]) => {
+    if (regionId in regions || !Array.isArray(blocks) || !blocks.length) return;
+    regions[regionIds[0]].push(...blocks);
+    report.moved.push({ sectionId: section.id, from: regionId, to: regionIds[0], count: blocks.length });
+  });
+
+  section.regions = regions;
+}
+
+function fillDefaults(data, fields) {
+  const filled = [];
+  Object.entries(fields || {}).forEach(([key, field]) => {
+    if (data[key] === undefined) {
+      data[key] = field.default ?? '';
+      filled.push(key);
+    }
+  });
+  return filled;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * MonkeysCMS — Mosaic Display Settings
+ *
+ * The settings panels for sections and blocks: spacing, background,
+ * anchor id, CSS classes, devices to hide on and a publish window. The
+ * definitions come from App\Cms\Mosaic\DisplaySettings::FIELDS (passed
+ * to the editor as `options.displaySettings`); the rules here mirror its
+ * server-side checks so mistakes show up while typing.
+ *
+ * The canvas uses the same settings: the spacing and background are
+ * applied, and anything hidden on the previewed device or outside its
+ * publish window is dimmed with a note saying why.
+ */
+
+// ─── Rules ──────────────────────────────────────────────────────────────────
+const LENGTH = String.raw`(?:-?\d*\.?\d+(?:px|r?em|%|vh|vw|ch)?|auto)`;
+const LENGTH_RE = new RegExp(`^${LENGTH}(?:\\s+${LENGTH}){0,3}$`);
+const COLOR_RE = /^(?:#[0-9a-f]{3,8}|(?:rgb|hsl)a?\([\d\s.,%/]+\)|[a-z]+)$/i;
+const ANCHOR_RE = /^[A-Za-z][\w:.-]*$/;
+const CLASSES_RE = /^-?[A-Za-z_][\w-]*(?:\s+-?[A-Za-z_][\w-]*)*$/;
+const URL_RE = /^(?:https?:\/\/|\/)[^\s"'()\\<>]*$/;
+
+// Widths match the front theme's .mosaic-hide-* media queries
+export const DEVICE_WIDTHS = {
+  mobile: [0, 767],
+  tablet: [768, 1023],
+  desktop: [1024, Infinity],
+};
+
+const text = (pattern, message, placeholder = '') => ({
+  control: 'input',
+  inputType: 'text',
+  placeholder,
+  validate: value => (pattern.test(value) ? null : message),
+});
+
+const WIDGETS = {
+  length: text(LENGTH_RE, 'Use CSS lengths such as 1rem, 12px or 2rem 1rem', '1rem'),
+  color: text(COLOR_RE, 'Use a colour such as #f5f5f5, rgb(0 0 0 / 5%) or white', '#f5f5f5'),
+  url: text(URL_RE, 'Use an http(s) URL or a path starting with /', '/uploads/…'),
+  anchor: text(ANCHOR_RE, 'Start with a letter; use letters, digits, - and _ only', 'pricing'),
+  classes: text(CLASSES_RE, 'Separate class names with spaces; letters, digits, - and _ only', 'is-wide'),
+  devices: { control: 'checkboxes', validate: () => null },
+  datetime: {
+    control: 'input',
+    inputType: 'datetime-local',
+    validate: value => (Number.isNaN(Date.parse(value)) ? 'Not a valid date and time' : null),
+  },
+};
+
+export function getSettingWidget(type) {
+  return WIDGETS[type] || WIDGETS.classes;
+}
+
+// ─── Definitions ────────────────────────────────────────────────────────────
+/** The definitions for 'section' or 'block', grouped: [{ group, fields: [{ key, ...def }] }]. */
+export function settingGroups(definitions, target) {
+  const groups = new Map();
+
+  Object.entries(definitions || {}).forEach(([key, def]) => {
+    if (!(def.targets || ['section', 'block']).includes(target)) return;
+    if (!groups.has(def.group)) groups.set(def.group, { group: def.group, fields: [] });
+    groups.get(def.group).fields.push({ key, ...def });
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * Check a value from a settings control.
+ *
+ * @returns {{value: *, error: string|null}} '' and [] mean "not set"
+ */
+export function validateSetting(def, raw, settings = {}) {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (value === '' || value === null || (Array.isArray(value) && !value.length)) {
+    return { value: Array.isArray(value) ? [] : '', error: null };
+  }
+
+  const error = getSettingWidget(def?.type).validate(value);
+  if (error) return { value, error };
+
+  // The window has to end after it starts
+  const from = def?.type === 'datetime' && def.key === 'publish_until' ? settings.publish_from : null;
+  if (from && Date.parse(value) <= Date.parse(from)) {
+    return { value, error: 'Must be later than “Show from”' };
+  }
+
+  return { value, error: null };
+}
+
+// ─── Canvas ─────────────────────────────────────────────────────────────────
+/** Inline style for the canvas, the same properties the server renders. */
+export function settingsStyle(settings = {}, withGap = false) {
+  const styles = [];
+  if (settings.padding) styles.push(`padding:${settings.padding}`);
+  if (settings.margin) styles.push(`margin:${settings.margin}`);
+  if (settings.background) styles.push(`background-color:${settings.background}`);
+  if (settings.background_image && URL_RE.test(settings.background_image)) {
+    styles.push(`background-image:url("${settings.background_image}")`, 'background-size:cover', 'background-position:center');
+  }
+  if (withGap && settings.gap) styles.push(`gap:${settings.gap}`);
+  return styles.join(';');
+}
+
+/** Whether the publish window includes `now`. */
+export function isLive(settings = {}, now = new Date()) {
+  if (settings.publish_from && new Date(settings.publish_from) > now) return false;
+  if (settings.publish_until && new Date(settings.publish_until) <= now) return false;
+  return true;
+}
+
+/** Why something would be missing on the previewed device right now, or null. */
+export function hiddenReason(settings = {}, device = 'desktop', now = new Date()) {
+  if ((settings.hide_on || []).includes(device)) return `Hidden on ${device}`;
+  if (settings.publish_from && new Date(settings.publish_from) > now) return `Shows from ${formatMoment(settings.publish_from)}`;
+  if (settings.publish_until && new Date(settings.publish_until) <= now) return `Hidden since ${formatMoment(settings.publish_until)}`;
+  return null;
+}
+
+/** Short notes for the canvas toolbar: "#pricing", "Hidden on mobile", "Until 3/1/2027, 09:00". */
+export function settingsBadges(settings = {}) {
+  const badges = [];
+  if (settings.anchor) badges.push(`#${settings.anchor}`);
+  if (settings.hide_on?.length) badges.push(`Hidden on ${settings.hide_on.join(', ')}`);
+  if (settings.publish_from) badges.push(`From ${formatMoment(settings.publish_from)}`);
+  if (settings.publish_until) badges.push(`Until ${formatMoment(settings.publish_until)}`);
+  return badges;
+}
+
+/** The device a preview width falls on (null width = full desktop). */
+export function deviceForWidth(width) {
+  if (!width) return 'desktop';
+  return Object.keys(DEVICE_WIDTHS).find(d => width >= DEVICE_WIDTHS[d][0] && width <= DEVICE_WIDTHS[d][1]) || 'desktop';
+}
+
+function formatMoment(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? value
+    : date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+}
@@ -0,0 +1,373 @@
+/**
+ * MonkeysCMS — Reference Fields
+ *
+ * Search-as-you-type pickers for entity_reference, taxonomy and
+ * user_reference fields. The stored value stays what it always was — an
+ * id, or a list of ids for multi-value fields — the picker only adds the
+ * labels and the searching. The markup lives in
+ * resources/views/components/reference-field.ml.php.
+ *
+ *   const tags = createReferenceField(termSource({ vocabulary: 'tags' }), {
+ *     multiple: true,
+ *     value: [3, 7],
+ *     onChange: ids => { form.fields.tags = ids; },
+ *   });
+ *
+ * A source turns queries into options — { id, label, hint?, depth? } —
+ * and may offer `create(query)` to add a missing option inline.
+ */
+
+import { reactive, debounce } from 'monkeysjs';
+import { createApiClient } from './admin-api.js';
+
+// The field shows its own errors, so nothing here reports to notify()
+const publicApi = createApiClient('/api/v1', { headers: { 'Accept': 'application/vnd.api+json' } });
+const adminApi = createApiClient('/admin/api');
+const quiet = { silent: true };
+
+const RESULT_LIMIT = 10;
+
+function toIds(value) {
+  const list = Array.isArray(value) ? value : (value === null || value === undefined || value === '' ? [] : [value]);
+  return list.map(Number).filter(id => Number.isInteger(id) && id > 0);
+}
+
+// Term and user resources nest their own { attributes, relationships } inside the JSON:API attributes
+function unwrap(resource) {
+  const outer = resource?.attributes || {};
+  return { ...outer, ...(outer.attributes || {}), relationships: outer.relationships || resource?.relationships || {} };
+}
+
+// ─── Sources ────────────────────────────────────────────────────────────────
+/**
+ * Content nodes, optionally limited to one content type. Lists, searches
+ * and resolves through the admin content API, so drafts and scheduled
+ * nodes can be picked too; an empty query lists the type's latest nodes.
+ */
+export function nodeSource({ type = null } = {}) {
+  const toOption = resource => {
+    const node = unwrap(resource);
+    return {
+      id: Number(resource.id),
+      label: node.title || `Node #${resource.id}`,
+      hint: node.status || '',
+    };
+  };
+
+  return {
+    minQuery: type ? 0 : 2,
+
+    async search(query) {
+      const params = new URLSearchParams({ per_page: String(RESULT_LIMIT), sort: '-updated_at' });
+      if (type) params.set('type', type);
+      if (query) params.set('q', query);
+      const res = await adminApi.get('/content/?' + params.toString(), quiet);
+      return (res.data?.data || []).map(toOption);
+    },
+
+    async resolve(ids) {
+      return Promise.all(ids.map(id => adminApi.get('/content/' + id, quiet)
+        .then(res => toOption(res.data.data))
+        .catch(() => ({ id, label: `Missing node #${id}`, missing: true }))));
+    },
+  };
+}
+
+/**
+ * Terms of one vocabulary. The whole vocabulary is loaded once and
+ * filtered in the browser so the hierarchy can be shown as paths
+ * ("Europe › France"). Missing terms can be created inline; typing
+ * "Europe > Spain" creates Spain under Europe.
+ */
+export function termSource({ vocabulary }) {
+  let terms = null;
+  let hierarchical = false;
+
+  async function load(force = false) {
+    if (terms && !force) return terms;
+
+    const res = await publicApi.get(`/taxonomy/vocabularies/${encodeURIComponent(vocabulary)}/terms`, quiet);
+    hierarchical = Boolean(res.data?.meta?.hierarchical);
+
+    const byId = new Map();
+    (res.data?.data || []).forEach(resource => {
+      const term = unwrap(resource);
+      byId.set(Number(resource.id), {
+        id: Number(resource.id),
+        name: term.name,
+        parentId: term.relationships?.parent?.id ? Number(term.relationships.parent.id) : null,
+      });
+    });
+
+    // The API lists terms depth-first, so order already follows the tree
+    const pathOf = (term, seen = new Set()) => {
+      const parent = term.parentId && !seen.has(term.parentId) ? byId.get(term.parentId) : null;
+      return parent ? [...pathOf(parent, seen.add(term.id)), term.name] : [term.name];
+    };
+
+    terms = [...byId.values()].map(term => {
+      const path = pathOf(term);
+      return { id: term.id, label: term.name, path: path.join(' › '), depth: path.length - 1, hint: path.slice(0, -1).join(' › ') };
+    });
+    return terms;
+  }
+
+  function split(query) {
+    const parts = query.split('>').map(p => p.trim()).filter(Boolean);
+    return { name: parts.pop() || '', parentPath: parts.join(' › ') };
+  }
+
+  return {
+    minQuery: 0,
+
+    async search(query) {
+      const all = await load();
+      const needle = query.toLowerCase();
+      return needle
+        // Matches are listed flat — the hint carries their place in the tree
+        ? all.filter(term => term.path.toLowerCase().includes(needle)).slice(0, RESULT_LIMIT * 3).map(term => ({ ...term, depth: 0 }))
+        : all;
+    },
+
+    async resolve(ids) {
+      const all = await load();
+      return ids.map(id => all.find(term => term.id === id) || { id, label: `Missing term #${id}`, missing: true });
+    },
+
+    /** The label a "create" option would get, or null when nothing new would be made. */
+    describeCreate(query) {
+      const { name, parentPath } = split(query);
+      if (!name || !terms) return null;
+      if (parentPath && !hierarchical) return null;
+      if (parentPath && !terms.some(t => t.path.toLowerCase() === parentPath.toLowerCase())) return null;
+
+      const path = parentPath ? `${parentPath} › ${name}` : name;
+      return terms.some(t => t.path.toLowerCase() === path.toLowerCase()) ? null : path;
+    },
+
+    async create(query) {
+      const { name, parentPath } = split(query);
+      const parent = parentPath ? terms.find(t => t.path.toLowerCase() === parentPath.toLowerCase()) : null;
+
+      const res = await adminApi.post(`/taxonomy/vocabularies/${encodeURIComponent(vocabulary)}/terms`, {
+        name,
+        parent_id: parent ? parent.id : null,
+      }, quiet);
+
+      await load(true);
+      const id = Number(res.data?.data?.id);
+      return terms.find(term => term.id === id) || { id, label: name };
+    },
+  };
+}
+
+/** Active CMS users, by name or e-mail. */
+export function userSource() {
+  const toOption = resource => {
+    const user = unwrap(resource);
+    return { id: Number(resource.id), label: user.name || user.email, hint: user.email };
+  };
+
+  return {
+    minQuery: 1,
+
+    async search(query) {
+      const res = await adminApi.get('/users?q=' + encodeURIComponent(query) + '&limit=' + RESULT_LIMIT, quiet);
+      return (res.data?.data || []).map(toOption);
+    },
+
+    async resolve(ids) {
+      const res = await adminApi.get('/users?ids=' + ids.join(','), quiet);
+      const found = (res.data?.data || []).map(toOption);
+      return ids.map(id => found.find(u => u.id === id) || { id, label: `Missing user #${id}`, missing: true });
+    },
+  };
+}
+
+// ─── Field ──────────────────────────────────────────────────────────────────
+/**
+ * @param {object} source  nodeSource(), termSource() or userSource()
+ * @param {object} options
+ *   multiple — keep a list of ids instead of one
+ *   value    — the stored value to start from
+ *   onChange — receives the new value (id, null or ids) after every change
+ */
+export function createReferenceField(source, { multiple = false, value = null, onChange = null } = {}) {
+  const state = reactive({
+    query: '',
+    open: false,
+    loading: false,
+    error: null,
+    results: [],
+    active: -1,       // keyboard-highlighted result
+    selected: [],     // { id, label, hint?, missing? } in value order
+    createLabel: null,
+  });
+
+  let requestId = 0;
+
+  function emit() {
+    const ids = state.selected.map(item => item.id);
+    onChange?.(multiple ? ids : (ids[0] ?? null));
+  }
+
+  // ── Labels for the stored value ───────────────────────────────────────
+  async function setValue(next) {
+    const ids = toIds(next);
+    const current = state.selected.map(item => item.id);
+    if (ids.join(',') === current.join(',')) return;
+
+    state.selected = ids.map(id => state.selected.find(item => item.id === id) || { id, label: `#${id}`, loading: true });
+    const unknown = state.selected.filter(item => item.loading).map(item => item.id);
+    if (!unknown.length) return;
+
+    try {
+      const resolved = await source.resolve(unknown);
+      state.selected = state.selected.map(item => resolved.find(r => r.id === item.id) || item);
+    } catch {
+      state.selected = state.selected.map(item => (item.loading ? { ...item, loading: false } : item));
+    }
+  }
+
+  // ── Searching ─────────────────────────────────────────────────────────
+  async function search() {
+    const query = state.query.trim();
+    const id = ++requestId;
+
+    if (query.length < (source.minQuery ?? 1)) {
+      state.results = [];
+      state.createLabel = null;
+      state.loading = false;
+      return;
+    }
+
+    state.loading = true;
+    state.error = null;
+    try {
+      const results = await source.search(query);
+      if (id !== requestId) return; // a newer query has already been sent
+
+      const chosen = new Set(state.selected.map(item => item.id));
+      state.results = results.filter(item => !chosen.has(item.id));
+      state.createLabel = source.describeCreate ? source.describeCreate(query) : null;
+      state.active = state.results.length ? 0 : (state.createLabel ? state.results.length : -1);
+    } catch (err) {
+      if (id !== requestId) return;
+      state.results = [];
+      state.error = err.response?.errors?.[0]?.detail || err.response?.error || 'Search failed';
+    } finally {
+      if (id === requestId) state.loading = false;
+    }
+  }
+
+  const searchSoon = debounce(search, 200);
+
+  function setQuery(query) {
+    state.query = query;
+    state.open = true;
+    searchSoon();
+  }
+
+  function openList() {
+    if (state.open) return;
+    state.open = true;
+    search();
+  }
+
+  function close() {
+    state.open = false;
+    state.active = -1;
+  }
+
+  // ── Choosing ──────────────────────────────────────────────────────────
+  function choose(item) {
+    if (!item) return;
+
+    state.selected = multiple
+      ? [...state.selected.filter(s => s.id !== item.id), item]
+      : [item];
+    state.query = '';
+    state.results = state.results.filter(r => r.id !== item.id);
+    state.createLabel = null;
+    emit();
+
+    if (multiple) search();
+    else close();
+  }
+
+  function remove(id) {
+    state.selected = state.selected.filter(item => item.id !== id);
+    emit();
+  }
+
+  async function createFromQuery() {
+    if (!source.create || !state.createLabel) return;
+
+    state.loading = true;
+    state.error = null;
+    try {
+      choose(await source.create(state.query.trim()));
+    } catch (err) {
+      state.error = err.response?.error || 'Could not create it';
+    } finally {
+      state.loading = false;
+    }
+  }
+
+  // ── Keyboard ──────────────────────────────────────────────────────────
+  // Results come first, then the "create" row when there is one
+  function optionCount() {
+    return state.results.length + (state.createLabel ? 1 : 0);
+  }
+
+  function onKeydown(event) {
+    const count = optionCount();
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!state.open) return openList();
+        if (count) state.active = (state.active + 1) % count;
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (count) state.active = (state.active - 1 + count) % count;
+        break;
+      case 'Enter':
+        if (!state.open || state.active < 0) return;
+        event.preventDefault();
+        if (state.active < state.results.length) choose(state.results[state.active]);
+        else createFromQuery();
+        break;
+      case 'Escape':
+        if (state.open) {
+          event.preventDefault();
+          event.stopPropagation();
+          close();
+        }
+        break;
+      case 'Backspace':
+        if (multiple && state.query === '' && state.selected.length) {
+          remove(state.selected[state.selected.length - 1].id);
+        }
+        break;
+    }
+  }
+
+  setValue(value);
+
+  return {
+    state,
+    multiple,
+    setValue,
+    setQuery,
+    openList,
+    close,
+    choose,
+    remove,
+    createFromQuery,
+    onKeydown,
+    // Let a click on a result land before the input's blur closes the list
+    closeSoon: () => setTimeout(close, 150),
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * MonkeysCMS — HTML Sanitizer
+ *
+ * Allowlist sanitizer for HTML shown inside the admin. Anything not on a
+ * context's list is removed: unknown elements are unwrapped (their text
+ * stays), dangerous ones are dropped with their content, and attributes
+ * are kept only when the context allows them. Event handlers and
+ * script-capable URLs never survive, whatever a context says.
+ *
+ *   sanitizeHtml('<img src=x onerror=alert(1)>')   // '<img src="x">'
+ *   sanitizeHtml('<b>Hi</b><p>there</p>', 'inline') // '<b>Hi</b>there'
+ *
+ * installSafeHtml() replaces MonkeysJS's `$m-html` directive so every
+ * binding goes through here; `$m-html:inline="…"` picks a context.
+ * Full-page previews are the one exception — they render in an iframe
+ * sandboxed without scripts (see mosaic-frame.js).
+ */
+
+import { directive } from 'monkeysjs';
+
+// Never kept, not even as text — their content is code, not prose
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'template', 'noscript', 'noembed', 'noframes', 'xmp', 'plaintext',
+  'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'link', 'meta', 'title',
+  'svg', 'math', 'textarea', 'select', 'option', 'input', 'button',
+]);
+
+// Attributes whose value is fetched or navigated to
+const URL_ATTRIBUTES = new Set(['href', 'src', 'poster', 'cite', 'action', 'formaction', 'background', 'xlink:href']);
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+// CSS that can fetch, run code or cover the admin UI. Escapes and comments
+// could hide any of these from the pattern, so they aren't allowed either.
+const UNSAFE_STYLE = /url\s*\(|image-set\s*\(|expression\s*\(|javascript:|behavior\s*:|-moz-binding|@import|position\s*:\s*(?:fixed|sticky)|\\|\/\*/i;
+
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir', 'role', 'aria-*'];
+
+const BLOCK_TAGS = [
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'span', 'section', 'article',
+  'header', 'footer', 'aside', 'nav', 'main', 'blockquote', 'pre', 'code', 'ul', 'ol', 'li',
+  'dl', 'dt', 'dd', 'figure', 'figcaption', 'table', 'caption', 'thead', 'tbody', 'tfoot',
+  'tr', 'th', 'td', 'img', 'picture', 'source', 'video', 'audio', 'track', 'details', 'summary',
+];
+
+const INLINE_TAGS = [
+  'a', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'ins', 'small', 'sub', 'sup', 'mark',
+  'code', 'kbd', 'abbr', 'time', 'q', 'cite', 'span', 'br',
+];
+
+const TAG_ATTRIBUTES = {
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading', 'srcset', 'sizes'],
+  source: ['src', 'srcset', 'sizes', 'type', 'media'],
+  video: ['src', 'poster', 'controls', 'muted', 'loop', 'playsinline', 'preload', 'width', 'height'],
+  audio: ['src', 'controls', 'muted', 'loop', 'preload'],
+  track: ['src', 'kind', 'srclang', 'label', 'default'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  time: ['datetime'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  details: ['open'],
+};
+
+/**
+ * Named allowlists. `tags` lists element names; `attributes` maps a tag
+ * (or `*` for every allowed tag) to attribute names, where `aria-*`
+ * style entries allow a prefix.
+ */
+export const SANITIZE_CONTEXTS = {
+  // Block previews and other rendered content in admin screens
+  admin: {
+    tags: [...new Set([...BLOCK_TAGS, ...INLINE_TAGS])],
+    attributes: { '*': [...GLOBAL_ATTRIBUTES, 'style'], ...TAG_ATTRIBUTES },
+  },
+  // Labels, notices, search highlights — formatting and links only
+  inline: {
+    tags: INLINE_TAGS,
+    attributes: { '*': ['class', 'title'], a: ['href', 'target', 'rel'], abbr: ['title'], time: ['datetime'] },
+  },
+  // Plain text — every tag is unwrapped
+  text: {
+    tags: [],
+    attributes: {},
+  },
+};
+
+// The block canvas shows the same markup as other admin previews
+SANITIZE_CONTEXTS.canvas = SANITIZE_CONTEXTS.admin;
+
+/**
+ * Add or replace a context, optionally starting from an existing one.
+ *
+ *   defineSanitizeContext('embed', { extends: 'admin', tags: ['iframe'] })
+ *
+ * Elements in the always-dropped set (script, iframe, svg, …) can't be
+ * allowed this way.
+ */
+export function defineSanitizeContext(name, { extends: base = null, tags = [], attributes = {} } = {}) {
+  const parent = base ? SANITIZE_CONTEXTS[base] : { tags: [], attributes: {} };
+  if (!parent) throw new Error(`Unknown sanitize context "${base}"`);
+
+  const merged = { ...parent.attributes };
+  Object.entries(attributes).forEach(([tag, names]) => {
+    merged[tag] = [...new Set([...(merged[tag] || []), ...names])];
+  });
+
+  SANITIZE_CONTEXTS[name] = { tags: [...new Set([...parent.tags, ...tags])], attributes: merged };
+  return SANITIZE_CONTEXTS[name];
+}
+
+// ─── Checks ─────────────────────────────────────────────────────────────────
+/**
+ * Whether a URL is safe to keep. Browsers ignore control characters and
+ * whitespace inside a scheme ("java\tscript:"), so those are removed
+ * before the scheme is read. Data URLs are allowed only for raster images.
+ */
+export function isSafeUrl(value, { allowDataImages = false } = {}) {
+  const url = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (!scheme) return true; // relative, fragment or protocol-relative
+  if (SAFE_PROTOCOLS.includes(scheme[1].toLowerCase() + ':')) return true;
+  return allowDataImages && SAFE_DATA_IMAGE.test(String(value).trim());
+}
+
+function isSafeSrcset(value) {
+  return String(value).split(',').every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0] || ''));
+}
+
+function attributeAllowed(context, tag, name) {
+  const lists = [context.attributes['*'] || [], context.attributes[tag] || []];
+  return lists.some(list => list.some(entry => (entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name)));
+}
+
+function cleanAttributes(el, tag, context) {
+  Array.from(el.attributes).forEach(attr => {
+    const name = attr.name.toLowerCase();
+    const value = attr.value;
+
+    const keep = !name.startsWith('on')
+      && attributeAllowed(context, tag, name)
+      && (!URL_ATTRIBUTES.has(name) || isSafeUrl(value, { allowDataImages: tag === 'img' && name === 'src' }))
+      && (name !== 'srcset' || isSafeSrcset(value))
+      && (name !== 'style' || !UNSAFE_STYLE.test(value));
+
+    if (!keep) el.removeAttribute(attr.name);
+  });
+
+  // Links that open a new tab can't reach back into the admin
+  if (tag === 'a' && el.getAttribute('target')) {
+    el.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+function cleanChildren(parent, context, allowed) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 3) return; // text
+
+    if (node.nodeType !== 1) {
+      node.remove(); // comments, processing instructions, …
+      return;
+    }
+
+    const tag = node.localName;
+
+    if (DROP_WITH_CONTENT.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      node.remove();
+      return;
+    }
+
+    cleanChildren(node, context, allowed);
+
+    if (allowed.has(tag)) {
+      cleanAttributes(node, tag, context);
+    } else {
+      // Keep words from neighbouring blocks apart once the block is gone
+      const spacer = BLOCK_TAGS.includes(tag) && !INLINE_TAGS.includes(tag) ? [node.ownerDocument.createTextNode(' ')] : [];
+      node.replaceWith(...Array.from(node.childNodes), ...spacer);
+    }
+  });
+}
+
+// ─── Sanitizing ─────────────────────────────────────────────────────────────
+/**
+ * @param {string} html
+ * @param {string} context  a SANITIZE_CONTEXTS key (default `admin`)
+ * @returns {string} markup containing only what the context allows
+ */
+export function sanitizeHtml(html, context = 'admin') {
+  if (html === null || html === undefined || html === '') return '';
+
+  const rules = SANITIZE_CONTEXTS[context];
+  if (!rules) throw new Error(`Unknown sanitize context "${context}"`);
+
+  // A parsed document is inert: no scripts run and no images load while we work
+  const doc = new DOMParser().parseFromString('<!DOCTYPE html><html><body></body></html>', 'text/html');
+  doc.body.innerHTML = String(html);
+
+  cleanChildren(doc.body, rules, new Set(rules.tags));
+
+  return doc.body.innerHTML;
+}
+
+let installed = false;
+
+/**
+ * Route every `$m-html` binding through sanitizeHtml(). The directive arg
+ * picks the context: `$m-html:inline="…"`. Safe to call more than once.
+ */
+export function installSafeHtml() {
+  if (installed) return;
+  installed = true;
+
+  directive('html', {
+    effect(el, expression, ctx, modifiers, arg) {
+      let value;
+      try {
+        value = new Function('$data', '$el', '$refs', `with($data) { return ${expression} }`)(ctx.$data, el, ctx.$refs);
+      } catch (err) {
+        console.warn(`MonkeysCMS: Error evaluating "${expression}":`, err);
+      }
+      el.innerHTML = sanitizeHtml(value ?? '', arg || 'admin');
+    },
+  });
+}
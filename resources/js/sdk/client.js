@@ -0,0 +1,149 @@
+/**
+ * MonkeysCMS SDK — Client
+ *
+ * A small fetch-based client for the public JSON:API at /api/v1. It runs
+ * wherever fetch does — the browser, Node 18+, Next.js server components —
+ * and has no dependencies.
+ *
+ *   const cms = createClient({ baseUrl: 'https://cms.example.com/api/v1', token: process.env.CMS_TOKEN });
+ *   const { data, meta } = await cms.get('/nodes', query().filter('type', 'article'));
+ *
+ *   for await (const node of eachResource(cms, '/nodes', query().filter('type', 'article'))) { … }
+ *
+ * Reads are public unless the server sets `requireAuthForReads`; a token,
+ * when given, is sent as `Authorization: Bearer …` (or `X-API-Key` with
+ * `tokenHeader: 'x-api-key'`) and may be a function for tokens that rotate.
+ */
+
+import { errorFromResponse, NetworkError } from './errors.js';
+import { resolveDocument } from './document.js';
+import { Query } from './query.js';
+
+const JSON_API = 'application/vnd.api+json';
+
+/**
+ * @param {object} options
+ *   baseUrl     — where the API lives (default '/api/v1')
+ *   token       — API token, or a (possibly async) function returning one
+ *   tokenHeader — 'authorization' (default) or 'x-api-key'
+ *   headers     — extra headers for every request
+ *   fetch       — a fetch implementation (default: the global one)
+ *   init        — extra fetch options for every request, e.g. { next: { revalidate: 60 } }
+ * @returns {{baseUrl: string, get: Function, request: Function}}
+ */
+export function createClient({
+  baseUrl = '/api/v1',
+  token = null,
+  tokenHeader = 'authorization',
+  headers = {},
+  fetch: fetchImpl = globalThis.fetch,
+  init = {},
+} = {}) {
+  if (typeof fetchImpl !== 'function') {
+    throw new TypeError('MonkeysCMS SDK: no fetch available — pass one as `fetch`');
+  }
+
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function authHeaders() {
+    const value = typeof token === 'function' ? await token() : token;
+    if (!value) return {};
+    return tokenHeader.toLowerCase() === 'x-api-key' ? { 'X-API-Key': value } : { 'Authorization': `Bearer ${value}` };
+  }
+
+  /**
+   * Send a request and return the parsed body as it came.
+   *
+   * @param {string} path   e.g. '/nodes' or '/menus/main'
+   * @param {object} options  { query, method, body, signal, headers, init }
+   */
+  async function request(path, { query = null, method = 'GET', body, signal, headers: extra = {}, init: extraInit = {} } = {}) {
+    const params = query instanceof Query ? query.toParams() : new URLSearchParams(query || {});
+    const search = params.toString();
+    const url = root + (path.startsWith('/') ? path : '/' + path) + (search ? '?' + search : '');
+
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        ...init,
+        ...extraInit,
+        method,
+        signal,
+        headers: {
+          'Accept': JSON_API,
+          ...(body === undefined ? {} : { 'Content-Type': JSON_API }),
+          ...headers,
+          ...(await authHeaders()),
+          ...extra,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      throw new NetworkError(`Could not reach ${url}: ${err?.message || err}`, { url });
+    }
+
+    const text = await res.text();
+    let document = null;
+    if (text) {
+      try {
+        document = JSON.parse(text);
+      } catch {
+        if (res.ok) throw new NetworkError(`Expected JSON from ${url}`, { status: res.status, url });
+      }
+    }
+
+    if (!res.ok) {
+      const retryAfter = Number(res.headers.get('Retry-After')) || null;
+      throw errorFromResponse(res.status, document, { url, retryAfter });
+    }
+
+    return document;
+  }
+
+  /**
+   * GET a resource or collection with its `included` resources resolved.
+   *
+   * @param {string} path
+   * @param {Query|object|null} query
+   * @param {object} options  { signal, headers, init }
+   * @returns {Promise<{data, included, meta, links, document}>}
+   */
+  async function get(path, query = null, options = {}) {
+    return resolveDocument(await request(path, { ...options, query }));
+  }
+
+  return { baseUrl: root, get, request };
+}
+
+// ─── Paging ─────────────────────────────────────────────────────────────────
+/**
+ * Every page of a collection, one resolved document at a time. Pages are
+ * counted from `meta.last_page`, so the query's include, fields and sort
+ * carry over to every page. Endpoints without paging yield a single page.
+ *
+ *   for await (const page of eachPage(cms, '/media', query().size(50))) { … }
+ */
+export async function* eachPage(client, path, query = new Query(), options = {}) {
+  let number = query.state.page.number || 1;
+
+  for (;;) {
+    const page = await client.get(path, query.page(number), options);
+    yield page;
+
+    const last = Number(page.meta.last_page);
+    if (!last || number >= last || !page.data?.length) return;
+    number++;
+  }
+}
+
+/**
+ * Every resource of a collection across all its pages.
+ *
+ *   for await (const node of eachResource(cms, '/nodes', query().filter('type', 'article'))) { … }
+ */
+export async function* eachResource(client, path, query = new Query(), options = {}) {
+  for await (const page of eachPage(client, path, query, options)) {
+    yield* page.data || [];
+  }
+}
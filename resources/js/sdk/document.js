@@ -0,0 +1,62 @@
+/**
+ * MonkeysCMS SDK — Documents
+ *
+ * Turns a JSON:API response into resources whose relationships point at
+ * the related resources themselves, taken from `included`:
+ *
+ *   const { data } = resolveDocument(json);
+ *   data.relationships.terms.map(term => term.attributes.name);
+ *
+ * Resources keep the JSON:API shape — `{ type, id, attributes,
+ * relationships, links, meta }` — so an attribute called `type` or `id`
+ * can't clash with the resource's own. A related resource the response
+ * didn't include stays a bare `{ type, id }`. Every resource appears once:
+ * the same term related to two nodes is the same object, cycles included.
+ */
+
+const key = ({ type, id }) => `${type}:${id}`;
+
+function shell(resource) {
+  return {
+    type: resource.type,
+    id: resource.id,
+    attributes: resource.attributes || {},
+    relationships: {},
+    links: resource.links || {},
+    meta: resource.meta || {},
+  };
+}
+
+/**
+ * @param {object} document  a parsed JSON:API response
+ * @returns {{data: object|object[]|null, included: object[], meta: object, links: object, document: object}}
+ */
+export function resolveDocument(document) {
+  const primary = document?.data ?? null;
+  const raw = [...(Array.isArray(primary) ? primary : primary ? [primary] : []), ...(document?.included || [])];
+
+  // Create every resource first so relationships can point at any of them
+  const store = new Map();
+  raw.forEach(resource => { if (!store.has(key(resource))) store.set(key(resource), shell(resource)); });
+
+  const link = identifier => store.get(key(identifier)) || { type: identifier.type, id: identifier.id };
+
+  raw.forEach(resource => {
+    const target = store.get(key(resource));
+    Object.entries(resource.relationships || {}).forEach(([name, relationship]) => {
+      const data = relationship?.data;
+      if (data === undefined) return; // links-only relationship — nothing to resolve
+      target.relationships[name] = Array.isArray(data) ? data.map(link) : data ? link(data) : null;
+    });
+  });
+
+  const resolve = resource => store.get(key(resource));
+
+  return {
+    data: Array.isArray(primary) ? primary.map(resolve) : primary ? resolve(primary) : null,
+    included: (document?.included || []).map(resolve),
+    meta: document?.meta || {},
+    links: document?.links || {},
+    document,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * MonkeysCMS SDK — Endpoints
+ *
+ * One function per /api/v1 route, each taking the client first. They are
+ * separate exports so a bundle only carries the ones it imports.
+ *
+ *   const { data: articles, meta } = await listNodes(cms, 'article', query().sort('-published_at').page(1, 10));
+ *   const { data: menu } = await getMenu(cms, 'main');
+ */
+
+import { Query } from './query.js';
+
+// Plain objects are raw query parameters, as client.get() takes them
+const base = q => (q instanceof Query ? q : new Query({ params: q || {} }));
+
+// ─── Content ────────────────────────────────────────────────────────────────
+/** GET /nodes — `filter[type]` is required, so the type comes first. */
+export function listNodes(client, type, q, options) {
+  return client.get('/nodes', base(q).filter('type', type), options);
+}
+
+export function getNode(client, id, q, options) {
+  return client.get(`/nodes/${encodeURIComponent(id)}`, q, options);
+}
+
+export function getNodeTerms(client, id, options) {
+  return client.get(`/nodes/${encodeURIComponent(id)}/terms`, null, options);
+}
+
+/** GET /search?q=… — at least two characters; filter('type', …) narrows it. */
+export function search(client, text, q, options) {
+  return client.get('/search', base(q).param('q', text), options);
+}
+
+// ─── Media ──────────────────────────────────────────────────────────────────
+export function listMedia(client, q, options) {
+  return client.get('/media', q, options);
+}
+
+export function getMedia(client, id, options) {
+  return client.get(`/media/${encodeURIComponent(id)}`, null, options);
+}
+
+// ─── Menus ──────────────────────────────────────────────────────────────────
+export function listMenus(client, options) {
+  return client.get('/menus', null, options);
+}
+
+/** GET /menus/{name} — the menu with its items in `included`. */
+export function getMenu(client, name, options) {
+  return client.get(`/menus/${encodeURIComponent(name)}`, null, options);
+}
+
+// ─── Taxonomy ───────────────────────────────────────────────────────────────
+export function listVocabularies(client, options) {
+  return client.get('/taxonomy/vocabularies', null, options);
+}
+
+export function getVocabulary(client, name, options) {
+  return client.get(`/taxonomy/vocabularies/${encodeURIComponent(name)}`, null, options);
+}
+
+/** GET /taxonomy/vocabularies/{name}/terms — flat, each term carries its parent_id. */
+export function listTerms(client, vocabulary, options) {
+  return client.get(`/taxonomy/vocabularies/${encodeURIComponent(vocabulary)}/terms`, null, options);
+}
+
+export function getTerm(client, id, options) {
+  return client.get(`/taxonomy/terms/${encodeURIComponent(id)}`, null, options);
+}
@@ -0,0 +1,70 @@
+/**
+ * MonkeysCMS SDK — Errors
+ *
+ * Every failed request rejects with an ApiError subclass, so callers can
+ * branch with `instanceof` instead of comparing status codes:
+ *
+ *   try { await getNode(cms, 12); }
+ *   catch (err) { if (err instanceof NotFoundError) return notFound(); throw err; }
+ *
+ * `errors` holds the JSON:API error objects from the response body.
+ * Aborting a request still rejects with the browser's own AbortError.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{status?: number, errors?: object[], document?: object|null, url?: string}} details
+   */
+  constructor(message, { status = 0, errors = [], document = null, url = '' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.errors = errors;
+    this.document = document;
+    this.url = url;
+  }
+}
+
+/** 400 / 422 — the request itself was wrong; `errors[].source.pointer` says where. */
+export class ValidationError extends ApiError {}
+
+/** 401 — no token was sent and the endpoint needs one. */
+export class AuthenticationError extends ApiError {}
+
+/** 403 — the token is invalid, expired or revoked. */
+export class AuthorizationError extends ApiError {}
+
+export class NotFoundError extends ApiError {}
+
+/** 429 — `retryAfter` is in seconds when the server said. */
+export class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+export class ServerError extends ApiError {}
+
+/** The server could not be reached, or answered with something that isn't JSON. */
+export class NetworkError extends ApiError {}
+
+const BY_STATUS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: AuthorizationError,
+  404: NotFoundError,
+  422: ValidationError,
+  429: RateLimitError,
+};
+
+/** Build the matching error for a failed response. */
+export function errorFromResponse(status, document, { url = '', retryAfter = null } = {}) {
+  const errors = Array.isArray(document?.errors) ? document.errors : [];
+  const first = errors[0] || {};
+  const message = first.detail || first.title || `Request failed with status ${status}`;
+  const ErrorClass = BY_STATUS[status] || (status >= 500 ? ServerError : ApiError);
+
+  return new ErrorClass(message, { status, errors, document, url, retryAfter });
+}
@@ -0,0 +1,44 @@
+/**
+ * MonkeysCMS SDK
+ *
+ * A client for the public JSON:API (/api/v1) for frontends that live
+ * outside the CMS — Next.js, static site generators, or the front theme.
+ * Everything is a named export with no side effects, so bundlers keep
+ * only what is imported.
+ *
+ *   import { createClient, query, listNodes, eachResource, NotFoundError } from './sdk/index.js';
+ *
+ *   const cms = createClient({ baseUrl: 'https://cms.example.com/api/v1' });
+ *   const { data } = await listNodes(cms, 'article', query().include('terms').fields('nodes', 'title', 'slug'));
+ *
+ * Built to /build/assets/sdk.js for pages served by the CMS.
+ */
+
+export { createClient, eachPage, eachResource } from './client.js';
+export { Query, query } from './query.js';
+export { resolveDocument } from './document.js';
+export {
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  errorFromResponse,
+} from './errors.js';
+export {
+  listNodes,
+  getNode,
+  getNodeTerms,
+  search,
+  listMedia,
+  getMedia,
+  listMenus,
+  getMenu,
+  listVocabularies,
+  getVocabulary,
+  listTerms,
+  getTerm,
+} from './endpoints.js';
@@ -0,0 +1,104 @@
+/**
+ * MonkeysCMS SDK — Query builder
+ *
+ * Builds the JSON:API parameters QueryParser reads. Every method returns a
+ * new query, so a base query can be shared and refined:
+ *
+ *   const articles = query().filter('type', 'article').include('terms');
+ *   const latest = articles.sort('-published_at').page(1, 5);
+ *
+ *   latest.toString()
+ *   // include=terms&filter[type]=article&sort=-published_at&page[number]=1&page[size]=5
+ *
+ * (The brackets are percent-encoded in the real string.)
+ */
+
+export class Query {
+  constructor(state = {}) {
+    this.state = {
+      include: [],
+      fields: {},
+      filter: {},
+      sort: [],
+      page: {},
+      params: {},
+      ...state,
+    };
+    Object.freeze(this);
+  }
+
+  with(changes) {
+    return new Query({ ...this.state, ...changes });
+  }
+
+  /** include('terms', 'author') — related resources to send along in `included`. */
+  include(...relations) {
+    return this.with({ include: [...new Set([...this.state.include, ...relations.flat()])] });
+  }
+
+  /**
+   * Sparse fieldsets: only these attributes come back for a type.
+   *
+   *   fields('nodes', 'title', 'slug')
+   *   fields({ nodes: ['title', 'slug'], terms: ['name'] })
+   */
+  fields(type, ...names) {
+    const sets = typeof type === 'object' ? type : { [type]: names.flat() };
+    return this.with({ fields: { ...this.state.fields, ...sets } });
+  }
+
+  /**
+   * filter('type', 'article') or filter({ type: 'article', status: 'published' }).
+   * Arrays are sent comma-separated; null or undefined removes a filter.
+   */
+  filter(key, value) {
+    const filters = { ...this.state.filter, ...(typeof key === 'object' ? key : { [key]: value }) };
+    Object.keys(filters).forEach(name => { if (filters[name] == null) delete filters[name]; });
+    return this.with({ filter: filters });
+  }
+
+  /** sort('-published_at', 'title') — a leading minus sorts descending. */
+  sort(...fields) {
+    return this.with({ sort: fields.flat() });
+  }
+
+  /** page(2) or page(2, 50). The API caps the size at 100. */
+  page(number, size = this.state.page.size) {
+    return this.with({ page: { number, ...(size ? { size } : {}) } });
+  }
+
+  size(size) {
+    return this.with({ page: { ...this.state.page, size } });
+  }
+
+  /** Any other query parameter, e.g. param('q', 'monkeys') for search. */
+  param(key, value) {
+    return this.with({ params: { ...this.state.params, [key]: value } });
+  }
+
+  /** @returns {URLSearchParams} */
+  toParams() {
+    const { include, fields, filter, sort, page, params } = this.state;
+    const out = new URLSearchParams();
+    const list = value => (Array.isArray(value) ? value.join(',') : String(value));
+
+    if (include.length) out.set('include', include.join(','));
+    Object.entries(fields).forEach(([type, names]) => out.set(`fields[${type}]`, list(names)));
+    Object.entries(filter).forEach(([name, value]) => out.set(`filter[${name}]`, list(value)));
+    if (sort.length) out.set('sort', sort.join(','));
+    if (page.number) out.set('page[number]', String(page.number));
+    if (page.size) out.set('page[size]', String(page.size));
+    Object.entries(params).forEach(([name, value]) => { if (value != null) out.set(name, String(value)); });
+
+    return out;
+  }
+
+  toString() {
+    return this.toParams().toString();
+  }
+}
+
+/** Start a query. Accepts the same state object a Query holds. */
+export function query(state) {
+  return new Query(state);
+}
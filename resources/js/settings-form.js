@@ -0,0 +1,235 @@
+/**
+ * MonkeysCMS — Settings Form
+ *
+ * The pieces behind the admin settings page: widgets and checks for each
+ * setting type, change tracking across groups, and JSON export/import.
+ * Definitions come from App\Cms\Settings\SettingsSchema (GET
+ * /admin/api/settings/schema); settings stored without one get a plain
+ * widget inferred from their value.
+ *
+ * Exports look like this, and import on another site as unsaved changes:
+ *
+ *   {
+ *     "format": "monkeyscms/settings",
+ *     "version": 1,
+ *     "exported_at": "2026-10-19T09:30:00.000Z",
+ *     "settings": { "general": { "site_name": "…", "items_per_page": 25 } }
+ *   }
+ */
+
+import { checkValue } from './form-rules.js';
+
+export const EXPORT_FORMAT = 'monkeyscms/settings';
+export const EXPORT_VERSION = 1;
+
+// ─── Definitions ────────────────────────────────────────────────────────────
+/**
+ * Schema groups first, then groups that only exist in storage. Each has
+ * its fields in order: [{ id, label, description, fields: [{ key, ...def }] }]
+ */
+export function buildGroups(schema, stored) {
+  const groups = (schema?.groups || []).map(group => ({
+    ...group,
+    fields: Object.entries(schema.fields?.[group.id] || {}).map(([key, def]) => ({ key, ...def })),
+  }));
+
+  return addStoredFields(groups, stored);
+}
+
+/** Groups with inferred fields added for stored (or imported) settings they lack. */
+export function addStoredFields(groups, stored) {
+  const result = groups.map(group => ({ ...group, fields: [...group.fields] }));
+
+  Object.keys(stored || {}).forEach(id => {
+    if (!result.some(g => g.id === id)) result.push({ id, label: humanize(id), description: '', fields: [] });
+  });
+
+  result.forEach(group => {
+    Object.entries(stored?.[group.id] || {}).forEach(([key, value]) => {
+      if (!group.fields.some(f => f.key === key)) group.fields.push({ key, ...inferField(key, value) });
+    });
+  });
+
+  return result;
+}
+
+/** A definition for a stored setting the schema doesn't describe. */
+export function inferField(key, value) {
+  const type = typeof value === 'boolean' ? 'boolean'
+    : typeof value === 'number' ? (Number.isInteger(value) ? 'integer' : 'float')
+    : value !== null && typeof value === 'object' ? 'json'
+    : 'string';
+
+  return { label: humanize(key), type, inferred: true };
+}
+
+/** Stored values with defaults for the settings that have never been saved. */
+export function withDefaults(groups, stored) {
+  const values = {};
+  groups.forEach(group => {
+    values[group.id] = { ...(stored?.[group.id] || {}) };
+    group.fields.forEach(field => {
+      if (!(field.key in values[group.id]) && 'default' in field) values[group.id][field.key] = field.default;
+    });
+  });
+  return values;
+}
+
+// ─── Widgets ────────────────────────────────────────────────────────────────
+const WIDGETS = {
+  string: { control: 'input', inputType: 'text' },
+  text: { control: 'textarea' },
+  email: { control: 'input', inputType: 'email' },
+  url: { control: 'input', inputType: 'url' },
+  integer: { control: 'input', inputType: 'number' },
+  float: { control: 'input', inputType: 'number' },
+  boolean: { control: 'checkbox' },
+  select: { control: 'select' },
+  timezone: { control: 'select' },
+  json: { control: 'textarea' },
+};
+
+export function settingWidget(field) {
+  return WIDGETS[field?.type] || WIDGETS.string;
+}
+
+/** The value as the widget shows it. */
+export function displayValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field?.type === 'json' && typeof value !== 'string') return JSON.stringify(value, null, 2);
+  return value;
+}
+
+/**
+ * Turn widget input into the stored value. Input that doesn't parse is
+ * kept as typed, so validateSetting() can say what's wrong with it.
+ */
+export function parseInput(field, raw) {
+  switch (field?.type) {
+    case 'boolean':
+      return Boolean(raw);
+    case 'integer':
+      return /^\s*-?\d+\s*$/.test(String(raw)) ? Number(raw) : raw;
+    case 'float':
+      return String(raw).trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'json':
+      try { return JSON.parse(raw); } catch { return raw; }
+    default:
+      return raw;
+  }
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+/** Mirrors SettingsSchema::validate(); the server has the final say. */
+export function validateSetting(field, value) {
+  const label = field?.label || 'This setting';
+
+  if (field?.type !== 'json' && value !== null && typeof value === 'object') return `${label} must be a single value.`;
+
+  switch (field?.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Choose on or off.';
+    case 'json':
+      return typeof value === 'string' && value.trim() !== '' ? 'Enter valid JSON.' : null;
+    case 'select':
+    case 'timezone':
+      if (value === '' || value === null || value === undefined) return field.required ? `${label} is required.` : null;
+      return Object.prototype.hasOwnProperty.call(field.options || {}, value) ? null
+        : field.type === 'timezone' ? 'Choose a timezone from the list.' : 'Choose one of the listed options.';
+  }
+
+  const message = checkValue(field?.type || 'string', value, {
+    required: Boolean(field?.required),
+    label,
+    maxLength: field?.max_length ?? null,
+  });
+  if (message || field?.type !== 'integer' || value === '' || value === null) return message;
+
+  if (field.min !== undefined && value < field.min) return `Enter ${field.min} or more.`;
+  if (field.max !== undefined && value > field.max) return `Enter ${field.max} or less.`;
+  return null;
+}
+
+// ─── Changes ────────────────────────────────────────────────────────────────
+export function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Only the settings that differ from the saved copy: { group: { key: value } }. */
+export function changedSettings(values, saved) {
+  const changes = {};
+  Object.entries(values || {}).forEach(([group, settings]) => {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!sameValue(value, saved?.[group]?.[key])) (changes[group] ??= {})[key] = value;
+    });
+  });
+  return changes;
+}
+
+// ─── Export & Import ────────────────────────────────────────────────────────
+export function exportSettings(values) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    settings: values,
+  }, null, 2);
+}
+
+/**
+ * Read an export. Values that fail their definition are skipped with the
+ * reason; settings this site has no definition for are taken as they are.
+ *
+ * @returns {{values: object, skipped: string[], count: number}}
+ * @throws {Error} when the text isn't a settings export
+ */
+export function parseImport(text, groups) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (payload?.format !== undefined && payload.format !== EXPORT_FORMAT) {
+    throw new Error('The file is not a MonkeysCMS settings export.');
+  }
+  if (payload?.version > EXPORT_VERSION) {
+    throw new Error('The file comes from a newer MonkeysCMS; update this site first.');
+  }
+
+  const settings = payload?.format ? payload.settings : payload;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('The file has no settings in it.');
+  }
+
+  const values = {};
+  const skipped = [];
+  let count = 0;
+
+  Object.entries(settings).forEach(([groupId, entries]) => {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      skipped.push(`${groupId}: not a group of settings`);
+      return;
+    }
+
+    const group = (groups || []).find(g => g.id === groupId);
+    Object.entries(entries).forEach(([key, value]) => {
+      const field = group?.fields.find(f => f.key === key);
+      const error = field && !field.inferred ? validateSetting(field, value) : null;
+      if (error) {
+        skipped.push(`${groupId}.${key}: ${error}`);
+        return;
+      }
+      (values[groupId] ??= {})[key] = value;
+      count++;
+    });
+  });
+
+  return { values, skipped, count };
+}
+
+function humanize(name) {
+  const text = String(name).replace(/[_-]+/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,143 @@
+/**
+ * MonkeysCMS — Keyboard Shortcuts
+ *
+ * One keydown listener for the whole admin. Pages and components register
+ * their bindings under a named scope and drop them when they go away;
+ * pressing `?` lists whatever is active right now.
+ *
+ *   const off = registerShortcuts('Content form', {
+ *     'mod+s':  { label: 'Save', run: () => save() },
+ *     'escape': { label: 'Close the panel', run: close, when: () => panelOpen },
+ *   });
+ *
+ * `mod` is Ctrl, or ⌘ on a Mac. Scopes registered later win over earlier
+ * ones, so a dialog's Escape beats the page's. Bare keys are ignored while
+ * the user types in a field; combinations with Ctrl, ⌘ or Alt are not —
+ * `inInputs` overrides either way.
+ */
+
+import { reactive } from 'monkeysjs';
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+const KEY_ALIASES = { esc: 'escape', del: 'delete', space: ' ', return: 'enter', up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright' };
+const KEY_LABELS = { escape: 'Esc', ' ': 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', enter: 'Enter', delete: 'Del', backspace: '⌫' };
+
+/** Reactive state for the cheat sheet overlay. */
+export const shortcutState = reactive({
+  cheatSheetOpen: false,
+  groups: [], // [{ scope, items: [{ keys, label }] }] — filled when it opens
+});
+
+const scopes = []; // [{ name, bindings: Map<combo, binding> }], oldest first
+let installed = false;
+
+// ─── Key combinations ───────────────────────────────────────────────────────
+/** 'Mod+Shift+Z' → 'ctrl+shift+z' (or 'meta+shift+z' on a Mac), in a fixed order. */
+export function normalizeCombo(combo) {
+  const parts = combo.toLowerCase().split('+').map(p => p.trim() || '+');
+  const key = KEY_ALIASES[parts[parts.length - 1]] ?? parts[parts.length - 1];
+  const mods = new Set(parts.slice(0, -1).map(m => (m === 'mod' ? (IS_MAC ? 'meta' : 'ctrl') : m === 'cmd' ? 'meta' : m)));
+
+  return [...MODIFIERS.filter(m => mods.has(m)), key].join('+');
+}
+
+function eventCombo(e) {
+  const key = e.key.toLowerCase();
+  // Shift is part of typing "?" or "/" on most layouts, so it doesn't count there
+  const shiftMatters = key.length > 1 || /[a-z0-9]/.test(key);
+
+  const mods = [e.ctrlKey && 'ctrl', e.altKey && 'alt', shiftMatters && e.shiftKey && 'shift', e.metaKey && 'meta'].filter(Boolean);
+  return [...mods, key].join('+');
+}
+
+/** How a combination is written in tooltips and the cheat sheet. */
+export function formatShortcut(combo) {
+  return normalizeCombo(combo).split('+').map(part => {
+    if (part === 'meta') return IS_MAC ? '⌘' : 'Win';
+    if (part === 'ctrl') return IS_MAC ? '⌃' : 'Ctrl';
+    if (part === 'alt') return IS_MAC ? '⌥' : 'Alt';
+    if (part === 'shift') return IS_MAC ? '⇧' : 'Shift';
+    return KEY_LABELS[part] ?? part.toUpperCase();
+  }).join(IS_MAC ? '' : '+');
+}
+
+function isTyping(target) {
+  return Boolean(target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName));
+}
+
+// ─── Dispatch ───────────────────────────────────────────────────────────────
+function onKeydown(e) {
+  if (e.defaultPrevented || e.isComposing || !e.key) return;
+
+  const combo = eventCombo(e);
+  const modified = e.ctrlKey || e.metaKey || e.altKey;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const binding = scopes[i].bindings.get(combo);
+    if (!binding) continue;
+    if (isTyping(e.target) && !(binding.inInputs ?? modified)) continue;
+    if (binding.when && !binding.when()) continue;
+
+    e.preventDefault();
+    binding.run(e);
+    return;
+  }
+}
+
+function install() {
+  if (installed) return;
+  installed = true;
+  document.addEventListener('keydown', onKeydown);
+}
+
+// ─── Registering ────────────────────────────────────────────────────────────
+/**
+ * @param {string} scope  shown as the heading in the cheat sheet
+ * @param {Object<string, {label: string, run: Function, when?: Function, inInputs?: boolean, hidden?: boolean}>} bindings
+ * @returns {Function} removes the scope again
+ */
+export function registerShortcuts(scope, bindings) {
+  install();
+
+  const entry = {
+    name: scope,
+    bindings: new Map(Object.entries(bindings).map(([combo, binding]) => [normalizeCombo(combo), { ...binding, combo }])),
+  };
+  scopes.push(entry);
+
+  return () => {
+    const idx = scopes.indexOf(entry);
+    if (idx !== -1) scopes.splice(idx, 1);
+  };
+}
+
+/** Active bindings, grouped by scope, newest scope first. */
+export function describeShortcuts() {
+  return scopes.slice().reverse()
+    .map(scope => ({
+      scope: scope.name,
+      items: [...scope.bindings.values()]
+        .filter(b => !b.hidden && (!b.when || b.when()))
+        .map(b => ({ keys: formatShortcut(b.combo), label: b.label })),
+    }))
+    .filter(group => group.items.length);
+}
+
+// ─── Cheat sheet ────────────────────────────────────────────────────────────
+let closeScope = null;
+
+export function openCheatSheet() {
+  shortcutState.groups = describeShortcuts();
+  shortcutState.cheatSheetOpen = true;
+  closeScope ??= registerShortcuts('Shortcuts', {
+    escape: { label: 'Close this list', run: closeCheatSheet, inInputs: true },
+  });
+}
+
+export function closeCheatSheet() {
+  shortcutState.cheatSheetOpen = false;
+  closeScope?.();
+  closeScope = null;
+}
@@ -0,0 +1,460 @@
+/**
+ * MonkeysCMS — Site Menus
+ *
+ * Turns `components.site-menu` into an accessible menu built from
+ * /api/v1/menus/{name}, so themed pages always show what editors last
+ * saved, even from a page cache:
+ *
+ *   <nav data-site-menu="main" aria-label="Main"> … </nav>
+ *
+ * - wide screens get a WAI-ARIA menubar: arrow keys, Home/End, Escape,
+ *   typing a letter, with dropdowns nested to any depth
+ * - narrow screens get an off-canvas drawer that keeps focus inside it
+ *   while open, with each level behind a disclosure button
+ * - the link for the current page gets aria-current="page"; it and its
+ *   ancestors get `is-active-trail`
+ *
+ * The markup comes from the component's <template>s, which child themes
+ * can override. Until the API answers — or if it can't — the menu is
+ * built from the links the server rendered.
+ */
+
+import { createClient, getMenu } from './sdk/index.js';
+
+const NARROW = '(max-width: 768px)';
+const HOVER_DELAY = 150;
+
+const cms = createClient();
+let instances = 0;
+
+// ─── Tree ───────────────────────────────────────────────────────────────────
+// { title, url, target, children: [...] } from the API's resolved relationships
+function fromApi(resources = []) {
+  return resources
+    .filter(item => item.attributes && item.attributes.enabled !== false)
+    .map(item => ({
+      title: item.attributes.title,
+      url: item.attributes.url || '',
+      target: item.attributes.target || '',
+      children: fromApi(item.relationships.children || []),
+    }));
+}
+
+// …or from the server-rendered fallback list
+function fromMarkup(list) {
+  return Array.from(list?.children || [], li => {
+    const link = li.querySelector(':scope > a');
+    const href = link?.getAttribute('href') || '';
+    return {
+      title: link?.textContent.trim() || '',
+      url: href === '#' ? '' : href,
+      target: link?.getAttribute('target') || '',
+      children: fromMarkup(li.querySelector(':scope > ul')),
+    };
+  }).filter(item => item.title);
+}
+
+function pathOf(url) {
+  if (!url || url === '#') return null;
+  const parsed = new URL(url, location.href);
+  if (parsed.origin !== location.origin) return null;
+  return parsed.pathname.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Mark the item for the current page and its ancestors. An exact path
+ * wins; otherwise the longest item path the current one sits under
+ * (/blog for /blog/page-2), never "/" alone.
+ */
+function markTrail(tree, current = pathOf(location.href)) {
+  let best = null;
+
+  const visit = (items, ancestors) => items.forEach(item => {
+    const path = pathOf(item.url);
+    const score = path === current ? Infinity
+      : path && path !== '/' && current.startsWith(path + '/') ? path.length : -1;
+    if (score >= 0 && (!best || score > best.score)) best = { item, ancestors, score };
+    visit(item.children, [...ancestors, item]);
+  });
+  visit(tree, []);
+
+  if (best) {
+    best.item.current = best.score === Infinity;
+    [...best.ancestors, best.item].forEach(item => { item.inTrail = true; });
+  }
+  return tree;
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+function template(nav, name) {
+  return nav.querySelector(`template[data-menu-template="${name}"]`)?.content.firstElementChild;
+}
+
+function renderItem(nav, item) {
+  const li = template(nav, 'item').cloneNode(true);
+  const link = li.querySelector('[data-menu-link]');
+  const label = link.querySelector('[data-menu-label]') || link;
+
+  label.textContent = item.title;
+  if (item.url) link.setAttribute('href', item.url);
+  if (item.target) {
+    link.setAttribute('target', item.target);
+    if (item.target === '_blank') link.setAttribute('rel', 'noopener');
+  }
+  if (item.inTrail) {
+    li.classList.add('is-active-trail');
+    link.classList.add('is-active-trail');
+  }
+  if (item.current) link.setAttribute('aria-current', 'page');
+
+  return { li, link };
+}
+
+function renderSubmenu(nav, id) {
+  const list = template(nav, 'submenu').cloneNode(true);
+  list.id = id;
+  return list;
+}
+
+/** Menubar: roving tabindex, role=menu dropdowns. */
+function renderBar(nav, root, tree, uid) {
+  let count = 0;
+
+  const build = (items, list, depth) => items.forEach(item => {
+    const { li, link } = renderItem(nav, item);
+    li.setAttribute('role', 'none');
+    link.setAttribute('role', 'menuitem');
+    link.tabIndex = depth === 0 && list.childElementCount === 0 ? 0 : -1;
+
+    if (item.children.length) {
+      const submenu = renderSubmenu(nav, `${uid}-menu-${++count}`);
+      submenu.setAttribute('role', 'menu');
+      submenu.setAttribute('aria-label', item.title);
+      submenu.hidden = true;
+
+      link.setAttribute('aria-haspopup', 'true');
+      link.setAttribute('aria-expanded', 'false');
+      link.setAttribute('aria-controls', submenu.id);
+
+      // A parent opens its menu rather than navigating, so its own page comes first inside
+      const children = pathOf(item.url) ? [{ ...item, children: [], inTrail: item.current, overview: true }, ...item.children] : item.children;
+      build(children, submenu, depth + 1);
+      li.append(submenu);
+    }
+    if (item.overview) li.classList.add('site-menu__item--overview');
+
+    list.append(li);
+  });
+
+  root.replaceChildren();
+  root.setAttribute('role', 'menubar');
+  root.setAttribute('aria-label', nav.getAttribute('aria-label') || 'Menu');
+  build(tree, root, 0);
+}
+
+/** Drawer: plain links, each level behind a disclosure button. */
+function renderTree(nav, root, tree, uid) {
+  let count = 0;
+
+  const build = (items, list) => items.forEach(item => {
+    const { li, link } = renderItem(nav, item);
+
+    if (item.children.length) {
+      const submenu = renderSubmenu(nav, `${uid}-tree-${++count}`);
+      submenu.hidden = !item.inTrail;
+
+      const expand = template(nav, 'expand').cloneNode(true);
+      expand.setAttribute('aria-expanded', String(!!item.inTrail));
+      expand.setAttribute('aria-controls', submenu.id);
+      expand.setAttribute('aria-label', `${item.title} submenu`);
+      expand.addEventListener('click', () => {
+        const open = expand.getAttribute('aria-expanded') !== 'true';
+        expand.setAttribute('aria-expanded', String(open));
+        submenu.hidden = !open;
+      });
+
+      build(item.children, submenu);
+      link.after(expand);
+      li.append(submenu);
+    }
+
+    list.append(li);
+  });
+
+  root.replaceChildren();
+  build(tree, root);
+}
+
+// ─── Menubar behaviour ──────────────────────────────────────────────────────
+function menubar(root) {
+  const itemsOf = list => Array.from(list.children, li => li.querySelector(':scope > [role="menuitem"]')).filter(Boolean);
+  const submenuOf = item => (item.getAttribute('aria-haspopup') ? document.getElementById(item.getAttribute('aria-controls')) : null);
+  const listOf = item => item.closest('[role="menu"], [role="menubar"]');
+  const parentItemOf = list => (list === root ? null : root.querySelector(`[aria-controls="${list.id}"]`));
+  const topItemOf = item => {
+    let current = item;
+    while (listOf(current) !== root) current = parentItemOf(listOf(current));
+    return current;
+  };
+
+  function focusItem(item) {
+    if (!item) return;
+    if (listOf(item) === root) {
+      itemsOf(root).forEach(top => { top.tabIndex = top === item ? 0 : -1; });
+    }
+    item.focus();
+  }
+
+  function close(item) {
+    const submenu = submenuOf(item);
+    if (!submenu || submenu.hidden) return;
+    itemsOf(submenu).forEach(close);
+    submenu.hidden = true;
+    item.setAttribute('aria-expanded', 'false');
+  }
+
+  function closeAll() {
+    itemsOf(root).forEach(close);
+  }
+
+  function open(item, focus = null) {
+    const submenu = submenuOf(item);
+    if (!submenu) return;
+    // Only one branch open per level
+    itemsOf(listOf(item)).forEach(sibling => { if (sibling !== item) close(sibling); });
+    submenu.hidden = false;
+    item.setAttribute('aria-expanded', 'true');
+
+    const items = itemsOf(submenu);
+    if (focus === 'first') focusItem(items[0]);
+    if (focus === 'last') focusItem(items[items.length - 1]);
+  }
+
+  function step(item, delta) {
+    const items = itemsOf(listOf(item));
+    return items[(items.indexOf(item) + delta + items.length) % items.length];
+  }
+
+  function typeahead(item, char) {
+    const items = itemsOf(listOf(item));
+    const start = items.indexOf(item);
+    const ordered = [...items.slice(start + 1), ...items.slice(0, start + 1)];
+    return ordered.find(candidate => candidate.textContent.trim().toLowerCase().startsWith(char));
+  }
+
+  // Leaving a dropdown sideways moves along the menubar, like a desktop menu
+  function toNeighbour(item, delta) {
+    const top = topItemOf(item);
+    const wasOpen = top.getAttribute('aria-expanded') === 'true';
+    closeAll();
+    const next = step(top, delta);
+    focusItem(next);
+    if (wasOpen) open(next);
+  }
+
+  root.addEventListener('keydown', event => {
+    const item = event.target.closest('[role="menuitem"]');
+    if (!item) return;
+    const inBar = listOf(item) === root;
+    const hasSubmenu = Boolean(submenuOf(item));
+    let handled = true;
+
+    switch (event.key) {
+      case 'ArrowRight':
+        if (inBar) focusItem(step(item, 1));
+        else if (hasSubmenu) open(item, 'first');
+        else toNeighbour(item, 1);
+        break;
+      case 'ArrowLeft':
+        if (inBar) focusItem(step(item, -1));
+        else if (listOf(parentItemOf(listOf(item))) !== root) {
+          const parent = parentItemOf(listOf(item));
+          close(parent);
+          focusItem(parent);
+        } else toNeighbour(item, -1);
+        break;
+      case 'ArrowDown':
+        if (inBar) open(item, 'first');
+        else focusItem(step(item, 1));
+        break;
+      case 'ArrowUp':
+        if (inBar) open(item, 'last');
+        else focusItem(step(item, -1));
+        break;
+      case 'Home':
+        focusItem(itemsOf(listOf(item))[0]);
+        break;
+      case 'End': {
+        const items = itemsOf(listOf(item));
+        focusItem(items[items.length - 1]);
+        break;
+      }
+      case 'Enter':
+      case ' ':
+        if (hasSubmenu) open(item, 'first');
+        else if (event.key === ' ') item.click();
+        else handled = false; // let the link navigate
+        break;
+      case 'Escape':
+        if (inBar) {
+          close(item);
+        } else {
+          const parent = parentItemOf(listOf(item));
+          close(parent);
+          focusItem(parent);
+        }
+        break;
+      case 'Tab':
+        closeAll();
+        handled = false;
+        break;
+      default:
+        if (event.key.length === 1 && /\S/.test(event.key) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          focusItem(typeahead(item, event.key.toLowerCase()));
+        } else {
+          handled = false;
+        }
+    }
+
+    if (handled) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  });
+
+  // Pointer: click toggles a parent, hovering opens on devices that can hover
+  root.addEventListener('click', event => {
+    const item = event.target.closest('[role="menuitem"]');
+    if (!item || !submenuOf(item)) return;
+    event.preventDefault();
+    if (item.getAttribute('aria-expanded') === 'true') close(item);
+    else open(item);
+  });
+
+  const canHover = window.matchMedia?.('(hover: hover)').matches;
+  let hoverTimer = null;
+  root.addEventListener('mouseover', event => {
+    const item = event.target.closest('[role="menuitem"]');
+    if (!canHover || !item) return;
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => {
+      if (submenuOf(item)) open(item);
+      else itemsOf(listOf(item)).forEach(close);
+    }, HOVER_DELAY);
+  });
+  root.addEventListener('mouseleave', () => {
+    if (!canHover) return;
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => { if (!root.contains(document.activeElement)) closeAll(); }, HOVER_DELAY * 2);
+  });
+
+  document.addEventListener('click', event => {
+    if (!root.contains(event.target)) closeAll();
+  });
+  root.addEventListener('focusout', event => {
+    if (!root.contains(event.relatedTarget)) closeAll();
+  });
+}
+
+// ─── Drawer ─────────────────────────────────────────────────────────────────
+const FOCUSABLE = 'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+function drawer(nav) {
+  const toggle = nav.querySelector('[data-menu-toggle]');
+  const panel = nav.querySelector('[data-menu-drawer]');
+  if (!toggle || !panel) return;
+
+  panel.id ||= `site-menu-drawer-${instances}`;
+  toggle.hidden = false;
+  toggle.setAttribute('aria-controls', panel.id);
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const focusables = () => Array.from(panel.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('[hidden]'));
+
+  function onKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    // Keep focus inside while the drawer is open
+    const items = focusables();
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  function open() {
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+    document.documentElement.classList.add('site-menu-open');
+    document.addEventListener('keydown', onKeydown);
+
+    const current = panel.querySelector('[aria-current="page"]');
+    (current || focusables()[0])?.focus();
+  }
+
+  function close() {
+    if (panel.hidden) return;
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+    document.documentElement.classList.remove('site-menu-open');
+    document.removeEventListener('keydown', onKeydown);
+    toggle.focus();
+  }
+
+  toggle.addEventListener('click', open);
+  panel.addEventListener('click', event => {
+    if (event.target.closest('[data-menu-close]')) close();
+  });
+
+  // Growing past the breakpoint leaves the drawer behind
+  window.matchMedia?.(NARROW).addEventListener?.('change', event => { if (!event.matches) close(); });
+}
+
+// ─── Setup ──────────────────────────────────────────────────────────────────
+function render(nav, tree, uid) {
+  markTrail(tree);
+  const bar = nav.querySelector('[data-menu-root]');
+  const drawerRoot = nav.querySelector('[data-menu-drawer-root]');
+  if (bar) renderBar(nav, bar, tree, uid);
+  if (drawerRoot) renderTree(nav, drawerRoot, tree, uid);
+}
+
+async function enhance(nav) {
+  if (nav.dataset.siteMenuReady) return;
+  nav.dataset.siteMenuReady = 'true';
+
+  const uid = `site-menu-${++instances}`;
+  const bar = nav.querySelector('[data-menu-root]');
+
+  // What the server rendered, straight away
+  const rendered = fromMarkup(bar);
+  const signature = JSON.stringify(rendered);
+  render(nav, rendered, uid);
+  if (bar) menubar(bar);
+  drawer(nav);
+  nav.classList.add('is-enhanced');
+
+  // Then what the CMS has now
+  try {
+    const { data } = await getMenu(cms, nav.dataset.siteMenu);
+    const fresh = fromApi(data?.relationships.items || []);
+    if (JSON.stringify(fresh) !== signature) render(nav, fresh, uid);
+  } catch (err) {
+    console.warn(`[Menu] Could not load menu "${nav.dataset.siteMenu}":`, err.message);
+  }
+}
+
+/** Enhance every `nav[data-site-menu]` on the page (safe to call again). */
+export function initSiteMenus(root = document) {
+  root.querySelectorAll('nav[data-site-menu]').forEach(enhance);
+}
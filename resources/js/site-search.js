@@ -0,0 +1,325 @@
+/**
+ * MonkeysCMS — Site Search
+ *
+ * Instant results for the front theme's search box. Any search form can
+ * opt in; without JavaScript it simply submits to the /search page:
+ *
+ *   <form action="/search" method="get" role="search" data-site-search>
+ *     <input type="search" name="q">
+ *   </form>
+ *
+ * Results come from /api/v1/search (ranked by relevance), grouped by
+ * content type with the matched words highlighted. Arrow keys move
+ * through them, Enter opens one — or, with nothing selected, the full
+ * results page. Recent queries are answered from a short-lived cache.
+ */
+
+import { sessionStorage, debounce } from 'monkeysjs';
+import { createClient, query, search } from './sdk/index.js';
+
+const MIN_LENGTH = 2;
+const RESULT_LIMIT = 12;
+const CACHE_KEY = 'monkeyscms:site-search';
+const CACHE_SIZE = 20;
+const CACHE_TTL = 5 * 60 * 1000;
+const EXCERPT_LENGTH = 140;
+
+const cms = createClient();
+let instances = 0;
+
+// ─── Cache ──────────────────────────────────────────────────────────────────
+// Recent queries, newest last, kept for the session so the next page has them too
+function cached(text) {
+  const entry = (sessionStorage.get(CACHE_KEY) || []).find(e => e.q === text);
+  return entry && Date.now() - entry.at < CACHE_TTL ? entry.results : null;
+}
+
+function remember(text, results) {
+  const entries = (sessionStorage.get(CACHE_KEY) || []).filter(e => e.q !== text && Date.now() - e.at < CACHE_TTL);
+  entries.push({ q: text, at: Date.now(), results });
+  sessionStorage.set(CACHE_KEY, entries.slice(-CACHE_SIZE));
+}
+
+// ─── Results ────────────────────────────────────────────────────────────────
+// Bodies are HTML; a parsed document is inert, so reading its text is safe
+function plainText(html) {
+  if (!html) return '';
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  body.querySelectorAll('script, style, template').forEach(el => el.remove());
+  return body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function excerpt(text, words) {
+  if (text.length <= EXCERPT_LENGTH) return text;
+
+  const lower = text.toLowerCase();
+  const hit = Math.min(...words.map(w => lower.indexOf(w)).filter(i => i >= 0), Infinity);
+  const start = hit === Infinity ? 0 : Math.max(0, hit - 40);
+  const end = start + EXCERPT_LENGTH;
+
+  return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+/** Group the API's resources by content type, keeping the ranking inside each group. */
+function toGroups(page, words) {
+  const labels = page.meta.types || {};
+  const groups = new Map();
+
+  page.data.forEach(resource => {
+    const node = resource.attributes;
+    const type = node.content_type || 'content';
+    if (!groups.has(type)) groups.set(type, { type, label: labels[type] || type, results: [] });
+
+    groups.get(type).results.push({
+      id: resource.id,
+      title: node.title || 'Untitled',
+      url: node.url,
+      excerpt: excerpt(plainText(node.summary || node.body), words),
+    });
+  });
+
+  return [...groups.values()];
+}
+
+// ─── Highlighting ───────────────────────────────────────────────────────────
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Text with every search word wrapped in <mark> — built as nodes, never as HTML. */
+function highlighted(text, words) {
+  const fragment = document.createDocumentFragment();
+  if (!words.length) {
+    fragment.append(text);
+    return fragment;
+  }
+
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+  text.split(pattern).forEach((part, i) => {
+    if (!part) return;
+    if (i % 2) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      fragment.append(mark);
+    } else {
+      fragment.append(part);
+    }
+  });
+  return fragment;
+}
+
+// ─── Widget ─────────────────────────────────────────────────────────────────
+function enhance(form) {
+  const input = form.querySelector('input[name="q"]');
+  if (!input || form.dataset.siteSearchReady) return;
+  form.dataset.siteSearchReady = 'true';
+
+  const uid = `site-search-${++instances}`;
+
+  const panel = document.createElement('div');
+  panel.className = 'site-search__panel';
+  panel.id = `${uid}-results`;
+  panel.setAttribute('role', 'listbox');
+  panel.setAttribute('aria-label', 'Search results');
+  panel.hidden = true;
+
+  const status = document.createElement('div');
+  status.className = 'sr-only';
+  status.setAttribute('role', 'status');
+
+  form.classList.add('site-search');
+  form.append(panel, status);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', panel.id);
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('autocomplete', 'off');
+
+  let options = []; // the result links, in display order
+  let active = -1;
+  let controller = null;
+  let latest = '';
+
+  function setActive(index) {
+    options[active]?.classList.remove('is-active');
+    options[active]?.setAttribute('aria-selected', 'false');
+
+    active = index;
+    const option = options[active];
+    if (option) {
+      option.classList.add('is-active');
+      option.setAttribute('aria-selected', 'true');
+      option.scrollIntoView({ block: 'nearest' });
+      input.setAttribute('aria-activedescendant', option.id);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function open() {
+    panel.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    panel.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  function message(text) {
+    const row = document.createElement('div');
+    row.className = 'site-search__message';
+    row.textContent = text;
+    return row;
+  }
+
+  function render(text, groups) {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const count = groups.reduce((sum, g) => sum + g.results.length, 0);
+
+    panel.replaceChildren();
+    options = [];
+    active = -1;
+    input.removeAttribute('aria-activedescendant');
+
+    if (!count) {
+      panel.append(message(`Nothing matches “${text}”`));
+    }
+
+    groups.forEach((group, g) => {
+      const section = document.createElement('div');
+      section.className = 'site-search__group';
+      section.setAttribute('role', 'group');
+      section.setAttribute('aria-labelledby', `${uid}-group-${g}`);
+
+      const heading = document.createElement('div');
+      heading.className = 'site-search__group-title';
+      heading.id = `${uid}-group-${g}`;
+      heading.textContent = group.label;
+      section.append(heading);
+
+      group.results.forEach(result => {
+        const option = document.createElement('a');
+        option.className = 'site-search__result';
+        option.id = `${uid}-option-${options.length}`;
+        option.href = result.url;
+        option.tabIndex = -1;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const title = document.createElement('span');
+        title.className = 'site-search__title';
+        title.append(highlighted(result.title, words));
+        option.append(title);
+
+        if (result.excerpt) {
+          const snippet = document.createElement('span');
+          snippet.className = 'site-search__excerpt';
+          snippet.append(highlighted(result.excerpt, words));
+          option.append(snippet);
+        }
+
+        options.push(option);
+        section.append(option);
+      });
+
+      panel.append(section);
+    });
+
+    const all = document.createElement('a');
+    all.className = 'site-search__all';
+    all.href = `${form.getAttribute('action') || '/search'}?q=${encodeURIComponent(text)}`;
+    all.textContent = 'See all results';
+    all.id = `${uid}-option-${options.length}`;
+    all.tabIndex = -1;
+    all.setAttribute('role', 'option');
+    all.setAttribute('aria-selected', 'false');
+    options.push(all);
+    panel.append(all);
+
+    status.textContent = count ? `${count} ${count === 1 ? 'result' : 'results'}, use the arrow keys to browse` : 'No results';
+    open();
+  }
+
+  async function lookup(text) {
+    const hit = cached(text);
+    if (hit) {
+      render(text, hit);
+      return;
+    }
+
+    // Only the newest query's answer matters
+    controller?.abort();
+    controller = new AbortController();
+
+    try {
+      const page = await search(cms, text, query().size(RESULT_LIMIT), { signal: controller.signal });
+      const groups = toGroups(page, text.toLowerCase().split(/\s+/).filter(Boolean));
+      remember(text, groups);
+      if (text === latest) render(text, groups);
+    } catch (err) {
+      if (err.name === 'AbortError' || text !== latest) return;
+      panel.replaceChildren(message('Search is unavailable right now — press Enter for the results page'));
+      options = [];
+      open();
+    }
+  }
+
+  const lookupSoon = debounce(lookup, 200);
+
+  input.addEventListener('input', () => {
+    latest = input.value.trim();
+    if (latest.length < MIN_LENGTH) {
+      lookupSoon.cancel();
+      controller?.abort();
+      close();
+      return;
+    }
+    lookupSoon(latest);
+  });
+
+  input.addEventListener('keydown', event => {
+    switch (event.key) {
+      case 'ArrowDown':
+        if (panel.hidden || !options.length) return;
+        event.preventDefault();
+        setActive((active + 1) % options.length);
+        break;
+      case 'ArrowUp':
+        if (panel.hidden || !options.length) return;
+        event.preventDefault();
+        setActive(active <= 0 ? options.length - 1 : active - 1);
+        break;
+      case 'Enter':
+        // With nothing selected the form submits to the results page
+        if (panel.hidden || active < 0) return;
+        event.preventDefault();
+        window.location.href = options[active].href;
+        break;
+      case 'Escape':
+        if (panel.hidden) return;
+        event.preventDefault();
+        close();
+        break;
+    }
+  });
+
+  input.addEventListener('focus', () => {
+    if (panel.childElementCount && input.value.trim().length >= MIN_LENGTH) open();
+  });
+
+  // Keep the panel while focus moves into it; close once it leaves the form
+  form.addEventListener('focusout', event => {
+    if (!form.contains(event.relatedTarget)) close();
+  });
+
+  // Clicks on results shouldn't blur the input before the link is followed
+  panel.addEventListener('mousedown', event => event.preventDefault());
+}
+
+/** Enhance every `form[data-site-search]` on the page (safe to call again). */
+export function initSiteSearch(root = document) {
+  root.querySelectorAll('form[data-site-search]').forEach(enhance);
+}
@@ -0,0 +1,189 @@
+/**
+ * MonkeysCMS — Toast Notifications
+ *
+ * The admin's notification stack, rendered by layouts/admin.ml.php.
+ * Toasts stack up to a limit, pause while the pointer or focus is on
+ * them, may carry action buttons, and are read out through an ARIA live
+ * region. Toasts still on screen when the page changes are shown again
+ * on the next one for the rest of their time.
+ *
+ *   notify('Settings saved', 'success');
+ *   notify('Could not reach the server', 'error', { actions: [{ label: 'Retry', handler: load }] });
+ *
+ *   undoable('Deleted “About us”', {
+ *     commit: () => api.delete('/12'),
+ *     flush: () => api.sendBeacon('DELETE', '/12'),
+ *     undo: () => list.restore(item),
+ *   });
+ */
+
+import { reactive, sessionStorage } from 'monkeysjs';
+
+const MAX_VISIBLE = 5;
+const CARRY_OVER_KEY = 'monkeyscms:toasts';
+
+export const UNDO_DELAY = 6000;
+
+const state = reactive({ items: [] }); // { id, message, type, actions: [{ label }], duration }
+
+/** The rendered list — always changed in place so the layout keeps its reference. */
+export const toasts = state.items;
+
+// Handlers and timers stay out of the reactive state and out of storage
+const handlers = new Map(); // id → { actions: [handler], onExpire }
+const timers = new Map();   // id → { timeout, remaining, startedAt }
+let paused = false;
+let nextId = 0;
+
+// ─── Announcing ─────────────────────────────────────────────────────────────
+// Errors interrupt; everything else waits its turn
+function announce(message, type) {
+  const id = type === 'error' ? 'notifications-alert' : 'notifications-status';
+  const region = document.getElementById(id);
+  if (!region) return;
+
+  // Clearing first makes a repeated message count as new
+  region.textContent = '';
+  setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// ─── Timers ─────────────────────────────────────────────────────────────────
+function startTimer(id, ms) {
+  const timer = { timeout: null, remaining: ms, startedAt: Date.now() };
+  timers.set(id, timer);
+  if (!paused) timer.timeout = setTimeout(() => dismiss(id), ms);
+}
+
+/** Hold every timer — the user is reading or about to click. */
+export function pauseToasts() {
+  if (paused) return;
+  paused = true;
+  timers.forEach(timer => {
+    clearTimeout(timer.timeout);
+    timer.remaining -= Date.now() - timer.startedAt;
+  });
+}
+
+export function resumeToasts() {
+  if (!paused) return;
+  paused = false;
+  timers.forEach((timer, id) => {
+    timer.startedAt = Date.now();
+    timer.timeout = setTimeout(() => dismiss(id), Math.max(timer.remaining, 1000));
+  });
+}
+
+// ─── Showing ────────────────────────────────────────────────────────────────
+/**
+ * @param {string} message
+ * @param {string} type  info | success | warning | error
+ * @param {number|object} options  a duration in ms (0 keeps it until
+ *   dismissed), or { duration, actions: [{ label, handler }], onExpire }
+ *   where onExpire runs when the toast goes without an action being taken
+ * @returns {number} the toast id, for dismiss()
+ */
+export function notify(message, type = 'info', options = {}) {
+  const { duration = 5000, actions = [], onExpire = null } = typeof options === 'number' ? { duration: options } : options;
+  const id = ++nextId;
+
+  state.items.push({ id, message, type, duration, actions: actions.map(a => ({ label: a.label })) });
+  handlers.set(id, { actions: actions.map(a => a.handler), onExpire });
+  if (duration > 0) startTimer(id, duration);
+
+  // Make room by dropping the oldest toast that doesn't ask for anything
+  if (state.items.length > MAX_VISIBLE) {
+    const oldest = state.items.find(t => !t.actions.length) || state.items[0];
+    dismiss(oldest.id);
+  }
+
+  announce(message, type);
+  return id;
+}
+
+/** Close a toast. Closing it is the same as letting it run out: an Undo toast commits. */
+export function dismiss(id) {
+  const onExpire = handlers.get(id)?.onExpire;
+
+  clearTimeout(timers.get(id)?.timeout);
+  timers.delete(id);
+  handlers.delete(id);
+
+  const idx = state.items.findIndex(t => t.id === id);
+  if (idx !== -1) state.items.splice(idx, 1);
+
+  onExpire?.();
+}
+
+/** Run a toast's action button; the toast closes afterwards. */
+export function runToastAction(id, index) {
+  const handler = handlers.get(id)?.actions[index];
+  handlers.delete(id); // the action replaces whatever expiry would have done
+  dismiss(id);
+  handler?.();
+}
+
+// ─── Undo ───────────────────────────────────────────────────────────────────
+const pendingCommits = new Map(); // toast id → flush
+
+/**
+ * Show an "Undo" toast and run `commit` only once it has gone.
+ *
+ * @param {string} message
+ * @param {object} options
+ *   commit — does the real work (e.g. sends the DELETE)
+ *   undo   — puts things back the way they were on screen
+ *   flush  — sends the commit while the page unloads (see api.sendBeacon);
+ *            without it, leaving the page commits through `commit`
+ *   delay  — grace period in ms
+ * @returns {number} the toast id
+ */
+export function undoable(message, { commit, undo = null, flush = null, delay = UNDO_DELAY }) {
+  let id = null;
+  let settled = false;
+  const settle = () => {
+    if (settled) return false;
+    settled = true;
+    pendingCommits.delete(id);
+    return true;
+  };
+
+  id = notify(message, 'info', {
+    duration: delay,
+    actions: [{ label: 'Undo', handler: () => { if (settle()) undo?.(); } }],
+    onExpire: () => { if (settle()) commit(); },
+  });
+
+  pendingCommits.set(id, () => { if (settle()) (flush || commit)(); });
+  return id;
+}
+
+// ─── Page changes ───────────────────────────────────────────────────────────
+// Whatever is still on screen goes with the user to the next page
+function carryOver() {
+  pendingCommits.forEach(flush => flush());
+
+  pauseToasts();
+  const remaining = state.items
+    .filter(t => t.duration <= 0 || (timers.get(t.id)?.remaining ?? 0) > 0)
+    // Long enough to be read again once the new page has loaded
+    .map(t => ({ message: t.message, type: t.type, duration: t.duration > 0 ? Math.max(timers.get(t.id).remaining, 2000) : 0 }));
+
+  if (remaining.length) sessionStorage.set(CARRY_OVER_KEY, remaining);
+}
+
+function restore() {
+  const carried = sessionStorage.get(CARRY_OVER_KEY);
+  sessionStorage.remove(CARRY_OVER_KEY);
+  if (Array.isArray(carried)) carried.forEach(t => notify(t.message, t.type, t.duration));
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', carryOver);
+  // Back/forward cache: the same page is back, toasts and all
+  window.addEventListener('pageshow', event => {
+    if (!event.persisted) return;
+    sessionStorage.remove(CARRY_OVER_KEY);
+    resumeToasts();
+  });
+  restore();
+}
@@ -12,15 +12,19 @@
       <div class="card" style="margin-bottom:1rem;">
         <div class="card__body">
           <div class="form-group">
-            <label class="form-label">Title</label>
-            <input type="text" class="form-input" $m-model="form.title" $m-on:input="generateSlug()" style="font-size:1.25rem; font-weight:600;" placeholder="Enter title...">
+            <label class="form-label">Title <span style="color:var(--cms-danger);">*</span></label>
+            <input type="text" class="form-input" data-field="title" $m-model="form.title" $m-on:input="generateSlug()" $m-on:blur="checkField('title')"
+                   :class="{ 'form-input--invalid': errors.title }" style="font-size:1.25rem; font-weight:600;" placeholder="Enter title...">
+            <div class="form-error" $m-show="errors.title" $m-text="errors.title"></div>
           </div>
           <div class="form-group">
-            <label class="form-label">URL Slug</label>
+            <label class="form-label">URL Slug <span style="color:var(--cms-danger);">*</span></label>
             <div style="display:flex; align-items:center; gap:0.25rem;">
               <span style="color:var(--cms-text-muted); font-size:0.85rem;">/{{ $contentType['type_id'] ?? '' }}/</span>
-              <input type="text" class="form-input" $m-model="form.slug" style="flex:1;">
+              <input type="text" class="form-input" data-field="slug" $m-model="form.slug" $m-on:blur="checkField('slug')"
+                     :class="{ 'form-input--invalid': errors.slug }" style="flex:1;">
             </div>
+            <div class="form-error" $m-show="errors.slug" $m-text="errors.slug"></div>
           </div>
         </div>
       </div>
@@ -44,24 +48,59 @@
         <div class="card__header"><span class="card__title">Fields</span></div>
         <div class="card__body">
           @foreach($fields as $field)
+          @php
+          $path = 'fields.' . $field['machine_name'];
+          @endphp
           <div class="form-group">
             <label class="form-label">{{ $field['name'] }} @if($field['required'])<span style="color:var(--cms-danger);">*</span>@endif</label>
             @if($field['help_text'])<div style="font-size:0.75rem; color:var(--cms-text-muted); margin-bottom:0.25rem;">{{ $field['help_text'] }}</div>@endif
 
             @if(in_array($field['field_type'], ['string', 'email', 'url', 'phone', 'slug']))
-            <input type="text" class="form-input" $m-model="form.fields.{{ $field['machine_name'] }}">
+            <input type="{{ ['email' => 'email', 'url' => 'url', 'phone' => 'tel'][$field['field_type']] ?? 'text' }}" class="form-input"
+                   data-field="{{ $path }}" $m-model="form.fields.{{ $field['machine_name'] }}"
+                   $m-on:blur="checkField('{{ $path }}')" :class="{ 'form-input--invalid': errors['{{ $path }}'] }">
             @elseif(in_array($field['field_type'], ['text', 'html', 'markdown', 'code']))
-            <textarea class="form-textarea" rows="4" $m-model="form.fields.{{ $field['machine_name'] }}"></textarea>
+            <textarea class="form-textarea" rows="4" data-field="{{ $path }}" $m-model="form.fields.{{ $field['machine_name'] }}"
+                      $m-on:blur="checkField('{{ $path }}')" :class="{ 'form-input--invalid': errors['{{ $path }}'] }"></textarea>
             @elseif($field['field_type'] === 'boolean')
             <label style="display:flex; align-items:center; gap:0.5rem;">
-              <input type="checkbox" $m-model="form.fields.{{ $field['machine_name'] }}">
+              <input type="checkbox" data-field="{{ $path }}" $m-model="form.fields.{{ $field['machine_name'] }}"
+                     $m-on:change="checkField('{{ $path }}')">
               <span>{{ $field['name'] }}</span>
             </label>
             @elseif(in_array($field['field_type'], ['integer', 'float', 'decimal']))
-            <input type="number" class="form-input" $m-model="form.fields.{{ $field['machine_name'] }}">
+            <input type="number" class="form-input" data-field="{{ $path }}" $m-model="form.fields.{{ $field['machine_name'] }}"
+                   $m-on:blur="checkField('{{ $path }}')" :class="{ 'form-input--invalid': errors['{{ $path }}'] }">
+            @elseif(in_array($field['field_type'], ['image', 'file', 'video', 'gallery']))
+            @php
+            $mediaType = ['image' => 'image', 'video' => 'video', 'gallery' => 'image'][$field['field_type']] ?? '';
+            $multiple = $field['field_type'] === 'gallery';
+            @endphp
+            <div class="media-field">
+              <template $m-for="media in picker.describe(form.fields.{{ $field['machine_name'] }})">
+                <div class="media-field__thumb" :key="media.id" :title="media.attributes.original_name">
+                  <img $m-show="media.attributes.media_type === 'image'" :src="media.attributes.url" :alt="media.attributes.alt || ''">
+                  <span $m-show="media.attributes.media_type !== 'image'" $m-text="media.missing ? '⚠️' : (media.attributes.media_type === 'video' ? '🎬' : '📄')"></span>
+                  <button type="button" class="media-field__remove" title="Remove"
+                          $m-on:click="removeMedia('{{ $field['machine_name'] }}', media.id)">✕</button>
+                </div>
+              </template>
+              <button type="button" class="btn btn-secondary btn-sm" data-field="{{ $path }}"
+                      $m-on:click="chooseMedia('{{ $field['machine_name'] }}', '{{ $mediaType }}', {{ $multiple ? 'true' : 'false' }})">
+                🖼️ {{ $multiple ? 'Edit gallery…' : 'Choose…' }}
+              </button>
+            </div>
+            @elseif(in_array($field['field_type'], ['entity_reference', 'taxonomy', 'user_reference']))
+            @include('components.reference-field', [
+              'ref' => "refs['" . $field['machine_name'] . "']",
+              'path' => $path,
+              'placeholder' => ['entity_reference' => 'Search content…', 'taxonomy' => 'Search or add terms…', 'user_reference' => 'Search users…'][$field['field_type']],
+            ])
             @else
-            <input type="text" class="form-input" $m-model="form.fields.{{ $field['machine_name'] }}">
+            <input type="text" class="form-input" data-field="{{ $path }}" $m-model="form.fields.{{ $field['machine_name'] }}"
+                   $m-on:blur="checkField('{{ $path }}')" :class="{ 'form-input--invalid': errors['{{ $path }}'] }">
             @endif
+            <div class="form-error" $m-show="errors['{{ $path }}']" $m-text="errors['{{ $path }}']"></div>
           </div>
           @endforeach
         </div>
@@ -77,22 +116,28 @@
         <div class="card__body">
           <div class="form-group">
             <label class="form-label">Status</label>
-            <select class="form-select" $m-model="form.status">
+            <select class="form-select" data-field="status" $m-model="form.status">
               <option value="draft">Draft</option>
               <option value="published">Published</option>
             </select>
+            <div class="form-error" $m-show="errors.status" $m-text="errors.status"></div>
           </div>
           <div class="form-group" $m-show="form.status === 'published'">
             <label class="form-label">Publish Date</label>
-            <input type="datetime-local" class="form-input" $m-model="form.published_at">
+            <input type="datetime-local" class="form-input" data-field="published_at" $m-model="form.published_at"
+                   :class="{ 'form-input--invalid': errors.published_at }">
+            <div class="form-error" $m-show="errors.published_at" $m-text="errors.published_at"></div>
           </div>
           <div style="display:flex; gap:0.5rem; margin-top:1rem;">
             <button class="btn btn-primary" style="flex:1;" $m-on:click="saveContent()" :disabled="saving">
               <span $m-text="saving ? 'Saving...' : (isNew ? 'Create' : 'Update')"></span>
             </button>
           </div>
-          <div $m-show="savedMessage" style="margin-top:0.5rem; font-size:0.85rem; color:var(--cms-success); text-align:center;"
+          <div $m-show="savedMessage" style="margin-top:0.5rem; font-size:0.85rem; text-align:center;"
+               :style="saveFailed ? 'color:var(--cms-danger);' : 'color:var(--cms-success);'"
                $m-text="savedMessage"></div>
+          <div style="margin-top:0.5rem; font-size:0.75rem; color:var(--cms-text-muted); text-align:center;"
+               $m-text="isDirty() ? '● Unsaved changes' : autosaveMessage"></div>
         </div>
       </div>
 
@@ -134,20 +179,81 @@
       </div>
     </div>
   </div>
+
+  @include('components.media-picker')
 </div>
 
 @endsection
 
 @push('scripts')
+@php
+// Field settings: entity_reference → target_type (optional content type),
+// taxonomy → vocabulary (defaults to the field's machine name)
+$referenceFields = [];
+foreach ($fields ?? [] as $field) {
+    if (!in_array($field['field_type'], ['entity_reference', 'taxonomy', 'user_reference'], true)) {
+        continue;
+    }
+    $settings = is_array($field['settings'] ?? null) ? $field['settings'] : (json_decode($field['settings'] ?? '', true) ?: []);
+    $referenceFields[] = [
+        'name' => $field['machine_name'],
+        'type' => $field['field_type'],
+        'multiple' => !empty($field['multiple']) || (int) ($field['cardinality'] ?? 1) !== 1 || $field['field_type'] === 'taxonomy',
+        'target_type' => $settings['target_type'] ?? null,
+        'vocabulary' => $settings['vocabulary'] ?? $field['machine_name'],
+    ];
+}
+@endphp
 <script type="module">
-import { createApp, createClient } from 'monkeysjs';
+import { createApp, deepClone } from 'monkeysjs';
+import { createApiClient } from '/build/assets/admin-api.js';
+import { registerShortcuts } from '/build/assets/shortcuts.js';
+import { createMediaPicker } from '/build/assets/media-picker.js';
+import { checkAll } from '/build/assets/form-rules.js';
+import { createReferenceField, nodeSource, termSource, userSource } from '/build/assets/reference-field.js';
+
+const api = createApiClient('/admin/api/content');
+
+// Drafts of existing nodes save themselves this often while they have changes
+const AUTOSAVE_INTERVAL = 30000;
+
+// Custom field definitions, for the browser-side checks
+const FIELD_RULES = {!! json_encode(array_map(fn(array $f) => [
+  'name' => $f['machine_name'],
+  'label' => $f['name'],
+  'type' => $f['field_type'],
+  'required' => (bool) $f['required'],
+], $fields ?? [])) !!};
+
+const INITIAL_FIELDS = {!! json_encode($node->fields ?? (object)[]) !!};
 
-const api = createClient({ baseURL: '/admin/api/content', headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' } });
+// Search-as-you-type pickers, one per reference field
+const REFERENCE_FIELDS = {!! json_encode($referenceFields) !!};
+const refs = {};
+REFERENCE_FIELDS.forEach(field => {
+  const source = field.type === 'taxonomy' ? termSource({ vocabulary: field.vocabulary })
+    : field.type === 'user_reference' ? userSource()
+    : nodeSource({ type: field.target_type });
+
+  refs[field.name] = createReferenceField(source, {
+    multiple: field.multiple,
+    value: INITIAL_FIELDS[field.name] ?? null,
+    onChange: value => {
+      app.data.form.fields[field.name] = value;
+      app.data.checkField('fields.' + field.name);
+    },
+  });
+});
 
 const app = createApp({
+  picker: createMediaPicker(),
+  refs,
   isNew: {{ $isNew ? 'true' : 'false' }},
   saving: false,
   savedMessage: '',
+  saveFailed: false,
+  autosaveMessage: '',
+  errors: {},
   form: {
     id: {{ $node->id ?? 'null' }},
     content_type: '{{ $contentType['type_id'] ?? 'page' }}',
@@ -160,22 +266,112 @@ const app = createApp({
     meta_title: {!! json_encode($node->meta_title ?? '') !!},
     meta_description: {!! json_encode($node->meta_description ?? '') !!},
     language: {!! json_encode($node->language ?? 'en') !!},
-    fields: {!! json_encode($node->fields ?? (object)[]) !!},
+    fields: deepClone(INITIAL_FIELDS),
+  },
+
+  // The form as last saved (or loaded), and the status stored on the server
+  savedSnapshot: '',
+  savedStatus: {!! json_encode($node->status ?? 'draft') !!},
+
+  // ── Dirty tracking ──────────────────────────────────────────────────
+  markSaved(snapshot = JSON.stringify(this.form)) {
+    this.savedSnapshot = snapshot;
+    this.savedStatus = JSON.parse(snapshot).status;
+  },
+
+  isDirty() {
+    return JSON.stringify(this.form) !== this.savedSnapshot;
+  },
+
+  chooseMedia(field, type, multiple) {
+    this.picker.open({
+      value: this.form.fields[field],
+      type,
+      multiple,
+      onSelect: ids => {
+        this.form.fields[field] = ids;
+        this.checkField('fields.' + field);
+      },
+    });
+  },
+
+  removeMedia(field, id) {
+    this.form.fields[field] = this.picker.without(this.form.fields[field], id);
   },
 
   generateSlug() {
     if (this.isNew || !this.form.slug) {
       this.form.slug = this.form.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
     }
+    if (this.errors.slug) this.checkField('slug');
+  },
+
+  // ── Validation ──────────────────────────────────────────────────────
+  rules() {
+    const rules = {
+      title: { value: this.form.title.trim(), required: true, label: 'Title', maxLength: 255 },
+      slug: { type: 'slug', value: this.form.slug.trim(), required: true, label: 'URL slug' },
+    };
+    FIELD_RULES.forEach(field => {
+      rules['fields.' + field.name] = { ...field, value: this.form.fields[field.name] };
+    });
+    return rules;
+  },
+
+  validate() {
+    return checkAll(this.rules());
+  },
+
+  // Re-check one input when the user leaves it; server-only errors stay until the next save
+  checkField(path) {
+    const rule = this.rules()[path];
+    if (!rule) return;
+
+    const errors = { ...this.errors };
+    const message = checkAll({ [path]: rule })[path];
+    if (message) errors[path] = message;
+    else delete errors[path];
+    this.errors = errors;
+  },
+
+  showErrors(errors) {
+    this.errors = errors;
+
+    const first = Object.keys(errors)[0];
+    const el = first && document.querySelector(`#content-form-app [data-field="${first}"]`);
+    if (el) {
+      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      el.focus({ preventScroll: true });
+    }
   },
 
-  async saveContent() {
+  // ── Saving ──────────────────────────────────────────────────────────
+  async saveContent({ auto = false } = {}) {
+    if (this.saving) return;
+
+    const errors = this.validate();
+    if (Object.keys(errors).length) {
+      if (auto) {
+        this.autosaveMessage = 'Autosave paused until the highlighted fields are fixed';
+        this.errors = errors;
+      } else {
+        this.savedMessage = '❌ Please fix the highlighted fields';
+        this.saveFailed = true;
+        this.showErrors(errors);
+      }
+      return;
+    }
+
     this.saving = true;
-    this.savedMessage = '';
+    if (!auto) this.savedMessage = '';
+
+    // Edits made while the request is in flight stay unsaved
+    const snapshot = JSON.stringify(this.form);
+    const payload = deepClone(this.form);
+
     try {
-      let res;
       if (this.isNew) {
-        res = await api.post('/', this.form);
+        const res = await api.post('/', payload, { silent: true });
         const newId = res.data?.data?.id;
         if (newId) {
           this.form.id = newId;
@@ -183,18 +379,63 @@ const app = createApp({
           history.replaceState(null, '', '/admin/content/' + newId + '/edit');
         }
       } else {
-        res = await api.put('/' + this.form.id, this.form);
+        await api.put('/' + this.form.id, payload, { silent: true });
+      }
+
+      const saved = JSON.parse(snapshot);
+      saved.id = this.form.id;
+      this.markSaved(JSON.stringify(saved));
+      this.errors = {};
+      this.saveFailed = false;
+      if (auto) {
+        this.autosaveMessage = 'Draft autosaved at ' + new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      } else {
+        this.savedMessage = '✅ Saved successfully';
+        this.autosaveMessage = '';
+        setTimeout(() => { if (!this.saveFailed) this.savedMessage = ''; }, 3000);
       }
-      this.savedMessage = '✅ Saved successfully';
-      setTimeout(() => { this.savedMessage = ''; }, 3000);
     } catch (e) {
-      this.savedMessage = '❌ Save failed';
-      console.error(e);
+      if (e.status === 422 && e.response?.errors) {
+        this.showErrors(e.response.errors);
+      }
+
+      const reason = e.response?.error || (e.status ? 'the server answered ' + e.status : 'the network is unreachable');
+      if (auto) {
+        this.autosaveMessage = 'Autosave failed — ' + reason;
+      } else {
+        this.savedMessage = '❌ Save failed: ' + reason;
+        this.saveFailed = true;
+      }
     }
     this.saving = false;
   },
+
+  // Only drafts autosave — a published node would go live mid-edit
+  autosave() {
+    if (this.isNew || this.saving || !this.isDirty()) return;
+    if (this.savedStatus !== 'draft' || this.form.status !== 'draft') return;
+    this.saveContent({ auto: true });
+  },
 });
 
 app.mount('#content-form-app');
+app.data.markSaved();
+
+setInterval(() => app.data.autosave(), AUTOSAVE_INTERVAL);
+
+registerShortcuts('Content form', {
+  'mod+s': { label: 'Save', run: () => app.data.saveContent() },
+});
+
+window.addEventListener('beforeunload', event => {
+  if (!app.data.isDirty()) return;
+  event.preventDefault();
+  event.returnValue = '';
+});
+
+// Dev server hot reload: keep the page while there are unsaved changes
+window.addEventListener('monkeyscms:dev-reload', event => {
+  if (app.data.isDirty()) event.preventDefault();
+});
 </script>
 @endpush
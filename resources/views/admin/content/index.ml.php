@@ -26,42 +26,81 @@
   </div>
 
   {{-- Search & Filters --}}
-  <div style="display:flex; gap:0.75rem; margin-bottom:1rem; align-items:center;">
-    <input type="text" class="form-input" placeholder="Search content..."
+  <div style="display:flex; gap:0.75rem; margin-bottom:1rem; align-items:center; flex-wrap:wrap;">
+    <input type="search" class="form-input" placeholder="Search content..."
            style="max-width:300px;"
            $m-model="searchQuery"
            $m-on:input="debouncedSearch()">
-    <select class="form-select" style="width:auto;" $m-model="statusFilter" $m-on:change="loadContent()">
+    <select class="form-select" style="width:auto;" $m-model="statusFilter" $m-on:change="setFilter()">
       <option value="all">All Status</option>
       <option value="published">Published</option>
       <option value="draft">Draft</option>
     </select>
+    <select class="form-select" style="width:auto;" $m-on:change="applyView($event.target.value); $event.target.value = ''">
+      <option value="">Saved views…</option>
+      <template $m-for="view in views">
+        <option :value="view.name" $m-text="view.name"></option>
+      </template>
+    </select>
+    <button class="btn btn-secondary btn-sm" $m-on:click="saveView()" title="Save the current filters as a view">💾 Save view</button>
+    <button class="btn btn-secondary btn-sm" $m-show="currentView()" $m-on:click="deleteView(currentView().name)"
+            :title="'Delete the view ' + (currentView() ? currentView().name : '')">🗑️ Delete view</button>
     <span style="margin-left:auto; font-size:0.85rem; color:var(--cms-text-muted);"
           $m-text="'Showing ' + items.length + ' of ' + meta.total + ' items'"></span>
   </div>
 
+  {{-- Bulk Actions --}}
+  <div $m-show="selectionCount() > 0" class="content-bulk">
+    <strong $m-text="selectionCount() + ' selected'"></strong>
+    <button $m-show="allOnPageSelected() && !allMatching && meta.total > items.length" class="btn btn-secondary btn-sm"
+            $m-on:click="allMatching = true" $m-text="'Select all ' + meta.total + ' matching'"></button>
+    <span style="margin-left:auto;"></span>
+    <button class="btn btn-secondary btn-sm" :disabled="bulkBusy" $m-on:click="runBulk('publish')">✅ Publish</button>
+    <button class="btn btn-secondary btn-sm" :disabled="bulkBusy" $m-on:click="runBulk('unpublish')">⏸️ Unpublish</button>
+    <button class="btn btn-danger btn-sm" :disabled="bulkBusy" $m-on:click="runBulk('delete')">🗑️ Delete</button>
+    <button class="btn btn-secondary btn-sm" :disabled="bulkBusy" $m-on:click="clearSelection()">Clear</button>
+  </div>
+  <div $m-show="message" style="margin-bottom:1rem; font-size:0.85rem;"
+       :style="messageError ? 'color:var(--cms-danger);' : 'color:var(--cms-text-muted);'" $m-text="message"></div>
+
   {{-- Content Table --}}
   <div class="card">
     <div class="card__body" style="padding:0;">
       <table class="table">
         <thead>
           <tr>
-            <th style="width:40%;">Title</th>
-            <th>Status</th>
+            <th style="width:32px;">
+              <input type="checkbox" aria-label="Select all on this page"
+                     :checked="allOnPageSelected()"
+                     $m-on:change="togglePage($event.target.checked)">
+            </th>
+            <th style="width:40%;" :aria-sort="ariaSort('title')">
+              <button class="content-sort" $m-on:click="sortBy('title')" $m-text="'Title' + sortArrow('title')"></button>
+            </th>
+            <th :aria-sort="ariaSort('status')">
+              <button class="content-sort" $m-on:click="sortBy('status')" $m-text="'Status' + sortArrow('status')"></button>
+            </th>
             <th>Author</th>
-            <th>Updated</th>
+            <th :aria-sort="ariaSort('updated_at')">
+              <button class="content-sort" $m-on:click="sortBy('updated_at')" $m-text="'Updated' + sortArrow('updated_at')"></button>
+            </th>
             <th style="width:120px;">Actions</th>
           </tr>
         </thead>
         <tbody>
           <tr $m-show="loading">
-            <td colspan="5" style="text-align:center; padding:2rem; color:var(--cms-text-muted);">Loading...</td>
+            <td colspan="6" style="text-align:center; padding:2rem; color:var(--cms-text-muted);">Loading...</td>
           </tr>
           <tr $m-show="!loading && items.length === 0">
-            <td colspan="5" style="text-align:center; padding:2rem; color:var(--cms-text-muted);">No content found</td>
+            <td colspan="6" style="text-align:center; padding:2rem; color:var(--cms-text-muted);">No content found</td>
           </tr>
           <template $m-for="item in items">
-            <tr :key="item.id">
+            <tr :key="item.id" :class="{ 'content-row--selected': isSelected(item.id) }">
+              <td>
+                <input type="checkbox" :aria-label="'Select ' + item.attributes.title"
+                       :checked="isSelected(item.id)"
+                       $m-on:click="toggleSelect(item.id, $event)">
+              </td>
               <td>
                 <a :href="'/admin/content/' + item.id + '/edit'" style="color:var(--cms-text); text-decoration:none; font-weight:500;"
                    $m-text="item.attributes.title"></a>
@@ -92,59 +131,390 @@
   </div>
 
   {{-- Pagination --}}
-  <div $m-show="meta.last_page > 1" style="display:flex; justify-content:center; gap:0.25rem; margin-top:1rem;">
-    <button class="btn btn-secondary btn-sm" $m-on:click="goToPage(meta.page - 1)" :disabled="meta.page <= 1">← Prev</button>
-    <span style="padding:0.5rem 0.75rem; font-size:0.85rem; color:var(--cms-text-muted);"
+  <div style="display:flex; justify-content:center; align-items:center; gap:0.25rem; margin-top:1rem;">
+    <button $m-show="meta.last_page > 1" class="btn btn-secondary btn-sm" $m-on:click="goToPage(meta.page - 1)" :disabled="meta.page <= 1">← Prev</button>
+    <span $m-show="meta.last_page > 1" style="padding:0.5rem 0.75rem; font-size:0.85rem; color:var(--cms-text-muted);"
           $m-text="'Page ' + meta.page + ' of ' + meta.last_page"></span>
-    <button class="btn btn-secondary btn-sm" $m-on:click="goToPage(meta.page + 1)" :disabled="meta.page >= meta.last_page">Next →</button>
+    <button $m-show="meta.last_page > 1" class="btn btn-secondary btn-sm" $m-on:click="goToPage(meta.page + 1)" :disabled="meta.page >= meta.last_page">Next →</button>
+    <select class="form-select" style="width:auto; margin-left:auto;" aria-label="Items per page"
+            $m-on:change="setPerPage($event.target.value)">
+      <template $m-for="size in perPageOptions">
+        <option :value="size" :selected="perPage === size" $m-text="size + ' per page'"></option>
+      </template>
+    </select>
   </div>
 </div>
 
+<style>
+  .content-bulk { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem; padding: 0.5rem 0.75rem; border: 1px solid var(--cms-primary); border-radius: var(--cms-radius-sm); background: var(--cms-bg-card); font-size: 0.85rem; }
+  .content-sort { padding: 0; border: 0; background: none; color: inherit; font: inherit; cursor: pointer; }
+  .content-row--selected td { background: var(--cms-bg-card); }
+</style>
+
 @endsection
 
 @push('scripts')
 <script type="module">
-import { createApp, reactive, createClient, debounce } from 'monkeysjs';
+import { createApp, debounce } from 'monkeysjs';
+import { createApiClient, isCancelled } from '/build/assets/admin-api.js';
+import { notify, undoable } from '/build/assets/toasts.js';
+
+const api = createApiClient('/admin/api/content');
+
+// List state that lives in the URL, with the values left out of it
+const DEFAULTS = { type: '{{ $activeType }}', status: 'all', q: '', sort: '-created_at', page: 1, per_page: 25 };
+const PER_PAGE = [25, 50, 100];
 
-const api = createClient({ baseURL: '/admin/api/content', headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' } });
+// The UI's default sort direction per column
+const SORT_DESC_FIRST = ['updated_at', 'created_at', 'published_at'];
 
 const app = createApp({
-  activeType: '{{ $activeType }}',
+  activeType: DEFAULTS.type,
   items: [],
   meta: { total: 0, page: 1, per_page: 25, last_page: 1 },
   searchQuery: '',
   statusFilter: 'all',
+  sort: DEFAULTS.sort,
+  perPage: DEFAULTS.per_page,
+  perPageOptions: PER_PAGE,
   loading: false,
 
+  // Selection survives paging; `allMatching` targets every row the filter matches
+  selected: [],
+  allMatching: false,
+  lastClicked: null,
+  bulkBusy: false,
+  message: '',
+  messageError: false,
+
+  views: [],
+
+  // Deleted on screen, waiting for their undo toast to go
+  pendingDeletes: [],
+
+  // ── URL state ───────────────────────────────────────────────────────
+  readUrl() {
+    const params = new URLSearchParams(location.search);
+    const perPage = Number(params.get('per_page'));
+
+    this.activeType = params.get('type') || DEFAULTS.type;
+    this.statusFilter = params.get('status') || DEFAULTS.status;
+    this.searchQuery = params.get('q') || '';
+    this.sort = params.get('sort') || DEFAULTS.sort;
+    this.perPage = PER_PAGE.includes(perPage) ? perPage : DEFAULTS.per_page;
+    this.meta.page = Math.max(1, Number(params.get('page')) || 1);
+  },
+
+  urlQuery({ withPage = true } = {}) {
+    const values = {
+      type: this.activeType,
+      status: this.statusFilter,
+      q: this.searchQuery.trim(),
+      sort: this.sort,
+      page: withPage ? this.meta.page : 1,
+      per_page: this.perPage,
+    };
+
+    const params = new URLSearchParams();
+    Object.entries(values).forEach(([key, value]) => {
+      if (key === 'type' || String(value) !== String(DEFAULTS[key])) params.set(key, String(value));
+    });
+    return params.toString();
+  },
+
+  // Filters, sorting and paging push a history entry; typing a search only replaces it
+  writeUrl(replace = false) {
+    const url = '/admin/content?' + this.urlQuery();
+    if (url === location.pathname + location.search) return;
+    history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  },
+
+  // ── Loading ─────────────────────────────────────────────────────────
   async loadContent() {
     this.loading = true;
     try {
-      const params = new URLSearchParams({ type: this.activeType, status: this.statusFilter, page: String(this.meta.page), per_page: '25' });
-      if (this.searchQuery) params.set('q', this.searchQuery);
-      const res = await api.get('/?' + params.toString());
-      this.items = res.data?.data || [];
+      const params = new URLSearchParams({
+        type: this.activeType,
+        status: this.statusFilter,
+        sort: this.sort,
+        page: String(this.meta.page),
+        per_page: String(this.perPage),
+      });
+      if (this.searchQuery.trim()) params.set('q', this.searchQuery.trim());
+      // A newer search or filter cancels this one
+      const res = await api.get('/?' + params.toString(), { key: 'list' });
+      const rows = res.data?.data || [];
+      this.items = rows.filter(item => !this.pendingDeletes.includes(item.id));
       if (res.data?.meta) Object.assign(this.meta, res.data.meta);
-    } catch (e) { console.error(e); }
+      this.meta.total -= rows.length - this.items.length;
+    } catch (e) {
+      if (isCancelled(e)) return;
+    }
     this.loading = false;
   },
 
+  // A different result set — the old selection no longer means anything
+  refresh({ replace = false } = {}) {
+    this.meta.page = 1;
+    this.clearSelection();
+    this.writeUrl(replace);
+    this.loadContent();
+  },
+
   switchType(type) {
     this.activeType = type;
+    this.refresh();
+  },
+
+  setFilter() {
+    this.refresh();
+  },
+
+  debouncedSearch: debounce(function() { this.refresh({ replace: true }); }, 300),
+
+  setPerPage(size) {
+    this.perPage = Number(size);
+    this.refresh();
+  },
+
+  goToPage(page) {
+    if (page >= 1 && page <= this.meta.last_page) {
+      this.meta.page = page;
+      this.writeUrl();
+      this.loadContent();
+    }
+  },
+
+  // ── Sorting ─────────────────────────────────────────────────────────
+  sortBy(column) {
+    if (this.sort === column) this.sort = '-' + column;
+    else if (this.sort === '-' + column) this.sort = column;
+    else this.sort = SORT_DESC_FIRST.includes(column) ? '-' + column : column;
+
     this.meta.page = 1;
+    this.writeUrl();
     this.loadContent();
-    history.replaceState(null, '', '/admin/content?type=' + type);
   },
 
-  debouncedSearch: debounce(function() { this.meta.page = 1; this.loadContent(); }, 300),
+  sortArrow(column) {
+    if (this.sort === column) return ' ▲';
+    if (this.sort === '-' + column) return ' ▼';
+    return '';
+  },
+
+  ariaSort(column) {
+    if (this.sort === column) return 'ascending';
+    if (this.sort === '-' + column) return 'descending';
+    return 'none';
+  },
+
+  // ── Selection ───────────────────────────────────────────────────────
+  isSelected(id) {
+    return this.allMatching || this.selected.includes(id);
+  },
 
-  goToPage(page) { if (page >= 1 && page <= this.meta.last_page) { this.meta.page = page; this.loadContent(); } },
+  toggleSelect(id, event) {
+    if (this.allMatching) {
+      // Narrowing "all matching" down to an explicit list starts from this page
+      this.allMatching = false;
+      this.selected = this.items.map(item => item.id);
+    }
+
+    // Shift-click selects the range from the last clicked row
+    const ids = this.items.map(item => item.id);
+    const on = !this.selected.includes(id);
+    let range = [id];
+    if (event?.shiftKey && ids.includes(this.lastClicked)) {
+      const [from, to] = [ids.indexOf(this.lastClicked), ids.indexOf(id)].sort((a, b) => a - b);
+      range = ids.slice(from, to + 1);
+    }
+    this.lastClicked = id;
+
+    this.selected = on
+      ? [...new Set([...this.selected, ...range])]
+      : this.selected.filter(s => !range.includes(s));
+  },
+
+  togglePage(checked) {
+    const ids = this.items.map(item => item.id);
+    this.allMatching = false;
+    this.selected = checked
+      ? [...new Set([...this.selected, ...ids])]
+      : this.selected.filter(id => !ids.includes(id));
+  },
 
+  allOnPageSelected() {
+    return this.items.length > 0 && this.items.every(item => this.isSelected(item.id));
+  },
+
+  selectionCount() {
+    return this.allMatching ? this.meta.total : this.selected.length;
+  },
+
+  clearSelection() {
+    this.selected = [];
+    this.allMatching = false;
+  },
+
+  // ── Bulk actions ────────────────────────────────────────────────────
+  async runBulk(action) {
+    if (action === 'delete') return this.bulkDelete();
+
+    const payload = this.allMatching
+      ? { action, filter: this.filterParams() }
+      : { action, ids: this.selected };
+
+    this.bulkBusy = true;
+    try {
+      const res = await api.post('/bulk', payload, { silent: true });
+      const meta = res.data?.meta || {};
+      const done = (meta.affected || []).length;
+      const verb = { publish: 'Published', unpublish: 'Unpublished' }[action];
+      this.message = verb + ' ' + done + (done === 1 ? ' item' : ' items')
+        + ((meta.failed || []).length ? ' — ' + meta.failed.length + ' could not be found' : '');
+      this.messageError = false;
+      this.clearSelection();
+      await this.loadContent();
+    } catch (e) {
+      this.message = e.response?.error || 'The bulk action failed';
+      this.messageError = true;
+    }
+    this.bulkBusy = false;
+  },
+
+  // Deletes go out after the undo delay, so "all matching" is pinned to
+  // the ids the filter matches now, not whatever it matches by then
+  async bulkDelete() {
+    let ids = this.selected;
+
+    if (this.allMatching) {
+      this.bulkBusy = true;
+      try {
+        const res = await api.get('/ids?' + new URLSearchParams(this.filterParams()).toString(), { silent: true });
+        ids = res.data?.data || [];
+      } catch (e) {
+        this.message = e.response?.error || 'The bulk action failed';
+        this.messageError = true;
+        return;
+      } finally {
+        this.bulkBusy = false;
+      }
+    }
+
+    if (!ids.length) return;
+
+    const payload = { action: 'delete', ids };
+    this.clearSelection();
+    this.scheduleDelete(ids, 'Deleted ' + ids.length + (ids.length === 1 ? ' item' : ' items'), {
+      send: () => api.post('/bulk', payload).then(res => {
+        const done = (res.data?.meta?.affected || []).length;
+        if (done < ids.length) {
+          notify('Deleted ' + done + ' of ' + ids.length + ' items — ' + (ids.length - done) + ' could not be found', 'warning');
+        }
+      }),
+      flush: () => api.sendBeacon('POST', '/bulk', payload),
+    });
+  },
+
+  filterParams() {
+    const filter = { type: this.activeType, status: this.statusFilter };
+    if (this.searchQuery.trim()) filter.q = this.searchQuery.trim();
+    return filter;
+  },
+
+  // ── Saved views ─────────────────────────────────────────────────────
+  async loadViews() {
+    try {
+      const res = await api.get('/views');
+      this.views = res.data?.data || [];
+    } catch (e) { /* reported by the client */ }
+  },
+
+  currentView() {
+    const query = this.urlQuery({ withPage: false });
+    return this.views.find(view => view.query === query) || null;
+  },
+
+  applyView(name) {
+    const view = this.views.find(v => v.name === name);
+    if (!view) return;
+
+    history.pushState(null, '', '/admin/content?' + view.query);
+    this.readUrl();
+    this.clearSelection();
+    this.loadContent();
+  },
+
+  async saveView() {
+    const name = prompt('Name this view', this.currentView()?.name || '');
+    if (!name || !name.trim()) return;
+
+    try {
+      const res = await api.put('/views', { name: name.trim(), query: this.urlQuery({ withPage: false }) }, { silent: true });
+      this.views = res.data?.data || this.views;
+      this.message = 'Saved the view “' + name.trim() + '”';
+      this.messageError = false;
+    } catch (e) {
+      this.message = e.response?.error || 'Could not save the view';
+      this.messageError = true;
+    }
+  },
+
+  async deleteView(name) {
+    if (!confirm('Delete the view “' + name + '”?')) return;
+
+    try {
+      const res = await api.delete('/views?name=' + encodeURIComponent(name), { silent: true });
+      this.views = res.data?.data || [];
+    } catch (e) {
+      this.message = e.response?.error || 'Could not delete the view';
+      this.messageError = true;
+    }
+  },
+
+  // ── Row actions ─────────────────────────────────────────────────────
   async publish(id) { await api.post('/' + id + '/publish'); this.loadContent(); },
   async unpublish(id) { await api.post('/' + id + '/unpublish'); this.loadContent(); },
-  async deleteItem(id) { if (confirm('Delete this content?')) { await api.delete('/' + id); this.loadContent(); } },
+  deleteItem(id) {
+    const item = this.items.find(i => i.id === id);
+    this.scheduleDelete([id], 'Deleted “' + (item?.attributes.title || 'item #' + id) + '”', {
+      send: () => api.delete('/' + id),
+      flush: () => api.sendBeacon('DELETE', '/' + id),
+    });
+  },
+
+  // Rows leave the table at once; the request goes out when the undo toast does
+  scheduleDelete(ids, message, { send, flush }) {
+    this.pendingDeletes = [...this.pendingDeletes, ...ids];
+    this.items = this.items.filter(item => !ids.includes(item.id));
+    this.selected = this.selected.filter(id => !ids.includes(id));
+    this.meta.total = Math.max(0, this.meta.total - ids.length);
+
+    const settle = () => { this.pendingDeletes = this.pendingDeletes.filter(id => !ids.includes(id)); };
+
+    undoable(message, {
+      commit: () => send().catch(() => null).then(() => {
+        settle();
+        if (!this.items.length && this.meta.page > 1) this.meta.page--;
+        this.loadContent();
+      }),
+      flush,
+      undo: () => { settle(); this.loadContent(); },
+    });
+  },
 });
 
 app.mount('#content-list-app');
-app.loadContent();
+
+// Back/forward restore the list exactly as it was
+window.addEventListener('popstate', () => {
+  app.data.readUrl();
+  app.data.clearSelection();
+  app.data.loadContent();
+});
+
+app.data.readUrl();
+app.data.loadContent();
+app.data.loadViews();
 </script>
 @endpush
@@ -4,15 +4,30 @@
 @section('toolbar_title', 'Media Library')
 @section('toolbar_actions')
 <label class="btn btn-primary btn-sm" for="media-upload" style="cursor:pointer;">📤 Upload</label>
-<input type="file" id="media-upload" style="display:none;" multiple accept="image/*,video/*,audio/*,.pdf,.doc,.docx,.xls,.xlsx"
-       $m-on:change="uploadFiles($event)">
 @endsection
 
 @section('content')
 <div id="media-app">
+  <input type="file" id="media-upload" style="display:none;" multiple
+         accept="{{ implode(',', array_map(fn($e) => '.' . $e, $uploadLimits['extensions'])) }}"
+         $m-on:change="uploadFiles($event)">
+
+  {{-- Drop Zone --}}
+  <label for="media-upload" class="media-dropzone" :class="{ 'media-dropzone--over': dragOver }"
+         $m-on:dragover.prevent="dragOver = true"
+         $m-on:dragleave="dragOver = false"
+         $m-on:drop.prevent="onDrop($event)">
+    <span style="font-size:1.5rem;">📤</span>
+    <span>Drop files here or <strong style="color:var(--cms-primary);">browse</strong></span>
+    <span style="font-size:0.75rem; color:var(--cms-text-muted);">
+      Up to {{ (int) ($uploadLimits['max_size'] / 1024 / 1024) }} MB per file · large images are resized before upload
+    </span>
+  </label>
 
   {{-- Filters --}}
   <div style="display:flex; gap:0.75rem; margin-bottom:1rem; align-items:center;">
+    <input type="search" id="media-search" class="form-input" style="max-width:280px;" placeholder="Search files…"
+           $m-model="search" $m-on:input="searchMedia()">
     <select class="form-select" style="width:auto;" $m-model="typeFilter" $m-on:change="loadMedia()">
       <option value="">All Types</option>
       <option value="image">Images</option>
@@ -24,13 +39,38 @@
           $m-text="meta.total + ' files'"></span>
   </div>
 
-  {{-- Upload Progress --}}
-  <div $m-show="uploading" class="card" style="margin-bottom:1rem;">
-    <div class="card__body" style="text-align:center; padding:1.5rem;">
-      <div style="font-size:0.9rem; color:var(--cms-text-muted);">Uploading...</div>
-      <div style="margin-top:0.5rem; background:var(--cms-bg-card); border-radius:9999px; height:6px; overflow:hidden;">
-        <div style="background:var(--cms-primary); height:100%; transition:width 200ms;" :style="'width:' + uploadProgress + '%'"></div>
+  {{-- Upload Queue --}}
+  <div $m-show="upload.items.length" class="card" style="margin-bottom:1rem;">
+    <div class="card__body" style="padding:1rem;">
+      <div style="display:flex; align-items:center; gap:0.5rem; margin-bottom:0.75rem;">
+        <span style="font-size:0.9rem; font-weight:500;"
+              $m-text="busy() ? 'Uploading… ' + progress() + '%' : (failed().length ? failed().length + ' upload(s) failed' : 'Uploads complete')"></span>
+        <span style="margin-left:auto;"></span>
+        <button $m-show="failed().some(i => i.retryable)" class="btn btn-secondary btn-sm" $m-on:click="retryAll()">↻ Retry failed</button>
+        <button $m-show="upload.items.some(i => i.status === 'done')" class="btn btn-secondary btn-sm" $m-on:click="clearFinished()">Clear finished</button>
       </div>
+      <div class="media-progress"><div :style="'width:' + progress() + '%'"></div></div>
+
+      <template $m-for="item in upload.items">
+        <div class="media-upload-row" :key="item.id">
+          <div style="flex:1; min-width:0;">
+            <div style="display:flex; gap:0.5rem; font-size:0.8rem;">
+              <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;" $m-text="item.name"></span>
+              <span style="margin-left:auto; color:var(--cms-text-muted); white-space:nowrap;"
+                    $m-text="formatBytes(Math.min(item.loaded, item.size)) + ' / ' + formatBytes(item.size)"></span>
+            </div>
+            <div class="media-progress" $m-show="item.status !== 'error'">
+              <div :style="'width:' + (item.size ? Math.round(Math.min(item.loaded, item.size) / item.size * 100) : 0) + '%'"></div>
+            </div>
+            <div style="font-size:0.7rem;"
+                 :style="item.status === 'error' ? 'color:var(--cms-danger);' : 'color:var(--cms-text-muted);'"
+                 $m-text="item.error || uploadStatusLabel(item.status)"></div>
+          </div>
+          <button $m-show="item.status === 'error'" class="btn btn-secondary btn-sm" $m-on:click="retry(item.id)" title="Retry">↻</button>
+          <button $m-show="item.status === 'uploading' || item.status === 'waiting'" class="btn btn-secondary btn-sm" $m-on:click="cancel(item.id)" title="Cancel">⏹</button>
+          <button $m-show="item.status !== 'uploading'" class="btn btn-secondary btn-sm" $m-on:click="remove(item.id)" title="Dismiss">✕</button>
+        </div>
+      </template>
     </div>
   </div>
 
@@ -136,30 +176,68 @@
 @endsection
 
 @push('scripts')
+<style>
+  .media-dropzone { display: flex; flex-direction: column; align-items: center; gap: 0.25rem; padding: 1.5rem; margin-bottom: 1rem; border: 2px dashed var(--cms-border); border-radius: var(--cms-radius); color: var(--cms-text); font-size: 0.9rem; cursor: pointer; transition: all 150ms; }
+  .media-dropzone--over { border-color: var(--cms-primary); background: var(--cms-bg-card); }
+  .media-progress { margin: 0.25rem 0; background: var(--cms-bg-card); border-radius: 9999px; height: 6px; overflow: hidden; }
+  .media-progress > div { background: var(--cms-primary); height: 100%; transition: width 200ms; }
+  .media-upload-row { display: flex; align-items: center; gap: 0.5rem; padding: 0.5rem 0; border-top: 1px solid var(--cms-border); }
+</style>
 <script type="module">
-import { createApp, createClient } from 'monkeysjs';
+import { createApp, debounce } from 'monkeysjs';
+import { createApiClient, isCancelled } from '/build/assets/admin-api.js';
+import { undoable } from '/build/assets/toasts.js';
+import { registerShortcuts } from '/build/assets/shortcuts.js';
+import { createUploader, formatBytes } from '/build/assets/media-uploader.js';
+
+const api = createApiClient('/admin/api/media');
+const limits = {!! json_encode($uploadLimits) !!};
 
-const api = createClient({ baseURL: '/admin/api/media', headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' } });
+// Refresh the grid as files land, without a request per file
+const refresh = debounce(() => app.data.loadMedia(), 500);
+const runSearch = debounce(() => { app.data.meta.page = 1; app.data.loadMedia(); }, 300);
+
+const uploader = createUploader({
+  maxSize: limits.max_size,
+  chunkSize: limits.chunk_size,
+  extensions: limits.extensions,
+  onUploaded: () => refresh(),
+});
+
+const STATUS_LABELS = {
+  queued: 'Waiting…',
+  preparing: 'Preparing…',
+  uploading: 'Uploading…',
+  waiting: 'Connection lost — retrying…',
+  done: 'Uploaded',
+};
 
 const app = createApp({
   items: [], meta: { total: 0, page: 1, per_page: 50, last_page: 1 },
-  typeFilter: '', loading: false,
-  uploading: false, uploadProgress: 0,
+  typeFilter: '', search: '', loading: false,
+  upload: uploader.state, dragOver: false,
   selectedItem: null, selectedId: null,
   editAlt: '', editTitle: '', editDescription: '',
+  pendingDeletes: [], // deleted on screen, waiting for their undo toast to go
 
   async loadMedia() {
     this.loading = true;
     const params = new URLSearchParams({ page: String(this.meta.page), per_page: '50' });
     if (this.typeFilter) params.set('type', this.typeFilter);
+    if (this.search.trim()) params.set('q', this.search.trim());
     try {
-      const res = await api.get('/?' + params.toString());
-      this.items = res.data?.data || [];
+      // A newer search, filter or page cancels this one
+      const res = await api.get('/?' + params.toString(), { key: 'list' });
+      this.items = (res.data?.data || []).filter(item => !this.pendingDeletes.includes(item.id));
       if (res.data?.meta) Object.assign(this.meta, res.data.meta);
-    } catch (e) { console.error(e); }
+    } catch (e) {
+      if (isCancelled(e)) return;
+    }
     this.loading = false;
   },
 
+  searchMedia() { runSearch(); },
+
   selectItem(item) {
     this.selectedItem = item;
     this.selectedId = item.id;
@@ -168,46 +246,67 @@ const app = createApp({
     this.editDescription = item.attributes.description || '';
   },
 
-  async uploadFiles(e) {
-    const files = e.target.files;
-    if (!files.length) return;
-    this.uploading = true;
-    this.uploadProgress = 0;
-    const total = files.length;
-    let done = 0;
-    for (const file of files) {
-      const fd = new FormData();
-      fd.append('file', file);
-      try {
-        await fetch('/admin/api/media/upload', { method: 'POST', body: fd, headers: { 'X-Requested-With': 'XMLHttpRequest' } });
-      } catch (err) { console.error('Upload failed:', err); }
-      done++;
-      this.uploadProgress = Math.round((done / total) * 100);
-    }
-    this.uploading = false;
+  uploadFiles(e) {
+    uploader.add(e.target.files);
     e.target.value = '';
-    this.loadMedia();
   },
 
+  onDrop(e) {
+    this.dragOver = false;
+    uploader.add(e.dataTransfer?.files);
+  },
+
+  retry: uploader.retry,
+  retryAll: uploader.retryAll,
+  cancel: uploader.cancel,
+  remove: uploader.remove,
+  clearFinished: uploader.clearFinished,
+  progress: uploader.progress,
+  failed: uploader.failed,
+  busy: uploader.busy,
+  formatBytes,
+  uploadStatusLabel: status => STATUS_LABELS[status] || status,
+
   async updateMedia() {
     if (!this.selectedItem) return;
-    await api.put('/' + this.selectedItem.id, JSON.stringify({ alt: this.editAlt, title: this.editTitle, description: this.editDescription }));
+    await api.put('/' + this.selectedItem.id, { alt: this.editAlt, title: this.editTitle, description: this.editDescription });
     this.selectedItem.attributes.alt = this.editAlt;
     this.selectedItem.attributes.title = this.editTitle;
   },
 
-  async deleteMedia() {
-    if (!this.selectedItem || !confirm('Delete this file?')) return;
-    await api.delete('/' + this.selectedItem.id);
+  // The file leaves the grid at once; the DELETE goes out when the undo toast does
+  deleteMedia() {
+    if (!this.selectedItem) return;
+
+    const { id, attributes } = this.selectedItem;
+    const settle = () => { this.pendingDeletes = this.pendingDeletes.filter(p => p !== id); };
+
+    this.pendingDeletes = [...this.pendingDeletes, id];
+    this.items = this.items.filter(item => item.id !== id);
     this.selectedItem = null;
     this.selectedId = null;
-    this.loadMedia();
+
+    undoable('Deleted “' + (attributes.original_name || 'file #' + id) + '”', {
+      commit: () => api.delete('/' + id).catch(() => null).then(() => { settle(); this.loadMedia(); }),
+      flush: () => api.sendBeacon('DELETE', '/' + id),
+      undo: () => { settle(); this.loadMedia(); },
+    });
   },
 
   goToPage(p) { if (p >= 1 && p <= this.meta.last_page) { this.meta.page = p; this.loadMedia(); } },
 });
 
 app.mount('#media-app');
-app.loadMedia();
+app.data.loadMedia();
+
+const hasSelection = () => Boolean(app.data.selectedItem);
+
+registerShortcuts('Media library', {
+  '/': { label: 'Search files', run: () => document.getElementById('media-search')?.focus() },
+  u: { label: 'Upload files', run: () => document.getElementById('media-upload')?.click() },
+  'mod+s': { label: 'Save the file details', run: () => app.data.updateMedia(), when: hasSelection },
+  delete: { label: 'Delete the open file', run: () => app.data.deleteMedia(), when: hasSelection },
+  escape: { label: 'Close the details', run: () => { app.data.selectedItem = null; app.data.selectedId = null; }, when: hasSelection, inInputs: true },
+});
 </script>
 @endpush
@@ -8,6 +8,30 @@
   .mosaic-editor-main { flex: 1; overflow-y: auto; padding: 1.5rem; }
   .mosaic-editor-sidebar { width: 320px; border-left: 1px solid var(--cms-border); background: var(--cms-bg-surface); overflow-y: auto; transition: width 200ms ease; }
   .mosaic-editor-sidebar.closed { width: 0; overflow: hidden; }
+  .mosaic-editor-preview { flex: 1; display: flex; flex-direction: column; border-left: 1px solid var(--cms-border); background: var(--cms-bg); min-width: 0; }
+  .mosaic-preview-stage { flex: 1; overflow: auto; display: flex; justify-content: center; padding: 1rem; }
+  .mosaic-preview-frame { height: 100%; min-height: 480px; border: 1px solid var(--cms-border); border-radius: var(--cms-radius-sm); background: #fff; transition: width 200ms ease; }
+  .mosaic-device-toggle { display: flex; gap: 0.25rem; }
+  .mosaic-device-toggle .btn.active { border-color: var(--cms-primary); color: var(--cms-primary); }
+  .mosaic-revisions { display: grid; grid-template-columns: 240px 1fr; gap: 1rem; min-height: 0; flex: 1; }
+  .mosaic-revisions__list { overflow-y: auto; border-right: 1px solid var(--cms-border); padding-right: 0.75rem; }
+  .mosaic-revisions__item { display: block; width: 100%; text-align: left; padding: 0.5rem 0.625rem; margin-bottom: 0.25rem; background: none; border: 1px solid transparent; border-radius: var(--cms-radius-sm); color: var(--cms-text); cursor: pointer; font-size: 0.8rem; }
+  .mosaic-revisions__item:hover { background: var(--cms-bg-card); }
+  .mosaic-revisions__item.active { border-color: var(--cms-primary); background: var(--cms-bg-card); }
+  .mosaic-revisions__diff { overflow-y: auto; font-size: 0.8rem; }
+  .mosaic-diff--added { color: var(--cms-success); }
+  .mosaic-diff--removed { color: var(--cms-danger); text-decoration: line-through; }
+  .mosaic-diff--moved { color: var(--cms-primary); }
+  .mosaic-diff--changed { color: var(--cms-warning); }
+  .mosaic-diff--unchanged { color: var(--cms-text-muted); }
+  .mosaic-section.is-hidden-here, .mosaic-block.is-hidden-here { opacity: 0.45; }
+  .mosaic-block.is-orphaned, .mosaic-section.has-unknown-layout { border-style: dashed; border-color: var(--cms-warning); }
+  .mosaic-orphan { display: flex; align-items: center; gap: 0.5rem; flex-wrap: wrap; font-size: 0.8rem; color: var(--cms-text-muted); }
+  .mosaic-settings-note { font-size:0.7rem; color:var(--cms-text-muted); border:1px solid var(--cms-border); border-radius:999px; padding:0 0.4rem; }
+  .mosaic-settings-tabs { display: flex; gap: 0.25rem; margin-bottom: 1rem; border-bottom: 1px solid var(--cms-border); }
+  .mosaic-settings-tabs button { background: none; border: 0; border-bottom: 2px solid transparent; padding: 0.375rem 0.75rem; color: var(--cms-text-muted); cursor: pointer; }
+  .mosaic-settings-tabs button.active { border-bottom-color: var(--cms-primary); color: var(--cms-text-heading); }
+  .mosaic-peer { display: inline-flex; align-items: center; justify-content: center; width: 28px; height: 28px; margin-left: -6px; border: 2px solid var(--cms-bg-surface); border-radius: 50%; color: #fff; font-size: 0.7rem; font-weight: 600; }
 </style>
 @endsection
 
@@ -26,19 +50,49 @@
         <span style="font-size:0.8rem; color:var(--cms-text-muted);">Mosaic Editor</span>
       </div>
       <div style="display:flex; gap:0.5rem; align-items:center;">
+        {{-- Who else is editing this page --}}
+        <div $m-show="peerList().length" style="display:flex; align-items:center; margin-right:0.25rem;">
+          <template $m-for="peer in peerList()">
+            <span class="mosaic-peer" :key="peer.session"
+                  :style="'background:' + peer.color"
+                  :title="peer.name + (peer.lock ? ' (editing a block)' : '')"
+                  $m-text="peer.initials"></span>
+          </template>
+        </div>
         <span $m-show="state.isDirty && !state.saving" class="badge badge--draft">Unsaved changes</span>
         <span $m-show="state.saving" class="badge badge--draft">Saving...</span>
         <span $m-show="state.lastSaved" class="badge badge--published" style="font-size:0.75rem;"
               $m-text="'Saved ' + state.lastSaved"></span>
+        <button class="btn btn-secondary btn-sm" $m-on:click="undo()" :disabled="!state.canUndo" title="Undo (Ctrl+Z)">↶ Undo</button>
+        <button class="btn btn-secondary btn-sm" $m-on:click="redo()" :disabled="!state.canRedo" title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+        <button class="btn btn-secondary btn-sm" :class="{ active: state.previewSplit }" $m-on:click="togglePreviewSplit()" title="Side-by-side preview">◧ Split</button>
+        <button class="btn btn-secondary btn-sm" $m-on:click="openRevisions()" title="Revision history">🕘 History</button>
         <button class="btn btn-secondary btn-sm" $m-on:click="preview()">Preview</button>
         <button class="btn btn-primary btn-sm" $m-on:click="save()">Save</button>
       </div>
     </div>
 
+    {{-- Draft Recovery --}}
+    <div $m-show="state.draft"
+         style="display:flex; align-items:center; gap:0.75rem; margin-bottom:1rem; padding:0.75rem 1rem; border:1px solid var(--cms-warning); border-radius:var(--cms-radius-sm); background:var(--cms-bg-card);">
+      <span style="flex:1; font-size:0.875rem;"
+            $m-text="'Unsaved changes from ' + (state.draft ? new Date(state.draft.savedAt).toLocaleString() : '') + ' were found in this browser.'"></span>
+      <button class="btn btn-primary btn-sm" $m-on:click="restoreDraft()">Restore draft</button>
+      <button class="btn btn-secondary btn-sm" $m-on:click="discardDraft()">Discard</button>
+    </div>
+
+    {{-- Schema Issues: content saved for block types or layouts that no longer exist --}}
+    <div $m-show="orphanedBlocks().length || unknownLayoutSections().length"
+         style="display:flex; align-items:center; gap:0.75rem; margin-bottom:1rem; padding:0.75rem 1rem; border:1px solid var(--cms-warning); border-radius:var(--cms-radius-sm); background:var(--cms-bg-card);">
+      <span style="flex:1; font-size:0.875rem;"
+            $m-text="[orphanedBlocks().length ? orphanedBlocks().length + ' block' + (orphanedBlocks().length === 1 ? '' : 's') + ' use a block type that no longer exists (' + [...new Set(orphanedBlocks().map(o => o.block.blockType))].join(', ') + ') — convert or remove them.' : '', unknownLayoutSections().length ? unknownLayoutSections().length + ' section' + (unknownLayoutSections().length === 1 ? ' has' : 's have') + ' an unknown layout — pick one to rearrange its blocks.' : ''].filter(Boolean).join(' ')"></span>
+      <button $m-show="orphanedBlocks().length" class="btn btn-danger btn-sm" $m-on:click="removeOrphans()">Remove orphaned blocks</button>
+    </div>
+
     {{-- Sections --}}
     <div class="mosaic-sections">
       <template $m-for="(section, sIdx) in state.sections">
-        <div class="mosaic-section" :key="section.id">
+        <div class="mosaic-section" :key="section.id" :class="{ 'is-hidden-here': canvasHidden(section.settings), 'has-unknown-layout': hasUnknownLayout(section) }">
 
           {{-- Section Toolbar --}}
           <div class="mosaic-section__toolbar">
@@ -46,21 +100,32 @@
               Section
             </span>
             <select class="form-select" style="width:auto; padding:0.25rem 0.5rem; font-size:0.8rem;"
-                    $m-model="section.layout"
-                    $m-on:change="changeSectionLayout(section.id, section.layout)">
+                    :value="section.layout"
+                    $m-on:change="changeSectionLayout(section.id, $event.target.value)">
               @foreach($layouts as $layoutId => $layout)
               <option value="{{ $layoutId }}">{{ $layout['label'] }}</option>
               @endforeach
             </select>
+            <span $m-show="hasUnknownLayout(section)" class="badge badge--draft" style="font-size:0.7rem;"
+                  $m-text="'Unknown layout “' + section.layout + '”'"></span>
+            {{-- Display settings at a glance; dimmed when hidden on the previewed device or not live now --}}
+            <template $m-for="note in canvasBadges(section.settings)">
+              <span class="mosaic-settings-note" $m-text="note"></span>
+            </template>
+            <span $m-show="canvasHidden(section.settings)" class="badge badge--draft" style="font-size:0.7rem;"
+                  $m-text="canvasHidden(section.settings)"></span>
             <div style="margin-left:auto; display:flex; gap:0.25rem;">
+              <button class="btn btn-secondary btn-sm" $m-on:click="editSection(section.id)" title="Section settings">⚙</button>
               <button class="btn btn-secondary btn-sm" $m-on:click="moveSectionUp(section.id)" title="Move Up">↑</button>
               <button class="btn btn-secondary btn-sm" $m-on:click="moveSectionDown(section.id)" title="Move Down">↓</button>
+              <button class="btn btn-secondary btn-sm" $m-on:click="duplicateSection(section.id)" title="Duplicate">⧉</button>
+              <button class="btn btn-secondary btn-sm" $m-on:click="copySection(section.id)" title="Copy">📋</button>
               <button class="btn btn-danger btn-sm" $m-on:click="removeSection(section.id)" title="Remove">✕</button>
             </div>
           </div>
 
           {{-- Regions Grid --}}
-          <div class="mosaic-regions" :class="'layout--' + section.layout">
+          <div class="mosaic-regions" :class="'layout--' + section.layout" :style="canvasStyle(section.settings, true)">
             <template $m-for="(blocks, regionId) in section.regions">
               <div class="mosaic-region"
                    :key="regionId"
@@ -75,27 +140,61 @@
                 <template $m-for="(block, bIdx) in blocks">
                   <div class="mosaic-block"
                        :key="block.id"
+                       :class="{ 'is-hidden-here': canvasHidden(block.settings), 'is-orphaned': isOrphan(block) }"
                        draggable="true"
                        $m-on:dragstart="onDragStart($event, section.id, regionId, bIdx)"
                        $m-on:dragend="onDragEnd()">
                     <div class="mosaic-block__header">
                       <span>
-                        <span $m-text="state.blockTypes[block.blockType]?.icon || '🧱'"></span>
-                        <span $m-text="state.blockTypes[block.blockType]?.label || block.blockType"></span>
+                        <span $m-text="isOrphan(block) ? '⚠' : state.blockTypes[block.blockType]?.icon || '🧱'"></span>
+                        <span $m-text="isOrphan(block) ? 'Orphaned: ' + block.blockType : state.blockTypes[block.blockType]?.label || block.blockType"></span>
+                        <span $m-show="lockedBy(block.id)" class="badge badge--draft"
+                              :style="'font-size:0.7rem; color:' + lockedBy(block.id)?.color"
+                              $m-text="'🔒 ' + lockedBy(block.id)?.name + ' is editing'"></span>
+                        <template $m-for="note in canvasBadges(block.settings)">
+                          <span class="mosaic-settings-note" $m-text="note"></span>
+                        </template>
+                        <span $m-show="canvasHidden(block.settings)" class="badge badge--draft" style="font-size:0.7rem;"
+                              $m-text="canvasHidden(block.settings)"></span>
                       </span>
                       <div style="display:flex; gap:0.25rem;">
-                        <button class="btn btn-secondary btn-sm"
+                        <button $m-show="!isOrphan(block)" class="btn btn-secondary btn-sm"
                                 $m-on:click="editBlock(section.id, regionId, block.id)"
                                 title="Edit">✏️</button>
+                        <button class="btn btn-secondary btn-sm"
+                                $m-on:click="duplicateBlock(section.id, regionId, block.id)"
+                                title="Duplicate">⧉</button>
+                        <button class="btn btn-secondary btn-sm"
+                                $m-on:click="copyBlock(section.id, regionId, block.id)"
+                                title="Copy">📋</button>
                         <button class="btn btn-danger btn-sm"
                                 $m-on:click="removeBlock(section.id, regionId, block.id)"
                                 title="Remove">✕</button>
                       </div>
                     </div>
-                    {{-- Block preview --}}
+                    {{-- Orphaned: its data is kept until the block is converted or removed --}}
+                    <div $m-show="isOrphan(block)" class="mosaic-orphan">
+                      <span>This block type is no longer registered. Convert to</span>
+                      <select class="form-select" style="width:auto; padding:0.25rem 0.5rem; font-size:0.8rem;"
+                              $m-on:change="convertOrphan(section.id, regionId, block.id, $event.target.value)">
+                        <option value="">Choose a type…</option>
+                        <template $m-for="type in blockTypeOptions()">
+                          <option :value="type.id" $m-text="type.label"></option>
+                        </template>
+                      </select>
+                      <span>or remove it.</span>
+                    </div>
+                    {{-- Block preview (server-rendered, falls back to raw text until it arrives) --}}
                     <div class="mosaic-block__preview"
-                         style="font-size:0.85rem; color:var(--cms-text-muted); max-height:80px; overflow:hidden;"
-                         $m-html="block.preview || Object.values(block.data).filter(v => typeof v === 'string').join(' ').slice(0, 120) || '<em>Empty block</em>'">
+                         :style="canvasStyle(block.settings) + ';font-size:0.85rem; color:var(--cms-text-muted); max-height:160px; overflow:hidden; pointer-events:none; transition:opacity 200ms;' + (state.blockPreviews[block.id]?.status === 'loading' ? ' opacity:0.5;' : '')"
+                         $m-html:canvas="state.blockPreviews[block.id]?.html || Object.values(block.data).filter(v => typeof v === 'string').join(' ').slice(0, 120) || '<em>Empty block</em>'">
+                    </div>
+                    <div $m-show="state.blockPreviews[block.id]?.status === 'loading'"
+                         style="font-size:0.7rem; color:var(--cms-text-muted); margin-top:0.25rem;">Rendering preview…</div>
+                    <div $m-show="state.blockPreviews[block.id]?.status === 'error'"
+                         style="display:flex; align-items:center; gap:0.5rem; font-size:0.75rem; color:var(--cms-danger); margin-top:0.25rem;">
+                      <span $m-text="'Preview failed: ' + (state.blockPreviews[block.id]?.error || '')"></span>
+                      <button class="btn btn-secondary btn-sm" $m-on:click="retryBlockPreview(block.id)">Retry</button>
                     </div>
                   </div>
                 </template>
@@ -105,6 +204,10 @@
                         $m-on:click="openBlockPicker(section.id, regionId)">
                   + Add Block
                 </button>
+                <button class="mosaic-add-block"
+                        $m-on:click="pasteBlock(section.id, regionId)">
+                  📋 Paste Block
+                </button>
               </div>
             </template>
           </div>
@@ -116,6 +219,9 @@
     <button class="mosaic-add-section" $m-on:click="addSection('full')">
       + Add Section
     </button>
+    <button class="mosaic-add-section" $m-on:click="pasteSection()">
+      📋 Paste Section
+    </button>
   </div>
 
   {{-- ═══ Block Picker Modal ═══ --}}
@@ -148,68 +254,320 @@
     </div>
   </div>
 
+  {{-- ═══ Split-screen Preview ═══ --}}
+  <div $m-show="state.previewSplit" class="mosaic-editor-preview">
+    <div style="display:flex; justify-content:space-between; align-items:center; padding:0.5rem 1rem; border-bottom:1px solid var(--cms-border); background:var(--cms-bg-surface);">
+      <div class="mosaic-device-toggle">
+        <template $m-for="(device, deviceId) in previewDevices">
+          <button class="btn btn-secondary btn-sm" :class="{ active: state.previewDevice === deviceId }"
+                  :title="device.label" $m-on:click="setPreviewDevice(deviceId)" $m-text="device.icon"></button>
+        </template>
+      </div>
+      <span $m-show="state.previewLoading" style="font-size:0.75rem; color:var(--cms-text-muted);">Refreshing…</span>
+      <button class="btn btn-secondary btn-sm" $m-on:click="togglePreviewSplit()" title="Close">✕</button>
+    </div>
+    <div class="mosaic-preview-stage">
+      <iframe class="mosaic-preview-frame" sandbox title="Page preview"
+              :style="'width:' + previewWidth(state.previewDevice)"
+              :srcdoc="state.previewDoc"></iframe>
+    </div>
+  </div>
+
   {{-- ═══ Settings Sidebar ═══ --}}
   <div class="mosaic-editor-sidebar" :class="{ closed: !state.settingsPanelOpen }">
+    {{-- Section settings --}}
+    <div $m-show="state.settingsPanelOpen && activeSectionData()" style="padding:1rem;">
+      <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
+        <h3 style="font-size:1rem; font-weight:600; color:var(--cms-text-heading);">Section Settings</h3>
+        <button class="btn btn-secondary btn-sm" $m-on:click="closeSettings()">✕</button>
+      </div>
+      <template $m-if="activeSectionData()">
+        <div>
+          @include('components.mosaic-display-settings', ['target' => 'section', 'item' => 'activeSectionData()'])
+        </div>
+      </template>
+    </div>
+
+    {{-- Block content and settings --}}
     <div $m-show="state.settingsPanelOpen && state.activeBlock" style="padding:1rem;">
       <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
         <h3 style="font-size:1rem; font-weight:600; color:var(--cms-text-heading);"
-            $m-text="state.blockTypes[state.activeBlock?.blockType]?.label + ' Settings' || 'Block Settings'"></h3>
+            $m-text="state.blockTypes[state.activeBlock?.blockType]?.label || 'Block'"></h3>
         <button class="btn btn-secondary btn-sm" $m-on:click="closeSettings()">✕</button>
       </div>
 
+      <div class="mosaic-settings-tabs" role="tablist">
+        <button type="button" role="tab" :class="{ active: state.settingsTab === 'content' }"
+                :aria-selected="state.settingsTab === 'content'" $m-on:click="setSettingsTab('content')">Content</button>
+        <button type="button" role="tab" :class="{ active: state.settingsTab === 'settings' }"
+                :aria-selected="state.settingsTab === 'settings'" $m-on:click="setSettingsTab('settings')">Block settings</button>
+      </div>
+
+      {{-- Soft lock: someone else has this block open --}}
+      <div $m-show="state.activeBlock && lockedBy(state.activeBlock.id)"
+           style="margin-bottom:1rem; padding:0.75rem; border:1px solid var(--cms-warning); border-radius:var(--cms-radius-sm); font-size:0.85rem;">
+        <p $m-text="(lockedBy(state.activeBlock?.id)?.name || 'Someone') + ' is editing this block. Changes you make here may overwrite theirs.'"></p>
+        <button $m-show="!state.lockOverride" class="btn btn-secondary btn-sm" style="margin-top:0.5rem;"
+                $m-on:click="overrideLock()">Edit anyway</button>
+      </div>
+
+      {{-- Display settings --}}
+      <template $m-if="state.activeBlock && state.settingsTab === 'settings'">
+        <fieldset :disabled="lockedBy(state.activeBlock.id) && !state.lockOverride" style="border:0; padding:0; margin:0;">
+          @include('components.mosaic-display-settings', ['target' => 'block', 'item' => 'state.activeBlock'])
+        </fieldset>
+      </template>
+
       {{-- Dynamic block fields --}}
-      <template $m-if="state.activeBlock">
+      <template $m-if="state.activeBlock && state.settingsTab === 'content'">
+        <fieldset :disabled="lockedBy(state.activeBlock.id) && !state.lockOverride" style="border:0; padding:0; margin:0;">
         <template $m-for="(fieldDef, fieldKey) in (state.blockTypes[state.activeBlock.blockType]?.fields || {})">
           <div class="form-group">
-            <label class="form-label" $m-text="fieldDef.label"></label>
+            <label class="form-label" $m-text="fieldDef.label + (fieldDef.required ? ' *' : '')"></label>
 
-            {{-- Text input --}}
-            <template $m-if="fieldDef.type === 'string' || fieldDef.type === 'url'">
-              <input class="form-input" type="text"
-                     :value="state.activeBlock.data[fieldKey] || ''"
+            {{-- Widget is picked from the field-type registry (mosaic-fields.js) --}}
+            <template $m-if="fieldWidget(fieldDef).control === 'input'">
+              <input class="form-input"
+                     :type="fieldWidget(fieldDef).inputType"
+                     :step="fieldWidget(fieldDef).step"
+                     :min="fieldDef.min"
+                     :max="fieldDef.max"
+                     :placeholder="fieldWidget(fieldDef).placeholder || ''"
+                     :required="fieldDef.required"
+                     :value="fieldValue(fieldDef, state.activeBlock.data[fieldKey])"
                      $m-on:input="updateBlockData(state.activeBlock.id, fieldKey, $event.target.value)">
             </template>
 
-            {{-- HTML / Textarea --}}
-            <template $m-if="fieldDef.type === 'html' || fieldDef.type === 'code'">
+            <template $m-if="fieldWidget(fieldDef).control === 'textarea'">
               <textarea class="form-textarea"
-                        rows="6"
+                        :rows="fieldWidget(fieldDef).rows"
+                        :style="fieldWidget(fieldDef).monospace ? 'font-family:monospace;' : ''"
                         $m-on:input="updateBlockData(state.activeBlock.id, fieldKey, $event.target.value)"
-                        $m-text="state.activeBlock.data[fieldKey] || ''"></textarea>
+                        $m-text="fieldValue(fieldDef, state.activeBlock.data[fieldKey])"></textarea>
             </template>
 
-            {{-- Select --}}
-            <template $m-if="fieldDef.type === 'select'">
+            <template $m-if="fieldWidget(fieldDef).control === 'toggle'">
+              <label style="display:flex; align-items:center; gap:0.5rem; font-size:0.875rem;">
+                <input type="checkbox"
+                       :checked="fieldValue(fieldDef, state.activeBlock.data[fieldKey])"
+                       $m-on:change="updateBlockData(state.activeBlock.id, fieldKey, $event.target.checked)">
+                <span $m-text="fieldDef.help || 'Enabled'"></span>
+              </label>
+            </template>
+
+            <template $m-if="fieldWidget(fieldDef).control === 'select'">
               <select class="form-select"
                       $m-on:change="updateBlockData(state.activeBlock.id, fieldKey, $event.target.value)">
+                <template $m-if="!fieldDef.required">
+                  <option value="">— None —</option>
+                </template>
                 <template $m-for="(optLabel, optVal) in (fieldDef.options || {})">
-                  <option :value="optVal" $m-text="optLabel"></option>
+                  <option :value="optVal"
+                          :selected="optVal === fieldValue(fieldDef, state.activeBlock.data[fieldKey])"
+                          $m-text="optLabel"></option>
                 </template>
               </select>
             </template>
 
-            {{-- Media --}}
-            <template $m-if="fieldDef.type === 'media'">
-              <input class="form-input" type="number" placeholder="Media ID"
-                     :value="state.activeBlock.data[fieldKey] || ''"
-                     $m-on:input="updateBlockData(state.activeBlock.id, fieldKey, $event.target.value)">
-              <span style="font-size:0.75rem; color:var(--cms-text-muted);">Enter media library ID</span>
+            <template $m-if="fieldWidget(fieldDef).control === 'multiselect'">
+              <select class="form-select" multiple
+                      $m-on:change="updateBlockData(state.activeBlock.id, fieldKey, Array.from($event.target.selectedOptions, o => o.value))">
+                <template $m-for="(optLabel, optVal) in (fieldDef.options || {})">
+                  <option :value="optVal"
+                          :selected="fieldValue(fieldDef, state.activeBlock.data[fieldKey]).includes(optVal)"
+                          $m-text="optLabel"></option>
+                </template>
+              </select>
+            </template>
+
+            <template $m-if="fieldWidget(fieldDef).control === 'checkboxes'">
+              <template $m-for="(optLabel, optVal) in (fieldDef.options || {})">
+                <label style="display:flex; align-items:center; gap:0.5rem; font-size:0.875rem;">
+                  <input type="checkbox"
+                         :checked="fieldValue(fieldDef, state.activeBlock.data[fieldKey]).includes(optVal)"
+                         $m-on:change="toggleBlockFieldOption(state.activeBlock.id, fieldKey, optVal, $event.target.checked)">
+                  <span $m-text="optLabel"></span>
+                </label>
+              </template>
             </template>
+
+            <template $m-if="fieldWidget(fieldDef).control === 'group'">
+              <template $m-for="part in fieldWidget(fieldDef).parts">
+                <div style="margin-bottom:0.375rem;">
+                  <input class="form-input"
+                         :type="part.inputType"
+                         :step="part.inputType === 'number' ? 'any' : null"
+                         :placeholder="part.label"
+                         :value="fieldValue(fieldDef, state.activeBlock.data[fieldKey])[part.key] ?? ''"
+                         $m-on:input="updateBlockFieldPart(state.activeBlock.id, fieldKey, part.key, $event.target.value)">
+                </div>
+              </template>
+            </template>
+
+            <template $m-if="fieldWidget(fieldDef).control === 'media'">
+              <div class="media-field">
+                <template $m-for="media in picker.describe(state.activeBlock.data[fieldKey])">
+                  <div class="media-field__thumb" :key="media.id" :title="media.attributes.original_name">
+                    <img $m-show="media.attributes.media_type === 'image'" :src="media.attributes.url" :alt="media.attributes.alt || ''">
+                    <span $m-show="media.attributes.media_type !== 'image'" $m-text="media.missing ? '⚠️' : '📄'"></span>
+                    <button type="button" class="media-field__remove" title="Remove"
+                            $m-on:click="removeMedia(state.activeBlock.id, fieldKey, media.id)">✕</button>
+                  </div>
+                </template>
+                <button type="button" class="btn btn-secondary btn-sm"
+                        $m-on:click="chooseMedia(state.activeBlock.id, fieldKey)"
+                        $m-text="fieldWidget(fieldDef).multiple ? '🖼️ Edit gallery…' : (state.activeBlock.data[fieldKey] ? '🖼️ Replace…' : '🖼️ Choose…')"></button>
+              </div>
+            </template>
+
+            <span $m-show="fieldDef.help && fieldWidget(fieldDef).control !== 'toggle'"
+                  style="font-size:0.75rem; color:var(--cms-text-muted);" $m-text="fieldDef.help"></span>
+            <span $m-show="state.fieldErrors[fieldKey]"
+                  style="display:block; font-size:0.75rem; color:var(--cms-danger);" $m-text="state.fieldErrors[fieldKey]"></span>
           </div>
         </template>
+        </fieldset>
       </template>
     </div>
   </div>
 
+  {{-- ═══ Media Picker ═══ --}}
+  @include('components.media-picker')
+
+  {{-- ═══ Revision Conflict Dialog ═══ --}}
+  <div $m-show="state.conflict"
+       style="position:fixed; inset:0; background:rgba(0,0,0,0.5); z-index:250; display:flex; align-items:center; justify-content:center;">
+    <div style="background:var(--cms-bg-surface); border:1px solid var(--cms-border); border-radius:var(--cms-radius-lg); width:720px; max-width:95vw; max-height:80vh; overflow-y:auto; padding:1.5rem;">
+      <h3 style="font-size:1.1rem; font-weight:600; color:var(--cms-text-heading); margin-bottom:0.5rem;">This page was changed by someone else</h3>
+      <p style="font-size:0.875rem; color:var(--cms-text-muted); margin-bottom:1rem;"
+         $m-text="'The server now has revision ' + (state.conflict?.revision ?? '') + (state.conflict?.updatedAt ? ' (saved ' + state.conflict.updatedAt + ')' : '') + '. Your copy is based on revision ' + state.revision + '.'"></p>
+
+      {{-- Side-by-side outline --}}
+      <div $m-show="state.conflictCompare" style="display:grid; grid-template-columns:1fr 1fr; gap:1rem; margin-bottom:1rem;">
+        <template $m-for="side in ['mine', 'theirs']">
+          <div>
+            <div style="font-size:0.75rem; text-transform:uppercase; letter-spacing:0.05em; color:var(--cms-text-muted); margin-bottom:0.5rem;"
+                 $m-text="side === 'mine' ? 'Your copy' : 'Server copy'"></div>
+            <template $m-for="section in conflictOutline(side)">
+              <div style="border:1px solid var(--cms-border); border-radius:var(--cms-radius-sm); padding:0.5rem; margin-bottom:0.5rem; font-size:0.8rem;">
+                <div style="font-weight:600;" $m-text="section.layout"></div>
+                <template $m-for="block in section.blocks">
+                  <div :style="block.changed ? 'color:var(--cms-warning);' : 'color:var(--cms-text-muted);'"
+                       $m-text="(block.changed ? '● ' : '') + block.label"></div>
+                </template>
+              </div>
+            </template>
+          </div>
+        </template>
+      </div>
+
+      <div style="display:flex; gap:0.5rem; justify-content:flex-end;">
+        <button class="btn btn-secondary btn-sm" $m-on:click="toggleConflictCompare()"
+                $m-text="state.conflictCompare ? 'Hide comparison' : 'Compare both'"></button>
+        <button class="btn btn-secondary btn-sm" $m-on:click="takeTheirs()">Take server copy</button>
+        <button class="btn btn-primary btn-sm" $m-on:click="keepMine()">Keep mine</button>
+      </div>
+    </div>
+  </div>
+
+  {{-- ═══ Revision History ═══ --}}
+  <div $m-show="state.revisionsOpen"
+       style="position:fixed; inset:0; background:rgba(0,0,0,0.5); z-index:250; display:flex; align-items:center; justify-content:center;"
+       $m-on:click.self="closeRevisions()">
+    <div role="dialog" aria-label="Revision history"
+         style="display:flex; flex-direction:column; background:var(--cms-bg-surface); border:1px solid var(--cms-border); border-radius:var(--cms-radius-lg); width:960px; max-width:95vw; height:80vh; padding:1.5rem;">
+      <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
+        <h3 style="font-size:1.1rem; font-weight:600; color:var(--cms-text-heading);">Revision history</h3>
+        <button class="btn btn-secondary btn-sm" $m-on:click="closeRevisions()">✕</button>
+      </div>
+
+      <div class="mosaic-revisions">
+        {{-- Saved revisions, newest first --}}
+        <div class="mosaic-revisions__list">
+          <div $m-show="state.revisionsLoading" style="font-size:0.8rem; color:var(--cms-text-muted);">Loading…</div>
+          <div $m-show="!state.revisionsLoading && !state.revisions.length" style="font-size:0.8rem; color:var(--cms-text-muted);">This page hasn't been saved yet.</div>
+          <template $m-for="rev in state.revisions">
+            <button class="mosaic-revisions__item" :key="rev.revision"
+                    :class="{ active: state.revisionCompare.to === rev.revision }"
+                    $m-on:click="selectRevision(rev.revision)">
+              <div style="font-weight:600;">
+                <span $m-text="'Revision ' + rev.revision"></span>
+                <span $m-show="rev.revision === state.revision" class="badge badge--published" style="font-size:0.7rem;">Current</span>
+              </div>
+              <div style="color:var(--cms-text-muted);"
+                   $m-text="(rev.author?.name || 'Unknown author') + ' · ' + (rev.created_at ? new Date(rev.created_at.replace(' ', 'T')).toLocaleString() : '')"></div>
+            </button>
+          </template>
+        </div>
+
+        {{-- Structural diff between the two picked versions --}}
+        <div class="mosaic-revisions__diff">
+          <div style="display:flex; flex-wrap:wrap; align-items:center; gap:0.5rem; margin-bottom:1rem;">
+            <span>Compare</span>
+            <select class="form-select" style="width:auto; padding:0.25rem 0.5rem; font-size:0.8rem;"
+                    $m-on:change="setRevisionCompare('from', $event.target.value)">
+              <option value="" :selected="state.revisionCompare.from === null">Empty page</option>
+              <template $m-for="rev in state.revisions">
+                <option :value="rev.revision" :selected="state.revisionCompare.from === rev.revision" $m-text="'Revision ' + rev.revision"></option>
+              </template>
+            </select>
+            <span>with</span>
+            <select class="form-select" style="width:auto; padding:0.25rem 0.5rem; font-size:0.8rem;"
+                    $m-on:change="setRevisionCompare('to', $event.target.value)">
+              <option value="editor" :selected="state.revisionCompare.to === 'editor'">Editor (unsaved)</option>
+              <template $m-for="rev in state.revisions">
+                <option :value="rev.revision" :selected="state.revisionCompare.to === rev.revision" $m-text="'Revision ' + rev.revision"></option>
+              </template>
+            </select>
+            <span style="margin-left:auto; color:var(--cms-text-muted);" $m-text="revisionSummary()"></span>
+          </div>
+
+          <template $m-if="state.revisionDiff">
+            <div>
+              <div $m-show="!state.revisionDiff.sections.length" style="color:var(--cms-text-muted);">Both are empty.</div>
+              <template $m-for="section in state.revisionDiff.sections">
+                <div :key="section.id" style="border:1px solid var(--cms-border); border-radius:var(--cms-radius-sm); padding:0.5rem 0.75rem; margin-bottom:0.5rem;">
+                  <div style="font-weight:600;" :class="'mosaic-diff--' + section.status"
+                       $m-text="layoutLabel(section.layout) + ' section' + (section.status !== 'unchanged' ? ' — ' + section.status : '') + (section.moved && section.status === 'changed' ? ', moved' : '') + (section.previousLayout ? ' (was ' + layoutLabel(section.previousLayout) + ')' : '') + (section.changes.includes('settings') ? ' · settings changed' : '')"></div>
+                  <template $m-for="block in section.blocks">
+                    <div :key="block.id" style="padding-left:1rem;" :class="'mosaic-diff--' + block.status"
+                         $m-text="blockLabel(block.blockType) + ' in ' + block.region + (block.status !== 'unchanged' ? ' — ' + block.status : '') + (block.moved && block.status === 'changed' ? ', moved' : '') + (block.fields.length ? ': ' + block.fields.join(', ') : '') + (block.settings.length ? ' · settings: ' + block.settings.join(', ') : '') + (block.retyped ? ' · block type changed' : '')"></div>
+                  </template>
+                </div>
+              </template>
+            </div>
+          </template>
+        </div>
+      </div>
+
+      <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+        <span style="flex:1; font-size:0.8rem; color:var(--cms-text-muted); align-self:center;">Restoring puts the revision on the canvas as an unsaved change; saving it creates a new revision.</span>
+        <button class="btn btn-primary btn-sm"
+                :disabled="typeof state.revisionCompare.to !== 'number'"
+                $m-on:click="restoreRevision(state.revisionCompare.to)"
+                $m-text="typeof state.revisionCompare.to === 'number' ? 'Restore revision ' + state.revisionCompare.to : 'Restore'"></button>
+      </div>
+    </div>
+  </div>
+
   {{-- ═══ Preview Modal ═══ --}}
   <div $m-show="state.previewMode"
        style="position:fixed; inset:0; background:rgba(0,0,0,0.7); z-index:300; display:flex; flex-direction:column;">
     <div style="display:flex; justify-content:space-between; align-items:center; padding:1rem; background:var(--cms-bg-surface); border-bottom:1px solid var(--cms-border);">
       <h3 style="font-weight:600; color:var(--cms-text-heading);">Preview</h3>
+      <div class="mosaic-device-toggle">
+        <template $m-for="(device, deviceId) in previewDevices">
+          <button class="btn btn-secondary btn-sm" :class="{ active: state.previewDevice === deviceId }"
+                  $m-on:click="setPreviewDevice(deviceId)" $m-text="device.icon + ' ' + device.label"></button>
+        </template>
+      </div>
       <button class="btn btn-secondary btn-sm" $m-on:click="closePreview()">Close Preview</button>
     </div>
-    <div style="flex:1; overflow-y:auto; background:#fff; padding:2rem;">
-      <div $m-html="state.previewHtml"></div>
+    <div class="mosaic-preview-stage">
+      {{-- Sandboxed: no scripts, no admin CSS — only the frontend theme's stylesheets --}}
+      <iframe class="mosaic-preview-frame" sandbox title="Page preview"
+              :style="'width:' + previewWidth(state.previewDevice)"
+              :srcdoc="state.previewDoc"></iframe>
     </div>
   </div>
 </div>
@@ -224,7 +582,12 @@
   const editor = createMosaicEditor(
     {{ $node->id ?? 0 }},
     '{{ $node->content_type ?? 'page' }}',
-    {!! json_encode($sections ?? []) !!}
+    {!! json_encode($sections ?? []) !!},
+    {
+      revision: {{ $mosaic?->revision ?? 0 }},
+      displaySettings: {!! json_encode($displaySettings ?? []) !!},
+      collab: {!! json_encode($collab ?? null) !!},
+    }
   );
 
   const app = createApp({
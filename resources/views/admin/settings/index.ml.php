@@ -12,58 +12,125 @@
     <div>
       <nav style="position:sticky; top:calc(var(--cms-toolbar-height) + 1.5rem);">
         <template $m-for="group in groups">
-          <button class="admin-sidebar__link" style="width:100%; text-align:left; text-transform:capitalize;"
-                  :class="{ active: activeGroup === group }"
-                  $m-on:click="activeGroup = group"
-                  $m-text="group"></button>
+          <button class="admin-sidebar__link" style="width:100%; text-align:left; display:flex; align-items:center; gap:0.5rem;"
+                  :key="group.id"
+                  :class="{ active: activeGroup === group.id }"
+                  $m-on:click="activeGroup = group.id">
+            <span style="flex:1;" $m-text="group.label"></span>
+            <span $m-show="groupErrors(group.id)" class="badge badge--archived" $m-text="groupErrors(group.id) + ' !'"></span>
+            <span $m-show="groupChanges(group.id)" class="badge badge--draft" :title="groupChanges(group.id) + ' unsaved'"
+                  $m-text="groupChanges(group.id)"></span>
+          </button>
         </template>
+
+        <div style="display:flex; flex-direction:column; gap:0.5rem; margin-top:1.5rem;">
+          <button class="btn btn-secondary btn-sm" $m-on:click="exportJson()" title="Download the saved settings as JSON">⬇ Export JSON</button>
+          <label class="btn btn-secondary btn-sm" title="Load settings from an export; review them, then save">
+            ⬆ Import JSON
+            <input type="file" accept="application/json,.json" hidden $m-on:change="importJson($event)">
+          </label>
+        </div>
       </nav>
     </div>
 
     {{-- Settings Form --}}
     <div>
+      {{-- Changes across every group go out in one save --}}
+      <div $m-show="changeCount()"
+           style="display:flex; align-items:center; gap:0.75rem; margin-bottom:1rem; padding:0.75rem 1rem; border:1px solid var(--cms-warning); border-radius:var(--cms-radius-sm); background:var(--cms-bg-card);">
+        <span style="flex:1; font-size:0.875rem;"
+              $m-text="changeCount() + ' unsaved change' + (changeCount() === 1 ? '' : 's') + (changedGroupLabels().length > 1 ? ' in ' + changedGroupLabels().join(', ') : '')"></span>
+        <button class="btn btn-secondary btn-sm" $m-on:click="discardChanges()" :disabled="saving">Discard</button>
+        <button class="btn btn-primary btn-sm" $m-on:click="saveSettings()" :disabled="saving">
+          <span $m-text="saving ? 'Saving...' : 'Save all'"></span>
+        </button>
+      </div>
+
       <div class="card">
         <div class="card__header">
-          <h3 class="card__title" style="text-transform:capitalize;" $m-text="activeGroup + ' Settings'"></h3>
-          <button class="btn btn-primary btn-sm" $m-on:click="saveSettings()" :disabled="saving">
+          <div>
+            <h3 class="card__title" $m-text="(currentGroup()?.label || activeGroup) + ' Settings'"></h3>
+            <div $m-show="currentGroup()?.description" style="font-size:0.8rem; color:var(--cms-text-muted);"
+                 $m-text="currentGroup()?.description"></div>
+          </div>
+          <button class="btn btn-primary btn-sm" $m-on:click="saveSettings()" :disabled="saving || !changeCount()">
             <span $m-text="saving ? 'Saving...' : 'Save'"></span>
           </button>
         </div>
         <div class="card__body">
-          <template $m-for="(value, key) in (settings[activeGroup] || {})">
-            <div class="form-group" :key="key">
-              <label class="form-label" style="text-transform:capitalize;" $m-text="key.replace(/_/g, ' ')"></label>
+          <template $m-for="field in (currentGroup()?.fields || [])">
+            <div class="form-group" :key="field.key">
+              <label class="form-label" style="display:flex; align-items:center; gap:0.5rem;">
+                <span $m-text="field.label + (field.required ? ' *' : '')"></span>
+                <span $m-show="isChanged(activeGroup, field.key)" class="badge badge--draft" style="font-size:0.7rem;">Modified</span>
+                <button $m-show="canReset(activeGroup, field)" type="button" class="btn btn-secondary btn-sm"
+                        style="margin-left:auto; padding:0.125rem 0.5rem; font-size:0.75rem;"
+                        :title="'Default: ' + formatDefault(field)"
+                        $m-on:click="resetField(activeGroup, field.key)">↺ Reset to default</button>
+              </label>
 
               {{-- Boolean --}}
-              <template $m-if="typeof value === 'boolean'">
+              <template $m-if="widget(field).control === 'checkbox'">
                 <label style="display:flex; align-items:center; gap:0.5rem;">
-                  <input type="checkbox" :checked="value" $m-on:change="settings[activeGroup][key] = $event.target.checked">
-                  <span $m-text="value ? 'Enabled' : 'Disabled'"></span>
+                  <input type="checkbox" :checked="value(activeGroup, field) === true"
+                         $m-on:change="update(activeGroup, field.key, $event.target.checked)">
+                  <span $m-text="value(activeGroup, field) === true ? 'Enabled' : 'Disabled'"></span>
                 </label>
               </template>
 
-              {{-- Number --}}
-              <template $m-if="typeof value === 'number'">
-                <input type="number" class="form-input" :value="value"
-                       $m-on:input="settings[activeGroup][key] = parseInt($event.target.value) || 0">
+              {{-- Select & timezone --}}
+              <template $m-if="widget(field).control === 'select'">
+                <select class="form-select" :value="value(activeGroup, field)"
+                        :class="{ 'form-input--invalid': errors[activeGroup + '.' + field.key] }"
+                        $m-on:change="update(activeGroup, field.key, $event.target.value)">
+                  <template $m-for="(optLabel, optValue) in (field.options || {})">
+                    <option :value="optValue" $m-text="optLabel"></option>
+                  </template>
+                </select>
+              </template>
+
+              {{-- Long text & JSON --}}
+              <template $m-if="widget(field).control === 'textarea'">
+                <textarea class="form-textarea" rows="4" :value="value(activeGroup, field)"
+                          :style="field.type === 'json' ? 'font-family:monospace; font-size:0.8rem;' : ''"
+                          :class="{ 'form-input--invalid': errors[activeGroup + '.' + field.key] }"
+                          $m-on:input="update(activeGroup, field.key, $event.target.value)"></textarea>
               </template>
 
-              {{-- String (default) --}}
-              <template $m-if="typeof value === 'string'">
-                <input type="text" class="form-input" :value="value"
-                       $m-on:input="settings[activeGroup][key] = $event.target.value">
+              {{-- Text, e-mail, URL, numbers --}}
+              <template $m-if="widget(field).control === 'input'">
+                <input class="form-input" :type="widget(field).inputType" :value="value(activeGroup, field)"
+                       :min="field.min ?? ''" :max="field.max ?? ''" :step="field.type === 'float' ? 'any' : ''"
+                       :class="{ 'form-input--invalid': errors[activeGroup + '.' + field.key] }"
+                       $m-on:input="update(activeGroup, field.key, $event.target.value)">
               </template>
+
+              <span $m-show="field.help" style="font-size:0.75rem; color:var(--cms-text-muted);" $m-text="field.help"></span>
+              <div class="form-error" $m-show="errors[activeGroup + '.' + field.key]" $m-text="errors[activeGroup + '.' + field.key]"></div>
             </div>
           </template>
 
-          <div $m-show="Object.keys(settings[activeGroup] || {}).length === 0"
+          <div $m-show="!(currentGroup()?.fields || []).length"
                style="text-align:center; padding:2rem; color:var(--cms-text-muted);">
             No settings in this group.
           </div>
         </div>
       </div>
 
-      <div $m-show="savedMessage" style="margin-top:0.75rem; text-align:center; font-size:0.85rem; color:var(--cms-success);"
+      <div $m-show="importSkipped.length" class="card" style="margin-top:0.75rem;">
+        <div class="card__header">
+          <h3 class="card__title">Not imported</h3>
+          <button class="btn btn-secondary btn-sm" $m-on:click="importSkipped = []">Dismiss</button>
+        </div>
+        <div class="card__body" style="font-size:0.85rem;">
+          <template $m-for="line in importSkipped">
+            <div $m-text="line"></div>
+          </template>
+        </div>
+      </div>
+
+      <div $m-show="savedMessage"
+           :style="'margin-top:0.75rem; text-align:center; font-size:0.85rem; color:' + (savedMessage.startsWith('❌') ? 'var(--cms-danger)' : 'var(--cms-success)')"
            $m-text="savedMessage"></div>
     </div>
   </div>
@@ -73,49 +140,208 @@
 
 @push('scripts')
 <script type="module">
-import { createApp, createClient } from 'monkeysjs';
+import { createApp, deepClone } from 'monkeysjs';
+import { createApiClient, errorMessage } from '/build/assets/admin-api.js';
+import { registerShortcuts } from '/build/assets/shortcuts.js';
+import {
+  buildGroups, addStoredFields, withDefaults, settingWidget, displayValue, parseInput, validateSetting,
+  sameValue, changedSettings, exportSettings, parseImport,
+} from '/build/assets/settings-form.js';
 
-const api = createClient({ baseURL: '/admin/api/settings', headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' } });
+const api = createApiClient('/admin/api/settings');
 
 const app = createApp({
-  groups: [],
-  settings: {},
+  groups: [],       // buildGroups(): schema groups and fields, plus stored-only ones
+  values: {},       // working copy: { group: { key: value } }
+  saved: {},        // as last loaded or saved
+  errors: {},       // 'group.key' → message
   activeGroup: 'general',
   saving: false,
   savedMessage: '',
+  importSkipped: [],
 
   async loadSettings() {
     try {
-      const [groupsRes, settingsRes] = await Promise.all([
-        api.get('/groups'),
+      const [schemaRes, settingsRes] = await Promise.all([
+        api.get('/schema'),
         api.get('/'),
       ]);
-      this.groups = groupsRes.data?.data || [];
-      this.settings = settingsRes.data?.data || {};
-      if (this.groups.length && !this.groups.includes(this.activeGroup)) {
-        this.activeGroup = this.groups[0];
+      const stored = settingsRes.data?.data || {};
+      this.groups = buildGroups(schemaRes.data?.data, stored);
+      this.saved = withDefaults(this.groups, stored);
+      this.values = deepClone(this.saved);
+      this.errors = {};
+      if (this.groups.length && !this.groups.some(g => g.id === this.activeGroup)) {
+        this.activeGroup = this.groups[0].id;
       }
-    } catch (e) { console.error(e); }
+    } catch (e) { /* reported by the client */ }
+  },
+
+  currentGroup() {
+    return this.groups.find(g => g.id === this.activeGroup) || null;
+  },
+
+  field(group, key) {
+    return this.groups.find(g => g.id === group)?.fields.find(f => f.key === key) || null;
+  },
+
+  widget(field) {
+    return settingWidget(field);
+  },
+
+  value(group, field) {
+    return displayValue(field, this.values[group]?.[field.key] ?? field.default ?? '');
+  },
+
+  update(group, key, raw) {
+    const field = this.field(group, key);
+    const value = parseInput(field, raw);
+    this.values[group] = { ...(this.values[group] || {}), [key]: value };
+    this.setError(group + '.' + key, validateSetting(field, value));
+  },
+
+  setError(path, message) {
+    const errors = { ...this.errors };
+    if (message) errors[path] = message; else delete errors[path];
+    this.errors = errors;
+  },
+
+  // ── Changes ──────────────────────────────────────────────────────────
+  isChanged(group, key) {
+    return !sameValue(this.values[group]?.[key], this.saved[group]?.[key]);
+  },
+
+  groupChanges(group) {
+    return Object.keys(changedSettings({ [group]: this.values[group] || {} }, this.saved)[group] || {}).length;
+  },
+
+  changeCount() {
+    return Object.values(changedSettings(this.values, this.saved)).reduce((n, g) => n + Object.keys(g).length, 0);
+  },
+
+  changedGroupLabels() {
+    return Object.keys(changedSettings(this.values, this.saved)).map(id => this.groups.find(g => g.id === id)?.label || id);
+  },
+
+  groupErrors(group) {
+    return Object.keys(this.errors).filter(path => path.startsWith(group + '.')).length;
+  },
+
+  canReset(group, field) {
+    return 'default' in field && !sameValue(this.values[group]?.[field.key], field.default);
+  },
+
+  formatDefault(field) {
+    const value = field.options?.[field.default] ?? field.default;
+    return typeof value === 'boolean' ? (value ? 'Enabled' : 'Disabled') : String(value ?? '') || '(empty)';
+  },
+
+  resetField(group, key) {
+    const field = this.field(group, key);
+    this.values[group] = { ...(this.values[group] || {}), [key]: deepClone(field.default) };
+    this.setError(group + '.' + key, null);
   },
 
+  discardChanges() {
+    this.values = deepClone(this.saved);
+    this.errors = {};
+  },
+
+  // ── Save ─────────────────────────────────────────────────────────────
   async saveSettings() {
+    const changes = changedSettings(this.values, this.saved);
+
+    // Check every changed setting, in every group, before anything goes out
+    Object.entries(changes).forEach(([group, settings]) => {
+      Object.entries(settings).forEach(([key, value]) => {
+        this.setError(group + '.' + key, validateSetting(this.field(group, key), value));
+      });
+    });
+    if (Object.keys(this.errors).length) {
+      this.showFirstError();
+      this.savedMessage = '❌ Fix the highlighted settings first.';
+      return;
+    }
+    if (!Object.keys(changes).length) return;
+
     this.saving = true;
     this.savedMessage = '';
     try {
-      const payload = {};
-      payload[this.activeGroup] = this.settings[this.activeGroup] || {};
-      await api.put('/', JSON.stringify(payload));
+      await api.put('/', changes, { silent: true });
+      Object.entries(changes).forEach(([group, settings]) => {
+        this.saved[group] = { ...(this.saved[group] || {}), ...deepClone(settings) };
+      });
       this.savedMessage = '✅ Settings saved';
       setTimeout(() => { this.savedMessage = ''; }, 3000);
     } catch (e) {
-      this.savedMessage = '❌ Save failed';
-      console.error(e);
+      if (e.status === 422 && e.response?.errors) {
+        this.errors = { ...this.errors, ...e.response.errors };
+        this.showFirstError();
+      }
+      this.savedMessage = '❌ Save failed: ' + errorMessage(e);
     }
     this.saving = false;
   },
+
+  showFirstError() {
+    const first = Object.keys(this.errors)[0];
+    if (first && !first.startsWith(this.activeGroup + '.')) this.activeGroup = first.split('.')[0];
+  },
+
+  isDirty() {
+    return this.changeCount() > 0;
+  },
+
+  // ── Export & Import ──────────────────────────────────────────────────
+  exportJson() {
+    const blob = new Blob([exportSettings(this.saved)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `settings-${window.location.hostname}-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    if (this.isDirty()) this.savedMessage = 'Exported the saved settings; unsaved changes are not included.';
+  },
+
+  async importJson(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { values, skipped, count } = parseImport(await file.text(), this.groups);
+
+      // Imported values land as unsaved changes to review before saving
+      this.groups = addStoredFields(this.groups, values);
+      Object.entries(values).forEach(([group, settings]) => {
+        this.values[group] = { ...(this.values[group] || {}), ...settings };
+      });
+      this.importSkipped = skipped;
+      this.savedMessage = count
+        ? `Imported ${count} setting${count === 1 ? '' : 's'} — ${this.changeCount()} differ from this site. Review them, then save.`
+        : '❌ Nothing to import.';
+    } catch (e) {
+      this.savedMessage = '❌ Import failed: ' + e.message;
+    }
+  },
 });
 
 app.mount('#settings-app');
-app.loadSettings();
+app.data.loadSettings();
+
+registerShortcuts('Settings', {
+  'mod+s': { label: 'Save all changes', run: () => app.data.saveSettings() },
+});
+
+window.addEventListener('beforeunload', event => {
+  if (!app.data.isDirty()) return;
+  event.preventDefault();
+  event.returnValue = '';
+});
+
+// Dev server hot reload: keep the page while there are unsaved changes
+window.addEventListener('monkeyscms:dev-reload', event => {
+  if (app.data.isDirty()) event.preventDefault();
+});
 </script>
 @endpush
@@ -0,0 +1,104 @@
+{{-- Media Picker Component --}}
+{{-- Usage: @include('components.media-picker') inside a MonkeysJS app that exposes `picker` from createMediaPicker() --}}
+<div $m-show="picker.state.open" class="media-picker"
+     $m-on:click.self="picker.close()"
+     $m-on:keydown.escape="picker.close()">
+  <div class="media-picker__dialog" role="dialog" aria-modal="true" aria-label="Choose media">
+
+    {{-- Header --}}
+    <div class="media-picker__header">
+      <h3 style="font-size:1rem; font-weight:600; color:var(--cms-text-heading);"
+          $m-text="picker.state.multiple ? 'Choose media' : 'Choose a file'"></h3>
+      <input type="search" class="form-input" placeholder="Search files…" style="flex:1;"
+             :value="picker.state.query"
+             $m-on:input="picker.setQuery($event.target.value)">
+      <select class="form-select" style="width:auto;" $m-show="!picker.state.typeLocked"
+              $m-on:change="picker.setType($event.target.value)">
+        <option value="" :selected="picker.state.type === ''">All Types</option>
+        <option value="image" :selected="picker.state.type === 'image'">Images</option>
+        <option value="video" :selected="picker.state.type === 'video'">Videos</option>
+        <option value="audio" :selected="picker.state.type === 'audio'">Audio</option>
+        <option value="application" :selected="picker.state.type === 'application'">Documents</option>
+      </select>
+      <label class="btn btn-secondary btn-sm" style="cursor:pointer;">
+        📤 Upload
+        <input type="file" multiple hidden
+               :accept="picker.state.type ? picker.state.type + '/*' : null"
+               $m-on:change="picker.uploadFiles($event.target.files); $event.target.value = ''">
+      </label>
+      <button class="btn btn-secondary btn-sm" $m-on:click="picker.close()" aria-label="Close">✕</button>
+    </div>
+
+    {{-- Inline uploads --}}
+    <div $m-show="picker.upload.state.items.length" class="media-picker__uploads">
+      <template $m-for="item in picker.upload.state.items">
+        <div :key="item.id" style="display:flex; align-items:center; gap:0.5rem; font-size:0.75rem;">
+          <span style="flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;" $m-text="item.name"></span>
+          <span :style="item.status === 'error' ? 'color:var(--cms-danger);' : 'color:var(--cms-text-muted);'"
+                $m-text="item.error || (item.status === 'done' ? 'Uploaded' : Math.round(Math.min(item.loaded, item.size) / (item.size || 1) * 100) + '%')"></span>
+          <button $m-show="item.status === 'error'" class="btn btn-secondary btn-sm" $m-on:click="picker.upload.retry(item.id)">↻</button>
+          <button $m-show="item.status !== 'uploading'" class="btn btn-secondary btn-sm" $m-on:click="picker.upload.remove(item.id)">✕</button>
+        </div>
+      </template>
+    </div>
+
+    {{-- Grid --}}
+    <div class="media-picker__body"
+         $m-on:dragover.prevent="null"
+         $m-on:drop.prevent="picker.uploadFiles($event.dataTransfer.files)">
+      <div $m-show="picker.state.error" style="color:var(--cms-danger); font-size:0.85rem; margin-bottom:0.75rem;" $m-text="picker.state.error"></div>
+      <div $m-show="!picker.state.loading && !picker.state.error && picker.state.items.length === 0"
+           style="text-align:center; padding:3rem; color:var(--cms-text-muted);">
+        No files found. Drop files here to upload them.
+      </div>
+      <div class="media-picker__grid" :style="picker.state.loading ? 'opacity:0.5;' : ''">
+        <template $m-for="item in picker.state.items">
+          <button type="button" class="media-picker__item" :key="item.id"
+                  :class="{ 'media-picker__item--selected': picker.isSelected(item.id) }"
+                  :title="item.attributes.original_name"
+                  :aria-pressed="picker.isSelected(item.id)"
+                  $m-on:click="picker.toggle(item)"
+                  $m-on:dblclick="picker.toggle(item); picker.state.multiple || picker.confirm()">
+            <img $m-show="item.attributes.media_type === 'image'" :src="item.attributes.url" :alt="item.attributes.alt || ''" loading="lazy">
+            <span $m-show="item.attributes.media_type !== 'image'" class="media-picker__icon"
+                  $m-text="item.attributes.media_type === 'video' ? '🎬' : item.attributes.media_type === 'audio' ? '🎵' : '📄'"></span>
+            <span class="media-picker__name" $m-text="item.attributes.original_name"></span>
+            <span $m-show="picker.isSelected(item.id)" class="media-picker__check"
+                  $m-text="picker.state.multiple ? picker.state.selected.indexOf(item.id) + 1 : '✓'"></span>
+          </button>
+        </template>
+      </div>
+    </div>
+
+    {{-- Footer --}}
+    <div class="media-picker__footer">
+      <button class="btn btn-secondary btn-sm" $m-on:click="picker.goToPage(picker.state.page - 1)" :disabled="picker.state.page <= 1">←</button>
+      <span style="font-size:0.8rem; color:var(--cms-text-muted);"
+            $m-text="'Page ' + picker.state.page + ' of ' + picker.state.lastPage + ' · ' + picker.state.total + ' files'"></span>
+      <button class="btn btn-secondary btn-sm" $m-on:click="picker.goToPage(picker.state.page + 1)" :disabled="picker.state.page >= picker.state.lastPage">→</button>
+      <span style="margin-left:auto; font-size:0.8rem; color:var(--cms-text-muted);"
+            $m-text="picker.state.selected.length + ' selected'"></span>
+      <button class="btn btn-secondary btn-sm" $m-on:click="picker.close()">Cancel</button>
+      <button class="btn btn-primary btn-sm" $m-on:click="picker.confirm()">Select</button>
+    </div>
+  </div>
+</div>
+
+<style>
+  .media-picker { position: fixed; inset: 0; background: rgba(0,0,0,0.5); z-index: 300; display: flex; align-items: center; justify-content: center; }
+  .media-picker__dialog { display: flex; flex-direction: column; width: 880px; max-width: 95vw; height: 80vh; background: var(--cms-bg-surface); border: 1px solid var(--cms-border); border-radius: var(--cms-radius-lg); overflow: hidden; }
+  .media-picker__header, .media-picker__footer { display: flex; align-items: center; gap: 0.5rem; padding: 0.75rem 1rem; border-bottom: 1px solid var(--cms-border); }
+  .media-picker__footer { border-bottom: 0; border-top: 1px solid var(--cms-border); }
+  .media-picker__uploads { display: flex; flex-direction: column; gap: 0.25rem; padding: 0.5rem 1rem; border-bottom: 1px solid var(--cms-border); }
+  .media-picker__body { flex: 1; overflow-y: auto; padding: 1rem; }
+  .media-picker__grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(130px, 1fr)); gap: 0.75rem; }
+  .media-picker__item { position: relative; display: flex; flex-direction: column; padding: 0; border: 2px solid var(--cms-border); border-radius: var(--cms-radius-sm); background: var(--cms-bg-card); cursor: pointer; overflow: hidden; color: inherit; text-align: left; }
+  .media-picker__item img, .media-picker__icon { width: 100%; aspect-ratio: 1; object-fit: cover; display: flex; align-items: center; justify-content: center; font-size: 2.5rem; }
+  .media-picker__item--selected { border-color: var(--cms-primary); }
+  .media-picker__name { padding: 0.25rem 0.5rem; font-size: 0.7rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .media-picker__check { position: absolute; top: 0.35rem; right: 0.35rem; min-width: 1.4rem; height: 1.4rem; padding: 0 0.3rem; border-radius: 9999px; background: var(--cms-primary); color: #fff; font-size: 0.75rem; font-weight: 600; display: flex; align-items: center; justify-content: center; }
+  .media-field { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; }
+  .media-field__thumb { position: relative; width: 64px; height: 64px; border: 1px solid var(--cms-border); border-radius: var(--cms-radius-sm); background: var(--cms-bg-card); overflow: hidden; display: flex; align-items: center; justify-content: center; font-size: 1.5rem; }
+  .media-field__thumb img { width: 100%; height: 100%; object-fit: cover; }
+  .media-field__remove { position: absolute; top: 2px; right: 2px; width: 18px; height: 18px; padding: 0; border: 0; border-radius: 50%; background: rgba(0,0,0,0.6); color: #fff; font-size: 0.65rem; cursor: pointer; }
+</style>
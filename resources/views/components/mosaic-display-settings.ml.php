@@ -0,0 +1,40 @@
+{{-- Mosaic Display Settings Component --}}
+{{-- Usage: @include('components.mosaic-display-settings', ['target' => 'block', 'item' => 'state.activeBlock']) --}}
+{{-- `item` is the expression for the section or block being edited; the fields come from DisplaySettings::FIELDS --}}
+<template $m-for="group in displaySettingGroups('{{ $target }}')">
+  <div style="margin-bottom:1rem;" :key="group.group">
+    <div style="font-size:0.75rem; text-transform:uppercase; letter-spacing:0.05em; color:var(--cms-text-muted); margin-bottom:0.5rem;"
+         $m-text="group.group"></div>
+
+    <template $m-for="def in group.fields">
+      <div class="form-group" :key="def.key">
+        <label class="form-label" $m-text="def.label"></label>
+
+        <template $m-if="settingWidget(def).control === 'input'">
+          <input class="form-input"
+                 :type="settingWidget(def).inputType"
+                 :placeholder="settingWidget(def).placeholder || ''"
+                 :value="({{ $item }}?.settings || {})[def.key] ?? ''"
+                 $m-on:input="updateSetting('{{ $target }}', {{ $item }}.id, def.key, $event.target.value)">
+        </template>
+
+        <template $m-if="settingWidget(def).control === 'checkboxes'">
+          <div style="display:flex; gap:0.75rem; flex-wrap:wrap;">
+            <template $m-for="(optLabel, optVal) in (def.options || {})">
+              <label style="display:flex; align-items:center; gap:0.375rem; font-size:0.875rem;">
+                <input type="checkbox"
+                       :checked="(({{ $item }}?.settings || {})[def.key] || []).includes(optVal)"
+                       $m-on:change="toggleSettingOption('{{ $target }}', {{ $item }}.id, def.key, optVal, $event.target.checked)">
+                <span $m-text="optLabel"></span>
+              </label>
+            </template>
+          </div>
+        </template>
+
+        <span $m-show="def.help" style="font-size:0.75rem; color:var(--cms-text-muted);" $m-text="def.help"></span>
+        <span $m-show="state.settingErrors[def.key]"
+              style="display:block; font-size:0.75rem; color:var(--cms-danger);" $m-text="state.settingErrors[def.key]"></span>
+      </div>
+    </template>
+  </div>
+</template>
@@ -0,0 +1,58 @@
+{{-- Reference Field Component --}}
+{{-- Usage: @include('components.reference-field', ['ref' => "refs['tags']", 'path' => 'fields.tags', 'placeholder' => 'Search tags…']) --}}
+{{-- `ref` is the expression for a createReferenceField() instance in the surrounding MonkeysJS app --}}
+<div class="ref-field" $m-on:keydown="{{ $ref }}.onKeydown($event)">
+  <div class="ref-field__control form-input" :class="{ 'form-input--invalid': errors['{{ $path }}'] }">
+    <template $m-for="item in {{ $ref }}.state.selected">
+      <span class="ref-field__chip" :key="item.id" :class="{ 'ref-field__chip--missing': item.missing }" :title="item.hint || ''">
+        <span $m-text="item.label"></span>
+        <button type="button" class="ref-field__remove" :aria-label="'Remove ' + item.label"
+                $m-on:click="{{ $ref }}.remove(item.id)">✕</button>
+      </span>
+    </template>
+    <input type="text" class="ref-field__input" role="combobox" autocomplete="off"
+           data-field="{{ $path }}"
+           placeholder="{{ $placeholder ?? 'Search…' }}"
+           :aria-expanded="{{ $ref }}.state.open"
+           :value="{{ $ref }}.state.query"
+           $m-show="{{ $ref }}.multiple || {{ $ref }}.state.selected.length === 0"
+           $m-on:input="{{ $ref }}.setQuery($event.target.value)"
+           $m-on:focus="{{ $ref }}.openList()"
+           $m-on:blur="{{ $ref }}.closeSoon()">
+    <button type="button" class="ref-field__change" $m-show="!{{ $ref }}.multiple && {{ $ref }}.state.selected.length"
+            $m-on:click="{{ $ref }}.remove({{ $ref }}.state.selected[0].id)">Change</button>
+  </div>
+
+  <ul class="ref-field__list" role="listbox" $m-show="{{ $ref }}.state.open && ({{ $ref }}.state.results.length || {{ $ref }}.state.createLabel || {{ $ref }}.state.loading || {{ $ref }}.state.error)">
+    <li $m-show="{{ $ref }}.state.loading" class="ref-field__empty">Searching…</li>
+    <li $m-show="{{ $ref }}.state.error" class="ref-field__empty" style="color:var(--cms-danger);" $m-text="{{ $ref }}.state.error"></li>
+    <template $m-for="(option, index) in {{ $ref }}.state.results">
+      <li role="option" class="ref-field__option" :key="option.id"
+          :aria-selected="{{ $ref }}.state.active === index"
+          :class="{ 'ref-field__option--active': {{ $ref }}.state.active === index }"
+          :style="'padding-left:' + (0.75 + (option.depth || 0) * 1) + 'rem;'"
+          $m-on:mousedown.prevent="{{ $ref }}.choose(option)">
+        <span $m-text="option.label"></span>
+        <small $m-show="option.hint" $m-text="option.hint"></small>
+      </li>
+    </template>
+    <li $m-show="{{ $ref }}.state.createLabel" role="option" class="ref-field__option"
+        :class="{ 'ref-field__option--active': {{ $ref }}.state.active === {{ $ref }}.state.results.length }"
+        $m-on:mousedown.prevent="{{ $ref }}.createFromQuery()"
+        $m-text="'＋ Create “' + {{ $ref }}.state.createLabel + '”'"></li>
+  </ul>
+</div>
+
+<style>
+  .ref-field { position: relative; }
+  .ref-field__control { display: flex; flex-wrap: wrap; align-items: center; gap: 0.25rem; min-height: 2.25rem; padding: 0.25rem 0.5rem; cursor: text; }
+  .ref-field__input { flex: 1; min-width: 8rem; padding: 0.25rem; border: 0; background: none; color: inherit; font: inherit; outline: none; }
+  .ref-field__chip { display: inline-flex; align-items: center; gap: 0.25rem; padding: 0.125rem 0.25rem 0.125rem 0.5rem; border-radius: 9999px; background: var(--cms-bg-card); border: 1px solid var(--cms-border); font-size: 0.8rem; }
+  .ref-field__chip--missing { border-color: var(--cms-danger); color: var(--cms-danger); }
+  .ref-field__remove, .ref-field__change { padding: 0 0.25rem; border: 0; background: none; color: var(--cms-text-muted); font-size: 0.75rem; cursor: pointer; }
+  .ref-field__list { position: absolute; left: 0; right: 0; top: 100%; z-index: 50; max-height: 16rem; overflow-y: auto; margin: 0.25rem 0 0; padding: 0.25rem 0; list-style: none; background: var(--cms-bg-surface); border: 1px solid var(--cms-border); border-radius: var(--cms-radius-sm); }
+  .ref-field__option { display: flex; justify-content: space-between; gap: 0.5rem; padding: 0.375rem 0.75rem; font-size: 0.85rem; cursor: pointer; }
+  .ref-field__option small { color: var(--cms-text-muted); }
+  .ref-field__option--active { background: var(--cms-bg-card); }
+  .ref-field__empty { padding: 0.375rem 0.75rem; font-size: 0.8rem; color: var(--cms-text-muted); }
+</style>
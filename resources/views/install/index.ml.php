@@ -50,11 +50,19 @@
     .spinner { display:inline-block; width:16px; height:16px; border:2px solid var(--border); border-top-color:var(--primary); border-radius:50%; animation:spin 600ms linear infinite; }
     @keyframes spin { to { transform:rotate(360deg); } }
     .complete-check { font-size:4rem; text-align:center; margin:1.5rem 0; }
+    .migration-row__desc { display:block; font-size:0.75rem; color:var(--text-muted); }
+    .migration-row.is-failed { color:var(--danger); }
+    .progress { height:6px; background:var(--bg-surface); border-radius:3px; overflow:hidden; margin-bottom:0.75rem; }
+    .progress__bar { height:100%; background:var(--primary); transition:width 300ms; }
+    .failure { margin-top:1rem; padding:1rem; border:1px solid var(--danger); border-radius:var(--radius-sm); background:rgba(239,68,68,.06); font-size:0.85rem; }
+    .failure__title { font-weight:600; color:var(--danger); margin-bottom:0.5rem; }
+    .failure__label { display:block; font-size:0.75rem; text-transform:uppercase; letter-spacing:0.05em; color:var(--text-muted); margin:0.75rem 0 0.25rem; }
+    .failure pre { white-space:pre-wrap; word-break:break-word; max-height:12rem; overflow:auto; padding:0.6rem 0.75rem; background:var(--bg); border-radius:var(--radius-sm); font-size:0.8rem; }
   </style>
 </head>
 <body>
 
-<div class="installer" id="installer-app">
+<div class="installer" id="installer-app" $m-on:input="remember()" $m-on:change="remember()">
   <div class="installer__header">
     <div class="installer__logo">🐒</div>
     <h1 class="installer__title">MonkeysCMS</h1>
@@ -87,7 +95,7 @@
     </div>
     <div class="actions">
       <span></span>
-      <button class="btn btn-primary" $m-on:click="step = 2" @if(in_array(false, array_column($requirements, 'passed'))) disabled @endif>Continue →</button>
+      <button class="btn btn-primary" $m-on:click="go(2)" @if(in_array(false, array_column($requirements, 'passed'))) disabled @endif>Continue →</button>
     </div>
   </div>
 
@@ -122,7 +130,7 @@
       </div>
     </div>
     <div class="actions">
-      <button class="btn btn-secondary" $m-on:click="step = 1">← Back</button>
+      <button class="btn btn-secondary" $m-on:click="go(1)">← Back</button>
       <button class="btn btn-primary" $m-on:click="testDatabase()" :disabled="loading">
         <span $m-show="loading" class="spinner"></span>
         <span $m-text="loading ? 'Testing...' : 'Test & Save →'"></span>
@@ -136,25 +144,51 @@
       <div class="card__header"><span class="card__title">3. Database Schema</span></div>
       <div class="card__body">
         <p style="font-size:0.9rem; color:var(--text-muted); margin-bottom:1rem;">
-          The installer will create all required tables from MLC schema definitions.
+          The installer will create all required tables from MLC schema definitions, one migration at a time.
         </p>
         <div $m-show="migrations.length > 0">
+          <div style="display:flex; justify-content:space-between; font-size:0.8rem; color:var(--text-muted); margin-bottom:0.35rem;">
+            <span $m-text="migrationsDone() + ' of ' + migrations.length + ' migrations'"></span>
+            <span $m-text="migrationsTime()"></span>
+          </div>
+          <div class="progress"><div class="progress__bar" :style="'width:' + Math.round(migrationsDone() / migrations.length * 100) + '%'"></div></div>
           <template $m-for="m in migrations">
-            <div class="migration-row">
-              <span $m-text="m.status === 'done' ? '✅' : m.status === 'error' ? '❌' : '⏳'"></span>
-              <span $m-text="m.id"></span>
-              <span style="margin-left:auto; color:var(--text-muted); font-size:0.8rem;" $m-text="m.time_ms ? m.time_ms + 'ms' : ''"></span>
+            <div class="migration-row" :key="m.id" :class="{ 'is-failed': m.status === 'failed' }">
+              <span $m-show="m.status === 'running'" class="spinner"></span>
+              <span $m-show="m.status !== 'running'" $m-text="m.status === 'completed' ? '✅' : m.status === 'failed' ? '❌' : '⏳'"></span>
+              <span>
+                <span $m-text="m.id"></span>
+                <span class="migration-row__desc" $m-text="m.description"></span>
+              </span>
+              <span style="margin-left:auto; color:var(--text-muted); font-size:0.8rem; white-space:nowrap;"
+                    $m-text="m.status === 'running' ? 'Running…' : m.time_ms !== null ? m.time_ms + ' ms' : ''"></span>
             </div>
           </template>
         </div>
+
+        {{-- Failure: what failed and why; retrying starts again at this migration --}}
+        <div $m-show="failure" class="failure" role="alert">
+          <div class="failure__title" $m-text="'Migration “' + (failure?.id || '') + '” failed'"></div>
+          <div $m-text="failure?.description || ''"></div>
+          <span class="failure__label">Error</span>
+          <pre $m-text="failure?.error || ''"></pre>
+          <div $m-show="failure?.statement">
+            <span class="failure__label">Statement</span>
+            <pre $m-text="failure?.statement || ''"></pre>
+          </div>
+          <p style="margin-top:0.75rem; color:var(--text-muted);">
+            Fix the cause — often the database user's privileges or an existing table — and retry.
+            Migrations that already ran are not run again.
+          </p>
+        </div>
         <div $m-show="migrateMessage" class="msg" :class="migrateSuccess ? 'msg--success' : 'msg--error'" $m-text="migrateMessage"></div>
       </div>
     </div>
     <div class="actions">
-      <button class="btn btn-secondary" $m-on:click="step = 2">← Back</button>
+      <button class="btn btn-secondary" $m-on:click="go(2)" :disabled="loading">← Back</button>
       <button class="btn btn-primary" $m-on:click="runMigrations()" :disabled="loading || migrateSuccess">
         <span $m-show="loading" class="spinner"></span>
-        <span $m-text="migrateSuccess ? 'Done ✅' : loading ? 'Running...' : 'Run Migrations →'"></span>
+        <span $m-text="migrateSuccess ? 'Done ✅' : loading ? 'Running...' : failure ? 'Retry from “' + failure.id + '” →' : 'Run Migrations →'"></span>
       </button>
     </div>
   </div>
@@ -180,7 +214,7 @@
       </div>
     </div>
     <div class="actions">
-      <button class="btn btn-secondary" $m-on:click="step = 3">← Back</button>
+      <button class="btn btn-secondary" $m-on:click="go(3)">← Back</button>
       <button class="btn btn-primary" $m-on:click="createAdmin()" :disabled="loading">
         <span $m-text="loading ? 'Creating...' : 'Create Admin →'"></span>
       </button>
@@ -226,7 +260,7 @@
       </div>
     </div>
     <div class="actions">
-      <button class="btn btn-secondary" $m-on:click="step = 4">← Back</button>
+      <button class="btn btn-secondary" $m-on:click="go(4)">← Back</button>
       <button class="btn btn-primary" $m-on:click="saveSiteConfig()" :disabled="loading">
         <span $m-text="loading ? 'Saving...' : 'Finish →'"></span>
       </button>
@@ -250,73 +284,136 @@
 </div>
 
 <script type="module">
-import { createApp, createClient } from 'monkeysjs';
+import { createApp, localStorage as store } from 'monkeysjs';
+import { createApiClient, errorMessage } from '/build/assets/admin-api.js';
+
+// Every step shows its own errors; there is no session to expire yet
+const api = createApiClient('/install', { relogin: false });
+const quiet = { silent: true };
 
-const api = createClient({ baseURL: '/install', headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' } });
+// Answers survive a reload or a dropped connection; passwords are never kept.
+// The server says how far the install has verifiably got; resume there, or
+// at the step the page was on if that's earlier.
+const SAVED_KEY = 'monkeyscms:install';
+const saved = store.get(SAVED_KEY) || {};
+const serverStep = {{ $step ?? 1 }};
 
 const app = createApp({
-  step: {{ $step ?? 1 }},
+  step: saved.step ? Math.min(saved.step, serverStep) : serverStep,
   loading: false,
 
-  db: { host: '127.0.0.1', port: '3306', name: '', user: '', pass: '' },
+  db: { host: '127.0.0.1', port: '3306', name: '', user: '', ...saved.db, pass: '' },
   dbMessage: '', dbSuccess: false,
 
-  migrations: [], migrateMessage: '', migrateSuccess: false,
+  migrations: [], migrationBatch: null, failure: null, migrateMessage: '', migrateSuccess: false,
 
-  admin: { name: '', email: '', password: '' },
+  admin: { name: '', email: '', ...saved.admin, password: '' },
   adminMessage: '', adminSuccess: false,
 
-  site: { name: 'MonkeysCMS', tagline: '', url: window.location.origin, email: '', timezone: 'UTC' },
+  site: { name: 'MonkeysCMS', tagline: '', url: window.location.origin, email: '', timezone: 'UTC', ...saved.site },
+
+  go(step) {
+    this.step = step;
+    this.remember();
+    if (step === 3 && !this.loading) this.loadMigrations();
+  },
+
+  remember() {
+    if (this.step === 6) { store.remove(SAVED_KEY); return; }
+    store.set(SAVED_KEY, {
+      step: this.step,
+      db: { host: this.db.host, port: this.db.port, name: this.db.name, user: this.db.user },
+      admin: { name: this.admin.name, email: this.admin.email },
+      site: { ...this.site },
+    });
+  },
 
   async testDatabase() {
     this.loading = true; this.dbMessage = '';
     try {
-      const res = await api.post('/database', JSON.stringify({ db_host: this.db.host, db_port: this.db.port, db_name: this.db.name, db_user: this.db.user, db_pass: this.db.pass }));
-      if (res.data.success) { this.dbSuccess = true; this.dbMessage = '✅ Connected!'; setTimeout(() => { this.step = 3; }, 500); }
+      const res = await api.post('/database', { db_host: this.db.host, db_port: this.db.port, db_name: this.db.name, db_user: this.db.user, db_pass: this.db.pass }, quiet);
+      if (res.data.success) { this.dbSuccess = true; this.dbMessage = '✅ Connected!'; setTimeout(() => this.go(3), 500); }
       else { this.dbMessage = res.data.error || 'Connection failed'; }
-    } catch (e) { this.dbMessage = e.response?.data?.error || 'Connection failed'; }
+    } catch (e) { this.dbMessage = errorMessage(e, 'Connection failed'); }
     this.loading = false;
   },
 
-  async runMigrations() {
-    this.loading = true; this.migrateMessage = '';
+  // The plan: completed migrations with their timings, then the pending ones
+  async loadMigrations() {
+    this.migrateMessage = '';
     try {
-      const res = await api.post('/migrate');
-      if (res.data.success) {
-        this.migrateSuccess = true;
-        this.migrations = (res.data.executed || []).map(m => ({ ...m, status: 'done' }));
-        this.migrateMessage = '✅ All migrations completed!';
-        setTimeout(() => { this.step = 4; }, 800);
-      } else {
-        this.migrations = (res.data.executed || []).map(m => ({ ...m, status: 'done' }));
-        if (res.data.errors?.length) this.migrations.push(...res.data.errors.map(e => ({ ...e, status: 'error' })));
-        this.migrateMessage = res.data.errors?.[0]?.error || 'Migration failed';
+      const res = await api.get('/migrations', quiet);
+      this.migrations = res.data.migrations || [];
+      this.migrationBatch = res.data.batch;
+      const failed = this.migrations.find(m => m.status === 'failed');
+      this.failure = failed ? { id: failed.id, description: failed.description, error: failed.error, statement: '' } : null;
+      this.migrateSuccess = this.migrations.every(m => m.status === 'completed');
+      if (this.migrateSuccess) this.migrateMessage = '✅ The database schema is up to date.';
+    } catch (e) { this.migrateMessage = errorMessage(e, 'Could not load the migrations'); }
+  },
+
+  // One request per migration, so each row updates as it finishes and a
+  // slow host never has to fit the whole schema into one request
+  async runMigrations() {
+    this.loading = true; this.migrateMessage = ''; this.failure = null;
+    if (!this.migrations.length) await this.loadMigrations();
+
+    for (const m of this.migrations) {
+      if (m.status === 'completed') continue;
+
+      m.status = 'running'; m.error = null; m.time_ms = null;
+      try {
+        const res = await api.post('/migrate', { id: m.id, batch: this.migrationBatch }, quiet);
+        m.status = 'completed';
+        m.time_ms = res.data.time_ms ?? null;
+      } catch (e) {
+        const body = e.response || {};
+        m.status = 'failed';
+        m.time_ms = body.time_ms ?? null;
+        this.failure = { id: m.id, description: m.description, error: errorMessage(e, 'Migration failed'), statement: body.statement || '' };
+        break;
       }
-    } catch (e) { this.migrateMessage = e.response?.data?.error || 'Migration failed'; }
+    }
+
     this.loading = false;
+    if (this.failure) return;
+
+    this.migrateSuccess = true;
+    this.migrateMessage = '✅ All migrations completed!';
+    setTimeout(() => this.go(4), 800);
+  },
+
+  migrationsDone() {
+    return this.migrations.filter(m => m.status === 'completed').length;
+  },
+
+  migrationsTime() {
+    const total = this.migrations.reduce((sum, m) => sum + (m.time_ms || 0), 0);
+    return total ? (total >= 1000 ? (total / 1000).toFixed(1) + ' s' : total + ' ms') : '';
   },
 
   async createAdmin() {
     this.loading = true; this.adminMessage = '';
     try {
-      const res = await api.post('/admin-user', JSON.stringify(this.admin));
-      if (res.data.success) { this.adminSuccess = true; this.adminMessage = '✅ Admin created!'; setTimeout(() => { this.step = 5; }, 500); }
+      const res = await api.post('/admin-user', this.admin, quiet);
+      if (res.data.success) { this.adminSuccess = true; this.adminMessage = '✅ Admin created!'; setTimeout(() => this.go(5), 500); }
       else { this.adminMessage = res.data.error; }
-    } catch (e) { this.adminMessage = e.response?.data?.error || 'Failed'; }
+    } catch (e) { this.adminMessage = errorMessage(e, 'Failed'); }
     this.loading = false;
   },
 
   async saveSiteConfig() {
     this.loading = true;
     try {
-      const res = await api.post('/configure', JSON.stringify({ site_name: this.site.name, site_tagline: this.site.tagline, site_url: this.site.url, site_email: this.site.email, timezone: this.site.timezone }));
-      if (res.data.success) this.step = 6;
-    } catch (e) { console.error(e); }
+      const res = await api.post('/configure', { site_name: this.site.name, site_tagline: this.site.tagline, site_url: this.site.url, site_email: this.site.email, timezone: this.site.timezone });
+      if (res.data.success) this.go(6);
+    } catch { /* logged by the client */ }
     this.loading = false;
   },
 });
 
 app.mount('#installer-app');
+if (app.data.step === 3) app.data.loadMigrations();
 </script>
 </body>
 </html>
@@ -3,6 +3,7 @@
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="csrf-token" content="{{ csrf_token() }}">
   <title>@yield('title', 'MonkeysCMS') | Admin</title>
   <link rel="preconnect" href="https://fonts.googleapis.com">
   <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
@@ -75,6 +76,7 @@
         </div>
         <div style="display:flex; align-items:center; gap:0.75rem;">
           @yield('toolbar_actions')
+          <button type="button" class="btn btn-secondary btn-sm" $m-on:click="openPalette()" title="Command palette (Ctrl+K)">🔍 Jump to…</button>
           <a href="/admin/profile" class="btn btn-secondary btn-sm">👤 Profile</a>
           <a href="/admin/logout" class="btn btn-secondary btn-sm">Logout</a>
         </div>
@@ -88,17 +90,83 @@
   </div>
 
   {{-- ═══ Notifications ═══ --}}
-  <div class="notifications">
+  {{-- Timers hold while the pointer or keyboard focus is on the stack --}}
+  <section class="notifications" aria-label="Notifications"
+           $m-on:mouseenter="pauseNotifications()" $m-on:mouseleave="resumeNotifications()"
+           $m-on:focusin="pauseNotifications()" $m-on:focusout="resumeNotifications()">
     <template $m-for="n in notifications">
       <div class="notification" :class="'notification--' + n.type" :key="n.id">
-        <span $m-text="n.message"></span>
-        <button style="background:none; border:none; color:inherit; cursor:pointer; margin-left:auto;"
+        <span class="notification__message" $m-text="n.message"></span>
+        <template $m-for="(action, i) in n.actions">
+          <button type="button" class="notification__action" $m-on:click="runNotificationAction(n.id, i)" $m-text="action.label"></button>
+        </template>
+        <button type="button" class="notification__close" aria-label="Dismiss notification"
                 $m-on:click="dismissNotification(n.id)">✕</button>
       </div>
     </template>
+  </section>
+  {{-- Screen readers hear toasts from here; the stack itself isn't a live region --}}
+  <div id="notifications-status" class="sr-only" role="status" aria-live="polite"></div>
+  <div id="notifications-alert" class="sr-only" role="alert" aria-live="assertive"></div>
+
+  {{-- ═══ Command Palette (Ctrl+K) ═══ --}}
+  <div class="command-palette" $m-show="palette.open" $m-on:click.self="closePalette()">
+    <div class="command-palette__dialog" role="dialog" aria-modal="true" aria-label="Command palette">
+      <input id="command-palette-input" class="command-palette__input" type="text" autocomplete="off"
+             placeholder="Jump to a section or find content…"
+             role="combobox" aria-expanded="true" aria-controls="command-palette-results"
+             :aria-activedescendant="palette.results.length ? 'command-palette-option-' + palette.active : ''"
+             :value="palette.query"
+             $m-on:input="setPaletteQuery($event.target.value)"
+             $m-on:keydown="onPaletteKeydown($event)">
+      <ul id="command-palette-results" class="command-palette__results" role="listbox" aria-label="Results">
+        <template $m-for="(result, i) in palette.results">
+          <li :id="'command-palette-option-' + i" :key="result.id" role="option"
+              class="command-palette__option" :class="{ active: i === palette.active }"
+              :aria-selected="i === palette.active ? 'true' : 'false'"
+              $m-on:mouseenter="palette.active = i"
+              $m-on:mousedown.prevent="runPaletteResult(result)">
+            <span class="command-palette__label" $m-text="result.label"></span>
+            <span class="command-palette__hint" $m-show="result.hint" $m-text="result.hint"></span>
+            <span class="command-palette__group" $m-text="result.group"></span>
+          </li>
+        </template>
+        <li class="command-palette__empty" $m-show="palette.loading">Searching content…</li>
+        <li class="command-palette__empty" $m-show="!palette.loading && !palette.results.length">Nothing matches</li>
+      </ul>
+      <div class="command-palette__footer">↑↓ move · Enter open · Esc close · ? all shortcuts</div>
+    </div>
+  </div>
+
+  {{-- ═══ Keyboard Shortcut Cheat Sheet (?) ═══ --}}
+  <div class="shortcut-sheet" $m-show="shortcuts.cheatSheetOpen" $m-on:click.self="closeCheatSheet()">
+    <div class="shortcut-sheet__dialog" role="dialog" aria-modal="true" aria-labelledby="shortcut-sheet-title">
+      <div class="shortcut-sheet__header">
+        <h2 id="shortcut-sheet-title">Keyboard shortcuts</h2>
+        <button type="button" class="notification__close" aria-label="Close" $m-on:click="closeCheatSheet()">✕</button>
+      </div>
+      <template $m-for="group in shortcuts.groups">
+        <section class="shortcut-sheet__group" :key="group.scope">
+          <h3 $m-text="group.scope"></h3>
+          <dl>
+            <template $m-for="item in group.items">
+              <div class="shortcut-sheet__row" :key="item.keys">
+                <dt><kbd $m-text="item.keys"></kbd></dt>
+                <dd $m-text="item.label"></dd>
+              </div>
+            </template>
+          </dl>
+        </section>
+      </template>
+    </div>
   </div>
 
   <script type="module" src="/build/assets/admin.js"></script>
   @stack('scripts')
+
+  @env('dev')
+  {{-- Notifications sit bottom right --}}
+  <script src="/assets/js/dev-reload.js" data-badge="bottom-left"></script>
+  @endenv
 </body>
 </html>
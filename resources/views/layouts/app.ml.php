@@ -297,12 +297,8 @@
 {{ $scripts ?? '' }}
 
 @env('dev')
+{{-- Hot reload; it also shows the DEV MODE badge --}}
 <script src="<?= asset('js/dev-reload.js') ?>"></script>
-
-{{-- Development tools badge --}}
-<div style="position:fixed;bottom:10px;right:80px;background:#000;color:#0f0;padding:8px 12px;font-size:11px;border-radius:6px;z-index:9999;font-family:monospace;box-shadow:0 2px 10px rgba(0,0,0,0.3);">
-    🔧 DEV MODE
-</div>
 @endenv
 </body>
 </html>
@@ -0,0 +1,144 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit\Block;
+
+use App\Cms\Block\BlockTypeRegistry;
+use App\Cms\Block\VersionedBlockTypeInterface;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit tests for BlockTypeRegistry's alias resolution and upgrade(), which
+ * every editor load and frontend render runs stored layouts through.
+ */
+#[CoversClass(BlockTypeRegistry::class)]
+final class BlockTypeRegistryTest extends TestCase
+{
+    private BlockTypeRegistry $registry;
+
+    protected function setUp(): void
+    {
+        FakeCalloutBlock::$migrated = [];
+
+        $this->registry = new BlockTypeRegistry();
+        $this->registry->register(new FakeCalloutBlock());
+    }
+
+    #[Test]
+    public function aFormerIdResolvesToTheRenamedType(): void
+    {
+        $this->assertInstanceOf(FakeCalloutBlock::class, $this->registry->get('notice'));
+        $this->assertSame(2, $this->registry->version('notice'));
+        $this->assertSame('<aside>Closed Monday</aside>', $this->registry->render('notice', ['body' => 'Closed Monday']));
+
+        // Only the current id is offered in the block picker
+        $this->assertFalse($this->registry->has('notice'));
+        $this->assertSame(['callout'], array_keys($this->registry->all()));
+    }
+
+    #[Test]
+    public function upgradeRenamesAndMigratesABlockSavedUnderItsFormerId(): void
+    {
+        $sections = $this->registry->upgrade([
+            $this->section(['id' => 'blk_1', 'blockType' => 'notice', 'data' => ['text' => 'Closed Monday']]),
+        ]);
+
+        $this->assertSame(
+            ['id' => 'blk_1', 'blockType' => 'callout', 'data' => ['body' => 'Closed Monday'], 'version' => 2],
+            $sections[0]['regions']['main'][0],
+        );
+        $this->assertSame([1], FakeCalloutBlock::$migrated);
+    }
+
+    #[Test]
+    public function upgradeMigratesDataSavedByVersionOne(): void
+    {
+        $sections = $this->registry->upgrade([
+            $this->section(['id' => 'blk_1', 'blockType' => 'callout', 'version' => 1, 'data' => ['text' => 'Hi', 'tone' => 'info']]),
+        ]);
+
+        $block = $sections[0]['regions']['main'][0];
+        $this->assertSame(['tone' => 'info', 'body' => 'Hi'], $block['data']);
+        $this->assertSame(2, $block['version']);
+        $this->assertSame([1], FakeCalloutBlock::$migrated);
+    }
+
+    #[Test]
+    public function upgradeLeavesCurrentBlocksAlone(): void
+    {
+        $block = ['id' => 'blk_1', 'blockType' => 'callout', 'version' => 2, 'data' => ['body' => 'Hi']];
+
+        $sections = $this->registry->upgrade([$this->section($block)]);
+
+        $this->assertSame($block, $sections[0]['regions']['main'][0]);
+        $this->assertSame([], FakeCalloutBlock::$migrated);
+    }
+
+    #[Test]
+    public function upgradePassesUnknownBlocksThroughUntouched(): void
+    {
+        $sections = [
+            [
+                'id' => 'sec_1',
+                'layout' => 'two-columns',
+                'regions' => [
+                    'left' => [['id' => 'blk_1', 'blockType' => 'retired_widget', 'version' => 1, 'data' => ['text' => 'x']]],
+                    'right' => [['id' => 'blk_2', 'data' => []], 'not a block'],
+                ],
+            ],
+            ['id' => 'sec_2', 'layout' => 'full'],
+        ];
+
+        $this->assertSame($sections, $this->registry->upgrade($sections));
+        $this->assertSame([], FakeCalloutBlock::$migrated);
+    }
+
+    // ── Helpers ─────────────────────────────────────────────────────────
+
+    private function section(array $block): array
+    {
+        return ['id' => 'sec_1', 'layout' => 'full', 'regions' => ['main' => [$block]]];
+    }
+}
+
+/**
+ * A block type once registered as 'notice', whose 'text' field became
+ * 'body' in version 2.
+ */
+final class FakeCalloutBlock implements VersionedBlockTypeInterface
+{
+    /** @var int[] Versions migrate() was called from */
+    public static array $migrated = [];
+
+    public static function getId(): string { return 'callout'; }
+    public static function getLabel(): string { return 'Callout'; }
+    public static function getDescription(): string { return 'A highlighted note'; }
+    public static function getIcon(): string { return '📣'; }
+    public static function getCategory(): string { return 'Text'; }
+    public static function getVersion(): int { return 2; }
+    public static function getAliases(): array { return ['notice']; }
+
+    public static function getFields(): array
+    {
+        return ['body' => ['type' => 'text', 'label' => 'Body']];
+    }
+
+    public static function migrate(array $data, int $fromVersion): array
+    {
+        self::$migrated[] = $fromVersion;
+
+        if ($fromVersion < 2) {
+            $data['body'] = $data['text'] ?? '';
+            unset($data['text']);
+        }
+
+        return $data;
+    }
+
+    public function render(array $data, array $settings = []): string
+    {
+        return '<aside>' . htmlspecialchars((string) ($data['body'] ?? '')) . '</aside>';
+    }
+}
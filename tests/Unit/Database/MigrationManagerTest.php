@@ -0,0 +1,224 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit\Database;
+
+use App\Cms\Database\MigrationManager;
+use PDO;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit tests for MigrationManager's one-at-a-time runner (plan() and run()),
+ * which the web installer's retry and resume rely on. Runs against an
+ * in-memory SQLite database and a throwaway migration registry.
+ */
+#[CoversClass(MigrationManager::class)]
+final class MigrationManagerTest extends TestCase
+{
+    private PDO $pdo;
+    private string $basePath;
+
+    protected function setUp(): void
+    {
+        if (!in_array('sqlite', PDO::getAvailableDrivers(), true)) {
+            $this->markTestSkipped('pdo_sqlite is not available.');
+        }
+
+        $this->pdo = new PDO('sqlite::memory:', options: [PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION]);
+        $this->basePath = sys_get_temp_dir() . '/monkeyscms-migrations-' . bin2hex(random_bytes(4));
+        mkdir($this->basePath . '/database', 0755, true);
+        mkdir($this->basePath . '/migrations');
+
+        $this->writeMigration('tracking.sql', <<<'SQL'
+            CREATE TABLE IF NOT EXISTS cms_migrations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                migration_id TEXT NOT NULL UNIQUE,
+                description TEXT,
+                module TEXT,
+                version TEXT,
+                file TEXT,
+                checksum TEXT,
+                batch INTEGER,
+                execution_time_ms INTEGER,
+                status TEXT,
+                error_message TEXT,
+                executed_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+            SQL);
+        $this->writeMigration('users.sql', 'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+        $this->writeMigration('posts.sql', 'CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER); INSERT INTO posts (id, user_id) VALUES (1, 1)');
+
+        file_put_contents($this->basePath . '/database/migrations.mlc', <<<'MLC'
+            migrations {
+                tracking_table = "cms_migrations"
+
+                migration "migration_tracking" {
+                    description = "Tracking table"
+                    file        = "migrations/tracking.sql"
+                    requires    = []
+                }
+
+                migration "users" {
+                    description = "Users"
+                    file        = "migrations/users.sql"
+                    requires    = []
+                }
+
+                migration "posts" {
+                    description = "Posts"
+                    file        = "migrations/posts.sql"
+                    requires    = ["users"]
+                }
+
+                migration "missing" {
+                    description = "Points at no file"
+                    file        = "migrations/missing.sql"
+                    requires    = []
+                }
+            }
+            MLC);
+    }
+
+    protected function tearDown(): void
+    {
+        if (!isset($this->basePath) || !is_dir($this->basePath)) return;
+
+        array_map('unlink', glob($this->basePath . '/*/*') ?: []);
+        rmdir($this->basePath . '/migrations');
+        rmdir($this->basePath . '/database');
+        rmdir($this->basePath);
+    }
+
+    #[Test]
+    public function planListsPendingMigrationsInDependencyOrder(): void
+    {
+        $plan = $this->manager()->plan();
+
+        $this->assertSame(1, $plan['batch']);
+        $this->assertSame(['users', 'posts', 'missing'], array_column($plan['migrations'], 'id'));
+        $this->assertSame(['pending'], array_values(array_unique(array_column($plan['migrations'], 'status'))));
+    }
+
+    #[Test]
+    public function runCompletesAMigrationAndSkipsItAfterwards(): void
+    {
+        $manager = $this->manager();
+
+        $result = $manager->run('users', 1);
+
+        $this->assertSame('completed', $result['status']);
+        $this->assertSame('Users', $result['description']);
+        $this->assertIsInt($result['time_ms']);
+        $this->assertSame(['users'], $manager->getExecutedIds());
+
+        $again = $manager->run('users', 1);
+
+        $this->assertSame(['id' => 'users', 'description' => 'Users', 'status' => 'skipped'], $again);
+        $this->assertSame(1, $this->trackingRows('users'));
+
+        $plan = $manager->plan();
+        $this->assertSame(['id' => 'users', 'status' => 'completed'], array_intersect_key($plan['migrations'][0], ['id' => 0, 'status' => 0]));
+        $this->assertSame(2, $plan['batch']);
+    }
+
+    #[Test]
+    public function runRefusesAMigrationWhoseRequirementsHaveNotRun(): void
+    {
+        $manager = $this->manager();
+
+        $result = $manager->run('posts', 1);
+
+        $this->assertSame('failed', $result['status']);
+        $this->assertSame('Run these migrations first: users', $result['error']);
+        $this->assertArrayNotHasKey('statement', $result);
+        $this->assertSame(0, $this->trackingRows('posts'));
+        $this->assertFalse($this->tableExists('posts'));
+
+        $manager->run('users', 1);
+
+        $this->assertSame('completed', $manager->run('posts', 1)['status']);
+        $this->assertTrue($this->tableExists('posts'));
+    }
+
+    #[Test]
+    public function aFailedStatementIsReportedAndReplacedOnRetry(): void
+    {
+        $manager = $this->manager();
+        $manager->run('users', 1);
+        $this->writeMigration('posts.sql', 'CREATE TABLE IF NOT EXISTS posts (id INTEGER PRIMARY KEY); INSERT INTO authors (id) VALUES (1)');
+
+        $failed = $manager->run('posts', 1);
+
+        $this->assertSame('failed', $failed['status']);
+        $this->assertSame('INSERT INTO authors (id) VALUES (1)', $failed['statement']);
+        $this->assertStringContainsString('authors', $failed['error']);
+
+        $plan = $manager->plan();
+        $posts = $plan['migrations'][array_search('posts', array_column($plan['migrations'], 'id'), true)];
+        $this->assertSame('failed', $posts['status']);
+        $this->assertSame($failed['error'], $posts['error']);
+        $this->assertNotContains('posts', $manager->getExecutedIds());
+
+        // Fixed and retried: the failed row is replaced, not duplicated
+        $this->writeMigration('posts.sql', 'CREATE TABLE IF NOT EXISTS posts (id INTEGER PRIMARY KEY); INSERT INTO posts (id) VALUES (1)');
+
+        $retried = $manager->run('posts', 2);
+
+        $this->assertSame('completed', $retried['status']);
+        $this->assertSame(1, $this->trackingRows('posts'));
+
+        $row = $this->pdo->query("SELECT status, error_message, batch FROM cms_migrations WHERE migration_id = 'posts'")->fetch(PDO::FETCH_ASSOC);
+        $this->assertSame('completed', $row['status']);
+        $this->assertNull($row['error_message']);
+        $this->assertSame(2, (int) $row['batch']);
+    }
+
+    #[Test]
+    public function aMissingFileFailsWithoutAStatement(): void
+    {
+        $result = $this->manager()->run('missing', 1);
+
+        $this->assertSame('failed', $result['status']);
+        $this->assertSame('Migration file not found: migrations/missing.sql', $result['error']);
+        $this->assertArrayNotHasKey('statement', $result);
+    }
+
+    #[Test]
+    public function runRejectsAnUnknownId(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Unknown migration: nope');
+
+        $this->manager()->run('nope');
+    }
+
+    // ── Helpers ─────────────────────────────────────────────────────────
+
+    private function manager(): MigrationManager
+    {
+        return new MigrationManager($this->pdo, $this->basePath);
+    }
+
+    private function writeMigration(string $name, string $sql): void
+    {
+        file_put_contents($this->basePath . '/migrations/' . $name, $sql);
+    }
+
+    private function trackingRows(string $id): int
+    {
+        $stmt = $this->pdo->prepare('SELECT COUNT(*) FROM cms_migrations WHERE migration_id = :id');
+        $stmt->execute(['id' => $id]);
+
+        return (int) $stmt->fetchColumn();
+    }
+
+    private function tableExists(string $table): bool
+    {
+        $stmt = $this->pdo->prepare("SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name = :name");
+        $stmt->execute(['name' => $table]);
+
+        return (int) $stmt->fetchColumn() === 1;
+    }
+}
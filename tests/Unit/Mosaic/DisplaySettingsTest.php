@@ -0,0 +1,177 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit\Mosaic;
+
+use App\Cms\Mosaic\DisplaySettings;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit tests for DisplaySettings — the check between editor input and the
+ * attributes rendered on the public page.
+ */
+#[CoversClass(DisplaySettings::class)]
+final class DisplaySettingsTest extends TestCase
+{
+    #[Test]
+    public function normalizeKeepsValidValuesTrimmed(): void
+    {
+        $settings = [
+            'padding' => ' 1rem 2rem ',
+            'margin' => '0 auto',
+            'gap' => '12px',
+            'background' => '#1e293b',
+            'background_image' => '/uploads/2026/03/hero.jpg',
+            'anchor' => 'pricing',
+            'classes' => 'is-wide  has-shadow',
+            'hide_on' => ['mobile', 'tablet'],
+            'publish_from' => '2026-03-14T09:00',
+            'publish_until' => '2026-03-21 18:30:00',
+        ];
+
+        $this->assertSame([
+            'padding' => '1rem 2rem',
+            'margin' => '0 auto',
+            'gap' => '12px',
+            'background' => '#1e293b',
+            'background_image' => '/uploads/2026/03/hero.jpg',
+            'anchor' => 'pricing',
+            'classes' => 'is-wide  has-shadow',
+            'hide_on' => ['tablet', 'mobile'],
+            'publish_from' => '2026-03-14T09:00',
+            'publish_until' => '2026-03-21 18:30:00',
+        ], DisplaySettings::normalize($settings));
+    }
+
+    #[Test]
+    public function normalizeDropsUnknownAndEmptySettings(): void
+    {
+        $this->assertSame([], DisplaySettings::normalize([
+            'onclick' => 'alert(1)',
+            'style' => 'color:red',
+            'padding' => '',
+            'hide_on' => [],
+            'anchor' => null,
+        ]));
+    }
+
+    #[Test]
+    #[DataProvider('rejectedValueProvider')]
+    public function normalizeRejectsUnsafeOrMalformedValues(string $key, mixed $value): void
+    {
+        $this->assertArrayNotHasKey($key, DisplaySettings::normalize([$key => $value]));
+    }
+
+    /**
+     * @return array<string, array{string, mixed}>
+     */
+    public static function rejectedValueProvider(): array
+    {
+        return [
+            'padding with a second declaration' => ['padding', '1rem; position: fixed'],
+            'padding with a quote'              => ['padding', '1rem" onmouseover="alert(1)'],
+            'padding with expression()'         => ['padding', 'expression(alert(1))'],
+            'margin with a unit it lacks'       => ['margin', '1furlong'],
+            'margin with five values'           => ['margin', '1px 2px 3px 4px 5px'],
+            'gap as an array'                   => ['gap', ['1rem']],
+            'colour with expression()'          => ['background', 'expression(alert(1))'],
+            'colour with url()'                 => ['background', 'url(/x.png)'],
+            'colour closing the declaration'    => ['background', 'red; background-image: url(//evil.test/x)'],
+            'colour with a quote'               => ['background', 'red"'],
+            'rgb() with a function inside'      => ['background', 'rgb(expression(1))'],
+            'image as javascript:'              => ['background_image', 'javascript:alert(1)'],
+            'image as data:'                    => ['background_image', 'data:image/svg+xml,<svg onload=alert(1)>'],
+            'image breaking out of url("")'     => ['background_image', '/x.png"); background: url(javascript:alert(1)'],
+            'image with a single quote'         => ['background_image', "/x.png'"],
+            'image with a space'                => ['background_image', '/x.png onerror=alert(1)'],
+            'image with a backslash escape'     => ['background_image', '/x.png\\22'],
+            'image, relative path'              => ['background_image', 'x.png'],
+            'anchor with a quote'               => ['anchor', 'top" onfocus="alert(1)'],
+            'anchor starting with a digit'      => ['anchor', '1st'],
+            'anchor with a space'               => ['anchor', 'a b'],
+            'classes with a quote'              => ['classes', 'x" onload="alert(1)'],
+            'classes with angle brackets'       => ['classes', 'x><script>alert(1)</script>'],
+            'classes with a dot'                => ['classes', 'a.b'],
+            'hide_on as a string'               => ['hide_on', 'mobile'],
+            'hide_on with unknown devices'      => ['hide_on', ['watch', '"><script>']],
+            'date that is words'                => ['publish_from', 'not a date'],
+            'relative date'                     => ['publish_from', 'tomorrow'],
+            'date that does not exist'          => ['publish_from', '2026-02-30T10:00'],
+            'month thirteen'                    => ['publish_until', '2026-13-01'],
+            'date with trailing markup'         => ['publish_until', '2026-03-14T10:00"><script>'],
+            'date as a number'                  => ['publish_until', 1773482400],
+        ];
+    }
+
+    #[Test]
+    public function attributesEscapeAndCombineTheWrapperAttributes(): void
+    {
+        $html = DisplaySettings::attributes([
+            'anchor' => 'intro',
+            'classes' => 'is-wide mosaic-section',
+            'hide_on' => ['mobile'],
+            'padding' => '2rem',
+            'background' => 'rgb(0, 0, 0)',
+            'background_image' => '/img/hero.jpg?w=1200&h=600',
+        ], ['mosaic-section']);
+
+        $this->assertSame(
+            ' id="intro" class="mosaic-section mosaic-hide-mobile is-wide"'
+            . ' style="padding: 2rem; background-color: rgb(0, 0, 0); background-image: url(&quot;/img/hero.jpg?w=1200&amp;h=600&quot;);'
+            . ' background-size: cover; background-position: center"',
+            $html,
+        );
+    }
+
+    #[Test]
+    public function attributesLeaveOutRejectedValues(): void
+    {
+        $html = DisplaySettings::attributes([
+            'anchor' => 'x" onmouseover="alert(1)',
+            'classes' => '"><img src=x onerror=alert(1)>',
+            'padding' => '0; background: url(javascript:alert(1))',
+            'background_image' => 'javascript:alert(1)',
+        ], ['mosaic-block']);
+
+        $this->assertSame(' class="mosaic-block"', $html);
+    }
+
+    #[Test]
+    public function isLiveWithoutAWindow(): void
+    {
+        $this->assertTrue(DisplaySettings::isLive([]));
+        $this->assertTrue(DisplaySettings::isLive(['padding' => '1rem']));
+    }
+
+    #[Test]
+    #[DataProvider('windowEdgeProvider')]
+    public function isLiveAtTheWindowEdges(array $settings, string $now, bool $expected): void
+    {
+        $this->assertSame($expected, DisplaySettings::isLive($settings, new \DateTimeImmutable($now)));
+    }
+
+    /**
+     * @return array<string, array{array<string, string>, string, bool}>
+     */
+    public static function windowEdgeProvider(): array
+    {
+        $from = ['publish_from' => '2026-03-14T09:00'];
+        $until = ['publish_until' => '2026-03-21T18:00'];
+
+        return [
+            'before it opens'        => [$from, '2026-03-14 08:59:59', false],
+            'the moment it opens'    => [$from, '2026-03-14 09:00:00', true],
+            'after it opens'         => [$from, '2026-03-15 00:00:00', true],
+            'before it closes'       => [$until, '2026-03-21 17:59:59', true],
+            'the moment it closes'   => [$until, '2026-03-21 18:00:00', false],
+            'after it closes'        => [$until, '2026-03-22 00:00:00', false],
+            'inside both ends'       => [$from + $until, '2026-03-18 12:00:00', true],
+            'outside, before'        => [$from + $until, '2026-03-01 12:00:00', false],
+            'outside, after'         => [$from + $until, '2026-04-01 12:00:00', false],
+            'an invalid end ignored' => [$from + ['publish_until' => 'tomorrow'], '2030-01-01 00:00:00', true],
+        ];
+    }
+}
@@ -0,0 +1,116 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit\Settings;
+
+use App\Cms\Settings\SettingsSchema;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit tests for SettingsSchema — the server-side check on every settings save and import.
+ */
+#[CoversClass(SettingsSchema::class)]
+final class SettingsSchemaTest extends TestCase
+{
+    #[Test]
+    public function everyDefaultPassesItsOwnField(): void
+    {
+        foreach (SettingsSchema::FIELDS as $group => $fields) {
+            foreach ($fields as $key => $field) {
+                $this->assertNull(SettingsSchema::validate($field, $field['default'] ?? null), "{$group}.{$key}");
+            }
+        }
+    }
+
+    #[Test]
+    public function describeListsGroupsAndFillsTimezoneOptions(): void
+    {
+        $schema = SettingsSchema::describe();
+
+        $this->assertSame('general', $schema['groups'][0]['id']);
+        $this->assertSame('UTC', $schema['fields']['general']['timezone']['options']['UTC']);
+        $this->assertArrayHasKey('Europe/Paris', $schema['fields']['general']['timezone']['options']);
+    }
+
+    #[Test]
+    public function fieldReturnsNullForUndescribedSettings(): void
+    {
+        $this->assertSame('integer', SettingsSchema::field('general', 'items_per_page')['type']);
+        $this->assertNull(SettingsSchema::field('general', 'made_up'));
+        $this->assertNull(SettingsSchema::field('made_up', 'site_name'));
+    }
+
+    #[Test]
+    #[DataProvider('validationProvider')]
+    public function validateChecksValuesAgainstTheirField(string $key, mixed $value, ?string $expected): void
+    {
+        $field = SettingsSchema::field('general', $key);
+
+        $this->assertSame($expected, SettingsSchema::validate($field, $value));
+    }
+
+    /**
+     * @return array<string, array{string, mixed, ?string}>
+     */
+    public static function validationProvider(): array
+    {
+        return [
+            'required, empty'          => ['site_name', '', 'Site name is required.'],
+            'required, null'           => ['site_name', null, 'Site name is required.'],
+            'required, set'            => ['site_name', 'My site', null],
+            'optional, empty'          => ['site_tagline', '', null],
+            'max length, at limit'     => ['site_name', str_repeat('a', 255), null],
+            'max length, over'         => ['site_name', str_repeat('a', 256), 'Site name must be at most 255 characters.'],
+            'max length, multibyte'    => ['site_name', str_repeat('é', 255), null],
+            'integer, in range'        => ['items_per_page', 25, null],
+            'integer, numeric string'  => ['items_per_page', '50', null],
+            'integer, at min'          => ['items_per_page', 1, null],
+            'integer, below min'       => ['items_per_page', 0, 'Enter 1 or more.'],
+            'integer, at max'          => ['items_per_page', 100, null],
+            'integer, above max'       => ['items_per_page', 101, 'Enter 100 or less.'],
+            'integer, fraction'        => ['items_per_page', '2.5', 'Enter a whole number.'],
+            'integer, text'            => ['items_per_page', 'ten', 'Enter a whole number.'],
+            'email, valid'             => ['site_email', 'admin@example.com', null],
+            'email, invalid'           => ['site_email', 'admin@', 'Enter a valid e-mail address.'],
+            'select, listed'           => ['date_format', 'd/m/Y', null],
+            'select, unlisted'         => ['date_format', 'Y', 'Choose one of the listed options.'],
+            'select, label not key'    => ['date_format', '14/03/2026', 'Choose one of the listed options.'],
+            'timezone, known'          => ['timezone', 'Europe/Paris', null],
+            'timezone, unknown'        => ['timezone', 'Mars/Olympus', 'Choose a timezone from the list.'],
+            'timezone, wrong case'     => ['timezone', 'europe/paris', 'Choose a timezone from the list.'],
+            'array for a select'       => ['date_format', ['Y-m-d'], 'Date format must be a single value.'],
+            'array for a timezone'     => ['timezone', ['UTC'], 'Timezone must be a single value.'],
+            'array for a string'       => ['site_name', ['a' => 'b'], 'Site name must be a single value.'],
+            'array for an integer'     => ['items_per_page', [5], 'Items per page must be a single value.'],
+            'object for an email'      => ['site_email', new \stdClass(), 'Contact e-mail must be a single value.'],
+        ];
+    }
+
+    #[Test]
+    public function validateChecksUrlsAndBooleans(): void
+    {
+        $url = ['label' => 'Link', 'type' => 'url'];
+        $flag = ['label' => 'Flag', 'type' => 'boolean'];
+
+        $this->assertNull(SettingsSchema::validate($url, 'https://example.com/path'));
+        $this->assertSame('Enter a full URL starting with http:// or https://.', SettingsSchema::validate($url, 'javascript:alert(1)'));
+        $this->assertSame('Enter a full URL starting with http:// or https://.', SettingsSchema::validate($url, 'ftp://example.com'));
+        $this->assertSame('Enter a full URL starting with http:// or https://.', SettingsSchema::validate($url, 'example.com'));
+
+        $this->assertNull(SettingsSchema::validate($flag, false));
+        $this->assertSame('Choose on or off.', SettingsSchema::validate($flag, 'yes'));
+        $this->assertSame('Flag must be a single value.', SettingsSchema::validate($flag, [true]));
+    }
+
+    #[Test]
+    public function castStoresValuesInTheirFieldsType(): void
+    {
+        $this->assertSame(50, SettingsSchema::cast(SettingsSchema::field('general', 'items_per_page'), '50'));
+        $this->assertSame('My site', SettingsSchema::cast(SettingsSchema::field('general', 'site_name'), 'My site'));
+        $this->assertTrue(SettingsSchema::cast(['type' => 'boolean'], 1));
+        $this->assertSame('F j, Y', SettingsSchema::cast(SettingsSchema::field('general', 'date_format'), 'F j, Y'));
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit\User;
+
+use App\Cms\User\UserPreferenceRepository;
+use PDO;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit tests for UserPreferenceRepository — per-key reads and the locked
+ * read-modify-write behind saved list views. Runs against in-memory SQLite.
+ */
+#[CoversClass(UserPreferenceRepository::class)]
+final class UserPreferenceRepositoryTest extends TestCase
+{
+    private PDO $pdo;
+    private UserPreferenceRepository $preferences;
+
+    protected function setUp(): void
+    {
+        if (!in_array('sqlite', PDO::getAvailableDrivers(), true)) {
+            $this->markTestSkipped('pdo_sqlite is not available.');
+        }
+
+        $this->pdo = new PDO('sqlite::memory:', options: [PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION]);
+        $this->pdo->exec('CREATE TABLE cms_users (id INTEGER PRIMARY KEY, preferences TEXT)');
+        $this->pdo->exec("INSERT INTO cms_users (id, preferences) VALUES (1, '{\"theme\":\"dark\"}'), (2, NULL)");
+
+        $this->preferences = new UserPreferenceRepository($this->pdo);
+    }
+
+    #[Test]
+    public function getFallsBackToTheDefault(): void
+    {
+        $this->assertSame('dark', $this->preferences->get(1, 'theme'));
+        $this->assertSame([], $this->preferences->get(1, 'content_views', []));
+        $this->assertNull($this->preferences->get(2, 'theme'));
+        $this->assertSame('light', $this->preferences->get(99, 'theme', 'light'));
+    }
+
+    #[Test]
+    public function setKeepsTheOtherKeys(): void
+    {
+        $this->preferences->set(1, 'per_page', 50);
+
+        $this->assertSame('dark', $this->preferences->get(1, 'theme'));
+        $this->assertSame(50, $this->preferences->get(1, 'per_page'));
+        $this->assertNull($this->preferences->get(2, 'per_page'));
+    }
+
+    #[Test]
+    public function updateHandsTheCurrentValueToTheCallbackAndStoresItsResult(): void
+    {
+        $this->preferences->set(1, 'content_views', [['name' => 'Drafts']]);
+
+        $seen = null;
+        $stored = $this->preferences->update(1, 'content_views', function (array $views) use (&$seen) {
+            $seen = $views;
+            $views[] = ['name' => 'Mine'];
+            return $views;
+        }, []);
+
+        $this->assertSame([['name' => 'Drafts']], $seen);
+        $this->assertSame([['name' => 'Drafts'], ['name' => 'Mine']], $stored);
+        $this->assertSame($stored, $this->preferences->get(1, 'content_views'));
+        $this->assertSame('dark', $this->preferences->get(1, 'theme'));
+    }
+
+    #[Test]
+    public function updateStartsFromTheDefaultWhenTheKeyIsUnset(): void
+    {
+        $stored = $this->preferences->update(2, 'content_views', fn(array $views) => [...$views, ['name' => 'First']], []);
+
+        $this->assertSame([['name' => 'First']], $stored);
+    }
+
+    #[Test]
+    public function aFailingCallbackLeavesThePreferencesAsTheyWere(): void
+    {
+        try {
+            $this->preferences->update(1, 'theme', fn() => throw new \RuntimeException('nope'));
+            $this->fail('The callback exception should propagate');
+        } catch (\RuntimeException $e) {
+            $this->assertSame('nope', $e->getMessage());
+        }
+
+        $this->assertFalse($this->pdo->inTransaction());
+        $this->assertSame('dark', $this->preferences->get(1, 'theme'));
+    }
+
+    #[Test]
+    public function keysAreRestrictedToSnakeCase(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Invalid preference key: a.b');
+
+        $this->preferences->set(1, 'a.b', true);
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * Admin API client tests — CSRF refresh, signing in again after a 401,
+ * which methods retry, keyed cancellation and error reporting, against a
+ * stubbed fetch.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createApiClient, onApiError, isCancelled, errorMessage } from '../../resources/js/admin-api.js';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const page = token => new Response(`<html><head><meta name="csrf-token" content="${token}"></head></html>`, {
+  headers: { 'Content-Type': 'text/html' },
+});
+
+// Answers each call with the next reply; a function reply gets (url, init)
+function stubFetch(...replies) {
+  const fetch = vi.fn(async (url, init = {}) => {
+    const reply = replies.length > 1 ? replies.shift() : replies[0];
+    return typeof reply === 'function' ? reply(url, init) : reply.clone();
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+// A response that only ends when the request is aborted
+function hanging(url, init) {
+  return new Promise((_, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+}
+
+const header = (call, name) => call[1].headers[name];
+
+describe('createApiClient()', () => {
+  let reported;
+  let stopReporting;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<meta name="csrf-token" content="token-1">';
+    reported = vi.fn();
+    stopReporting = onApiError(reported);
+  });
+
+  afterEach(() => {
+    stopReporting();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('CSRF', () => {
+    it('sends the token on state-changing requests only', async () => {
+      const fetch = stubFetch(json({ ok: true }));
+      const api = createApiClient('/admin/api/content');
+
+      await api.get('/');
+      await api.post('/', { title: 'Hello' });
+
+      expect(header(fetch.mock.calls[0], 'X-CSRF-TOKEN')).toBeUndefined();
+      expect(header(fetch.mock.calls[1], 'X-CSRF-TOKEN')).toBeTruthy();
+      expect(fetch.mock.calls[1][1].body).toBe('{"title":"Hello"}');
+    });
+
+    it('reads a fresh token from the page after a 419 and tries once more', async () => {
+      const fetch = stubFetch(
+        json({ error: 'CSRF token mismatch' }, 419),
+        page('token-2'),
+        json({ data: { id: 7 } }, 201),
+      );
+      const api = createApiClient('/admin/api/content');
+
+      const res = await api.post('/', { title: 'Hello' });
+
+      expect(res.data).toEqual({ data: { id: 7 } });
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch.mock.calls[1][0]).toBe(window.location.href);
+      expect(header(fetch.mock.calls[2], 'X-CSRF-TOKEN')).toBe('token-2');
+      expect(document.querySelector('meta[name="csrf-token"]').getAttribute('content')).toBe('token-2');
+      expect(reported).not.toHaveBeenCalled();
+    });
+
+    it('gives up after a second 419', async () => {
+      const fetch = stubFetch(json({ error: 'CSRF token mismatch' }, 419), page('token-3'), json({ error: 'CSRF token mismatch' }, 419));
+      const api = createApiClient('/admin/api/content');
+
+      await expect(api.post('/', {})).rejects.toMatchObject({ status: 419 });
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(reported).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('session expiry', () => {
+    beforeEach(() => {
+      // jsdom has no modal dialogs
+      HTMLDialogElement.prototype.showModal ??= function () { this.open = true; };
+      HTMLDialogElement.prototype.close ??= function () { this.open = false; };
+    });
+
+    const press = async action => {
+      await vi.waitFor(() => expect(document.querySelector('dialog.session-dialog')).not.toBeNull());
+      document.querySelector(`dialog.session-dialog [data-action="${action}"]`).click();
+    };
+
+    it('asks the user to sign in again after a 401 and replays the request', async () => {
+      const fetch = stubFetch(
+        json({ error: 'Unauthenticated' }, 401),
+        page('token-after-login'),
+        json({ data: { saved: true } }),
+      );
+      const api = createApiClient('/admin/api/mosaic');
+
+      const saving = api.put('/12', { sections: [] });
+      await press('continue');
+      const res = await saving;
+
+      expect(res.data).toEqual({ data: { saved: true } });
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch.mock.calls[2][1].body).toBe('{"sections":[]}');
+      expect(header(fetch.mock.calls[2], 'X-CSRF-TOKEN')).toBe('token-after-login');
+      expect(document.querySelector('dialog.session-dialog')).toBeNull();
+      expect(reported).not.toHaveBeenCalled();
+    });
+
+    it('shares one dialog between requests that fail together', async () => {
+      stubFetch(json({ error: 'Unauthenticated' }, 401), json({ error: 'Unauthenticated' }, 401), page('t'), page('t'), json({ ok: true }));
+      const api = createApiClient('/admin/api');
+
+      const both = Promise.all([api.get('/a'), api.get('/b')]);
+      await press('continue');
+
+      await expect(both).resolves.toHaveLength(2);
+      expect(document.querySelectorAll('dialog.session-dialog')).toHaveLength(0);
+    });
+
+    it('fails the request when the user cancels', async () => {
+      const fetch = stubFetch(json({ error: 'Unauthenticated' }, 401));
+      const api = createApiClient('/admin/api');
+
+      const loading = api.get('/content/');
+      await press('cancel');
+
+      await expect(loading).rejects.toMatchObject({ status: 401 });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(reported).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves the 401 alone when relogin is off', async () => {
+      stubFetch(json({ error: 'Unauthenticated' }, 401));
+      const api = createApiClient('/admin/api', { relogin: false });
+
+      await expect(api.get('/')).rejects.toMatchObject({ status: 401 });
+      expect(document.querySelector('dialog.session-dialog')).toBeNull();
+    });
+  });
+
+  describe('retries', () => {
+    it.each(['GET', 'PUT', 'DELETE'])('retries an idempotent %s after a server error', async method => {
+      const fetch = stubFetch(json({ error: 'Unavailable' }, 503), json({ error: 'Unavailable' }, 502), json({ ok: true }));
+      const api = createApiClient('/admin/api', { retryDelay: 1 });
+
+      const res = await api.request({ method, url: '/thing', data: method === 'PUT' ? {} : undefined });
+
+      expect(res.data).toEqual({ ok: true });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it.each(['POST', 'PATCH'])('never retries a %s', async method => {
+      const fetch = stubFetch(json({ error: 'Unavailable' }, 503), json({ ok: true }));
+      const api = createApiClient('/admin/api', { retryDelay: 1 });
+
+      await expect(api.request({ method, url: '/thing', data: {} })).rejects.toMatchObject({ status: 503 });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry a client error', async () => {
+      const fetch = stubFetch(json({ error: 'Not found' }, 404));
+      const api = createApiClient('/admin/api', { retryDelay: 1 });
+
+      await expect(api.get('/thing')).rejects.toMatchObject({ status: 404 });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops after the configured number of retries', async () => {
+      const fetch = stubFetch(json({ error: 'Unavailable' }, 503));
+      const api = createApiClient('/admin/api', { retries: 1, retryDelay: 1 });
+
+      await expect(api.get('/thing')).rejects.toMatchObject({ status: 503 });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('keyed requests', () => {
+    it('cancel the previous request with the same key without reporting it', async () => {
+      const fetch = stubFetch(hanging, json({ data: ['second'] }));
+      const api = createApiClient('/admin/api/content');
+
+      const first = api.get('/?q=a', { key: 'list' });
+      const second = api.get('/?q=ab', { key: 'list' });
+
+      const err = await first.catch(e => e);
+      expect(isCancelled(err)).toBe(true);
+      await expect(second).resolves.toMatchObject({ data: { data: ['second'] } });
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(reported).not.toHaveBeenCalled();
+    });
+
+    it('never hand a superseded response to the caller', async () => {
+      stubFetch(json({ data: ['stale'] }), json({ data: ['fresh'] }));
+      const api = createApiClient('/admin/api/content');
+
+      const first = api.get('/?q=a', { key: 'list' }).catch(e => e);
+      const second = api.get('/?q=ab', { key: 'list' });
+
+      expect(isCancelled(await first)).toBe(true);
+      await expect(second).resolves.toMatchObject({ data: { data: ['fresh'] } });
+    });
+
+    it('leave requests with other keys running', async () => {
+      stubFetch(json({ ok: 1 }));
+      const api = createApiClient('/admin/api');
+
+      await expect(Promise.all([api.get('/a', { key: 'a' }), api.get('/b', { key: 'b' })])).resolves.toHaveLength(2);
+    });
+
+    it('can be cancelled by key', async () => {
+      stubFetch(hanging);
+      const api = createApiClient('/admin/api');
+
+      const loading = api.get('/slow', { key: 'slow' });
+      api.cancel('slow');
+
+      expect(isCancelled(await loading.catch(e => e))).toBe(true);
+    });
+  });
+
+  describe('error reporting', () => {
+    it('reports failures with the server message unless the call is silent', async () => {
+      stubFetch(json({ error: 'Title is required' }, 422));
+      const api = createApiClient('/admin/api');
+
+      await api.post('/content/', {}).catch(() => null);
+      await api.post('/content/', {}, { silent: true }).catch(() => null);
+
+      expect(reported).toHaveBeenCalledTimes(1);
+      expect(reported.mock.calls[0][1]).toBe('Title is required');
+    });
+
+    it('describes a failure without a message by its status, or as offline', () => {
+      expect(errorMessage({ status: 500, response: null })).toBe('The request failed (500)');
+      expect(errorMessage({ status: 0 })).toBe('Could not reach the server — check your connection');
+      expect(errorMessage({ status: 422, response: { errors: [{ detail: 'Bad slug' }] } })).toBe('Bad slug');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Mosaic collaboration tests — the structural patches (diffSections and
+ * applyPatch) that carry one editor's changes to the others.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffSections, applyPatch } from '../../resources/js/mosaic-collab.js';
+
+const block = (id, text = id, extra = {}) => ({ id, blockType: 'text', data: { text }, settings: {}, ...extra });
+const section = (id, regions, layout = 'full', settings = {}) => ({ id, layout, settings, regions });
+
+function layout() {
+  return [
+    section('s1', { main: [block('a'), block('b')] }),
+    section('s2', { left: [block('c')], right: [block('d')] }, 'two-columns'),
+  ];
+}
+
+function blockById(sections, id) {
+  for (const s of sections) {
+    for (const blocks of Object.values(s.regions)) {
+      const found = blocks.find(b => b.id === id);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Previews are per-editor renders that patches never carry
+const withoutPreviews = sections => JSON.parse(JSON.stringify(sections, (key, value) => (key === 'preview' ? undefined : value)));
+
+const idsOf = sections => sections.map(s => Object.fromEntries(
+  Object.entries(s.regions).map(([region, blocks]) => [region, blocks.map(b => b.id)])
+));
+
+describe('diffSections() / applyPatch()', () => {
+  it('finds nothing to send when nothing changed', () => {
+    expect(diffSections(layout(), layout())).toBeNull();
+  });
+
+  it.each([
+    ['a block edit', s => { s[0].regions.main[0].data.text = 'edited'; }],
+    ['a block moved to another section', s => { s[1].regions.right.push(s[0].regions.main.shift()); }],
+    ['blocks reordered in a region', s => { s[0].regions.main.reverse(); }],
+    ['sections reordered', s => { s.reverse(); }],
+    ['a section added', s => { s.splice(1, 0, section('s3', { main: [block('e')] })); }],
+    ['a section removed', s => { s.splice(0, 1); }],
+    ['a block removed', s => { s[1].regions.left = []; }],
+    ['a layout and settings change', s => { s[1].layout = 'sidebar-left'; s[1].settings = { padding: '2rem' }; }],
+  ])('round-trips %s back to the same sections', (_, change) => {
+    const before = layout();
+    const after = layout();
+    change(after);
+
+    const patch = diffSections(before, after);
+
+    expect(patch).not.toBeNull();
+    // Patches travel as JSON
+    expect(withoutPreviews(applyPatch(before, JSON.parse(JSON.stringify(patch))))).toEqual(after);
+  });
+
+  it('leaves previews out of patches and keeps the local ones', () => {
+    const before = layout();
+    const after = layout();
+    after[0].regions.main[0].preview = '<p>remote render</p>';
+
+    expect(diffSections(before, after)).toBeNull();
+
+    after[0].regions.main[0].data.text = 'edited';
+    const patch = diffSections(before, after);
+    expect(patch.blocks.a).not.toHaveProperty('preview');
+
+    before[0].regions.main[0].preview = '<p>local render</p>';
+    expect(blockById(applyPatch(before, patch), 'a')).toMatchObject({ data: { text: 'edited' }, preview: '<p>local render</p>' });
+  });
+
+  it('keeps local blocks the remote side has not seen yet', () => {
+    const base = layout();
+    const local = layout();
+    local[0].regions.main.push(block('mine'));
+
+    const remote = layout();
+    remote[0].regions.main.reverse();
+
+    const merged = applyPatch(local, diffSections(base, remote));
+
+    expect(idsOf(merged)[0].main).toEqual(['b', 'a', 'mine']);
+  });
+});
+
+describe('a remote patch and local deletes', () => {
+  it('does not bring back a block deleted locally when the remote side only edited it', () => {
+    const base = layout();
+    const local = layout();
+    local[0].regions.main = local[0].regions.main.filter(b => b.id !== 'a');
+
+    const remote = layout();
+    remote[0].regions.main[0].data.text = 'edited remotely';
+    remote[1].regions.left[0].data.text = 'c edited remotely';
+
+    const merged = applyPatch(local, diffSections(base, remote));
+
+    expect(blockById(merged, 'a')).toBeNull();
+    expect(blockById(merged, 'c').data.text).toBe('c edited remotely');
+  });
+
+  it('drops an id a remote shell lists when neither side has the block', () => {
+    const local = layout();
+    local[1].regions.left = [];
+
+    const patch = {
+      order: null,
+      shells: { s2: { id: 's2', layout: 'two-columns', settings: {}, regions: { left: ['c'], right: ['d'] } } },
+      blocks: {},
+      removedSections: [],
+      removedBlocks: [],
+    };
+
+    expect(idsOf(applyPatch(local, patch))[1]).toEqual({ left: [], right: ['d'] });
+  });
+
+  it('removes a block the remote side deleted, wherever it sits locally', () => {
+    const base = layout();
+    const local = layout();
+    local[1].regions.right.push(local[0].regions.main.shift()); // 'a' moved locally
+
+    const remote = layout();
+    remote[0].regions.main.shift(); // 'a' deleted remotely
+
+    const merged = applyPatch(local, diffSections(base, remote));
+
+    expect(blockById(merged, 'a')).toBeNull();
+    expect(idsOf(merged)).toEqual([{ main: ['b'] }, { left: ['c'], right: ['d'] }]);
+  });
+
+  it('drops a section the remote side removed along with its blocks', () => {
+    const base = layout();
+    const remote = layout();
+    remote.splice(1, 1);
+
+    const merged = applyPatch(layout(), diffSections(base, remote));
+
+    expect(merged.map(s => s.id)).toEqual(['s1']);
+    expect(blockById(merged, 'c')).toBeNull();
+  });
+});
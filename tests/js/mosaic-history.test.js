@@ -0,0 +1,122 @@
+/**
+ * Mosaic history tests — undo/redo steps, merging, and how the stack
+ * absorbs a collaborator's patch the way the editor's receivePatch() does:
+ * the patch is applied to the canvas and every snapshot is rebased onto it.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createHistory } from '../../resources/js/mosaic-history.js';
+import { diffSections, applyPatch } from '../../resources/js/mosaic-collab.js';
+
+const block = (id, text = id, extra = {}) => ({ id, blockType: 'text', data: { text }, settings: {}, ...extra });
+const section = (id, regions, layout = 'full', settings = {}) => ({ id, layout, settings, regions });
+
+function layout() {
+  return [
+    section('s1', { main: [block('a'), block('b')] }),
+    section('s2', { left: [block('c')], right: [block('d')] }, 'two-columns'),
+  ];
+}
+
+// Same shape as receivePatch() in mosaic-editor.js
+function receive(editor, patch) {
+  const merge = sections => applyPatch(sections, patch);
+  editor.sections = merge(editor.sections);
+  editor.history.rebase(merge);
+}
+
+function blockById(sections, id) {
+  for (const s of sections) {
+    for (const blocks of Object.values(s.regions)) {
+      const found = blocks.find(b => b.id === id);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+const idsOf = sections => sections.map(s => Object.fromEntries(
+  Object.entries(s.regions).map(([region, blocks]) => [region, blocks.map(b => b.id)])
+));
+
+describe('createHistory()', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('undoes the local edit but keeps a remote edit rebased in after it', () => {
+    const base = layout();
+    const editor = { sections: layout(), history: createHistory() };
+
+    // Local: edit block a
+    editor.history.record(editor.sections);
+    blockById(editor.sections, 'a').data.text = 'mine';
+
+    // Remote: edit block c and add a block to s1
+    const remote = layout();
+    blockById(remote, 'c').data.text = 'theirs';
+    remote[0].regions.main.push(block('x'));
+    receive(editor, diffSections(base, remote));
+
+    expect(blockById(editor.sections, 'a').data.text).toBe('mine');
+
+    editor.sections = editor.history.undo(editor.sections);
+
+    expect(blockById(editor.sections, 'a').data.text).toBe('a');
+    expect(blockById(editor.sections, 'c').data.text).toBe('theirs');
+    expect(idsOf(editor.sections)[0].main).toEqual(['a', 'b', 'x']);
+
+    editor.sections = editor.history.redo(editor.sections);
+
+    expect(blockById(editor.sections, 'a').data.text).toBe('mine');
+    expect(blockById(editor.sections, 'c').data.text).toBe('theirs');
+  });
+
+  it('does not restore a block a collaborator deleted when undoing past it', () => {
+    const base = layout();
+    const editor = { sections: layout(), history: createHistory() };
+
+    editor.history.record(editor.sections);
+    editor.sections[0].regions.main.push(block('mine'));
+
+    const remote = layout();
+    remote[1].regions.right = [];
+    receive(editor, diffSections(base, remote));
+
+    editor.sections = editor.history.undo(editor.sections);
+
+    expect(blockById(editor.sections, 'mine')).toBeNull();
+    expect(blockById(editor.sections, 'd')).toBeNull();
+    expect(editor.history.canUndo()).toBe(false);
+  });
+
+  it('merges records with the same key inside the merge window only', () => {
+    vi.useFakeTimers();
+    const history = createHistory({ mergeWindow: 1000 });
+    let sections = layout();
+
+    history.record(sections, 'a:text');
+    vi.advanceTimersByTime(500);
+    history.record(sections, 'a:text');
+    vi.advanceTimersByTime(1500);
+    history.record(sections, 'a:text');
+    history.record(sections, 'b:text');
+
+    let steps = 0;
+    while (history.canUndo()) {
+      sections = history.undo(sections);
+      steps++;
+    }
+    expect(steps).toBe(3);
+  });
+
+  it('clears the redo stack on a new record', () => {
+    const history = createHistory();
+    const sections = layout();
+
+    history.record(sections);
+    history.undo(sections);
+    expect(history.canRedo()).toBe(true);
+
+    history.record(sections);
+    expect(history.canRedo()).toBe(false);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Sanitizer tests — known XSS vectors against sanitizeHtml() and the
+ * `$m-html` directive installed by installSafeHtml().
+ *
+ * Besides checking the output, every vector is parsed again the way the
+ * admin will parse it (innerHTML on a live element), so markup that only
+ * turns dangerous on a second parse (mXSS) is caught too.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createApp } from 'monkeysjs';
+import { sanitizeHtml, installSafeHtml, isSafeUrl, defineSanitizeContext } from '../../resources/js/sanitize.js';
+
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'poster', 'cite', 'action', 'formaction', 'background', 'xlink:href'];
+
+/** Everything that could run script once the output is rendered. */
+function dangers(html) {
+  const host = document.createElement('div');
+  host.innerHTML = html;
+
+  const found = [];
+  host.querySelectorAll('*').forEach(el => {
+    if (['script', 'iframe', 'object', 'embed', 'svg', 'math', 'style', 'template', 'noscript', 'base', 'meta', 'link'].includes(el.localName)) {
+      found.push(`<${el.localName}>`);
+    }
+    Array.from(el.attributes).forEach(attr => {
+      const name = attr.name.toLowerCase();
+      if (name.startsWith('on') || name === 'srcdoc') found.push(`${el.localName}[${name}]`);
+      if (URL_ATTRIBUTES.includes(name) && /(?:javascript|vbscript|data):/i.test(attr.value.replace(/[\u0000- ]/g, ''))) {
+        found.push(`${el.localName}[${name}=${attr.value}]`);
+      }
+      if (name === 'style' && /url\s*\(|expression\s*\(/i.test(attr.value)) found.push(`${el.localName}[style]`);
+    });
+  });
+  return found;
+}
+
+function expectSafe(html, context = 'admin') {
+  const output = sanitizeHtml(html, context);
+  expect(dangers(output)).toEqual([]);
+  // A second pass changes nothing: the output is stable when re-parsed
+  expect(sanitizeHtml(output, context)).toBe(output);
+  return output;
+}
+
+describe('event handlers', () => {
+  it.each([
+    '<img src=x onerror=alert(1)>',
+    '<img src="x" ONERROR="alert(1)">',
+    '<img/src="x"/onerror=alert(1)>',
+    '<div onmouseover="alert(1)">hover</div>',
+    '<a href="/" onclick="alert(1)">link</a>',
+    '<video><source onerror="alert(1)"></video>',
+    '<details open ontoggle=alert(1)>',
+    '<p onpointerenter=alert(1) style="display:block">x</p>',
+  ])('%s', html => {
+    expectSafe(html);
+  });
+
+  it('keeps the element and its safe attributes', () => {
+    expect(sanitizeHtml('<img src=x onerror=alert(1)>')).toBe('<img src="x">');
+  });
+});
+
+describe('URLs', () => {
+  it.each([
+    ['javascript:', '<a href="javascript:alert(1)">x</a>'],
+    ['upper case', '<a href="JaVaScRiPt:alert(1)">x</a>'],
+    ['vbscript:', '<a href="vbscript:msgbox(1)">x</a>'],
+    ['leading space', '<a href=" javascript:alert(1)">x</a>'],
+    ['decimal entities', '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>'],
+    ['hex entities', '<a href="&#x6A;avascript&#x3A;alert(1)">x</a>'],
+    ['named entity colon', '<a href="javascript&colon;alert(1)">x</a>'],
+    ['entity without semicolon', '<a href="&#106avascript:alert(1)">x</a>'],
+    ['tab in scheme', '<a href="java\tscript:alert(1)">x</a>'],
+    ['encoded tab', '<a href="java&#9;script:alert(1)">x</a>'],
+    ['encoded newline', '<a href="java&#x0A;script:alert(1)">x</a>'],
+    ['control character prefix', '<a href="\u0001javascript:alert(1)">x</a>'],
+    ['encoded control character', '<a href="&#1;javascript:alert(1)">x</a>'],
+    ['data: html', '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>'],
+    ['img src javascript:', '<img src="javascript:alert(1)">'],
+    ['img src data: svg', '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">'],
+    ['video poster', '<video poster="javascript:alert(1)"></video>'],
+    ['source src', '<video><source src="javascript:alert(1)"></video>'],
+    ['blockquote cite', '<blockquote cite="javascript:alert(1)">q</blockquote>'],
+  ])('%s', (_, html) => {
+    const output = expectSafe(html);
+    expect(output).not.toMatch(/script:|data:(?!image\/(?:png|jpe?g|gif|webp|avif);)/i);
+  });
+
+  it.each([
+    ['first candidate', '<img srcset="javascript:alert(1) 1x, /ok.png 2x">'],
+    ['later candidate', '<img srcset="/ok.png 1x, javascript:alert(1) 2x">'],
+    ['entity-encoded', '<img srcset="/ok.png 1x, &#106;avascript:alert(1) 2x">'],
+    ['picture source', '<picture><source srcset="data:text/html,<script>alert(1)</script>"><img src="/a.png"></picture>'],
+  ])('srcset: %s', (_, html) => {
+    expect(expectSafe(html)).not.toContain('srcset');
+  });
+
+  it('checks formaction wherever a context allows it', () => {
+    defineSanitizeContext('test-formaction', { extends: 'admin', attributes: { '*': ['formaction', 'action'] } });
+
+    expect(sanitizeHtml('<div formaction="javascript:alert(1)">x</div>', 'test-formaction')).toBe('<div>x</div>');
+    expect(sanitizeHtml('<div formaction="java&#x09;script:alert(1)">x</div>', 'test-formaction')).toBe('<div>x</div>');
+    expect(sanitizeHtml('<div action="/save">x</div>', 'test-formaction')).toBe('<div action="/save">x</div>');
+  });
+
+  it('drops form controls, which carry formaction', () => {
+    expectSafe('<form><button formaction="javascript:alert(1)">go</button></form>');
+    expectSafe('<input type="submit" formaction="javascript:alert(1)">');
+    expectSafe('<form action="javascript:alert(1)"><input type="submit"></form>');
+  });
+
+  it('keeps ordinary URLs', () => {
+    expect(sanitizeHtml('<a href="https://example.com/a?b=1">x</a>')).toBe('<a href="https://example.com/a?b=1">x</a>');
+    expect(sanitizeHtml('<a href="/node/1#top">x</a>')).toBe('<a href="/node/1#top">x</a>');
+    expect(sanitizeHtml('<a href="mailto:a@example.com">x</a>')).toBe('<a href="mailto:a@example.com">x</a>');
+    expect(sanitizeHtml('<img srcset="/a.png 1x, /b.png 2x">')).toBe('<img srcset="/a.png 1x, /b.png 2x">');
+    expect(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=">')).toBe('<img src="data:image/png;base64,iVBORw0KGgo=">');
+  });
+
+  it('isSafeUrl ignores control characters and whitespace inside the scheme', () => {
+    expect(isSafeUrl('java\u0000script:alert(1)')).toBe(false);
+    expect(isSafeUrl('java\nscript:alert(1)')).toBe(false);
+    expect(isSafeUrl('\u0085javascript:alert(1)')).toBe(false);
+    expect(isSafeUrl('data:image/png;base64,AAAA')).toBe(false);
+    expect(isSafeUrl('data:image/png;base64,AAAA', { allowDataImages: true })).toBe(true);
+    expect(isSafeUrl('data:text/html,x', { allowDataImages: true })).toBe(false);
+    expect(isSafeUrl('//cdn.example.com/a.js')).toBe(true);
+  });
+});
+
+describe('style attributes', () => {
+  it.each([
+    ['url()', '<div style="background:url(javascript:alert(1))">x</div>'],
+    ['url() with spaces', '<div style="background-image: url ( \'https://evil.test/track.png\' )">x</div>'],
+    ['image-set()', '<div style="background-image:image-set(\'x.png\' 1x)">x</div>'],
+    ['expression()', '<div style="width:expression(alert(1))">x</div>'],
+    ['escaped expression', '<div style="width:expr\\65ssion(alert(1))">x</div>'],
+    ['comment-split expression', '<div style="width:expr/**/ession(alert(1))">x</div>'],
+    ['entity-encoded expression', '<div style="width:&#101;xpression(alert(1))">x</div>'],
+    ['behavior', '<div style="behavior:url(x.htc)">x</div>'],
+    ['-moz-binding', '<div style="-moz-binding:url(x.xml#xss)">x</div>'],
+    ['fixed overlay', '<div style="position:fixed;inset:0">x</div>'],
+  ])('%s', (_, html) => {
+    expect(expectSafe(html)).toBe('<div>x</div>');
+  });
+
+  it('keeps plain presentation', () => {
+    expect(sanitizeHtml('<p style="color:red; text-align:center">x</p>')).toBe('<p style="color:red; text-align:center">x</p>');
+  });
+
+  it('drops <style> elements with their rules', () => {
+    expect(expectSafe('<style>body{background:url(javascript:alert(1))}</style><p>x</p>')).toBe('<p>x</p>');
+  });
+});
+
+describe('foreign content (svg, math)', () => {
+  it.each([
+    '<svg onload=alert(1)>',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>',
+    '<svg><style><img src=x onerror=alert(1)></style></svg>',
+    '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+    '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+    '<math><annotation-xml encoding="text/html"><img src=x onerror=alert(1)></annotation-xml></math>',
+  ])('%s', html => {
+    const output = expectSafe(html);
+    expect(output).not.toMatch(/<svg|<math|onerror|onload/i);
+  });
+});
+
+describe('embedded documents', () => {
+  it.each([
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<iframe srcdoc="&lt;img src=x onerror=alert(1)&gt;"></iframe>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="javascript:alert(1)">',
+    '<frameset><frame src="javascript:alert(1)"></frameset>',
+  ])('%s', html => {
+    expect(expectSafe(html)).toBe('');
+  });
+
+  it('drops <template> and everything inside it', () => {
+    expect(expectSafe('<template><img src=x onerror=alert(1)></template>')).toBe('');
+    expect(expectSafe('<p>a</p><template><script>alert(1)</script></template><p>b</p>')).toBe('<p>a</p><p>b</p>');
+  });
+
+  it('drops base, meta and link, which change how the page loads', () => {
+    expect(expectSafe('<base href="javascript:alert(1)//"><meta http-equiv="refresh" content="0;url=javascript:alert(1)"><link rel=import href=x>')).toBe('');
+  });
+});
+
+describe('mutation XSS', () => {
+  it.each([
+    ['attribute closing noscript', '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>'],
+    ['nested noscript', '<noscript><noscript></noscript><img src=x onerror=alert(1)></noscript>'],
+    ['attribute closing style', '<style><p title="</style><img src=x onerror=alert(1)>"></style>'],
+    ['style inside svg inside p', '<p><svg><style>*{}</style><img src=x onerror=alert(1)></svg></p>'],
+    ['noembed', '<noembed><img title="</noembed><img src=x onerror=alert(1)>"></noembed>'],
+    ['xmp', '<xmp><img title="</xmp><img src=x onerror=alert(1)>"></xmp>'],
+    ['textarea', '<textarea><img title="</textarea><img src=x onerror=alert(1)>"></textarea>'],
+    ['comment', '<!--><img src=x onerror=alert(1)>-->'],
+    ['backtick attribute', '<img src=`x`onerror=alert(1)>'],
+  ])('%s', (_, html) => {
+    expectSafe(html);
+  });
+
+  it('keeps quotes in text escaped so they stay text', () => {
+    const output = expectSafe('<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    expect(output).toBe('<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  });
+});
+
+describe('links that open a new tab', () => {
+  it('adds rel="noopener noreferrer" to target=_blank', () => {
+    expect(sanitizeHtml('<a href="https://example.com" target="_blank">x</a>'))
+      .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+  });
+
+  it('replaces a rel that would leave the opener reachable', () => {
+    expect(sanitizeHtml('<a href="/x" target="_blank" rel="opener">x</a>'))
+      .toBe('<a href="/x" target="_blank" rel="noopener noreferrer">x</a>');
+  });
+
+  it('applies in the inline context too', () => {
+    expect(sanitizeHtml('<a href="/x" target="other">x</a>', 'inline'))
+      .toBe('<a href="/x" target="other" rel="noopener noreferrer">x</a>');
+  });
+
+  it('leaves links without a target alone', () => {
+    expect(sanitizeHtml('<a href="/x">x</a>')).toBe('<a href="/x">x</a>');
+  });
+});
+
+describe('contexts', () => {
+  it('inline unwraps blocks and keeps formatting', () => {
+    expect(sanitizeHtml('<b>Hi</b><p>there</p>', 'inline')).toBe('<b>Hi</b>there ');
+  });
+
+  it('text keeps only the words', () => {
+    expect(sanitizeHtml('<p>Hello <b>world</b></p><img src=x onerror=alert(1)>', 'text').trim()).toBe('Hello world');
+  });
+
+  it('rejects an unknown context', () => {
+    expect(() => sanitizeHtml('<b>x</b>', 'nope')).toThrow('Unknown sanitize context "nope"');
+  });
+
+  it('cannot be extended to allow always-dropped elements', () => {
+    defineSanitizeContext('test-embed', { extends: 'admin', tags: ['iframe', 'svg', 'script'] });
+    expect(sanitizeHtml('<iframe srcdoc="x"></iframe><svg></svg><script>alert(1)</script>', 'test-embed')).toBe('');
+  });
+
+  it('never keeps event handlers, even when a context lists them', () => {
+    defineSanitizeContext('test-handlers', { extends: 'admin', attributes: { '*': ['onclick'] } });
+    expect(sanitizeHtml('<p onclick="alert(1)">x</p>', 'test-handlers')).toBe('<p>x</p>');
+  });
+});
+
+describe('installSafeHtml()', () => {
+  beforeAll(() => {
+    installSafeHtml();
+    installSafeHtml(); // a second call is harmless
+  });
+
+  // The view engine compiles `$m-` attributes to MonkeysJS's `m-` prefix
+  function render(template, data) {
+    document.body.innerHTML = `<div id="app">${template}</div>`;
+    createApp({ ...data }).mount('#app');
+    return document.querySelector('#app > div');
+  }
+
+  it('sanitizes $m-html bindings', () => {
+    const el = render('<div m-html="html"></div>', { html: '<img src=x onerror=alert(1)><a href="javascript:alert(1)">x</a>' });
+    expect(el.innerHTML).toBe('<img src="x"><a>x</a>');
+    expect(dangers(el.innerHTML)).toEqual([]);
+  });
+
+  it('uses the context named by the directive argument', () => {
+    const el = render('<div m-html:inline="html"></div>', { html: '<p><b>Hi</b></p><iframe srcdoc="<script>alert(1)</script>"></iframe>' });
+    expect(el.innerHTML).toBe('<b>Hi</b> ');
+  });
+
+  it('drops mXSS payloads before they reach the page', () => {
+    const el = render('<div m-html="html"></div>', { html: '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>' });
+    expect(el.innerHTML).toBe('');
+  });
+
+  it('renders nothing for an empty value', () => {
+    const el = render('<div m-html="html"></div>', { html: null });
+    expect(el.innerHTML).toBe('');
+  });
+});
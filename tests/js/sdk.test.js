@@ -0,0 +1,200 @@
+/**
+ * SDK tests — included resources resolved into relationships, paging
+ * through a collection, and how requests and failures look, against a
+ * stubbed fetch passed to createClient().
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createClient,
+  eachPage,
+  eachResource,
+  resolveDocument,
+  query,
+  listNodes,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  NetworkError,
+} from '../../resources/js/sdk/index.js';
+
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/vnd.api+json', ...headers },
+});
+
+function fakeFetch(respond) {
+  return vi.fn(async url => {
+    const reply = respond(new URL(url, 'https://cms.test'));
+    return reply instanceof Response ? reply : json(reply);
+  });
+}
+
+const node = (id, terms = []) => ({
+  type: 'nodes',
+  id: String(id),
+  attributes: { title: `Node ${id}` },
+  relationships: { terms: { data: terms.map(t => ({ type: 'terms', id: String(t) })) } },
+});
+
+describe('resolveDocument()', () => {
+  it('points relationships at the included resources, sharing one object per resource', () => {
+    const { data, included } = resolveDocument({
+      data: [node(1, [10, 11]), node(2, [10])],
+      included: [
+        { type: 'terms', id: '10', attributes: { name: 'News' } },
+        { type: 'terms', id: '11', attributes: { name: 'Sport' }, relationships: { parent: { data: { type: 'terms', id: '10' } } } },
+      ],
+    });
+
+    expect(data[0].relationships.terms.map(t => t.attributes.name)).toEqual(['News', 'Sport']);
+    expect(data[1].relationships.terms[0]).toBe(data[0].relationships.terms[0]);
+    expect(data[0].relationships.terms[1].relationships.parent).toBe(included[0]);
+  });
+
+  it('keeps related resources that were not included as bare identifiers', () => {
+    const { data } = resolveDocument({ data: node(1, [99]) });
+
+    expect(data.relationships.terms).toEqual([{ type: 'terms', id: '99' }]);
+  });
+
+  it('resolves cycles without recursing forever', () => {
+    const { data } = resolveDocument({
+      data: { type: 'terms', id: '1', relationships: { parent: { data: { type: 'terms', id: '2' } } } },
+      included: [{ type: 'terms', id: '2', relationships: { parent: { data: { type: 'terms', id: '1' } } } }],
+    });
+
+    expect(data.relationships.parent.relationships.parent).toBe(data);
+  });
+
+  it('distinguishes an empty to-one relationship from a links-only one', () => {
+    const { data } = resolveDocument({
+      data: {
+        type: 'nodes',
+        id: '1',
+        relationships: { author: { data: null }, revisions: { links: { related: '/nodes/1/revisions' } } },
+      },
+    });
+
+    expect(data.relationships).toEqual({ author: null });
+  });
+
+  it('handles an empty or missing document', () => {
+    expect(resolveDocument({ data: [] })).toMatchObject({ data: [], included: [], meta: {}, links: {} });
+    expect(resolveDocument(null).data).toBeNull();
+  });
+});
+
+describe('createClient()', () => {
+  it('builds the URL from the query and sends the token', async () => {
+    const fetch = fakeFetch(() => ({ data: [] }));
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1/', token: async () => 'secret', fetch });
+
+    await listNodes(cms, 'article', query().include('terms').sort('-published_at').page(2, 5));
+
+    const [url, init] = fetch.mock.calls[0];
+    const parsed = new URL(url);
+    expect(parsed.pathname).toBe('/api/v1/nodes');
+    expect(Object.fromEntries(parsed.searchParams)).toEqual({
+      'include': 'terms',
+      'filter[type]': 'article',
+      'sort': '-published_at',
+      'page[number]': '2',
+      'page[size]': '5',
+    });
+    expect(init.headers).toMatchObject({ Accept: 'application/vnd.api+json', Authorization: 'Bearer secret' });
+  });
+
+  it('sends an API key header when asked to', async () => {
+    const fetch = fakeFetch(() => ({ data: null }));
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', token: 'k', tokenHeader: 'x-api-key', fetch });
+
+    await cms.get('/menus/main');
+
+    expect(fetch.mock.calls[0][1].headers).toMatchObject({ 'X-API-Key': 'k' });
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+  });
+
+  it.each([
+    [404, NotFoundError, 'Node not found'],
+    [422, ValidationError, 'Invalid sort field'],
+    [429, RateLimitError, 'Too many requests'],
+  ])('turns a %i into its error class', async (status, ErrorClass, message) => {
+    const fetch = fakeFetch(() => json({ errors: [{ detail: message }] }, status, { 'Retry-After': '30' }));
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', fetch });
+
+    const err = await cms.get('/nodes/1').catch(e => e);
+
+    expect(err).toBeInstanceOf(ErrorClass);
+    expect(err).toMatchObject({ status, message, url: 'https://cms.test/api/v1/nodes/1' });
+    if (ErrorClass === RateLimitError) expect(err.retryAfter).toBe(30);
+  });
+
+  it('reports an unreachable server and a non-JSON body as network errors', async () => {
+    const offline = createClient({ baseUrl: 'https://cms.test/api/v1', fetch: vi.fn().mockRejectedValue(new TypeError('fetch failed')) });
+    const html = createClient({ baseUrl: 'https://cms.test/api/v1', fetch: vi.fn(async () => new Response('<html>')) });
+
+    await expect(offline.get('/nodes')).rejects.toBeInstanceOf(NetworkError);
+    await expect(html.get('/nodes')).rejects.toThrow('Expected JSON from https://cms.test/api/v1/nodes');
+  });
+
+  it('lets an abort through as it is', async () => {
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', fetch: vi.fn().mockRejectedValue(abort) });
+
+    await expect(cms.get('/nodes')).rejects.toBe(abort);
+  });
+});
+
+describe('eachPage() / eachResource()', () => {
+  const pages = { 1: [node(1), node(2)], 2: [node(3), node(4)], 3: [node(5)] };
+  const paged = () => fakeFetch(url => {
+    const number = Number(url.searchParams.get('page[number]'));
+    return { data: pages[number] || [], meta: { last_page: 3 } };
+  });
+
+  it('walks every page, keeping the rest of the query', async () => {
+    const fetch = paged();
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', fetch });
+
+    const seen = [];
+    for await (const page of eachPage(cms, '/nodes', query().filter('type', 'article').size(2))) {
+      seen.push(page.data.map(n => n.id));
+    }
+
+    expect(seen).toEqual([['1', '2'], ['3', '4'], ['5']]);
+    expect(fetch.mock.calls.map(([url]) => new URL(url).searchParams.get('filter[type]'))).toEqual(['article', 'article', 'article']);
+    expect(fetch.mock.calls.map(([url]) => new URL(url).searchParams.get('page[size]'))).toEqual(['2', '2', '2']);
+  });
+
+  it('starts from the page the query names', async () => {
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', fetch: paged() });
+
+    const ids = [];
+    for await (const resource of eachResource(cms, '/nodes', query().page(2, 2))) ids.push(resource.id);
+
+    expect(ids).toEqual(['3', '4', '5']);
+  });
+
+  it('stops at an empty page even if last_page says otherwise', async () => {
+    const fetch = fakeFetch(() => ({ data: [], meta: { last_page: 10 } }));
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', fetch });
+
+    const seen = [];
+    for await (const page of eachPage(cms, '/nodes')) seen.push(page);
+
+    expect(seen).toHaveLength(1);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('yields a single page for endpoints without paging', async () => {
+    const fetch = fakeFetch(() => ({ data: [{ type: 'menus', id: 'main' }] }));
+    const cms = createClient({ baseUrl: 'https://cms.test/api/v1', fetch });
+
+    const ids = [];
+    for await (const menu of eachResource(cms, '/menus')) ids.push(menu.id);
+
+    expect(ids).toEqual(['main']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Settings form tests — browser-side checks that mirror SettingsSchema, and
+ * reading an export from another site.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildGroups, validateSetting, parseImport, exportSettings } from '../../resources/js/settings-form.js';
+
+const schema = {
+  groups: [{ id: 'general', label: 'General' }],
+  fields: {
+    general: {
+      site_name: { label: 'Site name', type: 'string', required: true, max_length: 255 },
+      date_format: { label: 'Date format', type: 'select', options: { 'Y-m-d': '2026-03-14', 'd/m/Y': '14/03/2026' } },
+      items_per_page: { label: 'Items per page', type: 'integer', min: 1, max: 100 },
+    },
+  },
+};
+const groups = buildGroups(schema, {});
+const field = key => groups[0].fields.find(f => f.key === key);
+
+describe('validateSetting()', () => {
+  it('refuses arrays and objects, as the server does', () => {
+    expect(validateSetting(field('date_format'), ['Y-m-d'])).toBe('Date format must be a single value.');
+    expect(validateSetting(field('site_name'), { a: 1 })).toBe('Site name must be a single value.');
+    expect(validateSetting(field('items_per_page'), [5])).toBe('Items per page must be a single value.');
+  });
+
+  it('checks select membership by key', () => {
+    expect(validateSetting(field('date_format'), 'd/m/Y')).toBeNull();
+    expect(validateSetting(field('date_format'), '14/03/2026')).toBe('Choose one of the listed options.');
+  });
+
+  it('checks integer limits', () => {
+    expect(validateSetting(field('items_per_page'), 0)).toBe('Enter 1 or more.');
+    expect(validateSetting(field('items_per_page'), 101)).toBe('Enter 100 or less.');
+    expect(validateSetting(field('items_per_page'), 25)).toBeNull();
+  });
+});
+
+describe('parseImport()', () => {
+  it('takes valid values and lists the ones it skipped', () => {
+    const text = exportSettings({ general: { site_name: 'Staging', date_format: ['Y-m-d'], items_per_page: 10 }, extra: { key: 'v' } });
+    const { values, skipped, count } = parseImport(text, groups);
+
+    expect(values).toEqual({ general: { site_name: 'Staging', items_per_page: 10 }, extra: { key: 'v' } });
+    expect(skipped).toEqual(['general.date_format: Date format must be a single value.']);
+    expect(count).toBe(3);
+  });
+
+  it('refuses files that are not settings exports', () => {
+    expect(() => parseImport('not json', groups)).toThrow('The file is not valid JSON.');
+    expect(() => parseImport('{"format":"other"}', groups)).toThrow('The file is not a MonkeysCMS settings export.');
+    expect(() => parseImport('{"format":"monkeyscms/settings","version":99,"settings":{}}', groups)).toThrow(/newer MonkeysCMS/);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Toast tests — how an Undo toast ends: run out, undone, closed, or left
+ * behind when the page changes.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { undoable, dismiss, runToastAction, toasts, UNDO_DELAY } from '../../resources/js/toasts.js';
+
+describe('undoable()', () => {
+  let commit, undo, flush;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    commit = vi.fn();
+    undo = vi.fn();
+    flush = vi.fn();
+  });
+
+  afterEach(() => {
+    [...toasts].forEach(t => dismiss(t.id));
+    vi.useRealTimers();
+  });
+
+  it('commits once the delay has passed', () => {
+    undoable('Deleted', { commit, undo });
+    vi.advanceTimersByTime(UNDO_DELAY);
+
+    expect(commit).toHaveBeenCalledTimes(1);
+    expect(undo).not.toHaveBeenCalled();
+    expect(toasts).toHaveLength(0);
+  });
+
+  it('undoes without committing', () => {
+    const id = undoable('Deleted', { commit, undo });
+    runToastAction(id, 0);
+    vi.advanceTimersByTime(UNDO_DELAY);
+
+    expect(undo).toHaveBeenCalledTimes(1);
+    expect(commit).not.toHaveBeenCalled();
+  });
+
+  it('commits straight away when the toast is closed', () => {
+    const id = undoable('Deleted', { commit, undo, flush });
+    dismiss(id);
+
+    expect(commit).toHaveBeenCalledTimes(1);
+    expect(toasts).toHaveLength(0);
+
+    // Nothing is left to run later, on a timer or when the page goes
+    vi.advanceTimersByTime(UNDO_DELAY);
+    window.dispatchEvent(new Event('pagehide'));
+    expect(commit).toHaveBeenCalledTimes(1);
+    expect(flush).not.toHaveBeenCalled();
+    expect(undo).not.toHaveBeenCalled();
+  });
+
+  it('flushes pending commits when the page goes', () => {
+    undoable('Deleted', { commit, undo, flush });
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(flush).toHaveBeenCalledTimes(1);
+    expect(commit).not.toHaveBeenCalled();
+
+    window.dispatchEvent(Object.assign(new Event('pageshow'), { persisted: true }));
+  });
+});
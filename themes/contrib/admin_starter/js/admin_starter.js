@@ -3,3 +3,11 @@
  * themes/contrib/admin_starter/js/admin_starter.js
  */
 console.log('🎨 Admin Starter theme loaded');
+
+// ── Command palette (Ctrl+K) ───────────────────────────────────────────
+// Queued commands are picked up whenever the palette loads
+window.MonkeysCMS = window.MonkeysCMS || {};
+(window.MonkeysCMS.commands = window.MonkeysCMS.commands || []).push(
+  { id: 'admin-starter-appearance', label: 'Appearance', href: '/admin/appearance', keywords: 'theme admin starter' },
+  { id: 'admin-starter-site', label: 'View the site', group: 'Admin Starter', run: () => window.open('/', '_blank') },
+);
@@ -1,25 +1,14 @@
 /**
  * MonkeysCMS Admin Theme — JS
  *
- * Theme-specific enhancements (keyboard shortcuts, accessibility, etc.)
+ * Theme-specific enhancements (accessibility, etc.)
+ *
+ * Keyboard shortcuts belong to the pages that own them (see
+ * resources/js/shortcuts.js); extra palette commands can be queued on
+ * window.MonkeysCMS.commands (see resources/js/command-palette.js).
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-  // ── Keyboard Shortcuts ──────────────────────────────────────────────
-  document.addEventListener('keydown', (e) => {
-    // Ctrl/Cmd + S → Save
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-      e.preventDefault();
-      const saveBtn = document.querySelector('[data-action="save"]') || document.querySelector('.btn-primary');
-      if (saveBtn) saveBtn.click();
-    }
-
-    // Escape → Close modals/panels
-    if (e.key === 'Escape') {
-      document.querySelectorAll('[data-dismiss]').forEach(el => el.click());
-    }
-  });
-
   // ── Sidebar Active State ────────────────────────────────────────────
   const currentPath = window.location.pathname;
   document.querySelectorAll('.admin-sidebar__link').forEach(link => {
@@ -149,14 +149,6 @@
         link.classList.add('active');
       }
     });
-
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-        e.preventDefault();
-        document.querySelector('[data-save-btn]')?.click();
-      }
-    });
   });
   </script>
 
@@ -1,12 +1,9 @@
 /**
  * MonkeysCMS Front Theme — JS
- * Mobile menu toggle + smooth scroll
+ * Directives only — menus and search are set up by resources/js/frontend.js
  */
 import { createApp, autoInit } from 'monkeysjs';
 
-const app = createApp({
-  menuOpen: false,
-  toggleMenu() { this.menuOpen = !this.menuOpen; },
-});
+const app = createApp({});
 
 autoInit();
@@ -0,0 +1,49 @@
+{{-- Site Menu Component --}}
+{{-- Usage: @include('components.site-menu', ['name' => 'main', 'label' => 'Main', 'items' => $main_menu]) --}}
+{{--
+  Without JS this is a plain nested list of links, rendered from `items`.
+  resources/js/site-menu.js then builds the menu from /api/v1/menus/{name}
+  with the <template>s below: a menubar on wide screens, an off-canvas
+  drawer on narrow ones. Roles, ARIA state and keyboard handling are added
+  by the script, so a child theme can copy this file to its own
+  views/components/ and change the markup and classes freely. Keep the
+  data-menu-* hooks.
+--}}
+<nav class="site-menu" data-site-menu="{{ $name ?? 'main' }}" aria-label="{{ $label ?? 'Main' }}">
+  <ul class="site-menu__bar" data-menu-root>
+    @include('partials.site-menu-items', ['items' => $items ?? []])
+  </ul>
+
+  <button type="button" class="site-menu__toggle" data-menu-toggle hidden>
+    <span aria-hidden="true">☰</span>
+    <span class="sr-only">Menu</span>
+  </button>
+
+  <div class="site-menu__drawer" data-menu-drawer hidden>
+    <div class="site-menu__backdrop" data-menu-close></div>
+    <div class="site-menu__panel" role="dialog" aria-modal="true" aria-label="{{ $label ?? 'Main' }}">
+      <button type="button" class="site-menu__close" data-menu-close>
+        <span aria-hidden="true">✕</span>
+        <span class="sr-only">Close menu</span>
+      </button>
+      <ul class="site-menu__tree" data-menu-drawer-root></ul>
+    </div>
+  </div>
+
+  {{-- One item; [data-menu-link] gets the href, [data-menu-label] the title --}}
+  <template data-menu-template="item">
+    <li class="site-menu__item">
+      <a class="site-menu__link" data-menu-link><span data-menu-label></span></a>
+    </li>
+  </template>
+
+  {{-- The list an item's children go in, at any depth --}}
+  <template data-menu-template="submenu">
+    <ul class="site-menu__submenu"></ul>
+  </template>
+
+  {{-- Opens a submenu in the drawer --}}
+  <template data-menu-template="expand">
+    <button type="button" class="site-menu__expand"><span aria-hidden="true">▾</span></button>
+  </template>
+</nav>
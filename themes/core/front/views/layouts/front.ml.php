@@ -27,20 +27,14 @@
         <span>{{ $site_name ?? 'MonkeysCMS' }}</span>
       </a>
 
-      <button class="site-nav__mobile-toggle" $m-on:click="toggleMenu()" aria-label="Toggle menu">☰</button>
+      {{-- Rebuilt from /api/v1/menus/main by frontend.js; these links are the no-JS fallback --}}
+      @include('components.site-menu', ['name' => 'main', 'label' => 'Main', 'items' => $main_menu ?? [['title' => 'Home', 'url' => '/'], ['title' => 'Blog', 'url' => '/blog'], ['title' => 'About', 'url' => '/about'], ['title' => 'Contact', 'url' => '/contact']]])
 
-      <nav class="site-nav" :class="{ open: menuOpen }">
-        @isset($main_menu)
-          @foreach($main_menu as $item)
-          <a href="{{ $item['url'] ?? '#' }}" class="site-nav__link">{{ $item['title'] }}</a>
-          @endforeach
-        @else
-          <a href="/" class="site-nav__link">Home</a>
-          <a href="/blog" class="site-nav__link">Blog</a>
-          <a href="/about" class="site-nav__link">About</a>
-          <a href="/contact" class="site-nav__link">Contact</a>
-        @endisset
-      </nav>
+      {{-- Submits to /search; frontend.js adds results as you type --}}
+      <form action="/search" method="get" role="search" class="site-search" data-site-search>
+        <label for="site-search-input" class="sr-only">Search the site</label>
+        <input type="search" id="site-search-input" name="q" placeholder="Search…" minlength="2" required>
+      </form>
     </div>
   </header>
 
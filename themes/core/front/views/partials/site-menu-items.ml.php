@@ -0,0 +1,13 @@
+{{-- Nested menu links for components.site-menu — includes itself for each level --}}
+@foreach($items as $item)
+@if($item['enabled'] ?? true)
+<li class="site-menu__item">
+  <a href="{{ $item['url'] ?? '#' }}" class="site-menu__link"@if(!empty($item['target'])) target="{{ $item['target'] }}"@endif>{{ $item['title'] }}</a>
+  @if(!empty($item['children']))
+  <ul class="site-menu__submenu">
+    @include('partials.site-menu-items', ['items' => $item['children']])
+  </ul>
+  @endif
+</li>
+@endif
+@endforeach
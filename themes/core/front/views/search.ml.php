@@ -0,0 +1,41 @@
+@extends('layouts.front')
+
+@section('title', ($query !== '' ? 'Search: ' . $query : 'Search') . ' | ' . ($site_name ?? 'MonkeysCMS'))
+
+@section('content')
+<div class="container">
+  <div class="search-page">
+    <h1 class="search-page__title">Search</h1>
+
+    <form action="/search" method="get" role="search" class="search-page__form">
+      <label for="search-page-input" class="sr-only">Search the site</label>
+      <input type="search" id="search-page-input" name="q" value="{{ $query }}" placeholder="Search…" minlength="2" required>
+      <button type="submit" class="btn-front btn-front--primary">Search</button>
+    </form>
+
+    @if($too_short)
+    <p class="search-page__status">Type at least two characters to search.</p>
+    @elseif($query !== '' && $total === 0)
+    <p class="search-page__status">Nothing matches “{{ $query }}”.</p>
+    @elseif($query !== '')
+    <p class="search-page__status">{{ $total }} {{ $total === 1 ? 'result' : 'results' }} for “{{ $query }}”</p>
+
+    @foreach($groups as $group)
+    <section class="search-page__group">
+      <h2 class="search-page__group-title">{{ $group['label'] }}</h2>
+      <ul class="search-page__results">
+        @foreach($group['nodes'] as $node)
+        <li class="search-result">
+          <a href="{{ $node->url }}" class="search-result__title">{{ $node->title }}</a>
+          @if($node->summary)
+          <p class="search-result__excerpt">{{ $node->summary }}</p>
+          @endif
+        </li>
+        @endforeach
+      </ul>
+    </section>
+    @endforeach
+    @endif
+  </div>
+</div>
+@endsection
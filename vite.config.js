@@ -20,6 +20,15 @@ export default defineConfig({
         admin: resolve(__dirname, 'resources/js/admin.js'),
         frontend: resolve(__dirname, 'resources/js/frontend.js'),
         'mosaic-editor': resolve(__dirname, 'resources/js/mosaic-editor.js'),
+        'media-uploader': resolve(__dirname, 'resources/js/media-uploader.js'),
+        'media-picker': resolve(__dirname, 'resources/js/media-picker.js'),
+        'admin-api': resolve(__dirname, 'resources/js/admin-api.js'),
+        toasts: resolve(__dirname, 'resources/js/toasts.js'),
+        shortcuts: resolve(__dirname, 'resources/js/shortcuts.js'),
+        'form-rules': resolve(__dirname, 'resources/js/form-rules.js'),
+        'settings-form': resolve(__dirname, 'resources/js/settings-form.js'),
+        'reference-field': resolve(__dirname, 'resources/js/reference-field.js'),
+        sdk: resolve(__dirname, 'resources/js/sdk/index.js'),
         'admin-css': resolve(__dirname, 'resources/css/admin.css'),
         'frontend-css': resolve(__dirname, 'resources/css/frontend.css'),
       },
@@ -30,4 +39,9 @@ export default defineConfig({
     origin: 'http://localhost:5173',
     cors: true,
   },
+
+  test: {
+    include: ['tests/js/**/*.test.js'],
+    environment: 'jsdom',
+  },
 });